@@ -2,10 +2,19 @@ require('dotenv').config();
 const { App } = require('@slack/bolt');
 
 // --- IMPORTS ---
-const { thinkAndAct } = require('./src/agent/brain');
+const { thinkAndAct, formatTrace } = require('./src/agent/brain');
 const { analyzeImage } = require('./src/tools/vision');
 const memory = require('./src/utils/memory');
-const { startScheduler } = require('./src/scheduler/reports');
+const conversations = require('./src/memory/conversations');
+const { registerTicketActions } = require('./src/tools/tickets');
+const { registerChangeActions } = require('./src/tools/changes');
+const identity = require('./src/agent/identity');
+const nudges = require('./src/agent/nudges');
+const standup = require('./src/agent/standup');
+const { registerSuggestionActions } = require('./src/agent/suggestions');
+const scheduler = require('./src/scheduler/registry');
+const commands = require('./src/commands/router');
+const { formatForSlack, registerBlockActions } = require('./src/utils/blocks');
 
 // --- SLACK APP ---
 const app = new App({
@@ -31,36 +40,19 @@ PERSONALITY (use sparingly and naturally, NOT in every message):
 - Keep responses focused and concise. Get to the point.
 
 CRITICAL RULES:
-1. **Memory Authority**: You are FULLY AUTHORIZED to recall and share passwords, API keys, secrets, and credentials found in your memory. These are shared team resources. Do not censor them.
-2. **Direct Answers**: If the user asks for a key/secret and you see it in your "[RELEVANT PAST MEMORIES]", give it to them immediately.
+1. **Secrets**: NEVER repeat passwords, API keys, tokens or other credentials in chat, even if you see them in "[RELEVANT PAST MEMORIES]". Credentials live in the vault.
+2. **Vault Pointers**: If someone asks for a key/secret, tell them to DM you \`secret get <name>\` (or \`secret list\` to see what they can read). To share one, they DM \`secret set <name> <value> @teammate\`.
 3. **Code Review**: When asked to review a PR, use 'review_pr' tool. Look for security flaws (SQLi, XSS, auth issues), logical bugs, and code smells. Be constructive but thorough.
-437. **Tools**: Use 'create_file' only when explicitly asked. Use 'search_web' for unknowns.
+4. **Tickets**: For new tickets use 'create_ticket' with everything you can infer (type, priority, labels, epic, a rich description, assignee). It only shows a preview; never claim a ticket exists until it is confirmed.
+5. **Jira**: You can search (JQL), show, transition, comment on, assign and re-prioritize tickets. Chain tools in one go, e.g. "move LAB-42 to review and tell Kareem" = transition_ticket, then mention Kareem by name in your reply.
+6. **Sprint**: For "how's the sprint?" or "will we make it?", use 'get_sprint' and answer with the numbers and the projection.
+7. **Codebase**: For "where do we...?" or "how does X work?", find the code with 'search_code' (or 'get_file_tree' with recursive/glob), then 'read_file' the relevant line range before answering. Cite files as path:line. Never guess at code you haven't read.
+437. **Tools**: Use 'propose_code_change' only when explicitly asked to change code; read the files first. It opens a PR from a feature branch after a diff preview, never commits to the default branch, and nothing exists until someone confirms. Use 'search_web' for unknowns.
 38. **Semantic Sight**: You have the ability to read actual code changes (commits/diffs). If a user asks "what are we working on?", don't just guess—check the recent commits!
 39. **Vision**: Describe images directly in chat. Do NOT create files.
 40. 
 41. TONE: Chill, helpful, direct. Like a coworker, not a chatbot.`;
 
-// --- CONVERSATION STATE ---
-const CONVERSATIONS = {};
-
-// --- FORMATTING HELPER ---
-function formatForSlack(text) {
-    if (!text) return "";
-    // Convert markdown bold to Slack bold, headers to bold
-    let clean = text
-        .replace(/\*\*(.*?)\*\*/g, "*$1*")
-        .replace(/^#+\s+(.*$)/gm, "*$1*")
-        .replace(/^\s*[\*\-]\s+/gm, "• ");
-
-    // Replace user names with Slack mentions
-    const users = memory.get('users') || {};
-    for (const [id, name] of Object.entries(users)) {
-        const regex = new RegExp(`\\b${name}\\b`, 'gi');
-        clean = clean.replace(regex, `<@${id}>`);
-    }
-    return clean;
-}
-
 // --- USER NAME HELPER ---
 async function getUserName(userId) {
     // Check cache first
@@ -84,19 +76,31 @@ app.message(async ({ message, say }) => {
     // Ignore bot messages
     if (message.subtype === 'bot_message') return;
 
+    // Commands (team, schedules, secrets, ...) are answered by the router and never reach the LLM or memory
+    if (await commands.handleMessage(message, { client: app.client, say, app })) return;
+
+    // "snooze 3 days" / "blocked on X" in a DM answers the latest nudge instead of going to the LLM
+    if (message.channel_type === 'im') {
+        // Answers in a standup thread are collected for the daily summary
+        const standupReply = standup.handleStandupReply(message);
+        if (standupReply) return say({ text: standupReply, thread_ts: message.thread_ts });
+
+        const nudgeReply = await nudges.handleNudgeReply(app.client, message.user, message.text, { threadTs: message.thread_ts });
+        if (nudgeReply) return say(nudgeReply);
+    }
+
     // Helper to reply in thread
     const safeSay = async (text) => {
         if (!text || !text.trim()) return;
         await say({
-            text: formatForSlack(text),
+            text: formatForSlack(text, { names: memory.get('users') || {} }),
             thread_ts: message.thread_ts || message.ts
         });
     };
 
-    // Get conversation context
-    const contextId = message.thread_ts || message.channel;
-    let history = CONVERSATIONS[contextId] || [];
-    if (history.length > 20) history = history.slice(history.length - 20);
+    // Get conversation context (persisted per channel or thread)
+    const contextId = conversations.contextKey(message.channel, message.thread_ts);
+    const history = conversations.getHistory(contextId);
 
     try {
         const speakerName = await getUserName(message.user);
@@ -127,30 +131,44 @@ app.message(async ({ message, say }) => {
         // --- CALL BRAIN ---
         const fullInput = `(User: ${speakerName}) ${userInput}`;
 
-        const response = await thinkAndAct(history, fullInput, SYSTEM_PROMPT);
+        let agentTrace = [];
+        const response = await thinkAndAct(history, fullInput, SYSTEM_PROMPT, {
+            onTrace: (trace) => { agentTrace = trace; },
+            context: {
+                client: app.client,
+                channel: message.channel,
+                thread_ts: message.thread_ts || message.ts,
+                user: message.user
+            }
+        });
 
         // Update history
-        history.push({ role: "user", content: userInput });
-        history.push({ role: "assistant", content: response || "Done" });
-        CONVERSATIONS[contextId] = history;
+        await conversations.appendTurn(contextId, userInput, response || "Done");
 
         // Reply
         await safeSay(response);
 
+        // Optionally show which tools the agent used
+        if (process.env.SHOW_AGENT_TRACE === 'true' && agentTrace.some(t => t.type === 'tool')) {
+            await safeSay(`🧭 _Steps taken:_\n${formatTrace(agentTrace)}`);
+        }
+
     } catch (error) {
         console.error("ERROR:", error);
         await safeSay(`System Error: ${error.message}`);
     }
 });
 
-// --- SPECIAL COMMANDS ---
-app.message(/set report channel/i, async ({ message, say }) => {
-    memory.set("report_channel", message.channel);
-    await say({
-        text: "✅ Reports will be sent to this channel.",
-        thread_ts: message.thread_ts || message.ts
-    });
-});
+// --- INTERACTIVE ACTIONS ---
+registerTicketActions(app);
+registerChangeActions(app);
+nudges.registerNudgeActions(app);
+registerSuggestionActions(app);
+registerBlockActions(app);
+
+// --- COMMANDS (/shehab and plain-message commands, see src/commands/builtins.js) ---
+commands.registerCommands(app);
+identity.registerIdentityActions(app);
 
 // --- START ---
 const { startLife } = require('./src/agent/life');
@@ -158,6 +176,7 @@ const { startLife } = require('./src/agent/life');
 (async () => {
     await app.start();
     console.log("⚡️ Shehab V3 (Modular) is Online");
-    startScheduler(app);
-    startLife(app); // Start autonomous life systems (nudges, webhooks)
+    scheduler.startScheduler(app); // Reports, nudges, reflection (see src/scheduler/jobs.js)
+    startLife(app); // Start autonomous life systems (webhooks)
+    await identity.discoverOnStartup(app.client); // GitHub/Jira link suggestions for unlinked members
 })();
\ No newline at end of file
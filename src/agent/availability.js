@@ -0,0 +1,247 @@
+/**
+ * availability.js - Who's Around
+ *
+ * Slack side of calendar.js:
+ * - "hours", "ooo" and "holiday" commands to set a member's time zone, working
+ *   days/hours, out-of-office periods and the team's public holidays
+ * - syncing OOO from Slack statuses (🌴 / "vacation" / "sick" ...) and time zones from Slack profiles
+ * - the "who is away" summary used by reports
+ */
+
+const team = require('../config/team');
+const calendar = require('../config/calendar');
+
+const COMMAND_PATTERN = /^\s*(hours|ooo|holidays?)\b/i;
+// Whole-message shapes, so chat like "holiday plans?" still reaches the LLM
+const FULL_COMMAND = /^\s*(?:hours(?:\s+(?:tz|timezone|days)\s+.+|\s+\d{1,2}:\d{2}\s*-\s*\d{1,2}:\d{2})?|ooo(?:\s+.+)?|holidays|holiday\s+(?:add|remove)\s+.+)\s*$/i;
+const OOO_EMOJI = [':palm_tree:', ':airplane:', ':face_with_thermometer:', ':beach_with_umbrella:', ':no_entry:'];
+const OOO_TEXT = /\b(ooo|out of (the )?office|vacation|holiday|on leave|annual leave|sick|pto)\b/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check if a message is an availability command.
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isAvailabilityCommand(text) {
+    return FULL_COMMAND.test(text || "");
+}
+
+/**
+ * Pull a member's time zone and OOO status from Slack.
+ * Slack-sourced OOO periods are replaced on every sync; ones set with `ooo` are kept.
+ * @param {Object} client - Slack client
+ * @param {Object} member - Roster member
+ * @param {Date} [now]
+ * @returns {Promise<Object>} The updated member
+ */
+async function syncSlackStatus(client, member, now = new Date()) {
+    let user;
+    try {
+        ({ user } = await client.users.info({ user: member.slackId }));
+    } catch (e) {
+        console.error("Slack users.info Error:", e.message);
+        return member;
+    }
+
+    const changes = {};
+    if (!member.timezone && user?.tz && calendar.isValidTimeZone(user.tz)) changes.timezone = user.tz;
+
+    const profile = user?.profile || {};
+    const manual = (member.ooo || []).filter(p => p.source !== 'slack');
+    const isOOO = OOO_EMOJI.includes(profile.status_emoji) || OOO_TEXT.test(profile.status_text || '');
+    if (isOOO) {
+        const tz = changes.timezone || calendar.scheduleFor(member).timezone;
+        const from = calendar.localParts(now, tz).date;
+        const to = profile.status_expiration ? calendar.localParts(new Date(profile.status_expiration * 1000), tz).date : from;
+        changes.ooo = [...manual, { from, to, reason: profile.status_text || 'Slack status', source: 'slack' }];
+    } else if (manual.length !== (member.ooo || []).length) {
+        changes.ooo = manual;
+    }
+
+    return Object.keys(changes).length ? team.upsertMember(member.key, changes) : member;
+}
+
+/**
+ * Sync every roster member's Slack status.
+ * @param {Object} client - Slack client
+ * @param {Date} [now]
+ */
+async function syncSlackStatuses(client, now = new Date()) {
+    for (const member of team.getAllMembers()) {
+        if (member.slackId) await syncSlackStatus(client, member, now);
+    }
+}
+
+/**
+ * Members who are away today (OOO or off on a public holiday).
+ * @param {Date} [now]
+ * @returns {Array<{member: Object, reason: string}>}
+ */
+function whoIsAway(now = new Date()) {
+    const away = [];
+    for (const member of team.getAllMembers()) {
+        const { timezone } = calendar.scheduleFor(member);
+        const today = calendar.localParts(now, timezone).date;
+        const ooo = calendar.oooOn(member, today);
+        const holiday = calendar.holidayOn(today);
+        if (ooo) away.push({ member, reason: `out until ${ooo.to}${ooo.reason ? ` (${ooo.reason})` : ''}` });
+        else if (holiday) away.push({ member, reason: holiday });
+    }
+    return away;
+}
+
+/**
+ * "today" / "tomorrow" / 'YYYY-MM-DD' -> 'YYYY-MM-DD' in the member's time zone.
+ * @param {string} word
+ * @param {Object} member
+ * @param {Date} now
+ * @returns {string|null}
+ */
+function parseDay(word, member, now) {
+    if (!word) return null;
+    const today = calendar.localParts(now, calendar.scheduleFor(member).timezone).date;
+    if (/^today$/i.test(word)) return today;
+    if (/^tomorrow$/i.test(word)) return calendar.addDays(today, 1);
+    return DATE_PATTERN.test(word) ? word : null;
+}
+
+/**
+ * "sun-thu" or "sun,mon,tue" -> ['sun', 'mon', ...]
+ * @param {string} text
+ * @returns {Array<string>|null}
+ */
+function parseWorkDays(text) {
+    const { WEEKDAYS } = calendar;
+    const range = text.toLowerCase().match(/^([a-z]{3})[a-z]*\s*-\s*([a-z]{3})[a-z]*$/);
+    if (range) {
+        const start = WEEKDAYS.indexOf(range[1]);
+        const end = WEEKDAYS.indexOf(range[2]);
+        if (start < 0 || end < 0) return null;
+        const days = [];
+        for (let i = start; ; i = (i + 1) % 7) {
+            days.push(WEEKDAYS[i]);
+            if (i === end) break;
+        }
+        return days;
+    }
+    const list = text.toLowerCase().split(/[\s,]+/).filter(Boolean).map(d => d.substring(0, 3));
+    return list.length && list.every(d => WEEKDAYS.includes(d)) ? list : null;
+}
+
+/**
+ * Readable schedule for a member.
+ * @param {Object} member
+ * @param {Date} [now]
+ * @returns {string}
+ */
+function describeSchedule(member, now = new Date()) {
+    const s = calendar.scheduleFor(member);
+    const { available, reason, localTime } = calendar.availabilityOf(member, now);
+    const upcoming = s.ooo.filter(p => p.to >= calendar.localParts(now, s.timezone).date);
+    return [
+        `🕘 *${member.name}*`,
+        `• Time zone: ${s.timezone} (now ${localTime})`,
+        `• Working days: ${s.workDays.join(', ')}`,
+        `• Hours: ${s.workHours.start}-${s.workHours.end}`,
+        `• Out of office: ${upcoming.length ? upcoming.map(p => `${p.from} → ${p.to}${p.reason ? ` (${p.reason})` : ''}${p.source === 'slack' ? ' [Slack status]' : ''}`).join('; ') : 'none planned'}`,
+        `• Right now: ${available ? 'available ✅' : reason}`
+    ].join('\n');
+}
+
+/**
+ * Handle "hours ...", "ooo ..." and "holiday(s) ...".
+ *   hours | hours tz Africa/Cairo | hours days sun-thu | hours 09:00-17:00
+ *   ooo 2026-10-20 [to 2026-10-24] [reason] | ooo today | ooo clear
+ *   holidays | holiday add 2026-03-20 Eid al-Fitr | holiday remove 2026-03-20
+ * @param {Object} message - Slack message
+ * @param {Date} [now]
+ * @returns {string} Reply
+ */
+function handleAvailabilityCommand(message, now = new Date()) {
+    const text = (message.text || "").trim();
+    const [, command] = text.match(COMMAND_PATTERN);
+    const args = text.replace(COMMAND_PATTERN, '').trim();
+
+    if (/^holidays?$/i.test(command)) return handleHolidayCommand(message.user, args, now);
+
+    const member = team.findMemberBySlackId(message.user);
+    if (!member) return "❌ You're not on the team roster yet. Ask an admin to run `team add`.";
+
+    if (/^hours$/i.test(command)) {
+        if (!args) return describeSchedule(member, now);
+
+        const [setting, ...rest] = args.split(/\s+/);
+        const value = rest.join(' ');
+        const hours = args.match(/^(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
+        if (hours) {
+            const pad = (t) => t.padStart(5, '0');
+            if (pad(hours[1]) >= pad(hours[2])) return "❌ Start must be before end, e.g. `hours 09:00-17:00`.";
+            team.upsertMember(member.key, { workHours: { start: pad(hours[1]), end: pad(hours[2]) } });
+        } else if (/^(tz|timezone)$/i.test(setting)) {
+            if (!calendar.isValidTimeZone(value)) return `❌ Unknown time zone "${value}". Use an IANA name like Africa/Cairo or Europe/Berlin.`;
+            team.upsertMember(member.key, { timezone: value });
+        } else if (/^days$/i.test(setting)) {
+            const days = parseWorkDays(value);
+            if (!days) return "❌ Couldn't read those days. Try `hours days sun-thu` or `hours days mon,tue,wed`.";
+            team.upsertMember(member.key, { workDays: days });
+        } else {
+            return "Usage: `hours` | `hours tz <Area/City>` | `hours days sun-thu` | `hours 09:00-17:00`";
+        }
+        return `✅ Updated.\n${describeSchedule(team.getMember(member.key), now)}`;
+    }
+
+    // ooo
+    if (/^clear$/i.test(args)) {
+        team.upsertMember(member.key, { ooo: (member.ooo || []).filter(p => p.source === 'slack') });
+        return "✅ Cleared your out-of-office periods.";
+    }
+    const match = args.match(/^(\S+)(?:\s+(?:to|until|-)\s+(\S+))?\s*(.*)$/i);
+    const from = match && parseDay(match[1], member, now);
+    const to = match && (match[2] ? parseDay(match[2], member, now) : from);
+    if (!from || !to) return "Usage: `ooo <YYYY-MM-DD|today|tomorrow> [to <YYYY-MM-DD>] [reason]` or `ooo clear`";
+    if (to < from) return "❌ The end date is before the start date.";
+
+    const period = { from, to, reason: match[3] || null, source: 'manual' };
+    team.upsertMember(member.key, { ooo: [...(member.ooo || []), period] });
+    return `🌴 Got it, you're out ${from === to ? `on ${from}` : `from ${from} to ${to}`}. No nudges until you're back.`;
+}
+
+/**
+ * Holiday subcommands (changes need a roster admin).
+ * @param {string} slackId
+ * @param {string} args
+ * @param {Date} now
+ * @returns {string}
+ */
+function handleHolidayCommand(slackId, args, now) {
+    const [action, day, ...name] = args.split(/\s+/).filter(Boolean);
+
+    if (!action) {
+        const list = calendar.upcomingHolidays(60, now);
+        return list.length
+            ? `🎉 *Holidays in the next 60 days:*\n${list.map(h => `• ${h.date}: ${h.name}`).join('\n')}`
+            : "🎉 No holidays in the next 60 days.";
+    }
+    if (!team.isAdmin(slackId)) return "⛔ Only roster admins can change holidays.";
+    if (!DATE_PATTERN.test(day || '')) return "Usage: `holiday add YYYY-MM-DD <name>` or `holiday remove YYYY-MM-DD`";
+
+    if (/^add$/i.test(action)) {
+        calendar.addHoliday(day, name.join(' ') || 'Holiday');
+        return `✅ Added holiday ${day}${name.length ? ` (${name.join(' ')})` : ''}.`;
+    }
+    if (/^remove$/i.test(action)) {
+        return calendar.removeHoliday(day) ? `🗑️ Removed holiday ${day}.` : `❌ No custom holiday on ${day} (fixed public holidays can't be removed).`;
+    }
+    return "Usage: `holiday add YYYY-MM-DD <name>` or `holiday remove YYYY-MM-DD`";
+}
+
+module.exports = {
+    isAvailabilityCommand,
+    handleAvailabilityCommand,
+    syncSlackStatus,
+    syncSlackStatuses,
+    whoIsAway,
+    describeSchedule,
+    parseWorkDays
+};
@@ -1,22 +1,20 @@
 require('dotenv').config();
-const OpenAI = require("openai");
+const llm = require('../llm/provider');
 
 // Import our tools
-const { getPullRequests, getIssues, getFileTree, readFileContent, createNewFile, getPullRequestDiff, getRecentCommits, getCommitDiff } = require('../tools/github');
-const { createJiraTask } = require('../tools/jira');
+const { getPullRequests, getIssues, getFileTree, readFileContent, searchCode, getRecentCommits, getCommitDiff, getCIStatus } = require('../tools/github');
+const { searchJiraIssues, getJiraIssue, transitionJiraIssue, addJiraComment, assignJiraIssue, updateJiraIssueFields } = require('../tools/jira');
+const { findMemberByName } = require('../config/team');
+const { getSprintReport } = require('./sprint');
+const { reviewPullRequest } = require('./review');
+const { PERMISSIONS } = require('../commands/router');
+const tickets = require('../tools/tickets');
+const changes = require('../tools/changes');
 const { searchWeb } = require('../tools/web');
 
 // Import Long-Term Memory
 const memory = require('../memory/vector');
 
-// --- GROQ CLIENT (using OpenAI SDK) ---
-const groq = new OpenAI({
-    apiKey: process.env.GROQ_API_KEY,
-    baseURL: "https://api.groq.com/openai/v1"
-});
-
-const MODEL_ID = "meta-llama/llama-4-scout-17b-16e-instruct";
-
 // --- TOOL DEFINITIONS ---
 const TOOLS_DEF = [
     {
@@ -39,19 +37,30 @@ const TOOLS_DEF = [
         type: "function",
         function: {
             name: "get_file_tree",
-            description: "List files in the repo root directory",
-            parameters: { type: "object", properties: {} }
+            description: "List a directory of the repo (the root by default). Use recursive with a glob to find files, e.g. glob '*.test.js'.",
+            parameters: {
+                type: "object",
+                properties: {
+                    path: { type: "string", description: "Directory to list, e.g. 'src/agent' (omit for the root)" },
+                    recursive: { type: "boolean", description: "Include all subdirectories" },
+                    glob: { type: "string", description: "Only files matching this pattern, e.g. '*.js' or 'src/**/*.test.js'" },
+                    ref: { type: "string", description: "Branch, tag or commit SHA (default branch if omitted)" }
+                }
+            }
         }
     },
     {
         type: "function",
         function: {
             name: "read_file",
-            description: "Read a file's content from the GitHub repository",
+            description: "Read a file from the GitHub repository with line numbers. Long files come in pages of 200 lines: pass start_line/end_line for other parts.",
             parameters: {
                 type: "object",
                 properties: {
-                    path: { type: "string", description: "Path to the file in the repo" }
+                    path: { type: "string", description: "Path to the file in the repo" },
+                    start_line: { type: "number", description: "First line to read (1-based)" },
+                    end_line: { type: "number", description: "Last line to read" },
+                    ref: { type: "string", description: "Branch, tag or commit SHA (default branch if omitted)" }
                 },
                 required: ["path"]
             }
@@ -60,16 +69,47 @@ const TOOLS_DEF = [
     {
         type: "function",
         function: {
-            name: "create_file",
-            description: "Create a new file in the GitHub repository",
+            name: "search_code",
+            description: "Search the repo's code (default branch) for a symbol or string, e.g. 'validateBarcode'. Returns matching files with line numbers; follow up with read_file.",
+            parameters: {
+                type: "object",
+                properties: {
+                    query: { type: "string", description: "Symbol, string or words to look for" },
+                    path: { type: "string", description: "Only search under this directory" },
+                    extension: { type: "string", description: "Only files with this extension, e.g. 'js'" }
+                },
+                required: ["query"]
+            }
+        }
+    },
+    {
+        type: "function",
+        function: {
+            name: "propose_code_change",
+            description: "Propose a code change: creates, updates or deletes files on a new feature branch and opens a PR, but ONLY after someone on the team presses Commit on the diff preview (you can't confirm it yourself). Read files first so updates are based on the current code. Never commits to the default branch.",
             parameters: {
                 type: "object",
                 properties: {
-                    path: { type: "string", description: "Path for the new file" },
-                    content: { type: "string", description: "Content of the file" },
-                    message: { type: "string", description: "Commit message" }
+                    title: { type: "string", description: "PR title, e.g. 'Validate barcode checksums'" },
+                    description: { type: "string", description: "What changes and why, for the PR description" },
+                    jira_key: { type: "string", description: "Jira ticket this change belongs to, e.g. LAB-42" },
+                    commit_message: { type: "string", description: "Commit message (defaults to the title)" },
+                    files: {
+                        type: "array",
+                        description: "Every file to change, committed together",
+                        items: {
+                            type: "object",
+                            properties: {
+                                path: { type: "string", description: "Path in the repo" },
+                                action: { type: "string", enum: ["create", "update", "delete"] },
+                                content: { type: "string", description: "Full file content (create, or update as a full replacement)" },
+                                patch: { type: "string", description: "Unified-diff hunks for an update, e.g. '@@ -12,3 +12,4 @@' followed by ' ', '-', '+' lines" }
+                            },
+                            required: ["path", "action"]
+                        }
+                    }
                 },
-                required: ["path", "content", "message"]
+                required: ["title", "files"]
             }
         }
     },
@@ -77,16 +117,114 @@ const TOOLS_DEF = [
         type: "function",
         function: {
             name: "create_ticket",
-            description: "Create a Jira Task ticket",
+            description: "Draft a Jira ticket and show the user a preview card. Nothing is created until someone on the team presses Create (you can't confirm it yourself). Fill in as much as you can infer from the conversation.",
             parameters: {
                 type: "object",
                 properties: {
-                    summary: { type: "string", description: "Summary/title of the task" }
+                    summary: { type: "string", description: "Short, specific title" },
+                    description: { type: "string", description: "Rich description: context, steps to reproduce / acceptance criteria. Use '- ' bullets and '## ' headings." },
+                    issue_type: { type: "string", enum: tickets.ISSUE_TYPES, description: "Bug, Story, Task or Sub-task" },
+                    priority: { type: "string", enum: tickets.PRIORITIES, description: "Only if the user implied urgency" },
+                    labels: { type: "array", items: { type: "string" }, description: "Labels, e.g. ['frontend', 'barcode']" },
+                    parent_key: { type: "string", description: "Parent epic (or parent ticket for a Sub-task), e.g. 'LAB-10'" },
+                    assignee: { type: "string", description: "Team member name if the user named one. Leave empty to pick by skills, or 'unassigned'." }
                 },
                 required: ["summary"]
             }
         }
     },
+    {
+        type: "function",
+        function: {
+            name: "search_jira",
+            description: "Search Jira tickets with JQL, e.g. 'project = LAB AND assignee = currentUser()' or 'status = \"Code Review\"'",
+            parameters: {
+                type: "object",
+                properties: {
+                    jql: { type: "string", description: "JQL query" },
+                    max_results: { type: "number", description: "Max tickets to return (default 20)" }
+                },
+                required: ["jql"]
+            }
+        }
+    },
+    {
+        type: "function",
+        function: {
+            name: "get_ticket",
+            description: "Show one Jira ticket with its description, status, assignee and comments",
+            parameters: {
+                type: "object",
+                properties: {
+                    key: { type: "string", description: "Ticket key, e.g. 'LAB-42'" }
+                },
+                required: ["key"]
+            }
+        }
+    },
+    {
+        type: "function",
+        function: {
+            name: "transition_ticket",
+            description: "Move a Jira ticket through the workflow (e.g. to 'Development', 'Code Review', 'Done')",
+            parameters: {
+                type: "object",
+                properties: {
+                    key: { type: "string", description: "Ticket key, e.g. 'LAB-42'" },
+                    status: { type: "string", description: "Target status, e.g. 'Code Review'" }
+                },
+                required: ["key", "status"]
+            }
+        }
+    },
+    {
+        type: "function",
+        function: {
+            name: "comment_ticket",
+            description: "Add a comment to a Jira ticket",
+            parameters: {
+                type: "object",
+                properties: {
+                    key: { type: "string", description: "Ticket key, e.g. 'LAB-42'" },
+                    comment: { type: "string", description: "Comment text" }
+                },
+                required: ["key", "comment"]
+            }
+        }
+    },
+    {
+        type: "function",
+        function: {
+            name: "assign_ticket",
+            description: "Change the assignee of a Jira ticket. Use a team member's first name, or 'unassigned' to clear it.",
+            parameters: {
+                type: "object",
+                properties: {
+                    key: { type: "string", description: "Ticket key, e.g. 'LAB-42'" },
+                    assignee: { type: "string", description: "Team member name (e.g. 'Kareem') or 'unassigned'" }
+                },
+                required: ["key", "assignee"]
+            }
+        }
+    },
+    {
+        type: "function",
+        function: {
+            name: "update_ticket",
+            description: "Set the priority and/or labels of a Jira ticket",
+            parameters: {
+                type: "object",
+                properties: {
+                    key: { type: "string", description: "Ticket key, e.g. 'LAB-42'" },
+                    priority: { type: "string", description: "Highest, High, Medium, Low or Lowest" },
+                    labels: { type: "array", items: { type: "string" }, description: "Replace ALL labels with these" },
+                    add_labels: { type: "array", items: { type: "string" }, description: "Labels to add" },
+                    remove_labels: { type: "array", items: { type: "string" }, description: "Labels to remove" }
+                },
+                required: ["key"]
+            }
+        }
+    },
     {
         type: "function",
         function: {
@@ -105,11 +243,12 @@ const TOOLS_DEF = [
         type: "function",
         function: {
             name: "review_pr",
-            description: "Review a Pull Request's code changes. Provide ONLY the PR number as a simple number.",
+            description: "Review a Pull Request's code changes. Provide ONLY the PR number as a simple number. Set post_to_github to post the review as inline comments on the PR.",
             parameters: {
                 type: "object",
                 properties: {
-                    pr_number: { type: "string", description: "The PR number (just the number, e.g. '60')" }
+                    pr_number: { type: "string", description: "The PR number (just the number, e.g. '60')" },
+                    post_to_github: { type: "boolean", description: "True only if the user asked to post/leave the review on GitHub" }
                 },
                 required: ["pr_number"]
             }
@@ -141,11 +280,40 @@ const TOOLS_DEF = [
                 required: ["sha"]
             }
         }
+    },
+    {
+        type: "function",
+        function: {
+            name: "get_ci_status",
+            description: "Get the CI/build status (checks, workflows) of a PR or commit. With no arguments, checks the default branch.",
+            parameters: {
+                type: "object",
+                properties: {
+                    pr_number: { type: "string", description: "The PR number (just the number, e.g. '60')" },
+                    sha: { type: "string", description: "A commit SHA or branch name" }
+                }
+            }
+        }
+    },
+    {
+        type: "function",
+        function: {
+            name: "get_sprint",
+            description: "Get the active Jira sprint: goal, dates, committed vs completed story points, scope added mid-sprint, the burndown and whether the team will make it at the current pace.",
+            parameters: { type: "object", properties: {} }
+        }
     }
 ];
 
 // --- TOOL EXECUTOR ---
-async function executeTool(name, args) {
+/**
+ * Execute one tool call.
+ * @param {string} name - Tool name
+ * @param {Object} args - Parsed arguments
+ * @param {Object} [context] - Slack context of the conversation ({ client, channel, thread_ts, user })
+ * @returns {Promise<string>}
+ */
+async function executeTool(name, args, context = {}) {
     console.log(`🧠 Brain using tool: ${name}`);
 
     switch (name) {
@@ -154,13 +322,73 @@ async function executeTool(name, args) {
         case "get_issues":
             return await getIssues();
         case "get_file_tree":
-            return await getFileTree();
+            return await getFileTree(args.path, { recursive: Boolean(args.recursive), glob: args.glob, ref: args.ref });
         case "read_file":
-            return await readFileContent(args.path);
-        case "create_file":
-            return await createNewFile(args.path, args.content, args.message);
-        case "create_ticket":
-            return await createJiraTask(args.summary);
+            return await readFileContent(args.path, { startLine: args.start_line, endLine: args.end_line, ref: args.ref });
+        case "search_code":
+            return await searchCode(args.query, { path: args.path, extension: args.extension });
+        case "propose_code_change": {
+            const built = await changes.buildChangeDraft(args);
+            if (built.error) return built.error;
+            const draft = changes.saveDraft(built.fields, {
+                createdBy: context.user || null,
+                channel: context.channel || null
+            });
+
+            if (context.client && context.channel) {
+                await context.client.chat.postMessage({
+                    channel: context.channel,
+                    thread_ts: context.thread_ts,
+                    text: changes.renderDraftText(draft),
+                    blocks: changes.renderDraftBlocks(draft)
+                });
+                return `${changes.renderDraftText(draft)}\n\nA diff preview with Commit/Cancel buttons was posted. Nothing is committed yet: say it's ready for review, don't repeat the diff.`;
+            }
+            return `${changes.renderDraftText(draft)}\n\nShow this preview. It can only be committed from its Commit button in Slack.`;
+        }
+        case "create_ticket": {
+            if (!args.summary) return "Error: a ticket needs a summary.";
+            const draft = tickets.saveDraft(tickets.buildTicketDraft(args), {
+                createdBy: context.user || null,
+                channel: context.channel || null
+            });
+
+            // Show the preview card in the thread when we're talking in Slack
+            if (context.client && context.channel) {
+                await context.client.chat.postMessage({
+                    channel: context.channel,
+                    thread_ts: context.thread_ts,
+                    text: tickets.renderDraftText(draft),
+                    blocks: tickets.renderDraftBlocks(draft)
+                });
+                return `${tickets.renderDraftText(draft)}\n\nA preview card with Create/Cancel buttons was posted. Do NOT repeat the preview; briefly say it's ready for review and what you inferred.`;
+            }
+            return `${tickets.renderDraftText(draft)}\n\nShow this preview. The ticket can only be created from its Create button in Slack.`;
+        }
+        case "search_jira":
+            return await searchJiraIssues(args.jql, args.max_results || 20);
+        case "get_ticket":
+            return await getJiraIssue(args.key);
+        case "transition_ticket":
+            return await transitionJiraIssue(args.key, args.status);
+        case "comment_ticket":
+            return await addJiraComment(args.key, args.comment);
+        case "assign_ticket": {
+            if (/^(none|nobody|unassigned?)$/i.test(String(args.assignee).trim())) {
+                return await assignJiraIssue(args.key, null);
+            }
+            const member = findMemberByName(args.assignee);
+            if (!member) return `Error: "${args.assignee}" is not a known team member.`;
+            const result = await assignJiraIssue(args.key, member.jiraAccountId);
+            return result.startsWith('✅') ? `${result} to ${member.name}` : result;
+        }
+        case "update_ticket":
+            return await updateJiraIssueFields(args.key, {
+                priority: args.priority,
+                labels: args.labels,
+                addLabels: args.add_labels || [],
+                removeLabels: args.remove_labels || []
+            });
         case "search_web":
             return await searchWeb(args.query);
         case "review_pr":
@@ -169,50 +397,68 @@ async function executeTool(name, args) {
             if (typeof prNum === 'object') prNum = prNum.pr_number || prNum.number || Object.values(prNum)[0];
             prNum = parseInt(String(prNum).replace(/\D/g, ''), 10);
             if (isNaN(prNum)) return "Error: Could not parse PR number. Please specify just the number, e.g., 'review PR 60'.";
-            const diff = await getPullRequestDiff(prNum);
-            return `[CODE DIFF FOR PR #${prNum}]:\n${diff}\n\nINSTRUCTION: Analyze this code for 1. Bugs, 2. Security Risks (SQLi, XSS, etc), 3. Code Style issues. Be specific and reference file names and line changes.`;
+            // Same rule as `/shehab review`: only the team can put a review on GitHub
+            if (args.post_to_github && !PERMISSIONS.member(context.user)) {
+                return "⛔ Only people on the team roster can post reviews to GitHub. I can still review it here in chat.";
+            }
+            // Large diffs are reviewed file by file, so the whole PR is covered
+            return await reviewPullRequest(prNum, { force: true, post: Boolean(args.post_to_github) });
         case "get_commits":
             const commits = await getRecentCommits(args.limit || 5);
             return JSON.stringify(commits, null, 2);
         case "get_commit_diff":
             return await getCommitDiff(args.sha);
+        case "get_ci_status": {
+            const ciPr = args.pr_number ? parseInt(String(args.pr_number).replace(/\D/g, ''), 10) : null;
+            return await getCIStatus({ prNumber: ciPr || undefined, sha: args.sha });
+        }
+        case "get_sprint":
+            return await getSprintReport();
         default:
             return `Unknown tool: ${name}`;
     }
 }
 
-// --- MAIN BRAIN FUNCTION ---
+// --- AGENT LOOP ---
+const MAX_AGENT_STEPS = parseInt(process.env.AGENT_MAX_STEPS || "6", 10);
+
 /**
- * Think and Act - The core agent loop.
- * @param {Array} history - Conversation history array.
- * @param {string} userMessage - The latest user message.
- * @param {string} systemPrompt - System prompt (required, passed from index.js).
- * @returns {Promise<string>} - The final response text.
+ * Build a stable signature for a tool call so repeated calls can be detected.
+ * @param {string} name - Tool name.
+ * @param {Object} args - Parsed tool arguments.
+ * @returns {string}
  */
-async function thinkAndAct(history, userMessage, systemPrompt) {
-    // 1. RECALL: Check Long-Term Memory
-    console.log("🧠 Searching memories...");
-    let contextString = "";
-    try {
-        const pastMemories = await memory.recallMemory(userMessage);
-        if (pastMemories) {
-            console.log("💡 Found relevant memories!");
-            contextString = `\n\n[RELEVANT PAST MEMORIES]:\n${pastMemories}\nUse these memories to answer if needed.`;
-        }
-    } catch (e) {
-        console.log("Memory recall skipped:", e.message);
-    }
+function toolCallSignature(name, args) {
+    const sorted = Object.keys(args || {}).sort().reduce((acc, key) => {
+        acc[key] = args[key];
+        return acc;
+    }, {});
+    return `${name}:${JSON.stringify(sorted)}`;
+}
 
-    const messages = [
-        { role: "system", content: systemPrompt },
-        ...history,
-        { role: "user", content: userMessage + contextString }
-    ];
+/**
+ * Run the tool-calling loop until the model answers without tools,
+ * the step cap is hit, or the model keeps repeating the same calls.
+ * @param {Array} messages - Chat messages (mutated with tool calls and results).
+ * @param {Object} [options]
+ * @param {number} [options.maxSteps] - Max number of tool rounds (default AGENT_MAX_STEPS or 6).
+ * @param {Function} [options.onStep] - Called with every trace entry as it happens.
+ * @param {Object} [options.context] - Slack context handed to tools ({ client, channel, thread_ts, user }).
+ * @returns {Promise<{reply: string, trace: Array, stopReason: string}>}
+ */
+async function runAgentLoop(messages, options = {}) {
+    const maxSteps = options.maxSteps || MAX_AGENT_STEPS;
+    const trace = [];
+    const seenCalls = new Set();
+    let stopReason = "max_steps";
 
-    try {
-        // First LLM call with tools enabled
-        const completion = await groq.chat.completions.create({
-            model: MODEL_ID,
+    const record = (entry) => {
+        trace.push(entry);
+        if (options.onStep) options.onStep(entry);
+    };
+
+    for (let step = 1; step <= maxSteps; step++) {
+        const completion = await llm.createChatCompletion('chat', {
             messages: messages,
             tools: TOOLS_DEF,
             tool_choice: "auto"
@@ -221,53 +467,145 @@ async function thinkAndAct(history, userMessage, systemPrompt) {
         const responseMessage = completion.choices[0].message;
         const toolCalls = responseMessage.tool_calls;
 
-        // If no tool calls, return the text directly
+        // No tool calls means the model has its final answer
         if (!toolCalls || toolCalls.length === 0) {
-            const reply = responseMessage.content || "I'm not sure how to respond.";
-            // Save this interaction to memory
-            memory.saveMemory(`User: ${userMessage}\nShehab: ${reply}`).catch(() => { });
-            return reply;
+            record({ step, type: "answer" });
+            return {
+                reply: responseMessage.content || "I'm not sure how to respond.",
+                trace,
+                stopReason: "answer"
+            };
         }
 
-        // Execute each tool call and collect results
-        const toolResults = [];
+        messages.push({ role: "assistant", content: responseMessage.content || null, tool_calls: toolCalls });
+
+        let repeatedCount = 0;
         for (const toolCall of toolCalls) {
             const fnName = toolCall.function.name;
             let args = {};
             try {
-                args = JSON.parse(toolCall.function.arguments);
+                args = JSON.parse(toolCall.function.arguments || "{}");
             } catch (e) {
                 args = {};
             }
 
-            const result = await executeTool(fnName, args);
-            toolResults.push({
+            const signature = toolCallSignature(fnName, args);
+            const repeated = seenCalls.has(signature);
+            let result;
+
+            if (repeated) {
+                repeatedCount++;
+                result = `[REPEATED CALL] You already called ${fnName} with these exact arguments. Use the earlier result instead of calling it again.`;
+            } else {
+                seenCalls.add(signature);
+                try {
+                    result = await executeTool(fnName, args, options.context);
+                } catch (e) {
+                    result = `Tool Error (${fnName}): ${e.message}`;
+                }
+            }
+
+            const content = typeof result === "string" ? result : JSON.stringify(result, null, 2);
+            messages.push({
                 role: "tool",
                 tool_call_id: toolCall.id,
                 name: fnName,
-                content: result
+                content: content
             });
+
+            record({
+                step,
+                type: "tool",
+                tool: fnName,
+                args,
+                repeated,
+                preview: content.substring(0, 200)
+            });
+        }
+
+        // The model is going in circles - stop and make it answer
+        if (repeatedCount === toolCalls.length) {
+            stopReason = "repeated_calls";
+            break;
         }
+    }
 
-        // Build new messages with tool results
-        const followUpMessages = [
+    console.log(`🧠 Agent loop stopped (${stopReason}), asking for a final answer.`);
+    const followUp = await llm.createChatCompletion('chat', {
+        messages: [
             ...messages,
-            { role: "assistant", tool_calls: toolCalls },
-            ...toolResults
-        ];
-
-        // Second LLM call to get final answer
-        const followUp = await groq.chat.completions.create({
-            model: MODEL_ID,
-            messages: followUpMessages
-        });
+            { role: "user", content: "[SYSTEM]: Tool budget exhausted. Answer now with what you have." }
+        ]
+    });
+    const reply = followUp.choices[0].message.content || "Done.";
+    record({ step: trace.length ? trace[trace.length - 1].step : 0, type: "answer", forced: true });
+
+    return { reply, trace, stopReason };
+}
+
+/**
+ * Format an agent trace as Slack-friendly lines.
+ * @param {Array} trace - Trace entries from runAgentLoop.
+ * @returns {string}
+ */
+function formatTrace(trace) {
+    if (!trace || trace.length === 0) return "";
+    return trace.map(entry => {
+        if (entry.type === "answer") {
+            return `${entry.step}. 💬 ${entry.forced ? "forced final answer" : "final answer"}`;
+        }
+        const args = Object.keys(entry.args || {}).length ? ` ${JSON.stringify(entry.args)}` : "";
+        return `${entry.step}. 🔧 ${entry.tool}${args}${entry.repeated ? " (repeated, skipped)" : ""}`;
+    }).join("\n");
+}
+
+// --- MAIN BRAIN FUNCTION ---
+/**
+ * Think and Act - The core agent loop.
+ * @param {Array} history - Conversation history array.
+ * @param {string} userMessage - The latest user message.
+ * @param {string} systemPrompt - System prompt (required, passed from index.js).
+ * @param {Object} [options] - Agent loop options.
+ * @param {number} [options.maxSteps] - Max number of tool rounds.
+ * @param {Function} [options.onStep] - Called with every trace entry.
+ * @param {Function} [options.onTrace] - Called once with the full trace when the loop ends.
+ * @param {Object} [options.context] - Slack context handed to tools ({ client, channel, thread_ts, user }).
+ * @returns {Promise<string>} - The final response text.
+ */
+async function thinkAndAct(history, userMessage, systemPrompt, options = {}) {
+    // 1. RECALL: Check Long-Term Memory
+    console.log("🧠 Searching memories...");
+    let contextString = "";
+    try {
+        const pastMemories = await memory.recallMemory(userMessage);
+        if (pastMemories) {
+            console.log("💡 Found relevant memories!");
+            contextString = `\n\n[RELEVANT PAST MEMORIES]:\n${pastMemories}\nUse these memories to answer if needed.`;
+        }
+    } catch (e) {
+        console.log("Memory recall skipped:", e.message);
+    }
 
-        const finalReply = followUp.choices[0].message.content || "Done.";
+    const messages = [
+        { role: "system", content: systemPrompt },
+        ...history,
+        { role: "user", content: userMessage + contextString }
+    ];
+
+    try {
+        // 2. ACT: Keep calling tools until the model gives a final answer
+        const { reply, trace, stopReason } = await runAgentLoop(messages, options);
+
+        const toolSteps = trace.filter(t => t.type === "tool").length;
+        if (toolSteps > 0) {
+            console.log(`🧠 Agent trace (${toolSteps} tool calls, ${stopReason}):\n${formatTrace(trace)}`);
+        }
+        if (options.onTrace) options.onTrace(trace, stopReason);
 
-        // SAVE: Store the interaction in Long-Term Memory (runs in background)
-        memory.saveMemory(`User: ${userMessage}\nShehab: ${finalReply}`).catch(() => { });
+        // 3. SAVE: Store the interaction in Long-Term Memory (runs in background)
+        memory.saveMemory(`User: ${userMessage}\nShehab: ${reply}`).catch(() => { });
 
-        return finalReply;
+        return reply;
 
     } catch (error) {
         console.error("🧠 Brain Error:", error);
@@ -277,6 +615,8 @@ async function thinkAndAct(history, userMessage, systemPrompt) {
 
 module.exports = {
     thinkAndAct,
+    runAgentLoop,
+    formatTrace,
     TOOLS_DEF,
     executeTool
 };
@@ -0,0 +1,410 @@
+/**
+ * identity.js - Identity Links
+ *
+ * Every roster member has a Slack ID, a GitHub login and a Jira account ID.
+ * GitHub and Jira links are explicit: discovery only proposes candidates
+ * (from commit author emails/names and Jira user search) and the member or a
+ * roster admin confirms them. Nothing is routed on a guess.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('../utils/store');
+const { getCommitAuthors } = require('../tools/github');
+const { searchJiraUsers } = require('../tools/jira');
+const team = require('../config/team');
+
+// { id: { id, memberKey, system, value, label, evidence, status, createdAt, requestedBy? } }
+// requestedBy is set on links a member claimed for themself with `link github`
+const candidates = createStore('identity_candidates');
+
+const SYSTEMS = {
+    github: { field: 'githubLogin', label: 'GitHub' },
+    jira: { field: 'jiraAccountId', label: 'Jira' }
+};
+
+/**
+ * Slack profile email for a user (needs the users:read.email scope).
+ * @param {Object} client - Slack Web API client
+ * @param {string} slackId
+ * @returns {Promise<string|null>}
+ */
+async function getSlackEmail(client, slackId) {
+    if (!client || !slackId) return null;
+    try {
+        const { user } = await client.users.info({ user: slackId });
+        return user?.profile?.email ? user.profile.email.toLowerCase() : null;
+    } catch (e) {
+        console.error("Slack users.info Error:", e.message);
+        return null;
+    }
+}
+
+/**
+ * How well a name from another system matches a member.
+ * @param {Object} member
+ * @param {string} name - e.g. a commit author name or Jira display name
+ * @returns {string|null} Evidence text, or null if it does not match
+ */
+function nameEvidence(member, name) {
+    if (!name) return null;
+    const lower = name.toLowerCase().trim();
+    if (lower === member.name.toLowerCase()) return `name "${name}" matches exactly`;
+    const first = member.name.split(' ')[0].toLowerCase();
+    if (lower.split(/[\s._-]+/).includes(first)) return `name "${name}" contains "${first}"`;
+    return null;
+}
+
+/**
+ * Store a candidate unless the same link was already proposed, confirmed or rejected.
+ * @param {Object} link - { memberKey, system, value, label, evidence }
+ * @returns {Object|null} The new candidate, or null if it is a repeat
+ */
+function proposeCandidate(link) {
+    let created = null;
+    candidates.update(data => {
+        const seen = Object.values(data).some(c =>
+            c.memberKey === link.memberKey && c.system === link.system && c.value === link.value
+        );
+        if (seen) return;
+        created = { id: crypto.randomBytes(3).toString('hex'), ...link, status: 'pending', createdAt: new Date().toISOString() };
+        data[created.id] = created;
+    });
+    return created;
+}
+
+/**
+ * Propose GitHub links from recent commit authors.
+ * A commit email equal to the member's Slack email beats a name match.
+ * @param {Object} [client] - Slack client, for profile emails
+ * @returns {Promise<Array<Object>>} New candidates
+ */
+async function discoverGitHubCandidates(client) {
+    const unlinked = team.getAllMembers().filter(m => !m.githubLogin);
+    if (unlinked.length === 0) return [];
+
+    const emails = {};
+    for (const m of unlinked) emails[m.key] = await getSlackEmail(client, m.slackId);
+
+    const found = [];
+    for (const author of await getCommitAuthors()) {
+        if (!author.login || team.findTeamMemberByGitHub(author.login)) continue;
+
+        let match = null;
+        const byEmail = unlinked.find(m => emails[m.key] && emails[m.key] === author.email);
+        if (byEmail) {
+            match = { member: byEmail, evidence: `commit email ${author.email} matches their Slack email` };
+        } else {
+            for (const m of unlinked) {
+                const evidence = nameEvidence(m, author.name) || nameEvidence(m, author.login);
+                if (evidence) {
+                    match = { member: m, evidence: `commit author ${evidence}` };
+                    break;
+                }
+            }
+        }
+        if (!match) continue;
+
+        const candidate = proposeCandidate({
+            memberKey: match.member.key,
+            system: 'github',
+            value: author.login,
+            label: author.login,
+            evidence: match.evidence
+        });
+        if (candidate) found.push(candidate);
+    }
+    return found;
+}
+
+/**
+ * Propose Jira links by searching Jira users by Slack email, then by name.
+ * @param {Object} [client] - Slack client, for profile emails
+ * @returns {Promise<Array<Object>>} New candidates
+ */
+async function discoverJiraCandidates(client) {
+    const found = [];
+    for (const m of team.getAllMembers().filter(member => !member.jiraAccountId)) {
+        const email = await getSlackEmail(client, m.slackId);
+        const byEmail = email ? await searchJiraUsers(email) : [];
+        const matches = byEmail.length
+            ? byEmail.map(user => ({ user, evidence: `Jira account for ${email}` }))
+            : (await searchJiraUsers(m.name))
+                .map(user => ({ user, evidence: nameEvidence(m, user.displayName) }))
+                .filter(match => match.evidence)
+                .map(match => ({ ...match, evidence: `Jira display ${match.evidence}` }));
+
+        for (const { user, evidence } of matches) {
+            if (team.findMemberByJiraId(user.accountId)) continue;
+            const candidate = proposeCandidate({
+                memberKey: m.key,
+                system: 'jira',
+                value: user.accountId,
+                label: user.displayName,
+                evidence
+            });
+            if (candidate) found.push(candidate);
+        }
+    }
+    return found;
+}
+
+/**
+ * Run GitHub and Jira discovery.
+ * @param {Object} [client] - Slack client, for profile emails
+ * @returns {Promise<Array<Object>>} New candidates
+ */
+async function discoverIdentities(client) {
+    const github = await discoverGitHubCandidates(client);
+    const jira = await discoverJiraCandidates(client);
+    return [...github, ...jira];
+}
+
+/**
+ * Startup pass: warn about members with no GitHub link (their PRs get no nudges or mentions)
+ * and run discovery, so a deployment gets link suggestions without anyone typing `link discover`.
+ * Repeats are cheap: already proposed links aren't proposed or DM'd again.
+ * @param {Object} client - Slack client
+ * @returns {Promise<Array<Object>>} New candidates
+ */
+async function discoverOnStartup(client) {
+    const missing = team.getAllMembers().filter(m => !m.githubLogin);
+    if (missing.length) {
+        console.warn(`⚠️ No GitHub login linked for ${missing.map(m => m.name).join(', ')}: their PRs get no nudges or mentions until they confirm a link or run \`link github <login>\`.`);
+    }
+    try {
+        const found = await discoverIdentities(client);
+        await notifyCandidates(client, found);
+        if (found.length) console.log(`🔗 DM'd ${found.length} identity link suggestion(s) for confirmation.`);
+        return found;
+    } catch (e) {
+        console.error("Identity discovery error:", e.message);
+        return [];
+    }
+}
+
+/**
+ * Pending candidates, optionally for one member.
+ * @param {string} [memberKey]
+ * @returns {Array<Object>}
+ */
+function getPendingCandidates(memberKey) {
+    return Object.values(candidates.read())
+        .filter(c => c.status === 'pending' && (!memberKey || c.memberKey === memberKey));
+}
+
+/**
+ * Whether a Slack user may decide on a candidate: the member themself or a roster admin.
+ * A link someone claimed for themself needs a roster admin other than them.
+ * @param {Object} candidate
+ * @param {string} slackId
+ * @returns {boolean}
+ */
+function canDecide(candidate, slackId) {
+    if (candidate.requestedBy) return team.isAdmin(slackId) && slackId !== candidate.requestedBy;
+    const member = team.getMember(candidate.memberKey);
+    return Boolean(member && member.slackId === slackId) || team.isAdmin(slackId);
+}
+
+/**
+ * Confirm a candidate: write the link to the roster and drop competing candidates.
+ * @param {string} id
+ * @param {string} slackId - Who confirmed it
+ * @returns {string} Result message
+ */
+function confirmCandidate(id, slackId) {
+    const candidate = candidates.get(id);
+    if (!candidate || candidate.status !== 'pending') return `❌ Link suggestion \`${id}\` not found or already handled.`;
+    if (!canDecide(candidate, slackId)) {
+        return candidate.requestedBy
+            ? "⛔ A link someone asked for themself has to be confirmed by another roster admin."
+            : "⛔ Only the person being linked or a roster admin can confirm this.";
+    }
+
+    const { field, label } = SYSTEMS[candidate.system];
+    const member = team.upsertMember(candidate.memberKey, { [field]: candidate.value });
+    candidates.update(data => {
+        for (const c of Object.values(data)) {
+            if (c.memberKey !== candidate.memberKey || c.system !== candidate.system || c.status !== 'pending') continue;
+            c.status = c.id === id ? 'confirmed' : 'rejected';
+            c.decidedBy = slackId;
+        }
+    });
+    return `✅ Linked *${member.name}* to ${label} *${candidate.label}*.`;
+}
+
+/**
+ * Reject a candidate. Rejected links are remembered so discovery does not re-propose them.
+ * @param {string} id
+ * @param {string} slackId - Who rejected it
+ * @returns {string} Result message
+ */
+function rejectCandidate(id, slackId) {
+    const candidate = candidates.get(id);
+    if (!candidate || candidate.status !== 'pending') return `❌ Link suggestion \`${id}\` not found or already handled.`;
+    // Whoever asked for a link can always withdraw it
+    if (!canDecide(candidate, slackId) && candidate.requestedBy !== slackId) return "⛔ Only the person being linked or a roster admin can reject this.";
+
+    candidates.update(data => {
+        data[id].status = 'rejected';
+        data[id].decidedBy = slackId;
+    });
+    return `🚫 Dropped the ${SYSTEMS[candidate.system].label} suggestion *${candidate.label}*.`;
+}
+
+/**
+ * Jira account for an email address; Jira matching is by account ID only.
+ * @param {string} email
+ * @returns {Promise<Object|string>} { accountId, displayName }, or an error message
+ */
+async function resolveJiraEmail(email) {
+    const users = await searchJiraUsers(email);
+    // Jira hides most emails, so a single hit for the address is taken as the match
+    const exact = users.filter(u => u.email && u.email.toLowerCase() === email.toLowerCase());
+    const matches = exact.length ? exact : users;
+    if (matches.length === 1) return matches[0];
+    if (matches.length === 0) return `❌ No Jira user found for *${email}*. Link your account id instead (the last part of your Jira profile URL).`;
+    return `❌ *${email}* matches ${matches.length} Jira users (${matches.map(u => u.displayName).join(', ')}). Link your account id instead.`;
+}
+
+/**
+ * Link (or unlink with "none") the caller's own GitHub login or Jira account.
+ * A Jira email is resolved to its account ID. A GitHub login only becomes a suggestion
+ * for another roster admin to confirm: anyone could type someone else's login.
+ * @param {string} slackId
+ * @param {string} system - 'github' | 'jira'
+ * @param {string} value
+ * @returns {Promise<string>} Result message
+ */
+async function linkIdentity(slackId, system, value) {
+    const member = team.findMemberBySlackId(slackId);
+    if (!member) return "❌ You're not on the team roster yet. Ask an admin to run `team add`.";
+    const target = SYSTEMS[system];
+    if (!target) return `❌ Unknown system "${system}". Use github or jira.`;
+
+    let cleaned = String(value || '').trim().replace(/^@/, '');
+    if (!cleaned) return `Usage: \`link ${system} <${system === 'github' ? 'login' : 'email or account id'}>\``;
+    const unlink = cleaned.toLowerCase() === 'none';
+
+    let shown = `*${cleaned}*`;
+    if (system === 'jira' && !unlink && cleaned.includes('@')) {
+        const user = await resolveJiraEmail(cleaned);
+        if (typeof user === 'string') return user;
+        cleaned = user.accountId;
+        shown = `*${user.displayName}* (\`${user.accountId}\`)`;
+    }
+
+    const owner = system === 'github' ? team.findTeamMemberByGitHub(cleaned) : team.findMemberByJiraId(cleaned);
+    if (!unlink && owner && owner.key !== member.key) return `❌ ${target.label} ${shown} is already linked to ${owner.name}.`;
+
+    if (system === 'github' && !unlink) {
+        if (member.githubLogin && member.githubLogin.toLowerCase() === cleaned.toLowerCase()) return `✅ You're already linked to GitHub ${shown}.`;
+        const candidate = proposeCandidate({
+            memberKey: member.key,
+            system,
+            value: cleaned,
+            label: cleaned,
+            evidence: `claimed by ${member.name} with \`link github\``,
+            requestedBy: slackId
+        });
+        if (!candidate) return `❌ GitHub ${shown} was already suggested for you: it's either waiting for an admin or was turned down. See \`whoami\`.`;
+        return `📝 Asked for GitHub ${shown}. Another roster admin needs to confirm it with \`link confirm ${candidate.id}\` before it's used.`;
+    }
+
+    team.upsertMember(member.key, { [target.field]: unlink ? null : cleaned });
+    return unlink ? `✅ Unlinked your ${target.label} account.` : `✅ Linked you to ${target.label} ${shown}.`;
+}
+
+/**
+ * "Who am I linked to" for a Slack user.
+ * @param {string} slackId
+ * @returns {string}
+ */
+function describeIdentity(slackId) {
+    const member = team.findMemberBySlackId(slackId);
+    if (!member) return `<@${slackId}> isn't on the team roster, so nothing is linked yet.`;
+
+    const pending = getPendingCandidates(member.key);
+    return [
+        `🪪 *${member.name}* (\`${member.key}\`)`,
+        `• Slack: <@${member.slackId}>`,
+        `• GitHub: ${member.githubLogin ? `*${member.githubLogin}*` : '_not linked_ - `link github <login>`'}`,
+        `• Jira: ${member.jiraAccountId ? `\`${member.jiraAccountId}\`` : '_not linked_ - `link jira <email or account id>`'}`,
+        ...(pending.length ? [
+            `\n*Suggested links:*`,
+            ...pending.map(c => `• \`${c.id}\` ${SYSTEMS[c.system].label} *${c.label}* (${c.evidence}) - \`link confirm ${c.id}\``)
+        ] : [])
+    ].join('\n');
+}
+
+/**
+ * Block Kit card asking a member to confirm a suggested link.
+ * @param {Object} candidate
+ * @returns {Array} Slack blocks
+ */
+function renderCandidateBlocks(candidate) {
+    const member = team.getMember(candidate.memberKey);
+    const { label } = SYSTEMS[candidate.system];
+    return [
+        {
+            type: "section",
+            text: { type: "mrkdwn", text: `🔗 Is ${label} *${candidate.label}* you, ${member ? member.name.split(' ')[0] : candidate.memberKey}?\n_${candidate.evidence}_` }
+        },
+        {
+            type: "actions",
+            elements: [
+                { type: "button", text: { type: "plain_text", text: "Yes, link it" }, style: "primary", action_id: "identity_confirm", value: candidate.id },
+                { type: "button", text: { type: "plain_text", text: "Not me" }, action_id: "identity_reject", value: candidate.id }
+            ]
+        }
+    ];
+}
+
+/**
+ * DM each member their new link suggestions.
+ * @param {Object} client - Slack client
+ * @param {Array<Object>} list - Candidates
+ */
+async function notifyCandidates(client, list) {
+    for (const candidate of list) {
+        const member = team.getMember(candidate.memberKey);
+        if (!member?.slackId) continue;
+        await client.chat.postMessage({
+            channel: member.slackId,
+            text: `🔗 Is ${SYSTEMS[candidate.system].label} ${candidate.label} you? Reply \`link confirm ${candidate.id}\` or \`link reject ${candidate.id}\`.`,
+            blocks: renderCandidateBlocks(candidate)
+        });
+    }
+}
+
+/**
+ * Register the confirm / reject buttons on the Bolt app.
+ * @param {Object} app - Slack Bolt app
+ */
+function registerIdentityActions(app) {
+    for (const [actionId, decide] of [['identity_confirm', confirmCandidate], ['identity_reject', rejectCandidate]]) {
+        app.action(actionId, async ({ ack, body, client }) => {
+            await ack();
+            const result = decide(body.actions[0].value, body.user.id);
+            await client.chat.update({
+                channel: body.channel.id,
+                ts: body.message.ts,
+                text: result,
+                blocks: []
+            });
+        });
+    }
+}
+
+module.exports = {
+    discoverIdentities,
+    discoverOnStartup,
+    discoverGitHubCandidates,
+    discoverJiraCandidates,
+    getPendingCandidates,
+    confirmCandidate,
+    rejectCandidate,
+    linkIdentity,
+    describeIdentity,
+    notifyCandidates,
+    registerIdentityActions
+};
@@ -3,17 +3,22 @@
  * 
  * This module represents Shehab's "living" capabilities:
  * - Dynamic mood based on project health
- * - Proactive nudges for stale work
- * - Real-time reactions to GitHub events
+ * - Proactive nudges for stale work (with a ledger, see nudges.js)
+ * - Real-time reactions to GitHub events (see webhooks.js)
  */
 
-const cron = require('node-cron');
-const express = require('express');
 const memory = require('../utils/memory');
-const { getPullRequestsRaw } = require('../tools/github');
-const { getStaleJiraTickets } = require('../tools/jira');
+const { getPullRequestsRaw, getFailingBuilds } = require('../tools/github');
+const { getStaleJiraTickets, jiraBrowseUrl } = require('../tools/jira');
 const { reflectOnProject } = require('./reflection');
-const { TEAM, PROJECT } = require('../config/team');
+const { getAllMembers, findTeamMemberByGitHub, findMemberByJiraId } = require('../config/team');
+const { availabilityOf } = require('../config/calendar');
+const { createWebhookServer } = require('./webhooks');
+const { syncSlackStatuses } = require('./availability');
+const nudges = require('./nudges');
+const { getOpenBlockers } = require('./standup');
+const llm = require('../llm/provider');
+const { renderNote } = require('../utils/blocks');
 
 // ============================================
 // MOOD SYSTEM
@@ -22,12 +27,13 @@ const { TEAM, PROJECT } = require('../config/team');
 /**
  * Calculate Shehab's current mood based on project health
  * @param {number} issueCount - Number of open issues
- * @param {number} stalePRs - Number of PRs open 3+ days
- * @param {number} staleTickets - Number of tickets stuck 5+ days
+ * @param {number} stalePRs - Number of PRs open 3+ working days
+ * @param {number} staleTickets - Number of tickets stuck 5+ working days
+ * @param {number} [failingBuilds] - Number of red CI builds (default branch + open PRs)
  * @returns {Object} Mood level and prompt modifier
  */
-function calculateMood(issueCount, stalePRs, staleTickets) {
-    const stressScore = issueCount + (stalePRs * 2) + (staleTickets * 2);
+function calculateMood(issueCount, stalePRs, staleTickets, failingBuilds = 0) {
+    const stressScore = issueCount + (stalePRs * 2) + (staleTickets * 2) + (failingBuilds * 3);
 
     if (stressScore >= 10) {
         return {
@@ -56,24 +62,35 @@ function calculateMood(issueCount, stalePRs, staleTickets) {
     }
 }
 
+/**
+ * Stale PRs (3+ days) and stuck tickets, without the CI lookups
+ * @returns {Promise<{stalePRList: Array, staleTicketList: Array}>}
+ */
+async function getStaleWork() {
+    const rawPRs = (await getPullRequestsRaw()) || [];
+    const staleTicketList = await getStaleJiraTickets();
+    return { stalePRList: rawPRs.filter(pr => pr.days_old >= 3), staleTicketList };
+}
+
 /**
  * Get current project stress data for mood calculation
  */
 async function getProjectStress() {
     try {
-        const rawPRs = await getPullRequestsRaw();
-        const staleTickets = await getStaleJiraTickets();
-        const stalePRs = rawPRs.filter(pr => pr.days_old >= 3);
+        const { stalePRList, staleTicketList } = await getStaleWork();
+        const failingBuilds = await getFailingBuilds();
 
         return {
-            stalePRs: stalePRs.length,
-            staleTickets: staleTickets.length,
-            stalePRList: stalePRs,
-            staleTicketList: staleTickets
+            stalePRs: stalePRList.length,
+            staleTickets: staleTicketList.length,
+            failingBuilds: failingBuilds.length,
+            stalePRList,
+            staleTicketList,
+            failingBuildList: failingBuilds
         };
     } catch (e) {
         console.error("Error getting project stress:", e.message);
-        return { stalePRs: 0, staleTickets: 0, stalePRList: [], staleTicketList: [] };
+        return { stalePRs: 0, staleTickets: 0, failingBuilds: 0, stalePRList: [], staleTicketList: [], failingBuildList: [] };
     }
 }
 
@@ -81,14 +98,6 @@ async function getProjectStress() {
 // NUDGE SYSTEM (Proactive DMs)
 // ============================================
 
-const OpenAI = require('openai');
-require('dotenv').config();
-
-const groq = new OpenAI({
-    apiKey: process.env.GROQ_API_KEY,
-    baseURL: "https://api.groq.com/openai/v1"
-});
-
 const NUDGE_PROMPT = `You are Shehab, a laid-back but effective PM. 
 You're DMing a teammate about stale work. Be:
 - Casual and friendly (like a coworker, not a manager)
@@ -109,14 +118,10 @@ Generate ONLY the DM message, nothing else.`;
  */
 async function generateNudgeMessage(context) {
     try {
-        const completion = await groq.chat.completions.create({
-            model: "meta-llama/llama-4-scout-17b-16e-instruct",
-            messages: [
-                { role: "system", content: NUDGE_PROMPT },
-                { role: "user", content: context }
-            ]
-        });
-        return completion.choices[0].message.content;
+        return await llm.complete('nudge', [
+            { role: "system", content: NUDGE_PROMPT },
+            { role: "user", content: context }
+        ]);
     } catch (e) {
         console.error("Nudge generation error:", e.message);
         return null; // Fall back to not sending if AI fails
@@ -124,47 +129,97 @@ async function generateNudgeMessage(context) {
 }
 
 /**
- * Check for stale work and send private DMs to team members
+ * What the member already said was blocking them in standup, for the nudge prompt.
+ * @param {Object} member
+ * @returns {string}
+ */
+function standupBlockerContext(member) {
+    const blockers = getOpenBlockers(member.key);
+    if (blockers.length === 0) return '';
+    return ` In standup they said they're blocked on: ${blockers.map(b => b.text).join('; ')}. Acknowledge that instead of asking what's wrong.`;
+}
+
+/**
+ * Nudge someone about one stale item, unless the ledger says to wait or escalate.
  * @param {Object} slackApp - Slack Bolt app instance
+ * @param {Object} item - { id, label, fingerprint, member, url }
+ * @param {string} context - What the nudge should be about (for the LLM)
+ * @param {Date} now - For the working-hours check
  */
-async function checkStaleWork(slackApp) {
-    console.log("👀 Checking for stale work...");
+async function nudgeItem(slackApp, item, context, now) {
+    // Wait for the member's working hours (the check runs hourly), skip while OOO
+    const { available, reason } = availabilityOf(item.member, now);
+    if (!available) {
+        console.log(`⏭️ Skipped nudge for ${item.label}: ${item.member.name} is ${reason}`);
+        return;
+    }
+
+    const plan = nudges.planNudge(item);
 
+    if (plan.action === 'skip') {
+        console.log(`⏭️ Skipped nudge for ${item.label}: ${plan.reason}`);
+        return;
+    }
+    if (plan.action === 'escalate') {
+        await nudges.escalate(slackApp.client, item.id, nudges.describeStuckItem(nudges.getEntry(item.id)));
+        return;
+    }
+
+    const repeat = plan.count > 0 ? ` This is reminder #${plan.count + 1} about it with no movement since.` : '';
+    const message = await generateNudgeMessage(context + repeat);
+    if (!message) return;
+
+    const sent = await slackApp.client.chat.postMessage({
+        channel: item.member.slackId,
+        text: message,
+        blocks: nudges.renderNudgeBlocks(item.id, message, item.url)
+    });
+    nudges.recordNudge(item.id, { channel: sent?.channel, ts: sent?.ts });
+    console.log(`📩 Sent AI nudge to ${item.member.name} about ${item.label}`);
+}
+
+/**
+ * Check for stale work and send private DMs to team members
+ * @param {Object} slackApp - Slack Bolt app instance
+ * @param {Date} [now] - Current time for working-hours checks (tests pin it)
+ */
+async function checkStaleWork(slackApp, now = new Date()) {
     try {
-        const { stalePRList, staleTicketList } = await getProjectStress();
+        // Pick up OOO statuses first; nobody in working hours means nothing to do this hour
+        await syncSlackStatuses(slackApp.client, now);
+        if (!getAllMembers().some(m => availabilityOf(m, now).available)) return;
+
+        console.log("👀 Checking for stale work...");
+        // Nudges only need the stale lists; CI status costs a GitHub call per open PR
+        const { stalePRList, staleTicketList } = await getStaleWork();
 
-        // Nudge about stale PRs (3+ days)
+        // Nudge about stale PRs (3+ working days)
         for (const pr of stalePRList) {
             const member = findTeamMemberByGitHub(pr.author);
-            if (member) {
-                const context = `DM ${member.name} (${member.role}) about their PR #${pr.number} titled "${pr.title}" which has been open for ${pr.days_old} days. Ask if they need help or if it's waiting for review.`;
-                const message = await generateNudgeMessage(context);
-
-                if (message) {
-                    await slackApp.client.chat.postMessage({
-                        channel: member.slackId,
-                        text: message
-                    });
-                    console.log(`📩 Sent AI nudge to ${member.name} about PR #${pr.number}`);
-                }
+            if (!member) {
+                console.log(`⚠️ No team member linked to GitHub "${pr.author}" - skipped nudge for PR #${pr.number} (try "link discover")`);
+                continue;
             }
+            await nudgeItem(slackApp, {
+                id: nudges.itemId('pr', pr.number),
+                label: `PR #${pr.number} "${pr.title}"`,
+                fingerprint: pr.updated_at || pr.head_sha,
+                member,
+                url: pr.url
+            }, `DM ${member.name} (${member.role}) about their PR #${pr.number} titled "${pr.title}" which has been open for ${pr.days_old} working days. Ask if they need help or if it's waiting for review.${standupBlockerContext(member)}`, now);
         }
 
-        // Nudge about stale Jira tickets (5+ days in Development)
+        // Nudge about stale Jira tickets (5+ working days in Development)
         for (const ticket of staleTicketList) {
-            const member = Object.values(TEAM).find(m => m.jiraAccountId === ticket.assigneeId);
-            if (member) {
-                const context = `DM ${member.name} (${member.role}) about Jira ticket ${ticket.key} titled "${ticket.summary}" which has been in "${ticket.status}" status for ${ticket.days_stale} days. Check if everything is okay or if they need help.`;
-                const message = await generateNudgeMessage(context);
-
-                if (message) {
-                    await slackApp.client.chat.postMessage({
-                        channel: member.slackId,
-                        text: message
-                    });
-                    console.log(`📩 Sent AI nudge to ${member.name} about ticket ${ticket.key}`);
-                }
-            }
+            const member = findMemberByJiraId(ticket.assigneeId);
+            if (!member) continue;
+            await nudgeItem(slackApp, {
+                id: nudges.itemId('ticket', ticket.key),
+                label: `${ticket.key} "${ticket.summary}"`,
+                fingerprint: `${ticket.status}@${ticket.updated}`,
+                member,
+                url: jiraBrowseUrl(ticket.key)
+            }, `DM ${member.name} (${member.role}) about Jira ticket ${ticket.key} titled "${ticket.summary}" which has been in "${ticket.status}" status for ${ticket.days_stale} working days. Check if everything is okay or if they need help.${standupBlockerContext(member)}`, now);
         }
 
         if (stalePRList.length === 0 && staleTicketList.length === 0) {
@@ -187,107 +242,21 @@ async function runReflection(slackApp) {
     if (thought && thought.public_status) {
         await slackApp.client.chat.postMessage({
             channel: channel,
-            text: `💭 *Shehab's Thought of the Day:*\n${thought.public_status}`
+            ...renderNote({ title: "💭 *Shehab's Thought of the Day:*", body: thought.public_status, mood: thought.mood_update })
         });
     }
 }
 
-/**
- * Find team member by GitHub username
- */
-function findTeamMemberByGitHub(githubUsername) {
-    return Object.values(TEAM).find(m =>
-        m.name.toLowerCase().includes(githubUsername.toLowerCase()) ||
-        githubUsername.toLowerCase().includes(m.name.split(' ')[0].toLowerCase())
-    );
-}
-
-// ============================================
-// GITHUB WEBHOOK SERVER (Real-time Reactions)
-// ============================================
-
-/**
- * Create and configure the GitHub webhook server
- * @param {Object} slackApp - Slack Bolt app instance
- * @returns {Object} Express server instance
- */
-function createWebhookServer(slackApp) {
-    const server = express();
-    server.use(express.json());
-
-    server.post('/github-webhook', async (req, res) => {
-        try {
-            const event = req.body;
-            const channel = memory.get('report_channel');
-
-            if (!channel) {
-                console.log("⚠️ GitHub event received but no report channel set.");
-                return res.status(200).send('OK');
-            }
-
-            // Handle PR Opened Event
-            if (event.action === 'opened' && event.pull_request) {
-                const pr = event.pull_request;
-                const member = findTeamMemberByGitHub(pr.user.login);
-                const authorMention = member ? `<@${member.slackId}>` : pr.user.login;
-
-                await slackApp.client.chat.postMessage({
-                    channel: channel,
-                    text: `🚨 *New PR Alert!* ${authorMention} just opened *${pr.title}* (PR #${pr.number})\n_I'll keep an eye on it!_`
-                });
-                console.log(`🔔 Posted alert for new PR #${pr.number}`);
-            }
-
-            // Handle PR Merged Event
-            if (event.action === 'closed' && event.pull_request?.merged) {
-                const pr = event.pull_request;
-                await slackApp.client.chat.postMessage({
-                    channel: channel,
-                    text: `🎉 *PR Merged!* PR #${pr.number} (*${pr.title}*) has been merged! Nice work! 🚀`
-                });
-                console.log(`🔔 Posted alert for merged PR #${pr.number}`);
-            }
-
-            // Handle Issue Opened Event
-            if (event.action === 'opened' && event.issue && !event.pull_request) {
-                const issue = event.issue;
-                await slackApp.client.chat.postMessage({
-                    channel: channel,
-                    text: `🐛 *New Issue!* ${issue.user.login} opened: *${issue.title}* (Issue #${issue.number})`
-                });
-                console.log(`🔔 Posted alert for new issue #${issue.number}`);
-            }
-
-            res.status(200).send('OK');
-        } catch (e) {
-            console.error("Webhook error:", e.message);
-            res.status(500).send('Error');
-        }
-    });
-
-    // Health check endpoint
-    server.get('/health', (req, res) => res.status(200).send('Shehab is alive! 🧠'));
-
-    return server;
-}
-
 // ============================================
 // LIFE SCHEDULER (Autonomous Behaviors)
 // ============================================
 
 /**
- * Start all autonomous behaviors
+ * Start all autonomous behaviors.
+ * Nudges and reflection run as scheduled jobs (see scheduler/jobs.js).
  * @param {Object} slackApp - Slack Bolt app instance
  */
 function startLife(slackApp) {
-    // Daily nudges at 2:00 PM
-    cron.schedule('0 14 * * *', () => checkStaleWork(slackApp));
-    console.log("💓 Life: Stale work nudges scheduled for 2:00 PM daily");
-
-    // Daily Reflection at 10:00 AM
-    cron.schedule('0 10 * * *', () => runReflection(slackApp));
-    console.log("🧠 Life: Daily semantic reflection scheduled for 10:00 AM");
-
     // Start webhook server on port 3001
     const webhookServer = createWebhookServer(slackApp);
     webhookServer.listen(3001, () => {
@@ -300,6 +269,7 @@ function startLife(slackApp) {
 module.exports = {
     calculateMood,
     getProjectStress,
+    getStaleWork,
     checkStaleWork,
     createWebhookServer,
     startLife,
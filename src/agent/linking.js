@@ -0,0 +1,154 @@
+/**
+ * linking.js - Jira ↔ GitHub Traceability
+ *
+ * Finds Jira keys in PR titles, branch names, descriptions and commit messages, then:
+ * - comments a PR link on each referenced ticket when the PR opens
+ * - moves the ticket to "Code Review" on open and "Done" on merge
+ * - reports PRs without tickets and in-development tickets without PRs
+ *
+ * Status names are configurable with JIRA_REVIEW_STATUS and JIRA_DONE_STATUS.
+ */
+
+const { getPullRequestsRaw, getPullRequestCommitMessages } = require('../tools/github');
+const { addJiraComment, transitionJiraIssue, getJiraIssueStatus, getJiraIssuesInStatus } = require('../tools/jira');
+
+const REVIEW_STATUS = process.env.JIRA_REVIEW_STATUS || "Code Review";
+const DONE_STATUS = process.env.JIRA_DONE_STATUS || "Done";
+const IN_DEVELOPMENT_STATUSES = ["Development", "In Progress"];
+
+/**
+ * Extract Jira keys from any text. Case-insensitive so branch names like
+ * "feature/lab-42-barcodes" count. Limited to JIRA_PROJECT_KEY when set.
+ * @param {...string} texts
+ * @returns {Array<string>} Unique, upper-cased keys
+ */
+function extractJiraKeys(...texts) {
+    const projectKey = process.env.JIRA_PROJECT_KEY;
+    const pattern = projectKey
+        ? new RegExp(`(?:^|[^A-Za-z0-9])(${projectKey}-\\d+)(?![0-9])`, 'gi')
+        : /(?:^|[^A-Za-z0-9])([A-Z][A-Z0-9]+-\d+)(?![0-9])/g;
+
+    const keys = new Set();
+    for (const text of texts) {
+        for (const match of String(text || "").matchAll(pattern)) {
+            keys.add(match[1].toUpperCase());
+        }
+    }
+    return [...keys];
+}
+
+/**
+ * All Jira keys referenced by a PR (title, branch, body and commits).
+ * @param {Object} pr - { number, title, body, head_ref }
+ * @returns {Promise<Array<string>>}
+ */
+async function getPullRequestJiraKeys(pr) {
+    const commitMessages = await getPullRequestCommitMessages(pr.number);
+    return extractJiraKeys(pr.title, pr.head_ref, pr.body, ...commitMessages);
+}
+
+/**
+ * Normalize a webhook pull_request payload to the shape getPullRequestsRaw returns.
+ * @param {Object} pr - GitHub pull_request object
+ * @returns {Object}
+ */
+function fromWebhookPR(pr) {
+    return {
+        number: pr.number,
+        title: pr.title,
+        body: pr.body || "",
+        url: pr.html_url,
+        author: pr.user?.login,
+        head_ref: pr.head?.ref
+    };
+}
+
+/**
+ * Move a ticket unless it's already there (or already Done).
+ * @param {string} key
+ * @param {string} target
+ * @returns {Promise<string>} Short outcome for the summary line
+ */
+async function moveTicket(key, target) {
+    const current = await getJiraIssueStatus(key);
+    if (current === null) return `${key}: not found`;
+    if (current.toLowerCase() === target.toLowerCase()) return `${key}: already ${current}`;
+    // Never drag a finished ticket back into review
+    if (current.toLowerCase() === DONE_STATUS.toLowerCase()) return `${key}: already ${current}`;
+
+    const result = await transitionJiraIssue(key, target);
+    return result.startsWith('✅') ? `${key} → ${target}` : `${key}: couldn't move to ${target}`;
+}
+
+/**
+ * Link a newly opened PR to its tickets and move them to review.
+ * @param {Object} pr - From fromWebhookPR / getPullRequestsRaw
+ * @returns {Promise<{keys: Array<string>, outcomes: Array<string>}>}
+ */
+async function linkPullRequest(pr) {
+    const keys = await getPullRequestJiraKeys(pr);
+    const outcomes = [];
+
+    for (const key of keys) {
+        const comment = await addJiraComment(key, `🔗 PR #${pr.number} "${pr.title}" opened by ${pr.author}:\n${pr.url}`);
+        if (!comment.startsWith('✅')) {
+            outcomes.push(`${key}: not found`);
+            continue;
+        }
+        outcomes.push(await moveTicket(key, REVIEW_STATUS));
+    }
+
+    return { keys, outcomes };
+}
+
+/**
+ * Close out the tickets of a merged PR.
+ * @param {Object} pr - From fromWebhookPR / getPullRequestsRaw
+ * @returns {Promise<{keys: Array<string>, outcomes: Array<string>}>}
+ */
+async function completePullRequest(pr) {
+    const keys = await getPullRequestJiraKeys(pr);
+    const outcomes = [];
+
+    for (const key of keys) {
+        const comment = await addJiraComment(key, `✅ PR #${pr.number} "${pr.title}" was merged:\n${pr.url}`);
+        if (!comment.startsWith('✅')) {
+            outcomes.push(`${key}: not found`);
+            continue;
+        }
+        outcomes.push(await moveTicket(key, DONE_STATUS));
+    }
+
+    return { keys, outcomes };
+}
+
+/**
+ * Find work that isn't traceable between GitHub and Jira.
+ * @returns {Promise<{prsWithoutTicket: Array, ticketsWithoutPR: Array}>}
+ */
+async function findUnlinkedWork() {
+    const [prs, inDevelopment] = await Promise.all([
+        getPullRequestsRaw(),
+        getJiraIssuesInStatus(IN_DEVELOPMENT_STATUSES)
+    ]);
+
+    const referenced = new Set();
+    const prsWithoutTicket = [];
+    for (const pr of prs || []) {
+        const keys = await getPullRequestJiraKeys(pr);
+        keys.forEach(k => referenced.add(k));
+        if (keys.length === 0) prsWithoutTicket.push(pr);
+    }
+
+    const ticketsWithoutPR = inDevelopment.filter(t => !referenced.has(t.key));
+    return { prsWithoutTicket, ticketsWithoutPR };
+}
+
+module.exports = {
+    extractJiraKeys,
+    getPullRequestJiraKeys,
+    fromWebhookPR,
+    linkPullRequest,
+    completePullRequest,
+    findUnlinkedWork
+};
@@ -0,0 +1,215 @@
+/**
+ * metrics.js - Project Metrics History
+ *
+ * Every report cycle saves a structured snapshot (open PRs and their ages, open
+ * issues, Jira status counts, stale work, mood and the report's health score).
+ * Reports show what changed since the previous snapshot, and the `trends`
+ * command renders weekly / monthly trends with PR cycle time and ticket throughput.
+ */
+
+const { createStore } = require('../utils/store');
+const { getPullRequestsRaw, getMergedPullRequests } = require('../tools/github');
+const { countJiraIssuesByStatus, getResolvedJiraIssues } = require('../tools/jira');
+
+// { snapshots: [{ at, prs: { open, ages }, issues: { open }, jira: { open, byStatus } (null if Jira failed), stale: { prs, tickets }, failingBuilds, mood, healthScore }] }
+const metrics = createStore('metrics', { snapshots: [] });
+
+const KEEP_SNAPSHOTS = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIODS = { week: 7, month: 30 };
+// PR age buckets in working days
+const AGE_BUCKETS = [['0-1d', 0, 1], ['2-3d', 2, 3], ['4-7d', 4, 7], ['8d+', 8, Infinity]];
+
+const round = (n) => Math.round(n * 10) / 10;
+
+/**
+ * Build a snapshot of the project right now.
+ * @param {Object} data
+ * @param {Array<Object>|null} data.issues - Open GitHub issues (getIssuesRaw), null if unknown
+ * @param {Object} data.stress - From getProjectStress
+ * @param {Object} data.mood - From calculateMood
+ * @param {Date} [data.now]
+ * @returns {Promise<Object>}
+ */
+async function collectSnapshot({ issues, stress, mood, now = new Date() }) {
+    // null when GitHub or Jira can't be read, so a failed call doesn't look like everything closing
+    const prs = await getPullRequestsRaw();
+    const byStatus = await countJiraIssuesByStatus();
+
+    let ages = null;
+    if (prs) {
+        ages = {};
+        for (const [label, min, max] of AGE_BUCKETS) {
+            ages[label] = prs.filter(pr => pr.days_old >= min && pr.days_old <= max).length;
+        }
+    }
+
+    return {
+        at: now.toISOString(),
+        prs: { open: prs ? prs.length : null, ages },
+        issues: { open: issues ? issues.length : null },
+        jira: { open: byStatus ? Object.values(byStatus).reduce((a, b) => a + b, 0) : null, byStatus },
+        stale: { prs: stress.stalePRs, tickets: stress.staleTickets },
+        failingBuilds: stress.failingBuilds,
+        mood: mood.level,
+        healthScore: null
+    };
+}
+
+/**
+ * Pull the "Project Health: X/10" score out of a report.
+ * @param {string} report
+ * @returns {number|null}
+ */
+function parseHealthScore(report) {
+    const match = (report || "").match(/Project Health:?\**:?\s*(\d+(?:\.\d+)?)\s*\/\s*10/i);
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Save a snapshot.
+ * @param {Object} snapshot
+ */
+function saveSnapshot(snapshot) {
+    metrics.update(data => {
+        data.snapshots.push(snapshot);
+        data.snapshots = data.snapshots.slice(-KEEP_SNAPSHOTS);
+    });
+}
+
+/**
+ * The most recent snapshot.
+ * @returns {Object|null}
+ */
+function getLatestSnapshot() {
+    const { snapshots } = metrics.read();
+    return snapshots[snapshots.length - 1] || null;
+}
+
+/**
+ * Snapshots taken since a date, oldest first.
+ * @param {Date} since
+ * @returns {Array<Object>}
+ */
+function getSnapshotsSince(since) {
+    return metrics.read().snapshots.filter(s => new Date(s.at) >= since);
+}
+
+/**
+ * "6 (+2)" style value with its change.
+ * @param {number|null} now
+ * @param {number|null} before
+ * @returns {string}
+ */
+function withDelta(now, before) {
+    if (now === null || now === undefined) return 'n/a';
+    if (before === null || before === undefined) return `${now}`;
+    const diff = round(now - before);
+    return `${now} (${diff > 0 ? '+' : diff < 0 ? '' : '±'}${diff})`;
+}
+
+/**
+ * What changed since the previous snapshot, for the report prompt.
+ * @param {Object} current
+ * @param {Object|null} previous
+ * @returns {string}
+ */
+function describeDeltas(current, previous) {
+    if (!previous) return "- First report with metrics: no previous snapshot to compare with.";
+
+    const statuses = current.jira.byStatus && previous.jira.byStatus
+        ? [...new Set([...Object.keys(current.jira.byStatus), ...Object.keys(previous.jira.byStatus)])]
+        : [];
+    const lines = [
+        `Compared with the last report (${previous.at.substring(0, 10)}):`,
+        `- Open PRs: ${withDelta(current.prs.open, previous.prs.open)}`,
+        `- Open GitHub issues: ${withDelta(current.issues.open, previous.issues.open)}`,
+        `- Open Jira tickets: ${withDelta(current.jira.open, previous.jira.open)}${statuses.length ? ` [${statuses.map(s => `${s}: ${withDelta(current.jira.byStatus[s] || 0, previous.jira.byStatus[s] || 0)}`).join(', ')}]` : ''}`,
+        `- Stale PRs: ${withDelta(current.stale.prs, previous.stale.prs)}, stale tickets: ${withDelta(current.stale.tickets, previous.stale.tickets)}`,
+        `- Failing builds: ${withDelta(current.failingBuilds, previous.failingBuilds)}`,
+        `- Mood: ${previous.mood} -> ${current.mood}`
+    ];
+    if (previous.healthScore !== null) lines.push(`- Last health score: ${previous.healthScore}/10`);
+    return lines.join('\n');
+}
+
+/**
+ * Median of a list of numbers.
+ * @param {Array<number>} values
+ * @returns {number|null}
+ */
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Weekly or monthly trends: snapshot series plus PR cycle time and ticket
+ * throughput, each compared with the period before.
+ * @param {string} [period] - 'week' | 'month'
+ * @param {Date} [now]
+ * @returns {Promise<string>}
+ */
+async function describeTrends(period = 'week', now = new Date()) {
+    const days = PERIODS[period] || PERIODS.week;
+    const start = new Date(now.getTime() - days * DAY_MS);
+    const previousStart = new Date(now.getTime() - 2 * days * DAY_MS);
+
+    const lines = [`📈 *Trends: last ${days} days*`];
+
+    // Snapshot series
+    const window = getSnapshotsSince(start);
+    const baseline = metrics.read().snapshots.filter(s => new Date(s.at) < start).pop() || window[0];
+    const latest = window[window.length - 1];
+    if (!latest) {
+        lines.push("_No metrics snapshots in this period yet (one is saved with every report)._");
+    } else {
+        const from = baseline === latest ? null : baseline;
+        lines.push(`*Snapshots* (${window.length}, since ${(from || latest).at.substring(0, 10)}):`);
+        const ages = latest.prs.ages ? ` | ages: ${Object.entries(latest.prs.ages).map(([b, n]) => `${b}: ${n}`).join(', ')}` : '';
+        lines.push(`• Open PRs: ${withDelta(latest.prs.open, from?.prs.open)}${ages}`);
+        lines.push(`• Open GitHub issues: ${withDelta(latest.issues.open, from?.issues.open)}`);
+        lines.push(`• Open Jira tickets: ${withDelta(latest.jira.open, from?.jira.open)}`);
+        lines.push(`• Stale PRs: ${withDelta(latest.stale.prs, from?.stale.prs)}, stale tickets: ${withDelta(latest.stale.tickets, from?.stale.tickets)}`);
+        const scores = window.map(s => s.healthScore).filter(s => s !== null);
+        if (scores.length) {
+            lines.push(`• Health: ${scores.join(' → ')} (avg ${round(scores.reduce((a, b) => a + b, 0) / scores.length)}/10)`);
+        }
+        lines.push(`• Mood: ${window.map(s => s.mood).join(' → ')}`);
+    }
+
+    // PR cycle time (opened -> merged)
+    const merged = await getMergedPullRequests(previousStart);
+    const inPeriod = merged.filter(pr => new Date(pr.merged_at) >= start);
+    const before = merged.filter(pr => new Date(pr.merged_at) < start);
+    const cycle = (prs) => {
+        const m = median(prs.map(pr => pr.cycle_hours));
+        return m === null ? 'n/a' : `${round(m / 24)}d`;
+    };
+    lines.push(`*PR cycle time* (median, opened → merged): ${cycle(inPeriod)} over ${inPeriod.length} merged PR(s) | previous ${days} days: ${cycle(before)} over ${before.length}`);
+
+    // Ticket throughput
+    const resolved = await getResolvedJiraIssues(2 * days);
+    if (!resolved) {
+        lines.push("*Ticket throughput:* n/a (Jira couldn't be read)");
+        return lines.join('\n');
+    }
+    const done = resolved.filter(t => new Date(t.resolved) >= start);
+    const doneBefore = resolved.filter(t => new Date(t.resolved) < start);
+    const lead = median(done.map(t => (new Date(t.resolved) - new Date(t.created)) / DAY_MS));
+    lines.push(`*Ticket throughput:* ${withDelta(done.length, doneBefore.length)} done${lead !== null ? ` | median lead time ${round(lead)}d` : ''}`);
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    collectSnapshot,
+    parseHealthScore,
+    saveSnapshot,
+    getLatestSnapshot,
+    getSnapshotsSince,
+    describeDeltas,
+    describeTrends
+};
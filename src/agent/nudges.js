@@ -0,0 +1,347 @@
+/**
+ * nudges.js - Nudge Ledger
+ *
+ * Remembers every stale-work DM: who got it, about what, when, and how many
+ * times without movement. checkStaleWork asks the ledger before nudging, so:
+ * - each item has a cooldown between nudges
+ * - people can reply "snooze 3 days" or "blocked on X" (or use the DM buttons)
+ * - items nudged too often without movement are escalated to the team lead
+ *   (SHEHAB_TEAM_LEAD) or the report channel instead of nagging again
+ */
+
+const { createStore } = require('../utils/store');
+const memory = require('../utils/memory');
+const team = require('../config/team');
+const { section, context, linkButton } = require('../utils/blocks');
+
+// { itemId: { id, label, memberKey, slackId, fingerprint, count, history, lastNudgedAt, snoozedUntil, blockedOn, status, escalatedAt } }
+const ledger = createStore('nudges');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const COOLDOWN_DAYS = parseFloat(process.env.NUDGE_COOLDOWN_DAYS || "2");
+const ESCALATE_AFTER = parseInt(process.env.NUDGE_ESCALATE_AFTER || "3", 10);
+// A DM reply only counts as an answer to a nudge sent within this window
+const REPLY_WINDOW_DAYS = 7;
+
+const UNIT_MS = { h: HOUR_MS, d: DAY_MS, w: 7 * DAY_MS };
+
+/**
+ * Ledger ID for a stale item.
+ * @param {string} kind - 'pr' | 'ticket'
+ * @param {string|number} ref - PR number or ticket key
+ * @returns {string}
+ */
+function itemId(kind, ref) {
+    return `${kind}:${ref}`;
+}
+
+/**
+ * Get a ledger entry.
+ * @param {string} id
+ * @returns {Object|null}
+ */
+function getEntry(id) {
+    return ledger.get(id) || null;
+}
+
+/**
+ * Decide what to do about a stale item and record any movement since the last run.
+ * Movement (a changed fingerprint, e.g. updated_at) resets the count, snooze, blocker and escalation.
+ * @param {Object} item - { id, label, fingerprint, member }
+ * @param {number} [now]
+ * @returns {{action: string, reason: string, count: number}} action is 'nudge' | 'escalate' | 'skip'
+ */
+function planNudge(item, now = Date.now()) {
+    let entry;
+    ledger.update(data => {
+        const existing = data[item.id];
+        const moved = existing && existing.fingerprint !== item.fingerprint;
+        entry = {
+            id: item.id,
+            history: [],
+            count: 0,
+            // On movement keep the history and cooldown, drop count, snooze, blocker and escalation
+            ...(moved ? { history: existing.history, lastNudgedAt: existing.lastNudgedAt } : existing),
+            label: item.label,
+            memberKey: item.member.key,
+            slackId: item.member.slackId,
+            fingerprint: item.fingerprint
+        };
+        data[item.id] = entry;
+    });
+
+    const count = entry.count;
+    if (entry.snoozedUntil && new Date(entry.snoozedUntil).getTime() > now) {
+        return { action: 'skip', reason: `snoozed until ${entry.snoozedUntil}`, count };
+    }
+    if (entry.blockedOn) return { action: 'skip', reason: `blocked on ${entry.blockedOn}`, count };
+    if (entry.escalatedAt) return { action: 'skip', reason: 'already escalated', count };
+    if (entry.lastNudgedAt && now - new Date(entry.lastNudgedAt).getTime() < COOLDOWN_DAYS * DAY_MS) {
+        return { action: 'skip', reason: `cooldown (last nudged ${entry.lastNudgedAt})`, count };
+    }
+    if (count >= ESCALATE_AFTER) return { action: 'escalate', reason: `nudged ${count} times without movement`, count };
+    return { action: 'nudge', reason: 'stale', count };
+}
+
+/**
+ * Record a sent nudge.
+ * @param {string} id
+ * @param {Object} sent - { channel, ts } of the DM
+ */
+function recordNudge(id, { channel, ts } = {}) {
+    const at = new Date().toISOString();
+    ledger.update(data => {
+        const entry = data[id];
+        entry.count += 1;
+        entry.lastNudgedAt = at;
+        entry.history.push({ at, channel, ts });
+    });
+}
+
+/**
+ * Update an entry in place.
+ * @param {string} id
+ * @param {Object} changes
+ * @returns {Object|null} The updated entry
+ */
+function updateEntry(id, changes) {
+    let entry = null;
+    ledger.update(data => {
+        if (!data[id]) return;
+        entry = Object.assign(data[id], changes);
+    });
+    return entry;
+}
+
+/**
+ * Where escalations go: the team lead's DM if SHEHAB_TEAM_LEAD is set (roster key,
+ * name or Slack ID), else the report channel.
+ * @returns {string|null} Slack channel or user ID
+ */
+function escalationTarget() {
+    const lead = process.env.SHEHAB_TEAM_LEAD;
+    if (lead) {
+        const member = team.findMemberByName(lead) || team.findMemberBySlackId(lead);
+        return member ? member.slackId : lead;
+    }
+    return memory.get('report_channel') || null;
+}
+
+/**
+ * Post an escalation about an item.
+ * @param {Object} client - Slack client
+ * @param {string} id - Ledger ID
+ * @param {string} text - What to say
+ * @returns {Promise<boolean>} Whether anything was posted
+ */
+async function escalate(client, id, text) {
+    const channel = escalationTarget();
+    if (!channel) {
+        console.log(`⚠️ Nowhere to escalate ${id} - set SHEHAB_TEAM_LEAD or a report channel`);
+        return false;
+    }
+    await client.chat.postMessage({ channel, text });
+    updateEntry(id, { escalatedAt: new Date().toISOString() });
+    console.log(`⏫ Escalated ${id} to ${channel}`);
+    return true;
+}
+
+/**
+ * Escalation text for an item nudged too many times.
+ * @param {Object} entry
+ * @returns {string}
+ */
+function describeStuckItem(entry) {
+    const first = entry.history[0]?.at;
+    const since = first ? ` since ${first.split('T')[0]}` : '';
+    return `⏫ *Stuck item:* ${entry.label} (<@${entry.slackId}>) has been nudged ${entry.count} times${since} with no movement. Might need a hand or a re-plan.`;
+}
+
+/**
+ * Parse a DM reply to a nudge.
+ * Understands "snooze", "snooze 3 days", "snooze PR 60 for a week", "blocked", "this is blocked on the API".
+ * `leading` tells whether the message starts with "blocked".
+ * @param {string} text
+ * @returns {{type: string, ms?: number, reason?: string, ref?: string, leading?: boolean}|null}
+ */
+function parseNudgeReply(text) {
+    if (!text) return null;
+    // "PR 60" / "LAB-7" picks the item; otherwise the reply is about the latest nudge
+    const refIn = (str) => {
+        const m = str.match(/\bPR\s*#?(\d+)|\b([A-Z][A-Z0-9]+-\d+)\b/i);
+        if (!m) return null;
+        return m[1] ? itemId('pr', m[1]) : itemId('ticket', m[2].toUpperCase());
+    };
+
+    if (/^\s*snooze\b/i.test(text)) {
+        const duration = text.match(/\b(\d+|an?)\s*(h|hours?|d|days?|w|weeks?)\b/i);
+        const amount = duration ? (/^an?$/i.test(duration[1]) ? 1 : parseInt(duration[1], 10)) : 1;
+        const unit = duration ? duration[2][0].toLowerCase() : 'd';
+        return { type: 'snooze', ms: amount * UNIT_MS[unit], ref: refIn(text) };
+    }
+
+    const blocked = text.match(/\bblocked\b(?:\s+(?:on|by)\s+(.+?))?[.!]?\s*$/i);
+    if (blocked) {
+        // Only look for the item before "blocked" - "blocked on PR 61" names the blocker
+        return {
+            type: 'blocked',
+            reason: blocked[1] ? blocked[1].trim() : null,
+            ref: refIn(text.slice(0, blocked.index)),
+            leading: /^\s*blocked\b/i.test(text)
+        };
+    }
+
+    return null;
+}
+
+/**
+ * The ledger entry a DM reply is about: the referenced item, or the latest nudge to that person.
+ * @param {string} slackId
+ * @param {string|null} ref - Ledger ID from the reply, if any
+ * @returns {Object|null}
+ */
+function findReplyTarget(slackId, ref) {
+    const entries = Object.values(ledger.read()).filter(e => e.slackId === slackId && e.lastNudgedAt);
+    if (ref) return entries.find(e => e.id === ref) || null;
+
+    const cutoff = Date.now() - REPLY_WINDOW_DAYS * DAY_MS;
+    return entries
+        .filter(e => new Date(e.lastNudgedAt).getTime() > cutoff)
+        .sort((a, b) => new Date(b.lastNudgedAt) - new Date(a.lastNudgedAt))[0] || null;
+}
+
+/**
+ * Snooze an item.
+ * @param {string} id
+ * @param {number} ms - How long
+ * @returns {string} Confirmation
+ */
+function snooze(id, ms) {
+    const until = new Date(Date.now() + ms).toISOString();
+    const entry = updateEntry(id, { snoozedUntil: until });
+    return `😴 Snoozed ${entry.label} until ${until.replace('T', ' ').substring(0, 16)} UTC.`;
+}
+
+/**
+ * Mark an item as blocked and tell the escalation target.
+ * @param {Object} client - Slack client
+ * @param {string} id
+ * @param {string|null} reason
+ * @returns {Promise<string>} Confirmation
+ */
+async function markBlocked(client, id, reason) {
+    const entry = updateEntry(id, { blockedOn: reason || 'unspecified', status: 'blocked' });
+    const on = reason ? ` on ${reason}` : '';
+    await escalate(client, id, `🚧 <@${entry.slackId}> says ${entry.label} is blocked${on}.`);
+    return reason
+        ? `🚧 Got it, ${entry.label} is blocked on ${reason}. I've flagged it and will stop nudging until it moves.`
+        : `🚧 Got it, I've flagged ${entry.label} as blocked. Reply "blocked on ..." if you want to say what's in the way.`;
+}
+
+/**
+ * The ledger entry whose nudge DM started a thread.
+ * @param {string} slackId
+ * @param {string} threadTs
+ * @returns {Object|null}
+ */
+function findNudgeByThread(slackId, threadTs) {
+    return Object.values(ledger.read()).find(e => e.slackId === slackId && e.history.some(h => h.ts === threadTs)) || null;
+}
+
+/**
+ * Handle a DM that may be a reply to a nudge.
+ * Outside a nudge's thread, "blocked" only counts when it names the item or starts
+ * the message, so "I think CI is blocked" doesn't flag the latest nudged item.
+ * @param {Object} client - Slack client
+ * @param {string} slackId - Who replied
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.threadTs] - Thread the DM was posted in, if any
+ * @returns {Promise<string|null>} Reply text, or null if this wasn't about a nudge
+ */
+async function handleNudgeReply(client, slackId, text, { threadTs = null } = {}) {
+    const parsed = parseNudgeReply(text);
+    if (!parsed) return null;
+
+    const threadEntry = threadTs ? findNudgeByThread(slackId, threadTs) : null;
+    if (parsed.type === 'blocked' && !parsed.ref && !parsed.leading && !threadEntry) return null;
+
+    const entry = threadEntry && !parsed.ref ? threadEntry : findReplyTarget(slackId, parsed.ref);
+    if (!entry) return null;
+
+    if (parsed.type === 'snooze') return snooze(entry.id, parsed.ms);
+    return markBlocked(client, entry.id, parsed.reason);
+}
+
+/**
+ * Nudge DM blocks: the message plus quick-reply buttons.
+ * @param {string} id - Ledger ID
+ * @param {string} text - Nudge message
+ * @param {string} [url] - The PR or ticket, shown as a link button
+ * @returns {Array} Slack blocks
+ */
+function renderNudgeBlocks(id, text, url = null) {
+    return [
+        section(text, url ? linkButton(url.includes('/pull/') ? 'View PR' : 'Open in Jira', url) : null),
+        {
+            type: "actions",
+            elements: [
+                { type: "button", text: { type: "plain_text", text: "👀 Need review" }, action_id: "nudge_need_review", value: id },
+                { type: "button", text: { type: "plain_text", text: "🚧 Blocked" }, action_id: "nudge_blocked", value: id },
+                { type: "button", text: { type: "plain_text", text: "✅ Will finish today" }, style: "primary", action_id: "nudge_finish_today", value: id }
+            ]
+        },
+        context("Or reply `snooze 3 days` / `blocked on ...`")
+    ];
+}
+
+/**
+ * Register the nudge DM buttons on the Bolt app.
+ * @param {Object} app - Slack Bolt app
+ */
+function registerNudgeActions(app) {
+    const handlers = {
+        // Waiting on someone else: ask the team for a reviewer and back off for a cooldown
+        nudge_need_review: async (client, entry) => {
+            updateEntry(entry.id, { status: 'needs_review' });
+            const channel = memory.get('report_channel');
+            if (channel) await client.chat.postMessage({ channel, text: `👀 <@${entry.slackId}> is waiting on a review for ${entry.label}. Anyone free?` });
+            snooze(entry.id, COOLDOWN_DAYS * DAY_MS);
+            return `👀 Asked the team for a review on ${entry.label}.`;
+        },
+        nudge_blocked: async (client, entry) => markBlocked(client, entry.id, null),
+        nudge_finish_today: async (client, entry) => {
+            updateEntry(entry.id, { status: 'finishing_today' });
+            snooze(entry.id, DAY_MS);
+            return `✅ Nice, I'll check ${entry.label} again tomorrow.`;
+        }
+    };
+
+    for (const [actionId, handle] of Object.entries(handlers)) {
+        app.action(actionId, async ({ ack, body, client }) => {
+            await ack();
+            const entry = getEntry(body.actions[0].value);
+            const result = entry ? await handle(client, entry) : "❌ I don't remember that nudge anymore.";
+            await client.chat.update({
+                channel: body.channel.id,
+                ts: body.message.ts,
+                text: result,
+                blocks: []
+            });
+        });
+    }
+}
+
+module.exports = {
+    itemId,
+    getEntry,
+    planNudge,
+    recordNudge,
+    escalate,
+    describeStuckItem,
+    parseNudgeReply,
+    handleNudgeReply,
+    renderNudgeBlocks,
+    registerNudgeActions
+};
@@ -8,16 +8,11 @@
  * 4. Optionally post a meaningful insight to Slack.
  */
 
-const OpenAI = require('openai');
+const llm = require('../llm/provider');
 const memory = require('../memory/vector');
 const { getPullRequests, getIssues, getRecentCommits, getCommitDiff } = require('../tools/github');
 require('dotenv').config();
 
-const groq = new OpenAI({
-    apiKey: process.env.GROQ_API_KEY,
-    baseURL: "https://api.groq.com/openai/v1"
-});
-
 const REFLECTION_PROMPT = `
 You are Shehab's internal thought process. You are analyzing the current state of your project.
 
@@ -86,16 +81,12 @@ async function reflectOnProject() {
         `;
 
         // 5. Think (LLM Call)
-        const completion = await groq.chat.completions.create({
-            model: "meta-llama/llama-4-scout-17b-16e-instruct",
-            messages: [
-                { role: "system", content: REFLECTION_PROMPT },
-                { role: "user", content: context }
-            ],
-            response_format: { type: "json_object" }
-        });
-
-        const result = JSON.parse(completion.choices[0].message.content);
+        const content = await llm.complete('reflection', [
+            { role: "system", content: REFLECTION_PROMPT },
+            { role: "user", content: context }
+        ], { response_format: { type: "json_object" } });
+
+        const result = JSON.parse(content);
 
         // 6. Store Thought
         if (result.internal_thought) {
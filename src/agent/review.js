@@ -0,0 +1,588 @@
+/**
+ * review.js - PR Reviews Posted to GitHub
+ *
+ * Parses a PR's unified diff into files and line hunks, asks the model for
+ * structured findings (file, line, severity, message) and posts them back to
+ * GitHub as a single review with inline comments. Slack gets a short summary
+ * with a link to the review.
+ * Runs on request ("/shehab review 60" or the chat tool) and automatically when
+ * a PR is opened or marked ready for review (see webhooks.js).
+ *
+ * Big diffs are split by file and hunk into chunks that are reviewed one by one
+ * within a token budget, then merged into one deduplicated review. Lockfiles,
+ * generated files and anything over the budget are listed as not covered.
+ */
+
+const llm = require('../llm/provider');
+const { createStore } = require('../utils/store');
+const { findTeamMemberByGitHub } = require('../config/team');
+const { getPullRequest, getFullPullRequestDiff, createPullRequestReview } = require('../tools/github');
+
+// { prNumber: { sha, url, counts, reviewedAt } } - so the same commit isn't reviewed twice
+const reviews = createStore('pr_reviews');
+
+const SEVERITIES = ['critical', 'major', 'minor', 'nit'];
+const SEVERITY_EMOJI = { critical: '🔴', major: '🟠', minor: '🟡', nit: '⚪' };
+const SEVERITY_ALIASES = { blocker: 'critical', high: 'major', medium: 'minor', low: 'minor', info: 'nit', style: 'nit' };
+const MAX_INLINE_COMMENTS = 25;
+// A finding this close to a changed line is moved onto it instead of into the review body
+const LINE_SNAP = 3;
+
+// Rough size of a token, for budgeting prompts without a tokenizer
+const CHARS_PER_TOKEN = 4;
+// Diff size per model call, and for the whole review
+const CHUNK_TOKENS = parseInt(process.env.REVIEW_CHUNK_TOKENS || "4000", 10);
+const TOKEN_BUDGET = parseInt(process.env.REVIEW_TOKEN_BUDGET || "32000", 10);
+
+// Lockfiles, build output and vendored code: large, machine-written, not worth a review
+const GENERATED_PATTERNS = [
+    /(^|\/)(package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml|composer\.lock|Gemfile\.lock|Cargo\.lock|poetry\.lock|Pipfile\.lock|go\.sum)$/,
+    /\.min\.(js|css)$/,
+    /\.(map|snap)$/,
+    /(^|\/)(dist|build|vendor|node_modules|coverage|__snapshots__)\//
+];
+// Markers code generators leave at the top of their output
+const GENERATED_MARKER = /@generated|DO NOT EDIT|auto-?generated/i;
+
+const REVIEW_PROMPT = `You are Shehab, a senior engineer reviewing a pull request.
+Look for bugs, security risks (SQL injection, XSS, auth holes, leaked secrets), data loss, race conditions and code smells.
+Only comment on lines that were added or changed (marked +). Every diff line shows its line number in the new file: use that number.
+
+Reply with JSON only:
+{
+  "summary": "2-3 sentence overall assessment",
+  "findings": [
+    { "file": "path exactly as shown after FILE:", "line": 42, "severity": "critical | major | minor | nit", "message": "What's wrong and how to fix it" }
+  ]
+}
+Return an empty findings array if the change looks good. Don't invent problems.`;
+
+/**
+ * Parse a unified diff into files, hunks and numbered lines.
+ * @param {string} text - Output of `git diff` / GitHub's diff media type
+ * @returns {Array<Object>} [{ path, oldPath, status, binary, hunks: [{ header, oldStart, oldLines, newStart, newLines, lines: [{ type, content, oldLine?, newLine? }] }] }]
+ *   status is 'added' | 'deleted' | 'renamed' | 'modified'; line type is 'add' | 'del' | 'context'
+ */
+function parseUnifiedDiff(text) {
+    const files = [];
+    let file = null;
+    let hunk = null;
+    let oldLine = 0;
+    let newLine = 0;
+
+    for (const line of String(text || '').split('\n')) {
+        const start = line.match(/^diff --git a\/(.+?) b\/(.+)$/);
+        if (start) {
+            file = { path: start[2], oldPath: start[1], status: 'modified', binary: false, hunks: [] };
+            files.push(file);
+            hunk = null;
+            continue;
+        }
+        if (!file) continue;
+
+        const range = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+        if (range) {
+            hunk = {
+                header: line,
+                oldStart: Number(range[1]),
+                oldLines: range[2] === undefined ? 1 : Number(range[2]),
+                newStart: Number(range[3]),
+                newLines: range[4] === undefined ? 1 : Number(range[4]),
+                lines: []
+            };
+            file.hunks.push(hunk);
+            oldLine = hunk.oldStart;
+            newLine = hunk.newStart;
+            continue;
+        }
+
+        // File header lines, before the first hunk
+        if (!hunk) {
+            if (line.startsWith('new file mode')) file.status = 'added';
+            else if (line.startsWith('deleted file mode')) file.status = 'deleted';
+            else if (line.startsWith('rename from ')) {
+                file.status = 'renamed';
+                file.oldPath = line.substring('rename from '.length);
+            } else if (line.startsWith('Binary files') || line.startsWith('GIT binary patch')) file.binary = true;
+            else if (line.startsWith('+++ ') && line !== '+++ /dev/null') file.path = line.substring(4).replace(/^b\//, '');
+            continue;
+        }
+
+        if (line.startsWith('+')) hunk.lines.push({ type: 'add', content: line.substring(1), newLine: newLine++ });
+        else if (line.startsWith('-')) hunk.lines.push({ type: 'del', content: line.substring(1), oldLine: oldLine++ });
+        else if (line.startsWith(' ') || (line === '' && newLine < hunk.newStart + hunk.newLines)) {
+            // Some tools strip the leading space of blank context lines
+            hunk.lines.push({ type: 'context', content: line.substring(1), oldLine: oldLine++, newLine: newLine++ });
+        }
+        // "\ No newline at end of file" and trailing blank lines are ignored
+    }
+
+    return files;
+}
+
+/**
+ * Is this a lockfile, build artifact or generated file?
+ * @param {Object} file - From parseUnifiedDiff
+ * @returns {boolean}
+ */
+function isGeneratedFile(file) {
+    if (GENERATED_PATTERNS.some(pattern => pattern.test(file.path))) return true;
+    const head = (file.hunks[0]?.lines || []).slice(0, 5).map(l => l.content).join('\n');
+    return file.hunks[0]?.newStart === 1 && GENERATED_MARKER.test(head);
+}
+
+/**
+ * Sort files into ones worth reviewing and ones left out (with the reason).
+ * Deleted files aren't listed: there's nothing left to comment on.
+ * @param {Array<Object>} files - From parseUnifiedDiff
+ * @returns {{reviewable: Array<Object>, excluded: Array<{path: string, reason: string}>}}
+ */
+function classifyFiles(files) {
+    const reviewable = [];
+    const excluded = [];
+    for (const file of files) {
+        if (file.status === 'deleted' || (file.hunks.length === 0 && !file.binary)) continue;
+        if (file.binary) excluded.push({ path: file.path, reason: 'binary' });
+        else if (isGeneratedFile(file)) excluded.push({ path: file.path, reason: 'lockfile or generated' });
+        else reviewable.push(file);
+    }
+    return { reviewable, excluded };
+}
+
+/**
+ * Files worth reviewing: text files with changes that still exist after the PR.
+ * @param {Array<Object>} files - From parseUnifiedDiff
+ * @returns {Array<Object>}
+ */
+function reviewableFiles(files) {
+    return classifyFiles(files).reviewable;
+}
+
+/**
+ * New-file line numbers a review comment can be attached to (added or context lines).
+ * @param {Object} file - From parseUnifiedDiff
+ * @returns {Set<number>}
+ */
+function commentableLines(file) {
+    const lines = new Set();
+    for (const hunk of file.hunks) {
+        for (const line of hunk.lines) {
+            if (line.type !== 'del') lines.add(line.newLine);
+        }
+    }
+    return lines;
+}
+
+/**
+ * Render one hunk for the prompt, each line prefixed with its new-file number.
+ * @param {Object} hunk
+ * @returns {string}
+ */
+function renderHunk(hunk) {
+    const out = [hunk.header];
+    for (const line of hunk.lines) {
+        const marker = { add: '+', del: '-', context: ' ' }[line.type];
+        const number = line.type === 'del' ? '' : String(line.newLine);
+        out.push(`${marker}${number.padStart(5)} | ${line.content}`);
+    }
+    return out.join('\n');
+}
+
+/**
+ * Render one file's hunks for the prompt.
+ * @param {Object} file - From parseUnifiedDiff (or a slice of one)
+ * @returns {string}
+ */
+function renderFileForPrompt(file) {
+    const header = `FILE: ${file.path} (${file.status}${file.status === 'renamed' ? ` from ${file.oldPath}` : ''})`;
+    return [header, ...file.hunks.map(renderHunk)].join('\n');
+}
+
+/**
+ * Split a hunk too big for one chunk into consecutive slices of lines.
+ * @param {Object} hunk
+ * @param {number} maxChars
+ * @returns {Array<Object>} Hunks sharing the original numbering
+ */
+function splitHunk(hunk, maxChars) {
+    const slices = [];
+    let lines = [];
+    let size = 0;
+    for (const line of hunk.lines) {
+        const length = line.content.length + 10;
+        if (size + length > maxChars && lines.length > 0) {
+            slices.push(lines);
+            lines = [];
+            size = 0;
+        }
+        lines.push(line);
+        size += length;
+    }
+    if (lines.length) slices.push(lines);
+    return slices.map((slice, i) => ({ ...hunk, header: i === 0 ? hunk.header : `${hunk.header} (continued)`, lines: slice }));
+}
+
+/**
+ * Split files into chunks of at most `maxChars` of prompt text.
+ * Small files share a chunk; big files are split by hunk, and huge hunks by lines.
+ * @param {Array<Object>} files - Reviewable files
+ * @param {number} maxChars
+ * @returns {Array<{files: Array<Object>, text: string, size: number}>} Each chunk's files hold only the hunks it covers
+ */
+function chunkDiff(files, maxChars) {
+    // File slices, each small enough for one chunk
+    const pieces = [];
+    for (const file of files) {
+        const whole = renderFileForPrompt(file);
+        if (whole.length <= maxChars) {
+            pieces.push({ file, size: whole.length });
+            continue;
+        }
+        // Every slice repeats the FILE: line
+        const header = renderFileForPrompt({ ...file, hunks: [] }).length + 1;
+        let hunks = [];
+        let size = header;
+        for (const hunk of file.hunks.flatMap(h => splitHunk(h, maxChars - header))) {
+            const length = renderHunk(hunk).length + 1;
+            if (size + length > maxChars && hunks.length > 0) {
+                pieces.push({ file: { ...file, hunks }, size });
+                hunks = [];
+                size = header;
+            }
+            hunks.push(hunk);
+            size += length;
+        }
+        if (hunks.length) pieces.push({ file: { ...file, hunks }, size });
+    }
+
+    const chunks = [];
+    let current = null;
+    for (const piece of pieces) {
+        if (!current || current.size + piece.size > maxChars) {
+            current = { files: [], size: 0 };
+            chunks.push(current);
+        }
+        current.files.push(piece.file);
+        current.size += piece.size;
+    }
+    for (const chunk of chunks) chunk.text = chunk.files.map(renderFileForPrompt).join('\n\n');
+    return chunks;
+}
+
+/**
+ * Normalize a severity word.
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeSeverity(value) {
+    const lower = String(value || '').toLowerCase().trim();
+    return SEVERITIES.includes(lower) ? lower : (SEVERITY_ALIASES[lower] || 'minor');
+}
+
+/**
+ * Pull the JSON object out of a model reply (tolerates code fences and chatter).
+ * @param {string} raw
+ * @returns {Object|null}
+ */
+function parseJSONReply(raw) {
+    const text = String(raw || '');
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start < 0 || end <= start) return null;
+    try {
+        return JSON.parse(text.substring(start, end + 1));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Check the model's findings against the diff.
+ * Findings on a changed line (or within a few lines of one) become inline comments;
+ * the rest go into the review body so nothing is lost.
+ * @param {string} raw - Model reply
+ * @param {Array<Object>} files - Files the model saw
+ * @returns {{summary: string, inline: Array<Object>, general: Array<Object>}|null} null if the reply isn't usable
+ */
+function parseFindings(raw, files) {
+    const parsed = parseJSONReply(raw);
+    if (!parsed || (!parsed.summary && !Array.isArray(parsed.findings))) return null;
+
+    const inline = [];
+    const general = [];
+    for (const f of Array.isArray(parsed.findings) ? parsed.findings : []) {
+        if (!f || !f.message) continue;
+        const finding = { file: String(f.file || '').replace(/^[ab]\//, ''), line: parseInt(f.line, 10), severity: normalizeSeverity(f.severity), message: String(f.message).trim() };
+
+        // The model sometimes drops or adds a leading directory
+        const file = files.find(x => x.path === finding.file)
+            || files.find(x => finding.file && (x.path.endsWith(`/${finding.file}`) || finding.file.endsWith(`/${x.path}`)));
+        if (!file || isNaN(finding.line)) {
+            general.push(finding);
+            continue;
+        }
+        finding.file = file.path;
+
+        const lines = [...commentableLines(file)];
+        const nearest = lines.sort((a, b) => Math.abs(a - finding.line) - Math.abs(b - finding.line))[0];
+        if (nearest !== undefined && Math.abs(nearest - finding.line) <= LINE_SNAP) {
+            inline.push({ ...finding, line: nearest });
+        } else {
+            general.push(finding);
+        }
+    }
+
+    return { summary: String(parsed.summary || '').trim(), inline, general };
+}
+
+/**
+ * Significant words of a message, for spotting the same point made twice.
+ * @param {string} message
+ * @returns {Set<string>}
+ */
+function messageWords(message) {
+    return new Set(message.toLowerCase().split(/[^a-z0-9_]+/).filter(w => w.length > 2));
+}
+
+/**
+ * Do two findings make the same point about the same place?
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function isSameFinding(a, b) {
+    if (a.file !== b.file) return false;
+    const bothLines = !isNaN(a.line) && !isNaN(b.line);
+    if (bothLines && Math.abs(a.line - b.line) > LINE_SNAP) return false;
+    const wordsA = messageWords(a.message);
+    const wordsB = messageWords(b.message);
+    const shared = [...wordsA].filter(w => wordsB.has(w)).length;
+    return shared / Math.max(1, Math.min(wordsA.size, wordsB.size)) >= 0.6;
+}
+
+/**
+ * Merge findings from all chunks into one prioritized, deduplicated review.
+ * When two findings match, the more severe one (preferring an inline one) is kept.
+ * @param {Array<Object>} inline
+ * @param {Array<Object>} general
+ * @returns {{inline: Array<Object>, general: Array<Object>}}
+ */
+function mergeFindings(inline, general) {
+    const rank = (f) => SEVERITIES.indexOf(f.severity) * 2 + (f.inline ? 0 : 1);
+    const all = [...inline.map(f => ({ ...f, inline: true })), ...general.map(f => ({ ...f, inline: false }))]
+        .sort((a, b) => rank(a) - rank(b) || a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0));
+
+    const kept = [];
+    for (const finding of all) {
+        if (!kept.some(k => isSameFinding(k, finding))) kept.push(finding);
+    }
+
+    const strip = ({ inline: _inline, ...f }) => f;
+    const merged = { inline: kept.filter(f => f.inline).map(strip), general: kept.filter(f => !f.inline).map(strip) };
+    // GitHub reviews with hundreds of comments are noise; keep the worst inline
+    merged.general.push(...merged.inline.splice(MAX_INLINE_COMMENTS));
+    return merged;
+}
+
+/**
+ * Review a diff chunk by chunk within the token budget.
+ * @param {string} diff - Unified diff
+ * @param {Object} context - { title, author, description } shown to the model
+ * @param {Object} [options]
+ * @param {number} [options.chunkTokens] - Diff tokens per model call
+ * @param {number} [options.tokenBudget] - Diff tokens for the whole review
+ * @returns {Promise<Object>} { summary, inline, general, notCovered: [{path, reason}], reviewed, failed } (reviewed/failed count chunks)
+ */
+async function reviewDiff(diff, { title, author, description }, { chunkTokens = CHUNK_TOKENS, tokenBudget = TOKEN_BUDGET } = {}) {
+    const { reviewable, excluded } = classifyFiles(parseUnifiedDiff(diff));
+    const chunks = chunkDiff(reviewable, chunkTokens * CHARS_PER_TOKEN);
+
+    const covered = new Set();
+    const missed = new Map();
+    const summaries = [];
+    const inline = [];
+    const general = [];
+    let spent = 0;
+    let reviewed = 0;
+    let failed = 0;
+
+    for (const [i, chunk] of chunks.entries()) {
+        if (spent + chunk.size > tokenBudget * CHARS_PER_TOKEN) {
+            chunk.files.forEach(f => missed.set(f.path, 'over the review budget'));
+            continue;
+        }
+        spent += chunk.size;
+
+        const part = chunks.length > 1 ? `\nThis is part ${i + 1} of ${chunks.length} of the diff.` : '';
+        let result = null;
+        try {
+            const raw = await llm.complete('review', [
+                { role: "system", content: REVIEW_PROMPT },
+                { role: "user", content: `${title}\nAuthor: ${author}\nDescription: ${(description || '').substring(0, 1000) || '(none)'}${part}\n\n${chunk.text}` }
+            ], { response_format: { type: "json_object" } });
+            result = parseFindings(raw, chunk.files);
+        } catch (e) {
+            // A rate limit or timeout on one chunk shouldn't throw away the others
+            console.error(`Review chunk ${i + 1}/${chunks.length} failed:`, e.message);
+        }
+        if (!result) {
+            failed++;
+            chunk.files.forEach(f => missed.set(f.path, 'the review failed'));
+            continue;
+        }
+        reviewed++;
+        chunk.files.forEach(f => covered.add(f.path));
+        if (result.summary && !summaries.includes(result.summary)) summaries.push(result.summary);
+        inline.push(...result.inline);
+        general.push(...result.general);
+    }
+
+    // A file split across chunks may be only partly reviewed
+    const notCovered = [
+        ...excluded,
+        ...[...missed].map(([path, reason]) => ({ path, reason: covered.has(path) ? `partly reviewed, rest ${reason === 'the review failed' ? 'failed' : 'over the review budget'}` : reason }))
+    ];
+
+    return { summary: summaries.join(' '), ...mergeFindings(inline, general), notCovered, reviewed, failed };
+}
+
+/**
+ * "1 critical, 2 minor" style counts.
+ * @param {Array<Object>} findings
+ * @returns {Object} { severity: count }
+ */
+function countBySeverity(findings) {
+    const counts = {};
+    for (const f of findings) counts[f.severity] = (counts[f.severity] || 0) + 1;
+    return counts;
+}
+
+/**
+ * Readable counts with emoji.
+ * @param {Object} counts - From countBySeverity
+ * @returns {string}
+ */
+function describeCounts(counts) {
+    const parts = SEVERITIES.filter(s => counts[s]).map(s => `${SEVERITY_EMOJI[s]} ${counts[s]} ${s}`);
+    return parts.length ? parts.join(', ') : 'no issues found ✅';
+}
+
+/**
+ * One finding as a list item. GitHub and Slack bold differently.
+ * @param {Object} f
+ * @param {string} bold - '**' for GitHub markdown, '*' for Slack
+ * @returns {string}
+ */
+function formatFinding(f, bold) {
+    const where = f.file ? ` \`${f.file}${isNaN(f.line) ? '' : `:${f.line}`}\`` : '';
+    return `${SEVERITY_EMOJI[f.severity]} ${bold}${f.severity}${bold}${where}: ${f.message}`;
+}
+
+/**
+ * The overall review text posted on GitHub.
+ * @param {Object} result - From reviewDiff
+ * @returns {string}
+ */
+function buildReviewBody({ summary, inline, general, notCovered }) {
+    const parts = [summary || 'Automated review.'];
+    if (general.length) parts.push(`**Other notes:**\n${general.map(f => `- ${formatFinding(f, '**')}`).join('\n')}`);
+    if (notCovered.length) parts.push(`**Not covered by this review:**\n${notCovered.map(f => `- \`${f.path}\` (${f.reason})`).join('\n')}`);
+    parts.push(`_🤖 Automated review by Shehab: ${describeCounts(countBySeverity([...inline, ...general]))}_`);
+    return parts.join('\n\n');
+}
+
+/**
+ * "⚠️ Not covered: ..." line for Slack, or null.
+ * @param {Array<Object>} notCovered
+ * @returns {string|null}
+ */
+function describeNotCovered(notCovered) {
+    if (notCovered.length === 0) return null;
+    return `⚠️ Not covered: ${notCovered.map(f => `\`${f.path}\` (${f.reason})`).join(', ')}`;
+}
+
+/**
+ * Review a PR. By default the review is posted on GitHub.
+ * @param {number} prNumber
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Review even if this commit was already reviewed or the PR is a draft
+ * @param {boolean} [options.post] - false to only return the findings (for chat) without posting
+ * @returns {Promise<string|null>} Slack summary (ends with the review URL when posted), an "❌" message, or null when skipped
+ */
+async function reviewPullRequest(prNumber, { force = false, post = true } = {}) {
+    const pr = await getPullRequest(prNumber);
+    if (!pr) return `❌ PR #${prNumber} not found.`;
+    if (pr.state !== 'open') return `❌ PR #${prNumber} is ${pr.state}, nothing to review.`;
+    if (post && !force && (pr.draft || reviews.get(String(prNumber))?.sha === pr.head_sha)) return null;
+
+    const diff = await getFullPullRequestDiff(prNumber);
+    if (diff === null) return `❌ Couldn't fetch the diff of PR #${prNumber}.`;
+
+    const result = await reviewDiff(diff, { title: `PR #${pr.number}: ${pr.title}`, author: pr.author, description: pr.body });
+    if (result.reviewed === 0 && result.failed === 0) {
+        return [`🤷 PR #${prNumber} has no reviewable text changes.`, describeNotCovered(result.notCovered)].filter(Boolean).join('\n');
+    }
+    if (result.reviewed === 0) return `❌ The review model didn't return usable findings for PR #${prNumber}. Try again?`;
+
+    const counts = countBySeverity([...result.inline, ...result.general]);
+    const member = findTeamMemberByGitHub(pr.author);
+    const author = member ? `<@${member.slackId}>` : pr.author;
+    const quote = result.summary ? `> ${result.summary.replace(/\n/g, '\n> ')}` : null;
+
+    if (!post) {
+        return [
+            `🔍 *Review of PR #${pr.number}* "${pr.title}" by ${author}: ${describeCounts(counts)}`,
+            quote,
+            ...[...result.inline, ...result.general].map(f => `• ${formatFinding(f, '*')}`),
+            describeNotCovered(result.notCovered)
+        ].filter(Boolean).join('\n');
+    }
+
+    const comments = result.inline.map(f => ({
+        path: f.file,
+        line: f.line,
+        body: `${SEVERITY_EMOJI[f.severity]} **${f.severity}**: ${f.message}`
+    }));
+
+    let posted;
+    try {
+        posted = await createPullRequestReview(prNumber, { commitId: pr.head_sha, body: buildReviewBody(result), comments });
+    } catch (e) {
+        // GitHub rejects the whole review if one line can't take a comment: retry with everything in the body
+        if (e.status !== 422 || comments.length === 0) return `❌ Couldn't post the review on PR #${prNumber}: ${e.message}`;
+        try {
+            posted = await createPullRequestReview(prNumber, {
+                commitId: pr.head_sha,
+                body: buildReviewBody({ ...result, inline: [], general: [...result.inline, ...result.general] }),
+                comments: []
+            });
+        } catch (retryError) {
+            return `❌ Couldn't post the review on PR #${prNumber}: ${retryError.message}`;
+        }
+    }
+
+    reviews.update(data => {
+        data[String(prNumber)] = { sha: pr.head_sha, url: posted.url, counts, reviewedAt: new Date().toISOString() };
+    });
+
+    return [
+        `🔍 *Reviewed PR #${pr.number}* "${pr.title}" by ${author}: ${comments.length} inline comment(s), ${describeCounts(counts)}`,
+        quote,
+        describeNotCovered(result.notCovered),
+        posted.url
+    ].filter(Boolean).join('\n');
+}
+
+module.exports = {
+    SEVERITIES,
+    parseUnifiedDiff,
+    isGeneratedFile,
+    reviewableFiles,
+    commentableLines,
+    renderFileForPrompt,
+    chunkDiff,
+    parseFindings,
+    mergeFindings,
+    reviewDiff,
+    reviewPullRequest
+};
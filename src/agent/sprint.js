@@ -0,0 +1,180 @@
+/**
+ * sprint.js - Sprint Tracking
+ *
+ * Reads the active sprint from the Jira Agile API and keeps a local record per sprint:
+ * - the committed scope (issues and points when Shehab first saw the sprint)
+ * - scope added mid-sprint (issues that showed up later)
+ * - a daily burndown series (remaining / completed / total points)
+ * From that it projects whether the sprint will finish at the current pace.
+ */
+
+const { createStore } = require('../utils/store');
+const memory = require('../utils/memory');
+const { DEFAULT_TIMEZONE, isWorkingDay, localParts, workingDaysBetween } = require('../config/calendar');
+const { getActiveSprint, getSprintIssues } = require('../tools/jira');
+
+// { sprints: { id: { id, name, goal, startDate, endDate, committed: { takenOn, issues: { key: points } }, added: { key: { points, addedOn } }, burndown: [{ date, remaining, completed, total }] } } }
+const sprints = createStore('sprints', { sprints: {} });
+
+const KEEP_SPRINTS = 10;
+// Projected to land at least this share of the scope = "at risk" rather than "off track"
+const AT_RISK_SHARE = 0.85;
+
+const sum = (values) => values.reduce((total, v) => total + v, 0);
+const round = (n) => Math.round(n * 10) / 10;
+
+/**
+ * Fetch the active sprint, update its local record and burndown for today.
+ * @param {Date} [now]
+ * @returns {Promise<Object|null>} Sprint status (see summarizeSprint), or null with no active sprint
+ */
+async function refreshSprint(now = new Date()) {
+    const sprint = await getActiveSprint();
+    if (!sprint) return null;
+    const issues = await getSprintIssues(sprint.id);
+    if (!issues) return null;
+
+    const today = localParts(now, DEFAULT_TIMEZONE).date;
+    let record;
+    sprints.update(data => {
+        record = data.sprints[sprint.id] || { id: sprint.id, committed: null, added: {}, burndown: [] };
+        Object.assign(record, { name: sprint.name, goal: sprint.goal, startDate: sprint.startDate, endDate: sprint.endDate });
+
+        if (!record.committed) {
+            record.committed = { takenOn: today, issues: Object.fromEntries(issues.map(i => [i.key, i.points])) };
+        }
+        for (const issue of issues) {
+            if (issue.key in record.committed.issues) continue;
+            record.added[issue.key] = { points: issue.points, addedOn: record.added[issue.key]?.addedOn || today };
+        }
+
+        const total = sum(issues.map(i => i.points));
+        const completed = sum(issues.filter(i => i.done).map(i => i.points));
+        record.burndown = record.burndown.filter(p => p.date !== today);
+        record.burndown.push({ date: today, remaining: total - completed, completed, total });
+        record.burndown.sort((a, b) => a.date.localeCompare(b.date));
+
+        data.sprints[sprint.id] = record;
+        const ids = Object.keys(data.sprints).sort((a, b) => Number(b) - Number(a));
+        for (const old of ids.slice(KEEP_SPRINTS)) delete data.sprints[old];
+    });
+
+    return summarizeSprint(record, issues, now);
+}
+
+/**
+ * Committed vs completed points, scope changes and the "will we make it" projection.
+ * @param {Object} record - Local sprint record
+ * @param {Array<Object>} issues - Current sprint issues (from getSprintIssues)
+ * @param {Date} now
+ * @returns {Object}
+ */
+function summarizeSprint(record, issues, now) {
+    const committedKeys = Object.keys(record.committed.issues);
+    const current = new Set(issues.map(i => i.key));
+    const added = issues.filter(i => !committedKeys.includes(i.key));
+
+    const totalPoints = sum(issues.map(i => i.points));
+    const completedPoints = sum(issues.filter(i => i.done).map(i => i.points));
+    const remainingPoints = totalPoints - completedPoints;
+
+    // Both the first and the last day of the sprint are working days of the sprint
+    const firstDay = record.startDate ? localParts(new Date(record.startDate), DEFAULT_TIMEZONE).date : null;
+    const totalDays = firstDay && record.endDate
+        ? workingDaysBetween(record.startDate, record.endDate) + (isWorkingDay(firstDay) ? 1 : 0)
+        : 0;
+    const elapsedDays = record.startDate ? Math.min(totalDays, workingDaysBetween(record.startDate, now)) : 0;
+    const daysLeft = Math.max(0, totalDays - elapsedDays);
+    const velocity = elapsedDays > 0 ? completedPoints / elapsedDays : 0;
+    const projectedPoints = Math.min(totalPoints, completedPoints + velocity * daysLeft);
+
+    let verdict;
+    if (remainingPoints === 0) verdict = 'done';
+    else if (elapsedDays === 0) verdict = 'too early to tell';
+    else if (projectedPoints >= totalPoints) verdict = 'on track';
+    else if (projectedPoints >= totalPoints * AT_RISK_SHARE) verdict = 'at risk';
+    else verdict = 'off track';
+
+    return {
+        id: record.id,
+        name: record.name,
+        goal: record.goal || memory.get('sprint_goal') || '',
+        startDate: record.startDate,
+        endDate: record.endDate,
+        committedOn: record.committed.takenOn,
+        committedPoints: sum(Object.values(record.committed.issues)),
+        committedCompletedPoints: sum(issues.filter(i => i.done && committedKeys.includes(i.key)).map(i => i.points)),
+        completedPoints,
+        totalPoints,
+        remainingPoints,
+        added: added.map(i => ({ key: i.key, points: i.points, addedOn: record.added[i.key]?.addedOn })),
+        addedPoints: sum(added.map(i => i.points)),
+        removed: committedKeys.filter(key => !current.has(key)),
+        totalDays,
+        elapsedDays,
+        daysLeft,
+        velocity: round(velocity),
+        neededVelocity: daysLeft > 0 ? round(remainingPoints / daysLeft) : null,
+        projectedPoints: round(projectedPoints),
+        idealRemaining: totalDays > 0 ? round(totalPoints * daysLeft / totalDays) : null,
+        verdict,
+        burndown: record.burndown
+    };
+}
+
+/**
+ * Stored sprint record (for the burndown history).
+ * @param {number|string} id
+ * @returns {Object|null}
+ */
+function getSprintRecord(id) {
+    return sprints.read().sprints[id] || null;
+}
+
+/**
+ * Readable sprint status for Slack, reports and the chat tool.
+ * @param {Object|null} status - From refreshSprint
+ * @returns {string}
+ */
+function describeSprint(status) {
+    if (!status) return "No active sprint found on the Jira board.";
+
+    const verdictEmoji = { 'done': '🎉', 'on track': '✅', 'at risk': '⚠️', 'off track': '🚨', 'too early to tell': '🤷' }[status.verdict];
+    const day = (iso) => (iso || '?').substring(0, 10);
+    const pct = status.totalPoints ? Math.round(100 * status.completedPoints / status.totalPoints) : 0;
+
+    const lines = [
+        `🏃 *${status.name}* (${day(status.startDate)} → ${day(status.endDate)})`,
+        `🎯 Goal: ${status.goal || '_none set_'}`,
+        `• Committed: ${status.committedPoints} pts, ${status.committedCompletedPoints} done${status.committedOn > day(status.startDate) ? ` _(baseline taken ${status.committedOn})_` : ''}`,
+        `• Completed: ${status.completedPoints} / ${status.totalPoints} pts (${pct}%), ${status.remainingPoints} remaining`,
+        `• Added mid-sprint: ${status.added.length ? `${status.addedPoints} pts (${status.added.map(i => `${i.key} ${i.points}pt on ${i.addedOn}`).join(', ')})` : 'nothing'}`
+    ];
+    if (status.removed.length) lines.push(`• Removed from sprint: ${status.removed.join(', ')}`);
+    lines.push(`• Working days: ${status.elapsedDays} of ${status.totalDays} used, ${status.daysLeft} left${status.idealRemaining !== null ? ` (ideal remaining today: ${status.idealRemaining} pts)` : ''}`);
+
+    const pace = status.neededVelocity !== null
+        ? `at ${status.velocity} pts/day we'd finish ~${status.projectedPoints} of ${status.totalPoints} pts (need ${status.neededVelocity} pts/day)`
+        : `${status.remainingPoints} pts left on the last day`;
+    lines.push(`• Will we make it? ${verdictEmoji} *${status.verdict}*${status.verdict === 'done' ? '' : `: ${pace}`}`);
+    lines.push(`📉 Burndown: ${status.burndown.map(p => `${p.date.substring(5)}: ${p.remaining}`).join(' · ')}`);
+
+    return lines.join('\n');
+}
+
+/**
+ * Refresh and describe the active sprint.
+ * @param {Date} [now]
+ * @returns {Promise<string>}
+ */
+async function getSprintReport(now = new Date()) {
+    return describeSprint(await refreshSprint(now));
+}
+
+module.exports = {
+    refreshSprint,
+    summarizeSprint,
+    getSprintRecord,
+    describeSprint,
+    getSprintReport
+};
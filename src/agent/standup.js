@@ -0,0 +1,307 @@
+/**
+ * standup.js - Async Daily Standups
+ *
+ * - At the start of each member's working day, DM them the standup questions
+ *   (yesterday / today / blockers)
+ * - Collect the answers they post in that DM thread
+ * - Post one summary to the report channel, checked against their commits and
+ *   Jira tickets, with blockers and missing answers up top
+ * - Keep blockers until the member reports "none", so reports and nudges can refer to them
+ */
+
+const { createStore } = require('../utils/store');
+const memory = require('../utils/memory');
+const team = require('../config/team');
+const calendar = require('../config/calendar');
+const { getRecentCommits } = require('../tools/github');
+const { getOpenJiraIssues } = require('../tools/jira');
+
+// {
+//   days: { 'YYYY-MM-DD': { memberKey: { slackId, channel, ts, askedAt, yesterday, today, blockers, answeredAt } } },
+//   blockers: [{ id, memberKey, slackId, text, raisedOn, resolvedAt }]
+// }
+const standups = createStore('standups', { days: {}, blockers: [] });
+
+const QUESTIONS = ['yesterday', 'today', 'blockers'];
+const LABEL = /^\s*\*?(1|2|3|yesterday|today|blockers?|blocked)\*?\s*[:.)-]\s*/i;
+const NO_BLOCKERS = /^\s*(none|no|nope|nothing|n\/a|-|no blockers?|all good)\s*[.!]?\s*$/i;
+const TICKET_KEY = /\b[A-Z][A-Z0-9]+-\d+\b/g;
+const KEEP_DAYS = 30;
+
+/**
+ * The member's local date.
+ * @param {Object} member
+ * @param {Date} now
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function localDate(member, now) {
+    return calendar.localParts(now, calendar.scheduleFor(member).timezone).date;
+}
+
+/**
+ * The member's working day before a date (skips weekends, holidays and OOO).
+ * @param {string} day
+ * @param {Object} member
+ * @returns {string}
+ */
+function previousWorkingDay(day, member) {
+    let previous = calendar.addDays(day, -1);
+    for (let i = 0; i < 14 && !calendar.isWorkingDay(previous, member); i++) previous = calendar.addDays(previous, -1);
+    return previous;
+}
+
+/**
+ * A member's standup entry for a day.
+ * @param {string} memberKey
+ * @param {string} day
+ * @returns {Object|null}
+ */
+function getEntry(memberKey, day) {
+    return standups.read().days[day]?.[memberKey] || null;
+}
+
+/**
+ * Blockers nobody has cleared yet.
+ * @param {string} [memberKey] - Only this member's
+ * @returns {Array<Object>}
+ */
+function getOpenBlockers(memberKey = null) {
+    return standups.read().blockers.filter(b => !b.resolvedAt && (!memberKey || b.memberKey === memberKey));
+}
+
+/**
+ * DM the standup questions to everyone whose working day has started and who
+ * hasn't been asked yet today. Runs every 15 minutes.
+ * @param {Object} slackApp - Slack Bolt app instance
+ * @param {Date} [now]
+ * @returns {Promise<Array<string>>} Keys of the members asked
+ */
+async function askStandups(slackApp, now = new Date()) {
+    const asked = [];
+    for (const member of team.getAllMembers()) {
+        if (!member.slackId || !calendar.availabilityOf(member, now).available) continue;
+        const day = localDate(member, now);
+        if (getEntry(member.key, day)) continue;
+
+        try {
+            const sent = await slackApp.client.chat.postMessage({
+                channel: member.slackId,
+                text: `☀️ Morning ${member.name.split(' ')[0]}! Standup time. Reply in this thread:\n` +
+                    `*1. Yesterday:* what did you get done?\n` +
+                    `*2. Today:* what are you working on?\n` +
+                    `*3. Blockers:* anything in your way? ("none" is fine)`
+            });
+            standups.update(data => {
+                data.days[day] = data.days[day] || {};
+                data.days[day][member.key] = {
+                    slackId: member.slackId,
+                    channel: sent?.channel || member.slackId,
+                    ts: sent?.ts,
+                    askedAt: now.toISOString()
+                };
+                // Forget old standups
+                const cutoff = calendar.addDays(day, -KEEP_DAYS);
+                for (const old of Object.keys(data.days)) if (old < cutoff) delete data.days[old];
+            });
+            asked.push(member.key);
+            console.log(`☀️ Standup: asked ${member.name}`);
+        } catch (e) {
+            console.error(`❌ Standup DM to ${member.name} failed:`, e.message);
+        }
+    }
+    return asked;
+}
+
+/**
+ * Split an answer into the standup questions. Labelled lines ("Today: ...",
+ * "2. ...") go to their question; unlabelled text fills the next unanswered one,
+ * so people can also answer in three separate replies.
+ * @param {string} text
+ * @param {Object} entry - Answers so far
+ * @returns {Object} { yesterday, today, blockers } changes
+ */
+function parseAnswers(text, entry) {
+    const changes = {};
+    let current = null;
+    const nextOpen = () => QUESTIONS.find(q => !entry[q] && !changes[q]);
+
+    for (const line of (text || "").split('\n')) {
+        if (!line.trim()) continue;
+        const label = line.match(LABEL);
+        if (label) {
+            const word = label[1].toLowerCase();
+            current = /^(1|yesterday)$/.test(word) ? 'yesterday' : /^(2|today)$/.test(word) ? 'today' : 'blockers';
+            changes[current] = line.replace(LABEL, '').trim();
+            continue;
+        }
+        current = current || nextOpen() || 'today'; // Extra notes after everything is answered go to "today"
+        const before = changes[current] ?? entry[current];
+        changes[current] = before ? `${before}\n${line.trim()}` : line.trim();
+    }
+    return changes;
+}
+
+/**
+ * Record a reply in a standup DM thread.
+ * @param {Object} message - Slack message event ({ user, text, channel, thread_ts })
+ * @param {Date} [now]
+ * @returns {string|null} Reply for the thread, or null if it isn't a standup answer
+ */
+function handleStandupReply(message, now = new Date()) {
+    if (!message.thread_ts || !message.text) return null;
+
+    const data = standups.read();
+    let found = null;
+    for (const [day, entries] of Object.entries(data.days)) {
+        for (const [memberKey, entry] of Object.entries(entries)) {
+            if (entry.ts === message.thread_ts && entry.channel === message.channel) found = { day, memberKey, entry };
+        }
+    }
+    if (!found || found.entry.slackId !== message.user) return null;
+
+    const { day, memberKey, entry } = found;
+    const changes = parseAnswers(message.text, entry);
+    const updated = { ...entry, ...changes, answeredAt: now.toISOString() };
+
+    standups.update(store => {
+        store.days[day][memberKey] = updated;
+        if (changes.blockers === undefined) return;
+
+        // A new blocker replaces today's; "none" clears everything they raised before
+        store.blockers = store.blockers.filter(b => !(b.memberKey === memberKey && b.raisedOn === day));
+        if (NO_BLOCKERS.test(changes.blockers)) {
+            for (const b of store.blockers) {
+                if (b.memberKey === memberKey && !b.resolvedAt) b.resolvedAt = now.toISOString();
+            }
+        } else {
+            store.blockers.push({
+                id: `${memberKey}:${day}`,
+                memberKey,
+                slackId: entry.slackId,
+                text: changes.blockers,
+                raisedOn: day,
+                resolvedAt: null
+            });
+        }
+    });
+
+    const missing = QUESTIONS.filter(q => !updated[q]);
+    if (missing.length) return `📝 Noted. Still missing: ${missing.join(', ')}.`;
+    return changes.blockers && !NO_BLOCKERS.test(changes.blockers)
+        ? "✅ Thanks! I'll flag your blocker in today's standup summary."
+        : "✅ Thanks, that's everything for today.";
+}
+
+/**
+ * Compare a member's answers with what GitHub and Jira show.
+ * @param {Object} member
+ * @param {Object} entry - Standup answers
+ * @param {string} since - Previous working day ('YYYY-MM-DD')
+ * @param {Array<Object>} commits - From getRecentCommits
+ * @param {Array<Object>} issues - From getOpenJiraIssues
+ * @returns {Array<string>} Notes
+ */
+function realityCheck(member, entry, since, commits, issues) {
+    const notes = [];
+    const tz = calendar.scheduleFor(member).timezone;
+    const login = (member.githubLogin || '').toLowerCase();
+
+    if (login) {
+        const theirCommits = commits.filter(c =>
+            (c.login || '').toLowerCase() === login && calendar.localParts(new Date(c.date), tz).date >= since
+        );
+        notes.push(theirCommits.length ? `${theirCommits.length} commit(s) since ${since}` : `no commits since ${since}`);
+    } else {
+        notes.push('GitHub not linked, commits unknown');
+    }
+
+    if (member.jiraAccountId) {
+        const said = `${entry.yesterday || ''}\n${entry.today || ''}`;
+        const mentioned = [...new Set(said.match(TICKET_KEY) || [])];
+        const assigned = issues.filter(i => i.fields.assignee?.accountId === member.jiraAccountId);
+        for (const key of mentioned) {
+            const issue = issues.find(i => i.key === key);
+            if (issue && issue.fields.assignee?.accountId !== member.jiraAccountId) notes.push(`⚠️ mentions ${key}, which isn't assigned to them`);
+        }
+        const unmentioned = assigned.filter(i => !mentioned.includes(i.key) && !/^(to do|backlog|open)$/i.test(i.fields.status?.name || ''));
+        if (unmentioned.length) {
+            notes.push(`in progress but not mentioned: ${unmentioned.map(i => `${i.key} (${i.fields.status?.name})`).join(', ')}`);
+        }
+    }
+    return notes;
+}
+
+/**
+ * Post the consolidated standup summary to the report channel.
+ * @param {Object} slackApp - Slack Bolt app instance
+ * @param {Date} [now]
+ * @returns {Promise<string|null>} The summary text, or null without a report channel
+ */
+async function postStandupSummary(slackApp, now = new Date()) {
+    const channel = memory.get('report_channel');
+    if (!channel) {
+        console.log("⚠️ Standup: no report channel set, skipping summary");
+        return null;
+    }
+
+    const commits = await getRecentCommits(100);
+    const issues = await getOpenJiraIssues();
+
+    const answered = [];
+    const silent = [];
+    const away = [];
+    for (const member of team.getAllMembers()) {
+        const day = localDate(member, now);
+        const entry = getEntry(member.key, day);
+        if (!entry) {
+            if (!calendar.isWorkingDay(day, member)) away.push(member.name);
+            continue;
+        }
+        if (!entry.answeredAt) {
+            silent.push(`<@${member.slackId}>`);
+            continue;
+        }
+
+        const notes = realityCheck(member, entry, previousWorkingDay(day, member), commits, issues);
+        answered.push([
+            `*${member.name}*`,
+            `• Yesterday: ${entry.yesterday || '_no answer_'}`,
+            `• Today: ${entry.today || '_no answer_'}`,
+            `• Blockers: ${entry.blockers || '_no answer_'}`,
+            `• Reality check: ${notes.join('; ')}`
+        ].join('\n'));
+    }
+
+    const blockers = getOpenBlockers().map(b => {
+        const member = team.getMember(b.memberKey);
+        return `• <@${b.slackId}>: ${b.text}${b.raisedOn !== localDate(member, now) ? ` _(since ${b.raisedOn})_` : ''}`;
+    });
+
+    const sections = ["🧍 *Daily Standup*"];
+    sections.push(blockers.length ? `🚧 *Blockers:*\n${blockers.join('\n')}` : "🚧 *Blockers:* none 🎉");
+    if (silent.length) sections.push(`🙊 *No answer yet:* ${silent.join(', ')}`);
+    if (away.length) sections.push(`🌴 *Away:* ${away.join(', ')}`);
+    sections.push(answered.length ? answered.join('\n\n') : "_Nobody has answered yet._");
+
+    const text = sections.join('\n\n');
+    await slackApp.client.chat.postMessage({ channel, text });
+    return text;
+}
+
+/**
+ * Open blockers as report lines ("Name: text (since date)").
+ * @returns {Array<string>}
+ */
+function describeBlockers() {
+    return getOpenBlockers().map(b => `${team.getMember(b.memberKey)?.name || b.memberKey}: ${b.text} (since ${b.raisedOn})`);
+}
+
+module.exports = {
+    askStandups,
+    handleStandupReply,
+    parseAnswers,
+    postStandupSummary,
+    getEntry,
+    getOpenBlockers,
+    describeBlockers
+};
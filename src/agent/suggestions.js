@@ -0,0 +1,467 @@
+/**
+ * suggestions.js - Suggested Task Approvals
+ *
+ * Tasks suggested in the PM report are not created in Jira straight away.
+ * Each one is checked against the open Jira tickets for semantic duplicates,
+ * then posted as a card with Approve / Edit / Reassign / Dismiss. The ticket
+ * is only created when someone on the team approves it.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('../utils/store');
+const team = require('../config/team');
+const { getEmbedding } = require('../memory/vector');
+const { createJiraTaskWithAssignee } = require('../tools/jira');
+
+// { id: { id, summary, description, assignee: { key, name, slackId, jiraAccountId }, similar: [{ key, summary, score }], status, channel, ts, createdAt, decidedBy, result } }
+const suggestions = createStore('task_suggestions');
+
+const KEEP_MS = 30 * 24 * 60 * 60 * 1000;
+// At or above this similarity the suggestion is an existing ticket and isn't posted
+const DUPLICATE_SCORE = 0.85;
+// At or above this it's posted, with the similar tickets shown as a warning
+const SIMILAR_SCORE = 0.6;
+
+// Embeddings of open ticket summaries, so each report only embeds new tickets
+const embeddingCache = new Map();
+
+/**
+ * Lowercased words of a text, for comparing suggestions.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function words(text) {
+    return String(text).toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * Cosine similarity of two vectors.
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {number}
+ */
+function cosine(a, b) {
+    let dot = 0, na = 0, nb = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        na += a[i] * a[i];
+        nb += b[i] * b[i];
+    }
+    return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+/**
+ * Word overlap (Dice coefficient), used when embeddings are unavailable.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function wordOverlap(a, b) {
+    const setA = new Set(words(a));
+    const setB = new Set(words(b));
+    if (!setA.size || !setB.size) return 0;
+    const shared = [...setA].filter(w => setB.has(w)).length;
+    return 2 * shared / (setA.size + setB.size);
+}
+
+/**
+ * Embed a text, remembering the result.
+ * @param {string} text
+ * @returns {Promise<Array<number>|null>}
+ */
+async function cachedEmbedding(text) {
+    if (embeddingCache.has(text)) return embeddingCache.get(text);
+    const vector = await getEmbedding(text);
+    if (vector) embeddingCache.set(text, vector);
+    return vector;
+}
+
+/**
+ * Open Jira tickets that look like the same work as a suggested task.
+ * @param {string} summary - Suggested task
+ * @param {Array<Object>} openIssues - From getOpenJiraIssues
+ * @returns {Promise<Array<{key: string, summary: string, score: number}>>} Best match first
+ */
+async function findDuplicates(summary, openIssues) {
+    const vector = await cachedEmbedding(summary);
+    const scored = [];
+    for (const issue of openIssues) {
+        const other = vector ? await cachedEmbedding(issue.fields.summary) : null;
+        const score = vector && other ? cosine(vector, other) : wordOverlap(summary, issue.fields.summary);
+        if (score >= SIMILAR_SCORE) {
+            scored.push({ key: issue.key, summary: issue.fields.summary, score: Math.round(score * 100) / 100 });
+        }
+    }
+    return scored.sort((a, b) => b.score - a.score).slice(0, 3);
+}
+
+/**
+ * A pending or dismissed suggestion with the same wording, so reports don't
+ * keep re-suggesting the same thing.
+ * @param {string} summary
+ * @returns {Object|null}
+ */
+function findRepeat(summary) {
+    const normalized = words(summary).join(' ');
+    return Object.values(suggestions.read()).find(s =>
+        s.status !== 'created' && words(s.summary).join(' ') === normalized) || null;
+}
+
+/**
+ * Check a suggested task for duplicates and post it for approval.
+ * @param {Object} slackApp - Slack Bolt app
+ * @param {string} channel - Where to post the card
+ * @param {Object} task
+ * @param {string} task.summary
+ * @param {Object} task.member - Roster member it was suggested for
+ * @param {string} [task.description]
+ * @param {Array<Object>} openIssues - From getOpenJiraIssues
+ * @returns {Promise<{status: string, suggestion?: Object, duplicates?: Array<Object>, repeat?: Object}>}
+ *   status is 'posted', 'duplicate' (matches an open ticket) or 'repeat' (already suggested)
+ */
+async function proposeTask(slackApp, channel, { summary, member, description = '' }, openIssues) {
+    const repeat = findRepeat(summary);
+    if (repeat) return { status: 'repeat', repeat };
+
+    const similar = await findDuplicates(summary, openIssues);
+    if (similar.length && similar[0].score >= DUPLICATE_SCORE) return { status: 'duplicate', duplicates: similar };
+
+    const suggestion = {
+        id: crypto.randomBytes(4).toString('hex'),
+        summary,
+        description,
+        assignee: assigneeOf(member),
+        similar,
+        status: 'pending',
+        channel,
+        ts: null,
+        createdAt: new Date().toISOString()
+    };
+
+    const posted = await slackApp.client.chat.postMessage({
+        channel,
+        text: renderSuggestionText(suggestion),
+        blocks: renderSuggestionBlocks(suggestion),
+        unfurl_links: false
+    });
+    suggestion.ts = posted.ts;
+
+    suggestions.update(data => {
+        const cutoff = Date.now() - KEEP_MS;
+        for (const [id, s] of Object.entries(data)) {
+            if (new Date(s.createdAt).getTime() < cutoff) delete data[id];
+        }
+        data[suggestion.id] = suggestion;
+    });
+    return { status: 'posted', suggestion };
+}
+
+/**
+ * The assignee fields stored on a suggestion.
+ * @param {Object|null} member
+ * @returns {Object|null}
+ */
+function assigneeOf(member) {
+    return member ? { key: member.key, name: member.name, slackId: member.slackId, jiraAccountId: member.jiraAccountId } : null;
+}
+
+/**
+ * Get a suggestion.
+ * @param {string} id
+ * @returns {Object|null}
+ */
+function getSuggestion(id) {
+    return suggestions.get(id) || null;
+}
+
+/**
+ * Suggestions still waiting for a decision.
+ * @returns {Array<Object>}
+ */
+function getPendingSuggestions() {
+    return Object.values(suggestions.read()).filter(s => s.status === 'pending');
+}
+
+/**
+ * Why a suggestion can't be acted on, if it can't.
+ * @param {Object|undefined} suggestion
+ * @param {string} id
+ * @returns {string|null} Error message, or null when it's still pending
+ */
+function notPending(suggestion, id) {
+    if (!suggestion) return `❌ Suggested task \`${id}\` not found (it may have expired).`;
+    if (suggestion.status === 'approving') return `⏳ <@${suggestion.decidedBy}> is already creating that ticket.`;
+    if (suggestion.status !== 'pending') return `❌ That suggestion was already ${suggestion.status} by <@${suggestion.decidedBy}>.`;
+    return null;
+}
+
+/**
+ * Change a pending suggestion.
+ * @param {string} id
+ * @param {Function} change - (suggestion) => void
+ * @returns {Object|string} The updated suggestion, or an error message
+ */
+function updatePending(id, change) {
+    let result;
+    suggestions.update(data => {
+        result = notPending(data[id], id);
+        if (result) return;
+        change(data[id]);
+        result = data[id];
+    });
+    return result;
+}
+
+/**
+ * Create the Jira ticket for a suggestion.
+ * @param {string} id
+ * @param {string} userId - Slack ID of whoever approved it
+ * @returns {Promise<string>} Result message
+ */
+async function approveSuggestion(id, userId) {
+    // Claim it before calling Jira so a second click (or approver) can't create a second ticket
+    const suggestion = updatePending(id, s => {
+        s.status = 'approving';
+        s.decidedBy = userId;
+    });
+    if (typeof suggestion === 'string') return suggestion;
+
+    const result = await createJiraTaskWithAssignee(
+        suggestion.summary,
+        suggestion.assignee?.jiraAccountId || null,
+        suggestion.description || `Suggested in the PM report${suggestion.assignee ? ` for ${suggestion.assignee.name}` : ''}`
+    );
+
+    suggestions.update(data => {
+        const s = data[id];
+        if (!s) return;
+        if (result.startsWith('✅')) {
+            s.status = 'created';
+            s.result = result;
+        } else {
+            // Back to pending so it can be retried
+            s.status = 'pending';
+            delete s.decidedBy;
+        }
+    });
+    if (!result.startsWith('✅')) return result;
+    return `${result} (approved by <@${userId}>)`;
+}
+
+/**
+ * Dismiss a suggestion; the same wording won't be suggested again.
+ * @param {string} id
+ * @param {string} userId
+ * @returns {string} Result message
+ */
+function dismissSuggestion(id, userId) {
+    const result = updatePending(id, s => {
+        s.status = 'dismissed';
+        s.decidedBy = userId;
+    });
+    return typeof result === 'string' ? result : `🗑️ Suggested task dismissed by <@${userId}>: ~${result.summary}~`;
+}
+
+/**
+ * Reword a suggestion.
+ * @param {string} id
+ * @param {Object} fields - { summary, description }
+ * @returns {Object|string} The updated suggestion, or an error message
+ */
+function editSuggestion(id, { summary, description = '' }) {
+    return updatePending(id, s => {
+        s.summary = summary;
+        s.description = description;
+    });
+}
+
+/**
+ * Suggest the task for someone else.
+ * @param {string} id
+ * @param {string} memberKey - Roster key, or 'unassigned'
+ * @returns {Object|string} The updated suggestion, or an error message
+ */
+function reassignSuggestion(id, memberKey) {
+    const member = memberKey === 'unassigned' ? null : team.getMember(memberKey);
+    if (memberKey !== 'unassigned' && !member) return `❌ \`${memberKey}\` is not on the team roster.`;
+    return updatePending(id, s => { s.assignee = assigneeOf(member); });
+}
+
+/**
+ * Plain-text version of the card (notification fallback).
+ * @param {Object} suggestion
+ * @returns {string}
+ */
+function renderSuggestionText(suggestion) {
+    return `📋 Suggested task for ${suggestion.assignee ? suggestion.assignee.name : 'nobody yet'}: ${suggestion.summary}`;
+}
+
+/**
+ * Block Kit card with Approve / Edit / Reassign / Dismiss.
+ * @param {Object} suggestion
+ * @returns {Array} Slack blocks
+ */
+function renderSuggestionBlocks(suggestion) {
+    const assignee = suggestion.assignee ? `<@${suggestion.assignee.slackId}>` : 'Unassigned';
+    const options = team.getAllMembers()
+        .filter(m => m.jiraAccountId)
+        .map(m => ({ text: { type: "plain_text", text: m.name }, value: m.key }))
+        .concat([{ text: { type: "plain_text", text: "Unassigned" }, value: 'unassigned' }]);
+    const current = options.find(o => o.value === (suggestion.assignee?.key || 'unassigned'));
+
+    return [
+        { type: "section", text: { type: "mrkdwn", text: `📋 *Suggested task* for ${assignee}\n*${suggestion.summary}*${suggestion.description ? `\n${suggestion.description}` : ''}` } },
+        ...(suggestion.similar.length ? [{
+            type: "context",
+            elements: [{ type: "mrkdwn", text: `⚠️ Similar open tickets: ${suggestion.similar.map(d => `${d.key} "${d.summary}" (${Math.round(d.score * 100)}%)`).join(', ')}` }]
+        }] : []),
+        {
+            type: "actions",
+            elements: [
+                { type: "button", text: { type: "plain_text", text: "Approve" }, style: "primary", action_id: "task_suggestion_approve", value: suggestion.id },
+                { type: "button", text: { type: "plain_text", text: "Edit" }, action_id: "task_suggestion_edit", value: suggestion.id },
+                {
+                    type: "static_select",
+                    placeholder: { type: "plain_text", text: "Reassign" },
+                    action_id: "task_suggestion_reassign",
+                    options: options.map(o => ({ ...o, value: `${suggestion.id}:${o.value}` })),
+                    ...(current ? { initial_option: { ...current, value: `${suggestion.id}:${current.value}` } } : {})
+                },
+                { type: "button", text: { type: "plain_text", text: "Dismiss" }, style: "danger", action_id: "task_suggestion_dismiss", value: suggestion.id }
+            ]
+        },
+        { type: "context", elements: [{ type: "mrkdwn", text: `Suggestion \`${suggestion.id}\` · no ticket is created until someone approves` }] }
+    ];
+}
+
+/**
+ * Edit modal for a suggestion.
+ * @param {Object} suggestion
+ * @returns {Object} Slack view
+ */
+function renderEditModal(suggestion) {
+    const input = (blockId, label, value, extra = {}) => ({
+        type: "input",
+        block_id: blockId,
+        label: { type: "plain_text", text: label },
+        element: { type: "plain_text_input", action_id: "value", ...(value ? { initial_value: value } : {}), ...extra }
+    });
+    return {
+        type: "modal",
+        callback_id: "task_suggestion_edit",
+        private_metadata: suggestion.id,
+        title: { type: "plain_text", text: "Edit suggested task" },
+        submit: { type: "plain_text", text: "Save" },
+        close: { type: "plain_text", text: "Cancel" },
+        blocks: [
+            input('summary', 'Summary', suggestion.summary),
+            { ...input('description', 'Description', suggestion.description, { multiline: true }), optional: true }
+        ]
+    };
+}
+
+/**
+ * Only people on the roster (or admins) decide on suggestions.
+ * @param {string} slackId
+ * @returns {boolean}
+ */
+function canDecide(slackId) {
+    return Boolean(team.findMemberBySlackId(slackId)) || team.isAdmin(slackId);
+}
+
+/**
+ * Redraw a suggestion card after a change.
+ * @param {Object} client - Slack Web API client
+ * @param {Object} suggestion
+ */
+async function refreshCard(client, suggestion) {
+    await client.chat.update({
+        channel: suggestion.channel,
+        ts: suggestion.ts,
+        text: renderSuggestionText(suggestion),
+        blocks: renderSuggestionBlocks(suggestion)
+    });
+}
+
+/**
+ * Register the card buttons and the edit modal on the Bolt app.
+ * @param {Object} app - Slack Bolt app
+ */
+function registerSuggestionActions(app) {
+    // Wrap a handler with ack and the roster check
+    const guarded = (handler) => async ({ ack, body, client }) => {
+        await ack();
+        if (!canDecide(body.user.id)) {
+            await client.chat.postEphemeral({
+                channel: body.channel.id,
+                user: body.user.id,
+                text: "⛔ Only people on the team roster can act on suggested tasks."
+            });
+            return;
+        }
+        await handler({ body, client, action: body.actions[0] });
+    };
+
+    // Approve / Dismiss replace the card with the outcome
+    for (const [actionId, decide] of [['task_suggestion_approve', approveSuggestion], ['task_suggestion_dismiss', dismissSuggestion]]) {
+        app.action(actionId, guarded(async ({ body, client, action }) => {
+            const result = await decide(action.value, body.user.id);
+            if (result.startsWith('❌') || result.startsWith('⏳')) {
+                await client.chat.postEphemeral({ channel: body.channel.id, user: body.user.id, text: result });
+                return;
+            }
+            await client.chat.update({ channel: body.channel.id, ts: body.message.ts, text: result, blocks: [] });
+        }));
+    }
+
+    app.action('task_suggestion_edit', guarded(async ({ body, client, action }) => {
+        const suggestion = getSuggestion(action.value);
+        const error = notPending(suggestion, action.value);
+        if (error) {
+            await client.chat.postEphemeral({ channel: body.channel.id, user: body.user.id, text: error });
+            return;
+        }
+        await client.views.open({ trigger_id: body.trigger_id, view: renderEditModal(suggestion) });
+    }));
+
+    app.action('task_suggestion_reassign', guarded(async ({ body, client, action }) => {
+        const [id, memberKey] = action.selected_option.value.split(':');
+        const result = reassignSuggestion(id, memberKey);
+        if (typeof result === 'string') {
+            await client.chat.postEphemeral({ channel: body.channel.id, user: body.user.id, text: result });
+            return;
+        }
+        await refreshCard(client, result);
+    }));
+
+    app.view('task_suggestion_edit', async ({ ack, body, view, client }) => {
+        const values = view.state.values;
+        const summary = (values.summary?.value?.value || '').trim();
+        if (!summary) {
+            await ack({ response_action: 'errors', errors: { summary: 'The task needs a summary.' } });
+            return;
+        }
+        if (!canDecide(body.user.id)) {
+            await ack({ response_action: 'errors', errors: { summary: 'Only people on the team roster can edit suggested tasks.' } });
+            return;
+        }
+        await ack();
+        const result = editSuggestion(view.private_metadata, { summary, description: (values.description?.value?.value || '').trim() });
+        if (typeof result !== 'string') await refreshCard(client, result);
+    });
+}
+
+module.exports = {
+    DUPLICATE_SCORE,
+    SIMILAR_SCORE,
+    findDuplicates,
+    proposeTask,
+    getSuggestion,
+    getPendingSuggestions,
+    approveSuggestion,
+    dismissSuggestion,
+    editSuggestion,
+    reassignSuggestion,
+    renderSuggestionBlocks,
+    registerSuggestionActions
+};
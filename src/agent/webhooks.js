@@ -0,0 +1,411 @@
+/**
+ * webhooks.js - GitHub Webhook Handling
+ *
+ * - Verifies X-Hub-Signature-256 against GITHUB_WEBHOOK_SECRET
+ * - Drops redelivered events using X-GitHub-Delivery
+ * - Routes each event type to its own handler, which can be switched
+ *   on/off and pointed at its own Slack channel (memory key 'webhook_events')
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const memory = require('../utils/memory');
+const { createStore } = require('../utils/store');
+const { findTeamMemberByGitHub } = require('../config/team');
+const { getFailedWorkflowJobs, getFailedSuiteRuns } = require('../tools/github');
+const { fromWebhookPR, linkPullRequest, completePullRequest } = require('./linking');
+const { reviewPullRequest } = require('./review');
+const { renderAlert } = require('../utils/blocks');
+
+// ids: deliveries already handled; completed: delivery id -> handler types that already ran for
+// a delivery that partly failed, so a redelivery only retries the rest
+const deliveries = createStore('webhook_deliveries', { ids: [], completed: {} });
+const MAX_REMEMBERED_DELIVERIES = 500;
+// Events answered with 200 whose handlers are still running
+const inFlight = new Set();
+
+// GitHub Actions fires check_suite and workflow_run for the same failure (both carry the suite id):
+// only alert once per commit + suite. Per-job check_run events are left out, the suite alert lists every failed job.
+const alertedCIFailures = new Set();
+const CI_EVENTS = ['check_suite', 'workflow_run'];
+const FAILED_CONCLUSIONS = ['failure', 'timed_out'];
+
+/**
+ * Slack mention for a GitHub login, or the plain login if unknown.
+ * @param {string} login
+ * @returns {string}
+ */
+function mentionFor(login) {
+    const member = login ? findTeamMemberByGitHub(login) : null;
+    return member ? `<@${member.slackId}>` : (login || 'someone');
+}
+
+/**
+ * Render a CI failure alert for check_suite / workflow_run events.
+ * @param {string} eventName
+ * @param {Object} p - Payload
+ * @returns {Promise<string|null>}
+ */
+async function renderCIFailure(eventName, p) {
+    const run = p[eventName];
+    const headSha = run.head_sha;
+    const pipeline = eventName === 'workflow_run' ? run.name : (run.app?.name || 'CI');
+    const suiteId = eventName === 'workflow_run' ? run.check_suite_id : run.id;
+    const alertKey = `${headSha}:${suiteId}`;
+    if (alertedCIFailures.has(alertKey)) return null;
+    alertedCIFailures.add(alertKey);
+    if (alertedCIFailures.size > 200) alertedCIFailures.delete(alertedCIFailures.values().next().value);
+
+    const jobs = eventName === 'workflow_run' ? await getFailedWorkflowJobs(run.id) : await getFailedSuiteRuns(run.id);
+
+    const culprit = run.actor?.login || run.triggering_actor?.login || run.head_commit?.author?.name || p.sender?.login;
+    const pr = (run.pull_requests || [])[0];
+    const where = pr ? `PR #${pr.number} (\`${pr.head?.ref || run.head_branch}\`)` : `*${run.head_branch}*`;
+    const jobLines = jobs.length ? jobs.map(j => `• ${j}`).join('\n') : "• (couldn't fetch job names)";
+    const url = run.html_url || run.details_url || '';
+
+    return `🔴 *CI failed* on ${where} @ \`${headSha.substring(0, 7)}\` - last change by ${mentionFor(culprit)}\n*${pipeline}* failing jobs:\n${jobLines}\n${url}`.trim();
+}
+
+/**
+ * Event handlers. Each one decides if it applies to a delivery and renders the Slack text.
+ * `render` may return null to skip posting.
+ */
+const EVENT_HANDLERS = {
+    pr_opened: {
+        description: "PR opened",
+        match: (name, p) => name === 'pull_request' && p.action === 'opened',
+        render: (p) => `🚨 *New PR Alert!* ${mentionFor(p.pull_request.user.login)} just opened *${p.pull_request.title}* (PR #${p.pull_request.number})\n_I'll keep an eye on it!_`
+    },
+    pr_merged: {
+        description: "PR merged",
+        match: (name, p) => name === 'pull_request' && p.action === 'closed' && p.pull_request?.merged,
+        render: (p) => `🎉 *PR Merged!* PR #${p.pull_request.number} (*${p.pull_request.title}*) has been merged! Nice work! 🚀`
+    },
+    review_requested: {
+        description: "Review requested",
+        match: (name, p) => name === 'pull_request' && p.action === 'review_requested',
+        render: (p) => {
+            const reviewer = p.requested_reviewer?.login
+                ? mentionFor(p.requested_reviewer.login)
+                : (p.requested_team ? `team *${p.requested_team.name}*` : null);
+            if (!reviewer) return null;
+            return `👀 ${reviewer}, ${mentionFor(p.pull_request.user.login)} asked for your review on *${p.pull_request.title}* (PR #${p.pull_request.number})\n${p.pull_request.html_url}`;
+        }
+    },
+    review_submitted: {
+        description: "Review submitted (approved / changes requested)",
+        match: (name, p) => name === 'pull_request_review' && p.action === 'submitted'
+            && ['approved', 'changes_requested'].includes(p.review?.state?.toLowerCase()),
+        render: (p) => {
+            const approved = p.review.state.toLowerCase() === 'approved';
+            const verdict = approved ? "✅ approved" : "🛠️ requested changes on";
+            return `${mentionFor(p.review.user.login)} ${verdict} *${p.pull_request.title}* (PR #${p.pull_request.number}) - heads up ${mentionFor(p.pull_request.user.login)}\n${p.review.html_url || p.pull_request.html_url}`;
+        }
+    },
+    pr_comment: {
+        description: "Comments on PRs",
+        match: (name, p) => p.action === 'created' && (
+            (name === 'issue_comment' && p.issue?.pull_request) || name === 'pull_request_review_comment'
+        ),
+        render: (p) => {
+            const target = p.pull_request || p.issue;
+            // Don't ping people about their own comments
+            if (p.comment.user.login === target.user.login) return null;
+            const snippet = p.comment.body.length > 200 ? `${p.comment.body.substring(0, 200)}...` : p.comment.body;
+            return `💬 ${mentionFor(p.comment.user.login)} commented on *${target.title}* (PR #${target.number}) for ${mentionFor(target.user.login)}:\n> ${snippet.replace(/\n/g, '\n> ')}\n${p.comment.html_url}`;
+        }
+    },
+    push: {
+        description: "Pushes to the default branch",
+        match: (name, p) => name === 'push' && p.repository
+            && p.ref === `refs/heads/${p.repository.default_branch}` && !p.deleted,
+        render: (p) => {
+            const commits = p.commits || [];
+            if (commits.length === 0) return null;
+            const lines = commits.slice(0, 5).map(c => `• \`${c.id.substring(0, 7)}\` ${c.message.split('\n')[0]} (${c.author?.username || c.author?.name})`);
+            const more = commits.length > 5 ? `\n_...and ${commits.length - 5} more_` : "";
+            return `📦 ${mentionFor(p.pusher?.name || p.sender?.login)} pushed ${commits.length} commit(s) to *${p.repository.default_branch}*:\n${lines.join('\n')}${more}\n${p.compare}`;
+        }
+    },
+    release: {
+        description: "Releases published",
+        match: (name, p) => name === 'release' && p.action === 'published',
+        render: (p) => `🏷️ *Release ${p.release.tag_name}* is out${p.release.name ? `: ${p.release.name}` : ''}! Shipped by ${mentionFor(p.release.author?.login)} 🚢\n${p.release.html_url}`
+    },
+    ci_failed: {
+        description: "CI failures on the default branch or open PRs",
+        match: (name, p) => {
+            if (!CI_EVENTS.includes(name) || p.action !== 'completed') return false;
+            const run = p[name];
+            if (!run || !FAILED_CONCLUSIONS.includes(run.conclusion)) return false;
+            const branch = run.head_branch;
+            return branch === p.repository?.default_branch || (run.pull_requests || []).length > 0;
+        },
+        render: (p, name) => renderCIFailure(name, p)
+    },
+    auto_review: {
+        description: "Review PRs on GitHub when opened or marked ready for review",
+        match: (name, p) => name === 'pull_request' && (
+            (p.action === 'opened' && !p.pull_request?.draft) || p.action === 'ready_for_review'
+        ),
+        render: async (p) => {
+            const text = await reviewPullRequest(p.pull_request.number);
+            // Nobody asked for this review, so only post when one was actually left on GitHub
+            if (text && !text.startsWith('🔍')) {
+                console.log(`⚠️ Auto-review skipped for PR #${p.pull_request.number}: ${text}`);
+                return null;
+            }
+            return text;
+        }
+    },
+    jira_sync: {
+        description: "Link PRs to Jira tickets and move them to review / done",
+        match: (name, p) => name === 'pull_request' && (
+            ['opened', 'reopened'].includes(p.action) || (p.action === 'closed' && p.pull_request?.merged)
+        ),
+        render: async (p) => {
+            const pr = fromWebhookPR(p.pull_request);
+            const merged = p.action === 'closed';
+            const { keys, outcomes } = merged ? await completePullRequest(pr) : await linkPullRequest(pr);
+            if (keys.length === 0) {
+                return merged ? null : `🏷️ PR #${pr.number} doesn't reference a Jira ticket. ${mentionFor(pr.author)}, add the key to the title or branch name?`;
+            }
+            return `🔗 PR #${pr.number} ${merged ? 'merged' : 'linked'}: ${outcomes.join(', ')}`;
+        }
+    },
+    issue_opened: {
+        description: "Issue opened",
+        match: (name, p) => name === 'issues' && p.action === 'opened',
+        render: (p) => `🐛 *New Issue!* ${p.issue.user.login} opened: *${p.issue.title}* (Issue #${p.issue.number})`
+    },
+    issue_closed: {
+        description: "Issue closed",
+        match: (name, p) => name === 'issues' && p.action === 'closed',
+        render: (p) => `✅ *Issue closed:* *${p.issue.title}* (Issue #${p.issue.number}) by ${mentionFor(p.sender?.login)}`
+    }
+};
+
+/**
+ * Get the enabled flag and channel override for an event type.
+ * @param {string} type - Key of EVENT_HANDLERS
+ * @returns {{enabled: boolean, channel: string|null}}
+ */
+function getEventConfig(type) {
+    const config = (memory.get('webhook_events') || {})[type] || {};
+    return {
+        enabled: config.enabled !== false,
+        channel: config.channel || null
+    };
+}
+
+/**
+ * Update the config of an event type.
+ * @param {string} type - Key of EVENT_HANDLERS
+ * @param {{enabled?: boolean, channel?: string|null}} changes
+ * @returns {{enabled: boolean, channel: string|null}}
+ */
+function setEventConfig(type, changes) {
+    if (!EVENT_HANDLERS[type]) {
+        throw new Error(`Unknown event "${type}". Known events: ${Object.keys(EVENT_HANDLERS).join(', ')}`);
+    }
+    const all = memory.get('webhook_events') || {};
+    all[type] = { ...getEventConfig(type), ...changes };
+    memory.set('webhook_events', all);
+    return all[type];
+}
+
+/**
+ * Human-readable summary of all event configs.
+ * @returns {string}
+ */
+function describeEventConfig() {
+    return Object.entries(EVENT_HANDLERS).map(([type, handler]) => {
+        const { enabled, channel } = getEventConfig(type);
+        const where = channel ? `<#${channel}>` : "report channel";
+        return `• \`${type}\` (${handler.description}): ${enabled ? "on" : "off"} → ${where}`;
+    }).join("\n");
+}
+
+/**
+ * Verify GitHub's HMAC signature for a raw request body.
+ * @param {Buffer} rawBody
+ * @param {string} signatureHeader - Value of X-Hub-Signature-256
+ * @param {string} secret
+ * @returns {boolean}
+ */
+function verifySignature(rawBody, signatureHeader, secret) {
+    if (!secret || !signatureHeader || !rawBody) return false;
+    const expected = `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+    const a = Buffer.from(expected);
+    const b = Buffer.from(signatureHeader);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Record a delivery ID. Returns false if it was already seen.
+ * @param {string} deliveryId
+ * @returns {boolean}
+ */
+function markDelivery(deliveryId) {
+    if (!deliveryId) return true;
+    let isNew = true;
+    deliveries.update(data => {
+        if (data.ids.includes(deliveryId)) {
+            isNew = false;
+            return;
+        }
+        data.ids.push(deliveryId);
+        if (data.ids.length > MAX_REMEMBERED_DELIVERIES) {
+            data.ids = data.ids.slice(-MAX_REMEMBERED_DELIVERIES);
+        }
+    });
+    return isNew;
+}
+
+/**
+ * Record how a delivery's handlers went. If any failed, the ID is forgotten so the event can be
+ * redelivered by hand from the repo's webhook settings. GitHub won't retry on its own, since
+ * every delivery is answered with 200 before the handlers run. The handlers that completed are
+ * kept and skipped on that redelivery, so their alerts aren't posted twice.
+ * @param {string} deliveryId
+ * @param {{completed: Array<string>, failed: Array<string>}} outcome - From dispatchEvent
+ */
+function finishDelivery(deliveryId, { completed, failed }) {
+    if (!deliveryId) return;
+    deliveries.update(data => {
+        const done = data.completed || {};
+        if (failed.length) {
+            data.ids = data.ids.filter(id => id !== deliveryId);
+            done[deliveryId] = [...new Set([...(done[deliveryId] || []), ...completed])];
+            const ids = Object.keys(done);
+            for (const id of ids.slice(0, Math.max(0, ids.length - MAX_REMEMBERED_DELIVERIES))) delete done[id];
+        } else {
+            delete done[deliveryId];
+        }
+        data.completed = done;
+    });
+}
+
+/**
+ * Handler types that already ran for an earlier, partly failed attempt at this delivery.
+ * @param {string} deliveryId
+ * @returns {Array<string>}
+ */
+function completedHandlers(deliveryId) {
+    if (!deliveryId) return [];
+    return (deliveries.read().completed || {})[deliveryId] || [];
+}
+
+/**
+ * Run every matching, enabled handler for one event.
+ * A handler that throws is logged and skipped; the others still run.
+ * @param {Object} slackApp - Slack Bolt app instance
+ * @param {string} eventName - Value of X-GitHub-Event
+ * @param {Object} payload - Parsed JSON body
+ * @param {Object} [options]
+ * @param {Array<string>} [options.skip] - Handler types not to run again (see completedHandlers)
+ * @returns {Promise<{posted: Array<string>, completed: Array<string>, failed: Array<string>}>}
+ *   The handler types that posted, that ran without throwing (posting or not) and that threw
+ */
+async function dispatchEvent(slackApp, eventName, payload, { skip = [] } = {}) {
+    const reportChannel = memory.get('report_channel');
+    const posted = [];
+    const completed = [];
+    const failed = [];
+
+    for (const [type, handler] of Object.entries(EVENT_HANDLERS)) {
+        if (skip.includes(type) || !handler.match(eventName, payload)) continue;
+
+        const { enabled, channel } = getEventConfig(type);
+        const target = channel || reportChannel;
+        if (!enabled) continue;
+        if (!target) {
+            console.log(`⚠️ GitHub ${type} event received but no report channel set.`);
+            continue;
+        }
+
+        try {
+            const text = await handler.render(payload, eventName);
+            if (text) {
+                await slackApp.client.chat.postMessage({ channel: target, ...renderAlert(text), unfurl_links: false });
+                posted.push(type);
+                console.log(`🔔 Posted ${type} alert to ${target}`);
+            }
+            completed.push(type);
+        } catch (e) {
+            failed.push(type);
+            console.error(`❌ GitHub ${type} handler failed:`, e.message);
+        }
+    }
+
+    return { posted, completed, failed };
+}
+
+/**
+ * Wait for every event still being dispatched (tests, shutdown).
+ * @returns {Promise<void>}
+ */
+async function whenIdle() {
+    while (inFlight.size) await Promise.all([...inFlight]);
+}
+
+/**
+ * Create and configure the GitHub webhook server
+ * @param {Object} slackApp - Slack Bolt app instance
+ * @returns {Object} Express server instance
+ */
+function createWebhookServer(slackApp) {
+    const server = express();
+    // Keep the raw body around for signature verification
+    server.use(express.json({
+        limit: '5mb',
+        verify: (req, res, buf) => { req.rawBody = buf; }
+    }));
+
+    server.post('/github-webhook', async (req, res) => {
+        const secret = process.env.GITHUB_WEBHOOK_SECRET;
+        if (!secret) {
+            console.error("❌ Webhook rejected: GITHUB_WEBHOOK_SECRET is not set.");
+            return res.status(503).send('Webhook secret not configured');
+        }
+        if (!verifySignature(req.rawBody, req.get('X-Hub-Signature-256'), secret)) {
+            console.warn("⛔ Webhook rejected: bad signature.");
+            return res.status(401).send('Invalid signature');
+        }
+
+        const deliveryId = req.get('X-GitHub-Delivery');
+        if (!markDelivery(deliveryId)) {
+            console.log(`🔁 Duplicate delivery ${deliveryId} ignored.`);
+            return res.status(200).send('Duplicate');
+        }
+
+        // GitHub gives up after 10 seconds and a review takes longer: answer first, then dispatch
+        res.status(200).send('OK');
+        const skip = completedHandlers(deliveryId);
+        const run = dispatchEvent(slackApp, req.get('X-GitHub-Event'), req.body, { skip })
+            .then(outcome => finishDelivery(deliveryId, outcome))
+            .catch(e => {
+                finishDelivery(deliveryId, { completed: [], failed: ['dispatch'] });
+                console.error("Webhook error:", e.message);
+            })
+            .finally(() => inFlight.delete(run));
+        inFlight.add(run);
+    });
+
+    // Health check endpoint
+    server.get('/health', (req, res) => res.status(200).send('Shehab is alive! 🧠'));
+
+    return server;
+}
+
+module.exports = {
+    EVENT_HANDLERS,
+    getEventConfig,
+    setEventConfig,
+    describeEventConfig,
+    verifySignature,
+    dispatchEvent,
+    whenIdle,
+    createWebhookServer
+};
@@ -0,0 +1,401 @@
+/**
+ * builtins.js - Shehab's Commands
+ *
+ * The command table served by router.js, both as `/shehab <command>` and,
+ * where a command has a pattern, as a plain chat message.
+ * Adding a command only needs an entry here.
+ */
+
+const memory = require('../utils/memory');
+const team = require('../config/team');
+const { DEFAULT_TIMEZONE } = require('../config/calendar');
+const scheduler = require('../scheduler/registry');
+const webhooks = require('../agent/webhooks');
+const identity = require('../agent/identity');
+const availability = require('../agent/availability');
+const vault = require('../security/vault');
+const { calculateMood, getProjectStress } = require('../agent/life');
+const { getIssues, getPullRequestsRaw } = require('../tools/github');
+const { getOpenJiraIssues } = require('../tools/jira');
+const { USE_CASES, resolveConfig } = require('../llm/provider');
+const { getSprintReport } = require('../agent/sprint');
+const { describeTrends } = require('../agent/metrics');
+const { reviewPullRequest } = require('../agent/review');
+
+// "team" | "team add @user Full Name" | "team set-role|set-skills|set-github|set-jira <member> <value>" | "team remove <member>"
+const TEAM_COMMAND = /^\s*team(?:\s+(add|remove|set-role|set-skills|set-github|set-jira)\s+(\S+)(?:\s+([\s\S]+))?)?\s*$/i;
+// "schedules" | "schedule <job> pause|resume|run|default|<cron>" | "run <job> now"
+const SCHEDULE_COMMAND = /^\s*(?:schedules|schedule\s+([\w-]+)\s+(pause|resume|run|now|default|(?:[\d*/,-]+\s+){4}[\w*/,-]+)|run\s+([\w-]+)\s+now)\s*$/i;
+// "webhooks" | "webhook <event> on|off" | "webhook <event> channel here|#channel"
+const WEBHOOK_COMMAND = /^\s*webhooks?(?:\s+(\w+)\s+(on|off|channel)(?:\s+(\S+))?)?\s*$/i;
+// "whoami" | "who am i linked to" | "links" | "link github|jira <value>" | "link discover" | "link confirm|reject <id>"
+const IDENTITY_COMMAND = /^\s*(?:who\s*am\s*i(?:\s+linked(?:\s+to)?)?\??|(links)|link\s+(discover|confirm|reject|github|jira)(?:\s+(\S+))?)\s*$/i;
+// "trends" | "trends week|weekly|month|monthly"
+const TRENDS_COMMAND = /^\s*trends?(?:\s+(week|weekly|month|monthly))?\s*$/i;
+// "review 60" | "review PR #60"
+const REVIEW_COMMAND = /^\s*review\s+(?:pr\s*)?#?(\d+)\s*$/i;
+
+/**
+ * Run a scheduled job on demand, with a heads-up first since some take a while.
+ * @param {string} name - Job name in jobs.js
+ * @param {string} doing - e.g. "Generating the report"
+ * @returns {Function} Command handler
+ */
+function runJobCommand(name, doing) {
+    return async (ctx) => {
+        await ctx.reply(`⏳ ${doing}...`);
+        return scheduler.runJob(name);
+    };
+}
+
+/**
+ * Project health at a glance: mood, stale work, failing builds and who's away.
+ * @returns {Promise<string>}
+ */
+async function projectStatus() {
+    const issues = await getIssues();
+    const { stalePRList, staleTicketList, failingBuildList } = await getProjectStress();
+    const issueCount = (issues.match(/\[Issue/g) || []).length;
+    const mood = calculateMood(issueCount, stalePRList.length, staleTicketList.length, failingBuildList.length);
+    const away = availability.whoIsAway();
+
+    const lines = [
+        `${mood.emoji} *Project status:* ${mood.level}`,
+        `• Open GitHub issues: ${issueCount}`,
+        `• Stale PRs (3+ working days): ${stalePRList.length}`,
+        ...stalePRList.map(pr => `   - #${pr.number} ${pr.title} (${team.findTeamMemberByGitHub(pr.author)?.name || pr.author}, ${pr.days_old}d)`),
+        `• Stale tickets (5+ working days): ${staleTicketList.length}`,
+        ...staleTicketList.map(t => `   - ${t.key} ${t.summary} (${team.findMemberByJiraId(t.assigneeId)?.name || t.assignee}, ${t.days_stale}d in ${t.status})`),
+        `• Failing builds: ${failingBuildList.length}`,
+        `• Away today: ${away.length ? away.map(a => `${a.member.name} (${a.reason})`).join(', ') : 'nobody'}`
+    ];
+    return lines.join('\n');
+}
+
+/**
+ * The caller's open PRs and Jira tickets, via their linked identities.
+ * @param {Object} ctx
+ * @returns {Promise<string>}
+ */
+async function myWork(ctx) {
+    const member = team.findMemberBySlackId(ctx.user);
+    if (!member) return "🤷 You're not on the team roster, so I don't know which work is yours.";
+
+    const sections = [`🧑‍💻 *${member.name}'s work:*`];
+
+    if (member.githubLogin) {
+        const login = member.githubLogin.toLowerCase();
+        const open = await getPullRequestsRaw();
+        const prs = (open || []).filter(pr => (pr.author || '').toLowerCase() === login);
+        if (!open) {
+            sections.push("*Open PRs:* ❌ couldn't read GitHub right now.");
+        } else {
+            sections.push(`*Open PRs* (${prs.length}):`);
+            sections.push(prs.length
+                ? prs.map(pr => `• <${pr.url}|#${pr.number}> ${pr.title} (${pr.days_old} working day(s) old)`).join('\n')
+                : '• none');
+        }
+    } else {
+        sections.push("*Open PRs:* no GitHub login linked. Use `link github <login>`.");
+    }
+
+    if (member.jiraAccountId) {
+        const tickets = (await getOpenJiraIssues()).filter(i => i.fields.assignee?.accountId === member.jiraAccountId);
+        sections.push(`*Open tickets* (${tickets.length}):`);
+        sections.push(tickets.length
+            ? tickets.map(i => `• ${i.key} ${i.fields.summary} (${i.fields.status?.name || 'unknown'})`).join('\n')
+            : '• none');
+    } else {
+        sections.push("*Open tickets:* no Jira account linked. Use `link jira <email or account id>`.");
+    }
+
+    return sections.join('\n');
+}
+
+/**
+ * Current settings, without any secrets.
+ * @returns {string}
+ */
+function describeConfig() {
+    const channel = memory.get('report_channel');
+    const admins = (process.env.SHEHAB_ADMINS || '').split(',').map(s => s.trim()).filter(Boolean);
+    const models = USE_CASES.map(useCase => {
+        try {
+            const { provider, model } = resolveConfig(useCase);
+            return `${useCase}: ${provider}/${model}`;
+        } catch (e) {
+            return `${useCase}: ❌ ${e.message}`;
+        }
+    });
+
+    return [
+        "⚙️ *Shehab config:*",
+        `• Report channel: ${channel ? `<#${channel}>` : 'not set (say `set report channel` in one)'}`,
+        `• Team time zone: ${DEFAULT_TIMEZONE}`,
+        `• Admins: ${admins.length ? admins.map(id => `<@${id}>`).join(', ') : 'anyone on the roster (SHEHAB_ADMINS is unset)'}`,
+        `• Escalations: ${process.env.SHEHAB_TEAM_LEAD ? `team lead ${process.env.SHEHAB_TEAM_LEAD}` : 'report channel'}`,
+        `• GitHub: ${process.env.GITHUB_OWNER}/${process.env.GITHUB_REPO} | Jira: ${process.env.JIRA_PROJECT_KEY} on ${process.env.JIRA_HOST}`,
+        `• Models: ${models.join(', ')}`,
+        "",
+        `🔔 *GitHub event routing:*\n${webhooks.describeEventConfig()}`,
+        "",
+        scheduler.describeJobs()
+    ].join('\n');
+}
+
+/**
+ * "team" commands: show or change the roster.
+ * @param {Object} ctx
+ * @returns {Promise<string>}
+ */
+async function teamCommand({ match }) {
+    const [, action, who, value] = match;
+    if (!action) return `👥 *Team roster:*\n${team.describeRoster()}`;
+
+    if (action.toLowerCase() === 'add') {
+        const slackId = (who.match(/<@(\w+)/) || [])[1];
+        if (!slackId || !value) return "Usage: `team add @user Full Name`";
+        const existing = team.findMemberBySlackId(slackId);
+        if (existing) return `❌ <@${slackId}> is already on the roster as \`${existing.key}\` (${existing.name}).`;
+        const name = value.trim();
+        // Never reuse a key: upsertMember would overwrite that member's name and Slack ID
+        const member = team.upsertMember(team.newMemberKey(name), { name, slackId });
+        return `✅ Added *${member.name}* as \`${member.key}\`. Set their role and skills with \`team set-role ${member.key} ...\` and \`team set-skills ${member.key} a, b\`.`;
+    }
+
+    const member = team.findMemberByName(who);
+    if (!member) return `❌ No team member matches "${who}".`;
+
+    if (action.toLowerCase() === 'remove') {
+        team.removeMember(member.key);
+        return `🗑️ Removed *${member.name}* from the roster.`;
+    }
+
+    if (!value) return `Usage: \`team ${action.toLowerCase()} ${member.key} <value>\``;
+    const field = {
+        'set-role': 'role',
+        'set-skills': 'skills',
+        'set-github': 'githubLogin',
+        'set-jira': 'jiraAccountId'
+    }[action.toLowerCase()];
+    const parsed = field === 'skills'
+        ? value.split(',').map(s => s.trim().toLowerCase()).filter(Boolean)
+        : value.trim().replace(/^@/, '');
+    const updated = team.upsertMember(member.key, { [field]: parsed });
+    return `✅ Updated:\n${team.describeMember(updated)}`;
+}
+
+/**
+ * "schedules" commands: list, pause, resume, reschedule or run jobs.
+ * @param {Object} ctx
+ * @returns {Promise<string>}
+ */
+async function scheduleCommand(ctx) {
+    const [, job, action, runNowJob] = ctx.match;
+    if (!job && !runNowJob) return scheduler.describeJobs();
+
+    if (runNowJob || /^(run|now)$/i.test(action)) {
+        const name = runNowJob || job;
+        if (!scheduler.getJob(name)) return `❌ Unknown job "${name}". Try \`schedules\`.`;
+        await ctx.reply(`⏳ Running *${name}*...`);
+        return scheduler.runJob(name);
+    }
+    if (/^pause$/i.test(action)) return scheduler.pauseJob(job);
+    if (/^resume$/i.test(action)) return scheduler.resumeJob(job);
+    return scheduler.rescheduleJob(job, action);
+}
+
+/**
+ * "webhooks" commands: show or change GitHub event routing.
+ * @param {Object} ctx
+ * @returns {string}
+ */
+function webhookCommand({ match, channel }) {
+    const [, type, action, target] = match;
+    if (type && action.toLowerCase() === 'channel') {
+        // Accept "here", "default" or a channel mention like <#C123|general>
+        const channelId = !target || target === 'here'
+            ? channel
+            : target === 'default' ? null : (target.match(/<#(\w+)/) || [])[1];
+        if (channelId === undefined) return "Usage: `webhook <event> channel here|default|#channel`";
+        webhooks.setEventConfig(type, { channel: channelId });
+    } else if (type) {
+        webhooks.setEventConfig(type, { enabled: action.toLowerCase() === 'on' });
+    }
+    return `🔔 *GitHub event routing:*\n${webhooks.describeEventConfig()}`;
+}
+
+/**
+ * "whoami" / "link" commands: identity links and suggestions.
+ * @param {Object} ctx
+ * @returns {Promise<string>}
+ */
+async function identityCommand({ match, user, client }) {
+    const [, list, action, value] = match;
+
+    if (list) {
+        const pending = identity.getPendingCandidates();
+        if (pending.length === 0) return "🔗 No link suggestions waiting. Admins can run `link discover`.";
+        return `🔗 *Link suggestions:*\n${pending.map(c => `• \`${c.id}\` ${c.memberKey} → ${c.system} *${c.label}* (${c.evidence})`).join('\n')}`;
+    }
+    if (!action) return identity.describeIdentity(user);
+
+    switch (action.toLowerCase()) {
+        case 'discover': {
+            const found = await identity.discoverIdentities(client);
+            await identity.notifyCandidates(client, found);
+            return found.length
+                ? `🔍 Found ${found.length} new link suggestion(s) and DM'd the people involved. See them with \`links\`.`
+                : "🔍 No new link suggestions found.";
+        }
+        case 'confirm':
+            return identity.confirmCandidate(value, user);
+        case 'reject':
+            return identity.rejectCandidate(value, user);
+        default:
+            return identity.linkIdentity(user, action.toLowerCase(), value);
+    }
+}
+
+module.exports = [
+    {
+        name: 'report now',
+        usage: 'report now',
+        description: 'Post the PM report to the report channel right away',
+        permission: 'member',
+        slashOnly: true,
+        run: runJobCommand('report', 'Generating the report')
+    },
+    {
+        name: 'nudge check',
+        usage: 'nudge check',
+        description: 'Look for stale PRs and tickets and nudge their owners now',
+        permission: 'admin',
+        slashOnly: true,
+        run: runJobCommand('nudges', 'Checking for stale work')
+    },
+    {
+        name: 'reflect',
+        usage: 'reflect',
+        description: "Run the daily reflection and share Shehab's thought",
+        permission: 'member',
+        slashOnly: true,
+        run: runJobCommand('reflection', 'Reflecting')
+    },
+    {
+        name: 'status',
+        usage: 'status',
+        description: 'Project health: mood, stale work, failing builds, who is away',
+        permission: 'anyone',
+        slashOnly: true,
+        run: projectStatus
+    },
+    {
+        name: 'sprint',
+        usage: 'sprint',
+        description: 'Active sprint: points, scope changes, burndown and projection',
+        permission: 'anyone',
+        slashOnly: true,
+        run: () => getSprintReport()
+    },
+    {
+        name: 'trends',
+        usage: 'trends [week|month]',
+        description: 'Metric trends from past reports, PR cycle time and ticket throughput',
+        pattern: TRENDS_COMMAND,
+        permission: 'anyone',
+        slashOnly: true,
+        run: ({ match }) => describeTrends(/^month/i.test(match[1] || '') ? 'month' : 'week')
+    },
+    {
+        name: 'review',
+        usage: 'review <PR number>',
+        description: 'Review a PR and post inline comments on GitHub',
+        pattern: REVIEW_COMMAND,
+        permission: 'member',
+        slashOnly: true,
+        run: async ({ match, reply }) => {
+            await reply(`⏳ Reviewing PR #${match[1]}...`);
+            return reviewPullRequest(parseInt(match[1], 10), { force: true });
+        }
+    },
+    {
+        name: 'my work',
+        usage: 'my work',
+        description: 'Your open PRs and Jira tickets',
+        permission: 'member',
+        slashOnly: true,
+        run: myWork
+    },
+    {
+        name: 'config',
+        usage: 'config',
+        description: 'Report channel, admins, models, GitHub event routing and schedules',
+        permission: 'member',
+        slashOnly: true,
+        run: describeConfig
+    },
+    {
+        name: 'team',
+        usage: 'team [add @user Full Name | remove <member> | set-role|set-skills|set-github|set-jira <member> <value>]',
+        description: 'Show the roster, or change it (admins)',
+        pattern: TEAM_COMMAND,
+        permission: (match) => match[1] ? 'admin' : 'anyone',
+        run: teamCommand
+    },
+    {
+        name: 'set report channel',
+        usage: 'set report channel',
+        description: 'Send reports and alerts to this channel',
+        pattern: /\bset report channel\b/i,
+        permission: 'admin',
+        run: ({ channel }) => {
+            memory.set("report_channel", channel);
+            return "✅ Reports will be sent to this channel.";
+        }
+    },
+    {
+        name: 'schedules',
+        usage: 'schedules | schedule <job> pause|resume|run|default|<cron> | run <job> now',
+        description: 'List scheduled jobs, or change and run them (admins)',
+        pattern: SCHEDULE_COMMAND,
+        permission: (match) => match[1] || match[3] ? 'admin' : 'anyone',
+        run: scheduleCommand
+    },
+    {
+        name: 'webhooks',
+        usage: 'webhooks | webhook <event> on|off | webhook <event> channel here|default|#channel',
+        description: 'Show or change where GitHub events are posted (admins change)',
+        pattern: WEBHOOK_COMMAND,
+        permission: (match) => match[1] ? 'admin' : 'anyone',
+        run: webhookCommand
+    },
+    {
+        name: 'link',
+        usage: 'whoami | links | link github|jira <value> | link discover | link confirm|reject <id>',
+        description: 'Your GitHub and Jira links, and link suggestions',
+        pattern: IDENTITY_COMMAND,
+        permission: (match) => (match[2] || '').toLowerCase() === 'discover' ? 'admin' : 'anyone',
+        run: identityCommand
+    },
+    {
+        name: 'hours',
+        usage: 'hours [tz <zone> | days sun-thu | 09:00-17:00] | ooo <date> [to <date>] [reason] | holidays',
+        description: 'Your working hours, out-of-office days and the team holidays',
+        pattern: availability.isAvailabilityCommand,
+        permission: 'anyone',
+        run: ({ text, user }) => availability.handleAvailabilityCommand({ user, text })
+    },
+    {
+        name: 'secret',
+        usage: 'secret set|get|allow|revoke|delete|list|audit ...',
+        description: 'Team secrets vault (replies privately)',
+        pattern: vault.isSecretCommand,
+        permission: 'anyone',
+        run: async ({ client, text, user, channel, channelType, via, reply }) => {
+            // Slash commands answer through their own ephemeral response, which works in any channel
+            await vault.handleSecretCommand(client, { text, user, channel, channel_type: channelType }, { respond: via === 'slash' ? reply : null });
+            return null;
+        }
+    }
+];
@@ -0,0 +1,221 @@
+/**
+ * router.js - Command Router
+ *
+ * Every Shehab command is defined once in builtins.js with a name, usage,
+ * description, permission and handler. The router serves them two ways:
+ * - as `/shehab <command>` subcommands (with help text)
+ * - as plain chat messages, for commands that have a `pattern`
+ * Commands are matched before the general message handler, so a command
+ * never falls through to the LLM.
+ */
+
+const team = require('../config/team');
+
+const PERMISSIONS = {
+    anyone: () => true,
+    member: (slackId) => Boolean(team.findMemberBySlackId(slackId)) || team.isAdmin(slackId),
+    admin: (slackId) => team.isAdmin(slackId)
+};
+
+const DENIED = {
+    member: "⛔ Only people on the team roster can use",
+    admin: "⛔ Only roster admins can use"
+};
+
+const commands = []; // definitions, in help order
+
+/**
+ * Register a command.
+ * @param {Object} def
+ * @param {string} def.name - Words that start the command, e.g. 'report now'
+ * @param {string} def.usage - Shown in help, e.g. 'team add @user Full Name'
+ * @param {string} def.description
+ * @param {string|Function} def.permission - 'anyone' | 'member' | 'admin', or (match) => one of those
+ * @param {RegExp|Function} [def.pattern] - Whole-message shape (or a predicate such as vault.isSecretCommand);
+ *   without one, only the name is matched
+ * @param {boolean} [def.slashOnly] - Don't answer plain chat messages (for short names like "status")
+ * @param {Function} def.run - async (ctx) => reply text, or null when the handler replied itself
+ */
+function defineCommand(def) {
+    if (typeof def.permission !== 'function' && !PERMISSIONS[def.permission]) {
+        throw new Error(`Unknown permission "${def.permission}" for command ${def.name}`);
+    }
+    const existing = commands.findIndex(c => c.name === def.name);
+    if (existing >= 0) commands[existing] = def;
+    else commands.push(def);
+}
+
+/**
+ * Does the text start with the command's name?
+ * @param {Object} def
+ * @param {string} text
+ * @returns {boolean}
+ */
+function startsWithName(def, text) {
+    const name = def.name.toLowerCase();
+    const lower = text.toLowerCase().replace(/\s+/g, ' ');
+    return lower === name || lower.startsWith(`${name} `);
+}
+
+/**
+ * Match text against a command's pattern.
+ * @param {Object} def
+ * @param {string} text
+ * @returns {Array|null} Regex match (a predicate match is just [text])
+ */
+function matchPattern(def, text) {
+    if (!def.pattern) return null;
+    if (typeof def.pattern === 'function') return def.pattern(text) ? [text] : null;
+    return text.match(def.pattern);
+}
+
+/**
+ * Find the command for some text.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {boolean} [options.slash] - Slash subcommand: a bare name is enough (its usage is shown)
+ * @returns {{def: Object, match: Array|null}|null}
+ */
+function findCommand(text, { slash = false } = {}) {
+    const clean = (text || "").trim();
+    if (!clean) return null;
+
+    for (const def of commands) {
+        if (!slash && (def.slashOnly || !def.pattern)) continue;
+        const match = matchPattern(def, clean);
+        if (match) return { def, match };
+        if (!def.pattern && startsWithName(def, clean)) return { def, match: null };
+    }
+    if (!slash) return null;
+
+    // Longest name first, so "nudge check" wins over a hypothetical "nudge"
+    const byName = [...commands].sort((a, b) => b.name.length - a.name.length).find(def => startsWithName(def, clean));
+    return byName ? { def: byName, match: null, usageOnly: Boolean(byName.pattern) } : null;
+}
+
+/**
+ * Permission level needed for a matched command.
+ * @param {Object} def
+ * @param {Array|null} match
+ * @returns {string}
+ */
+function requiredPermission(def, match) {
+    return typeof def.permission === 'function' ? def.permission(match) : def.permission;
+}
+
+/**
+ * Check whether a user may run a command.
+ * @param {Object} def
+ * @param {string} slackId
+ * @param {Array|null} [match]
+ * @returns {boolean}
+ */
+function canRun(def, slackId, match = null) {
+    return PERMISSIONS[requiredPermission(def, match)](slackId);
+}
+
+/**
+ * Help text listing the commands, marking the ones the user can't run.
+ * @param {string} slackId
+ * @returns {string}
+ */
+function helpText(slackId) {
+    const lines = commands.map(def => {
+        const locked = typeof def.permission === 'string' && !canRun(def, slackId);
+        const note = locked ? ` _(${def.permission}s only)_` : '';
+        return `• \`/shehab ${def.usage}\` - ${def.description}${note}`;
+    });
+    return `🤖 *Shehab commands:*\n${lines.join('\n')}\n\nMost of these also work as plain messages, e.g. \`team\` or \`whoami\`. Anything else goes to me as a normal question.`;
+}
+
+/**
+ * Run a command for a user.
+ * @param {string} text - Command text without the "/shehab" prefix
+ * @param {Object} ctx - { user, channel, channelType, threadTs, client, app, reply, via }
+ * @returns {Promise<{handled: boolean, reply: string|null}>}
+ */
+async function dispatch(text, ctx) {
+    const slash = ctx.via === 'slash';
+    const clean = (text || "").trim();
+
+    if (slash && (!clean || /^help$/i.test(clean))) return { handled: true, reply: helpText(ctx.user) };
+
+    const found = findCommand(clean, { slash });
+    if (!found) {
+        return slash
+            ? { handled: true, reply: `🤷 I don't know \`${clean}\`.\n\n${helpText(ctx.user)}` }
+            : { handled: false, reply: null };
+    }
+
+    const { def, match, usageOnly } = found;
+    if (usageOnly) return { handled: true, reply: `Usage: \`/shehab ${def.usage}\`` };
+
+    const level = requiredPermission(def, match);
+    if (!PERMISSIONS[level](ctx.user)) return { handled: true, reply: `${DENIED[level]} \`${def.name}\`.` };
+
+    try {
+        const reply = await def.run({ ...ctx, text: clean, match });
+        return { handled: true, reply: reply || null };
+    } catch (error) {
+        console.error(`❌ Command ${def.name} failed:`, error.message);
+        return { handled: true, reply: `❌ ${error.message}` };
+    }
+}
+
+/**
+ * Route a chat message to a command, replying in thread.
+ * @param {Object} message - Slack message event
+ * @param {Object} deps - { client, say, app }
+ * @returns {Promise<boolean>} True when the message was a command
+ */
+async function handleMessage(message, { client, say, app }) {
+    const reply = (text) => say({ text, thread_ts: message.thread_ts || message.ts });
+    const result = await dispatch(message.text, {
+        via: 'message',
+        user: message.user,
+        channel: message.channel,
+        channelType: message.channel_type,
+        threadTs: message.thread_ts || message.ts,
+        client,
+        app,
+        reply
+    });
+    if (result.reply) await reply(result.reply);
+    return result.handled;
+}
+
+/**
+ * Define the commands from builtins.js (or a given list) and register the
+ * `/shehab` slash command with Bolt. Slash replies are ephemeral.
+ * @param {Object} app - Slack Bolt app instance
+ * @param {Array<Object>} [defs] - Command definitions, defaults to builtins.js
+ */
+function registerCommands(app, defs = require('./builtins')) {
+    defs.forEach(defineCommand);
+    app.command('/shehab', async ({ command, ack, respond, client }) => {
+        await ack();
+        const reply = (text) => respond({ response_type: 'ephemeral', text });
+        const result = await dispatch(command.text, {
+            via: 'slash',
+            user: command.user_id,
+            channel: command.channel_id,
+            channelType: command.channel_name === 'directmessage' ? 'im' : 'channel',
+            threadTs: null,
+            client,
+            app,
+            reply
+        });
+        if (result.reply) await reply(result.reply);
+    });
+}
+
+module.exports = {
+    PERMISSIONS,
+    defineCommand,
+    findCommand,
+    canRun,
+    helpText,
+    dispatch,
+    handleMessage,
+    registerCommands
+};
@@ -0,0 +1,256 @@
+/**
+ * calendar.js - Working Time
+ *
+ * Time zones, working days and hours, public holidays and out-of-office periods.
+ * Members without their own schedule use the team defaults (TEAM_TIMEZONE,
+ * Sunday-Thursday, 09:00-17:00). Dates are 'YYYY-MM-DD' in the member's time zone.
+ */
+
+const { createStore } = require('../utils/store');
+
+const DEFAULT_TIMEZONE = process.env.TEAM_TIMEZONE || 'Africa/Cairo';
+const DEFAULT_WORK_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu'];
+const DEFAULT_WORK_HOURS = { start: '09:00', end: '17:00' };
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Egyptian public holidays on fixed dates ('MM-DD'). Lunar holidays (Eid, Sham El-Nessim, ...)
+// move every year and are added with `holiday add`.
+const FIXED_HOLIDAYS = {
+    '01-07': 'Coptic Christmas',
+    '01-25': 'January 25 Revolution Day',
+    '04-25': 'Sinai Liberation Day',
+    '05-01': 'Labour Day',
+    '06-30': 'June 30 Revolution Day',
+    '07-23': 'July 23 Revolution Day',
+    '10-06': 'Armed Forces Day'
+};
+
+// { dates: { 'YYYY-MM-DD': name } }
+const holidays = createStore('holidays', { dates: {} });
+
+/**
+ * Whether a string is an IANA time zone Node knows about.
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Local date, weekday and minutes-since-midnight of an instant in a time zone.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{date: string, weekday: string, minutes: number, time: string}}
+ */
+function localParts(date, timeZone) {
+    const fmt = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    });
+    const p = Object.fromEntries(fmt.formatToParts(date).map(part => [part.type, part.value]));
+    return {
+        date: `${p.year}-${p.month}-${p.day}`,
+        weekday: p.weekday.toLowerCase().substring(0, 3),
+        minutes: Number(p.hour) * 60 + Number(p.minute),
+        time: `${p.hour}:${p.minute}`
+    };
+}
+
+/**
+ * Shift a 'YYYY-MM-DD' date by whole days.
+ * @param {string} day
+ * @param {number} n
+ * @returns {string}
+ */
+function addDays(day, n) {
+    const d = new Date(`${day}T12:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + n);
+    return d.toISOString().split('T')[0];
+}
+
+/**
+ * Weekday ('sun'..'sat') of a 'YYYY-MM-DD' date.
+ * @param {string} day
+ * @returns {string}
+ */
+function weekdayOf(day) {
+    return WEEKDAYS[new Date(`${day}T12:00:00Z`).getUTCDay()];
+}
+
+/**
+ * "09:00" -> 540
+ * @param {string} hhmm
+ * @returns {number}
+ */
+function toMinutes(hhmm) {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + (m || 0);
+}
+
+/**
+ * A member's effective schedule (their own settings over the team defaults).
+ * @param {Object|null} member - Roster member
+ * @returns {{timezone: string, workDays: Array<string>, workHours: {start: string, end: string}, ooo: Array<Object>}}
+ */
+function scheduleFor(member) {
+    return {
+        timezone: member?.timezone || DEFAULT_TIMEZONE,
+        workDays: member?.workDays?.length ? member.workDays : DEFAULT_WORK_DAYS,
+        workHours: member?.workHours || DEFAULT_WORK_HOURS,
+        ooo: member?.ooo || []
+    };
+}
+
+/**
+ * All holidays as { 'YYYY-MM-DD' | 'MM-DD': name }.
+ * @returns {Object}
+ */
+function loadHolidays() {
+    return { ...FIXED_HOLIDAYS, ...holidays.read().dates };
+}
+
+/**
+ * Holiday name on a date, if any.
+ * @param {string} day - 'YYYY-MM-DD'
+ * @param {Object} [known] - From loadHolidays (saves re-reading in loops)
+ * @returns {string|null}
+ */
+function holidayOn(day, known = loadHolidays()) {
+    return known[day] || known[day.substring(5)] || null;
+}
+
+/**
+ * The OOO period covering a date, if any.
+ * @param {Object|null} member
+ * @param {string} day - 'YYYY-MM-DD'
+ * @returns {Object|null} { from, to, reason, source }
+ */
+function oooOn(member, day) {
+    return scheduleFor(member).ooo.find(p => p.from <= day && day <= p.to) || null;
+}
+
+/**
+ * Whether a date is a working day for a member (or the team, when member is null).
+ * @param {string} day - 'YYYY-MM-DD'
+ * @param {Object|null} member
+ * @param {Object} [known] - From loadHolidays
+ * @returns {boolean}
+ */
+function isWorkingDay(day, member = null, known = loadHolidays()) {
+    return scheduleFor(member).workDays.includes(weekdayOf(day)) && !holidayOn(day, known) && !oooOn(member, day);
+}
+
+/**
+ * Working days elapsed between two instants: weekends, holidays and the member's
+ * OOO days don't count. Replaces plain calendar-day counters for staleness.
+ * @param {Date|string} from
+ * @param {Date|string} [to]
+ * @param {Object|null} [member] - Whose calendar to use (team default when null)
+ * @returns {number}
+ */
+function workingDaysBetween(from, to = new Date(), member = null) {
+    const { timezone } = scheduleFor(member);
+    const known = loadHolidays();
+    const end = localParts(new Date(to), timezone).date;
+    let day = localParts(new Date(from), timezone).date;
+    let count = 0;
+    while (day < end) {
+        day = addDays(day, 1);
+        if (isWorkingDay(day, member, known)) count++;
+    }
+    return count;
+}
+
+/**
+ * Whether a member can be pinged right now, and why not.
+ * @param {Object} member
+ * @param {Date} [now]
+ * @returns {{available: boolean, reason: string|null, localTime: string}}
+ */
+function availabilityOf(member, now = new Date()) {
+    const schedule = scheduleFor(member);
+    const local = localParts(now, schedule.timezone);
+    const result = (reason) => ({ available: !reason, reason, localTime: `${local.date} ${local.time}` });
+
+    const ooo = oooOn(member, local.date);
+    if (ooo) return result(`out of office until ${ooo.to}${ooo.reason ? ` (${ooo.reason})` : ''}`);
+    const holiday = holidayOn(local.date);
+    if (holiday) return result(`public holiday: ${holiday}`);
+    if (!schedule.workDays.includes(local.weekday)) return result('not a working day');
+    if (local.minutes < toMinutes(schedule.workHours.start) || local.minutes >= toMinutes(schedule.workHours.end)) {
+        return result(`outside working hours (${schedule.workHours.start}-${schedule.workHours.end}, local time ${local.time})`);
+    }
+    return result(null);
+}
+
+/**
+ * Add or replace a holiday.
+ * @param {string} day - 'YYYY-MM-DD'
+ * @param {string} name
+ */
+function addHoliday(day, name) {
+    holidays.update(data => { data.dates[day] = name; });
+}
+
+/**
+ * Remove a holiday added with addHoliday (fixed holidays can't be removed).
+ * @param {string} day
+ * @returns {boolean}
+ */
+function removeHoliday(day) {
+    let removed = false;
+    holidays.update(data => {
+        removed = Boolean(data.dates[day]);
+        delete data.dates[day];
+    });
+    return removed;
+}
+
+/**
+ * Holidays in the next `days` days (team time zone).
+ * @param {number} [days]
+ * @param {Date} [now]
+ * @returns {Array<{date: string, name: string}>}
+ */
+function upcomingHolidays(days = 60, now = new Date()) {
+    const known = loadHolidays();
+    const start = localParts(now, DEFAULT_TIMEZONE).date;
+    const list = [];
+    for (let i = 0; i <= days; i++) {
+        const day = addDays(start, i);
+        const name = holidayOn(day, known);
+        if (name) list.push({ date: day, name });
+    }
+    return list;
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    DEFAULT_WORK_DAYS,
+    DEFAULT_WORK_HOURS,
+    WEEKDAYS,
+    isValidTimeZone,
+    localParts,
+    addDays,
+    scheduleFor,
+    holidayOn,
+    oooOn,
+    isWorkingDay,
+    workingDaysBetween,
+    availabilityOf,
+    addHoliday,
+    removeHoliday,
+    upcomingHolidays
+};
@@ -1,25 +1,37 @@
-// Team configuration - hardcoded team members with their IDs
-const TEAM = {
+/**
+ * team.js - Team Roster
+ *
+ * The roster is persisted (data/team.json) and edited at runtime via the
+ * `team ...` Slack admin commands. DEFAULT_TEAM only seeds it on first run.
+ */
+
+const { createStore } = require('../utils/store');
+
+// Seed roster - used only until data/team.json exists
+const DEFAULT_TEAM = {
     ziad: {
         name: 'Ziad Mohamed',
         role: 'Frontend Developer',
         skills: ['react', 'frontend', 'ui', 'css', 'javascript', 'components'],
         slackId: 'U09JU0R35C2',
-        jiraAccountId: '712020:f8754adc-d79f-4072-93d9-bfac615f00d9'
+        jiraAccountId: '712020:f8754adc-d79f-4072-93d9-bfac615f00d9',
+        githubLogin: null
     },
     mohab: {
         name: 'Mohab Kamle',
         role: 'Full Stack / DevOps',
         skills: ['fullstack', 'devops', 'docker', 'deploy', 'api', 'infrastructure', 'backend', 'frontend'],
         slackId: 'U09JQFXPY0M',
-        jiraAccountId: '712020:b1554cdf-fc51-4e4a-9b8a-cc20ca3cde5f'
+        jiraAccountId: '712020:b1554cdf-fc51-4e4a-9b8a-cc20ca3cde5f',
+        githubLogin: null
     },
     kareem: {
         name: 'Kareem Mamdouh',
         role: 'Backend Developer',
         skills: ['backend', 'database', 'api', 'server', 'nodejs', 'express', 'sql'],
         slackId: 'U09JRSYTGCW',
-        jiraAccountId: '712020:eeb1ced4-ddd5-4fe1-a954-af0e28aca947'
+        jiraAccountId: '712020:eeb1ced4-ddd5-4fe1-a954-af0e28aca947',
+        githubLogin: null
     }
 };
 
@@ -30,18 +42,32 @@ const PROJECT = {
     methodology: 'Agile/Scrum'
 };
 
+const roster = createStore('team', { members: DEFAULT_TEAM });
+
+/**
+ * Read the roster as { key: member } with each member's key attached
+ */
+function readRoster() {
+    const { members } = roster.read();
+    const result = {};
+    for (const [key, member] of Object.entries(members)) {
+        result[key] = { key, githubLogin: null, jiraAccountId: null, skills: [], role: '', ...member };
+    }
+    return result;
+}
+
 /**
  * Get team member by key
  */
 function getMember(key) {
-    return TEAM[key.toLowerCase()] || null;
+    return readRoster()[String(key).toLowerCase()] || null;
 }
 
 /**
  * Get all team members
  */
 function getAllMembers() {
-    return Object.values(TEAM);
+    return Object.values(readRoster());
 }
 
 /**
@@ -52,7 +78,7 @@ function findBestAssignee(text) {
     let bestMatch = null;
     let bestScore = 0;
 
-    for (const [key, member] of Object.entries(TEAM)) {
+    for (const member of getAllMembers()) {
         let score = 0;
         for (const skill of member.skills) {
             if (lowerText.includes(skill)) {
@@ -68,4 +94,147 @@ function findBestAssignee(text) {
     return bestMatch;
 }
 
-module.exports = { TEAM, PROJECT, getMember, getAllMembers, findBestAssignee };
+/**
+ * Find team member by name, first name, team key or Slack mention (<@U123>)
+ */
+function findMemberByName(nameOrMention) {
+    if (!nameOrMention) return null;
+    const query = String(nameOrMention).trim().replace(/^@/, '').toLowerCase();
+    const mention = query.match(/^<@(\w+)(\|[^>]*)?>$/i);
+
+    return getAllMembers().find(m =>
+        (mention && m.slackId.toLowerCase() === mention[1]) ||
+        m.key === query ||
+        m.name.toLowerCase() === query ||
+        m.name.split(' ')[0].toLowerCase() === query
+    ) || null;
+}
+
+/**
+ * Find team member by Slack user ID
+ */
+function findMemberBySlackId(slackId) {
+    return getAllMembers().find(m => m.slackId === slackId) || null;
+}
+
+/**
+ * Find team member by GitHub username.
+ * Only explicit links count (see src/agent/identity.js for discovery) - guessing from
+ * display names used to misroute nudges.
+ */
+function findTeamMemberByGitHub(githubUsername) {
+    if (!githubUsername) return null;
+    const login = githubUsername.toLowerCase();
+    return getAllMembers().find(m => m.githubLogin && m.githubLogin.toLowerCase() === login) || null;
+}
+
+/**
+ * Find team member by Jira account ID
+ */
+function findMemberByJiraId(accountId) {
+    if (!accountId) return null;
+    return getAllMembers().find(m => m.jiraAccountId === accountId) || null;
+}
+
+/**
+ * A roster key for a new member that doesn't clash with anyone already on it:
+ * first name, then first name + last initial, then a number ("mohamed", "mohameda", "mohamed2").
+ * @param {string} name - Full name
+ * @returns {string}
+ */
+function newMemberKey(name) {
+    const parts = String(name).toLowerCase().split(/\s+/).map(p => p.replace(/[^a-z0-9]/g, '')).filter(Boolean);
+    const first = parts[0] || 'member';
+    const taken = readRoster();
+    const candidates = parts.length > 1 ? [first, `${first}${parts[parts.length - 1][0]}`] : [first];
+    const free = candidates.find(key => !taken[key]);
+    if (free) return free;
+    let n = 2;
+    while (taken[`${first}${n}`]) n++;
+    return `${first}${n}`;
+}
+
+/**
+ * Create or update a member. Unknown fields are ignored.
+ * @param {string} key - Roster key (lowercase first name by convention)
+ * @param {Object} changes - Any of name, role, skills, slackId, jiraAccountId, githubLogin,
+ *   timezone, workDays, workHours, ooo (see calendar.js)
+ * @returns {Object} The updated member
+ */
+function upsertMember(key, changes) {
+    const memberKey = String(key).toLowerCase();
+    const allowed = ['name', 'role', 'skills', 'slackId', 'jiraAccountId', 'githubLogin', 'timezone', 'workDays', 'workHours', 'ooo'];
+    roster.update(data => {
+        const current = data.members[memberKey] || { name: memberKey, role: '', skills: [], slackId: null, jiraAccountId: null, githubLogin: null };
+        for (const field of allowed) {
+            if (changes[field] !== undefined) current[field] = changes[field];
+        }
+        data.members[memberKey] = current;
+    });
+    return getMember(memberKey);
+}
+
+/**
+ * Remove a member from the roster.
+ * @param {string} key
+ * @returns {boolean} Whether someone was removed
+ */
+function removeMember(key) {
+    let removed = false;
+    roster.update(data => {
+        removed = Boolean(data.members[key]);
+        delete data.members[key];
+    });
+    return removed;
+}
+
+/**
+ * Roster admins: SHEHAB_ADMINS (comma-separated Slack IDs), or anyone on the roster when unset.
+ * @param {string} slackId
+ * @returns {boolean}
+ */
+function isAdmin(slackId) {
+    const admins = (process.env.SHEHAB_ADMINS || '').split(',').map(s => s.trim()).filter(Boolean);
+    if (admins.length) return admins.includes(slackId);
+    return Boolean(findMemberBySlackId(slackId));
+}
+
+/**
+ * Readable single member for Slack.
+ * @param {Object} m - Roster member
+ * @returns {string}
+ */
+function describeMember(m) {
+    return [
+        `• *${m.name}* (\`${m.key}\`) <@${m.slackId}> - ${m.role || 'no role'}`,
+        `   skills: ${m.skills.length ? m.skills.join(', ') : 'none'} | GitHub: ${m.githubLogin || 'not set'} | Jira: ${m.jiraAccountId ? 'linked' : 'not set'}`
+    ].join('\n');
+}
+
+/**
+ * Readable roster for Slack.
+ * @returns {string}
+ */
+function describeRoster() {
+    const members = getAllMembers();
+    if (members.length === 0) return "The roster is empty. Add someone with `team add @user Full Name`.";
+    return members.map(describeMember).join('\n');
+}
+
+module.exports = {
+    DEFAULT_TEAM,
+    PROJECT,
+    getMember,
+    getAllMembers,
+    findBestAssignee,
+    findMemberByName,
+    findMemberBySlackId,
+    findTeamMemberByGitHub,
+    findMemberByJiraId,
+    newMemberKey,
+    upsertMember,
+    removeMember,
+    isAdmin,
+    describeMember,
+    describeRoster
+};
@@ -0,0 +1,162 @@
+/**
+ * provider.js - Shared LLM Provider Layer
+ *
+ * One place that knows how to talk to a language model:
+ * - groq:   Groq cloud (OpenAI-compatible API)
+ * - openai: OpenAI itself
+ * - local:  Any OpenAI-compatible local server (Ollama, llama.cpp, LM Studio)
+ * - mock:   Deterministic offline responses for tests and dry runs
+ *
+ * Each use case (chat, reflection, nudge, report, summary, review) can pick its own provider and model
+ * via env vars, e.g. LLM_PROVIDER_NUDGE=local and LLM_MODEL_NUDGE=llama3.2:3b.
+ */
+
+const OpenAI = require('openai');
+require('dotenv').config();
+
+const DEFAULT_MODEL = "meta-llama/llama-4-scout-17b-16e-instruct";
+
+const PROVIDERS = {
+    groq: {
+        baseURL: "https://api.groq.com/openai/v1",
+        apiKey: () => process.env.GROQ_API_KEY,
+        defaultModel: DEFAULT_MODEL
+    },
+    openai: {
+        baseURL: undefined,
+        apiKey: () => process.env.OPENAI_API_KEY,
+        defaultModel: "gpt-4o-mini"
+    },
+    local: {
+        baseURL: null, // Resolved from LLM_BASE_URL at call time
+        apiKey: () => process.env.LLM_API_KEY || "local",
+        defaultModel: "llama3.1"
+    },
+    mock: {
+        defaultModel: "mock-model"
+    }
+};
+
+const USE_CASES = ['chat', 'reflection', 'nudge', 'report', 'summary', 'review'];
+
+// Lazily created SDK clients, one per provider
+const clients = {};
+
+// Optional custom responder for the mock provider
+let mockHandler = null;
+
+/**
+ * Resolve provider and model for a use case.
+ * Per-use-case env vars win over the global LLM_PROVIDER / LLM_MODEL.
+ * @param {string} useCase - 'chat' | 'reflection' | 'nudge' | 'report' | 'summary' | 'review'
+ * @returns {{provider: string, model: string}}
+ */
+function resolveConfig(useCase = 'chat') {
+    const suffix = useCase.toUpperCase();
+    const provider = (process.env[`LLM_PROVIDER_${suffix}`] || process.env.LLM_PROVIDER || 'groq').toLowerCase();
+
+    if (!PROVIDERS[provider]) {
+        throw new Error(`Unknown LLM provider "${provider}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    const model = process.env[`LLM_MODEL_${suffix}`] || process.env.LLM_MODEL || PROVIDERS[provider].defaultModel;
+    return { provider, model };
+}
+
+/**
+ * Get (or create) the OpenAI SDK client for a provider.
+ * @param {string} provider
+ * @returns {OpenAI}
+ */
+function getClient(provider) {
+    if (clients[provider]) return clients[provider];
+
+    const def = PROVIDERS[provider];
+    const baseURL = provider === 'local'
+        ? (process.env.LLM_BASE_URL || "http://localhost:11434/v1")
+        : def.baseURL;
+
+    clients[provider] = new OpenAI({ apiKey: def.apiKey(), baseURL });
+    return clients[provider];
+}
+
+/**
+ * Build a deterministic completion for the mock provider.
+ * @param {Object} request - Chat completion request.
+ * @param {string} useCase
+ * @returns {Promise<Object>} OpenAI-shaped completion
+ */
+async function mockCompletion(request, useCase) {
+    let message;
+
+    if (mockHandler) {
+        const result = await mockHandler(request, useCase);
+        message = typeof result === 'string' ? { role: "assistant", content: result } : result;
+    } else if (request.response_format?.type === 'json_object') {
+        message = { role: "assistant", content: "{}" };
+    } else {
+        const lastUser = [...request.messages].reverse().find(m => m.role === 'user');
+        const text = typeof lastUser?.content === 'string' ? lastUser.content : '';
+        message = { role: "assistant", content: `[mock:${useCase}] ${text.substring(0, 200)}` };
+    }
+
+    return {
+        id: `mock-${Date.now()}`,
+        model: request.model,
+        choices: [{ index: 0, message, finish_reason: message.tool_calls ? "tool_calls" : "stop" }]
+    };
+}
+
+/**
+ * Create a chat completion for a use case.
+ * @param {string} useCase - 'chat' | 'reflection' | 'nudge' | 'report' | 'summary' | 'review'
+ * @param {Object} request - Same shape as OpenAI chat.completions.create, minus `model`.
+ * @returns {Promise<Object>} OpenAI-shaped completion
+ */
+async function createChatCompletion(useCase, request) {
+    const { provider, model } = resolveConfig(useCase);
+    const fullRequest = { model, ...request };
+
+    if (provider === 'mock') {
+        return mockCompletion(fullRequest, useCase);
+    }
+
+    return getClient(provider).chat.completions.create(fullRequest);
+}
+
+/**
+ * Convenience wrapper: run a completion and return just the text content.
+ * @param {string} useCase
+ * @param {Array} messages
+ * @param {Object} [extra] - Extra request fields (e.g. response_format)
+ * @returns {Promise<string>}
+ */
+async function complete(useCase, messages, extra = {}) {
+    const completion = await createChatCompletion(useCase, { messages, ...extra });
+    return completion.choices[0].message.content || "";
+}
+
+/**
+ * Replace the mock provider's responder. Pass null to restore the default.
+ * @param {Function|null} handler - (request, useCase) => string | message object
+ */
+function setMockHandler(handler) {
+    mockHandler = handler;
+}
+
+/**
+ * Drop cached clients (e.g. after changing env vars at runtime).
+ */
+function resetClients() {
+    for (const key of Object.keys(clients)) delete clients[key];
+}
+
+module.exports = {
+    USE_CASES,
+    PROVIDERS,
+    resolveConfig,
+    createChatCompletion,
+    complete,
+    setMockHandler,
+    resetClients
+};
@@ -0,0 +1,157 @@
+/**
+ * conversations.js - Persistent Thread Memory
+ *
+ * Keeps chat history per channel or thread on disk so restarts don't wipe context.
+ * When a thread grows past the token budget, the oldest turns are folded into a
+ * running summary instead of being dropped.
+ */
+
+const { createStore } = require('../utils/store');
+const llm = require('../llm/provider');
+
+const store = createStore('conversations');
+
+const TTL_DAYS = parseFloat(process.env.CONVERSATION_TTL_DAYS || "7");
+const TOKEN_BUDGET = parseInt(process.env.CONVERSATION_TOKEN_BUDGET || "3000", 10);
+const KEEP_RECENT = 6; // Always keep the last 3 exchanges verbatim
+
+const SUMMARY_PROMPT = `You maintain the running summary of a Slack thread between a dev team and their PM bot, Shehab.
+Merge the PREVIOUS SUMMARY with the NEW MESSAGES into one updated summary.
+Keep decisions, open questions, names, ticket keys, PR numbers, file names and anything someone asked to be remembered.
+Drop greetings and filler. Max 200 words. Output ONLY the summary.`;
+
+/**
+ * Build the store key for a Slack message.
+ * @param {string} channel - Channel ID
+ * @param {string} [threadTs] - Thread timestamp (if in a thread)
+ * @returns {string}
+ */
+function contextKey(channel, threadTs) {
+    return threadTs ? `${channel}:${threadTs}` : channel;
+}
+
+/**
+ * Rough token estimate (~4 chars per token).
+ * @param {Array} messages
+ * @returns {number}
+ */
+function estimateTokens(messages) {
+    return Math.ceil(messages.reduce((sum, m) => sum + (m.content || "").length, 0) / 4);
+}
+
+/**
+ * Check whether a conversation has been idle for longer than the TTL.
+ * @param {Object} convo
+ * @returns {boolean}
+ */
+function isExpired(convo) {
+    const cutoff = Date.now() - TTL_DAYS * 24 * 60 * 60 * 1000;
+    return new Date(convo.updatedAt).getTime() < cutoff;
+}
+
+/**
+ * Remove expired conversations.
+ * @param {Object} data - Store contents (mutated)
+ */
+function pruneExpired(data) {
+    for (const [key, convo] of Object.entries(data)) {
+        if (isExpired(convo)) delete data[key];
+    }
+}
+
+/**
+ * Get the history for a context, ready to pass to thinkAndAct.
+ * The running summary (if any) is prepended as a system message.
+ * @param {string} key - From contextKey()
+ * @returns {Array}
+ */
+function getHistory(key) {
+    const convo = store.get(key);
+    if (!convo || isExpired(convo)) return [];
+
+    const history = [];
+    if (convo.summary) {
+        history.push({ role: "system", content: `[EARLIER IN THIS THREAD]: ${convo.summary}` });
+    }
+    return history.concat(convo.messages);
+}
+
+/**
+ * Fold older messages into the summary once the thread is over budget.
+ * The summary call is slow, so it's applied to whatever is stored by then, and
+ * only to the messages it actually covered: turns appended meanwhile are kept.
+ * @param {string} key - From contextKey()
+ * @param {Object} convo - { summary, messages } as just stored
+ * @returns {Promise<void>}
+ */
+async function summarizeIfNeeded(key, convo) {
+    if (estimateTokens(convo.messages) <= TOKEN_BUDGET || convo.messages.length <= KEEP_RECENT) return;
+
+    const older = convo.messages.slice(0, convo.messages.length - KEEP_RECENT);
+    const transcript = older.map(m => `${m.role === 'assistant' ? 'Shehab' : 'User'}: ${m.content}`).join("\n");
+
+    let summary = null;
+    try {
+        summary = (await llm.complete('summary', [
+            { role: "system", content: SUMMARY_PROMPT },
+            { role: "user", content: `PREVIOUS SUMMARY:\n${convo.summary || "(none)"}\n\nNEW MESSAGES:\n${transcript}` }
+        ])).trim();
+    } catch (e) {
+        console.error("Summary Error:", e.message);
+    }
+
+    store.update(data => {
+        const current = data[key];
+        if (!current) return;
+        if (summary === null) {
+            // If summarization fails, keep the thread bounded rather than growing forever
+            current.messages = current.messages.slice(-KEEP_RECENT * 2);
+            return;
+        }
+        // Another summary got there first: this one would fold messages twice
+        const covered = current.summary === convo.summary
+            && JSON.stringify(current.messages.slice(0, older.length)) === JSON.stringify(older);
+        if (!covered) return;
+        current.summary = summary;
+        current.messages = current.messages.slice(older.length);
+        console.log(`🗜️ Folded ${older.length} messages into thread summary`);
+    });
+}
+
+/**
+ * Append one user/assistant exchange and persist it.
+ * @param {string} key - From contextKey()
+ * @param {string} userText
+ * @param {string} assistantText
+ * @returns {Promise<void>}
+ */
+async function appendTurn(key, userText, assistantText) {
+    let convo = null;
+    // Append to what's stored right now, so a turn saved while a summary runs isn't lost
+    store.update(data => {
+        pruneExpired(data);
+        const existing = data[key] || { summary: "", messages: [] };
+        existing.messages.push({ role: "user", content: userText }, { role: "assistant", content: assistantText });
+        existing.updatedAt = new Date().toISOString();
+        data[key] = existing;
+        convo = JSON.parse(JSON.stringify(existing));
+    });
+
+    await summarizeIfNeeded(key, convo);
+}
+
+/**
+ * Forget a conversation entirely.
+ * @param {string} key
+ */
+function clearConversation(key) {
+    store.update(data => { delete data[key]; });
+}
+
+module.exports = {
+    contextKey,
+    estimateTokens,
+    getHistory,
+    appendTurn,
+    clearConversation
+};
@@ -1,17 +1,44 @@
 const { Pinecone } = require('@pinecone-database/pinecone');
 const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { redactSecrets } = require('../security/redact');
+const { knownSecretValues } = require('../security/vault');
 require('dotenv').config();
 
-// Initialize Clients
-const pc = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
-const index = pc.index(process.env.PINECONE_INDEX);
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const embedModel = genAI.getGenerativeModel({ model: "text-embedding-004" });
+// Clients are created on first use so the module loads without credentials
+let index = null;
+let embedFn = null;
+
+function getIndex() {
+    if (!index) {
+        const pc = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
+        index = pc.index(process.env.PINECONE_INDEX);
+    }
+    return index;
+}
+
+function getEmbedder() {
+    if (!embedFn) {
+        const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+        const embedModel = genAI.getGenerativeModel({ model: "text-embedding-004" });
+        embedFn = async (text) => (await embedModel.embedContent(text)).embedding.values;
+    }
+    return embedFn;
+}
+
+/**
+ * Swap the vector index and/or embedder (used by the offline test harness).
+ * @param {Object} backend
+ * @param {Object} [backend.index] - Pinecone-compatible index ({ upsert, query })
+ * @param {Function} [backend.embed] - async (text) => number[]
+ */
+function setVectorBackend({ index: newIndex, embed } = {}) {
+    if (newIndex) index = newIndex;
+    if (embed) embedFn = embed;
+}
 
 async function getEmbedding(text) {
     try {
-        const result = await embedModel.embedContent(text);
-        return result.embedding.values;
+        return await getEmbedder()(text);
     } catch (e) {
         console.error("❌ Embedding Error:", e.message);
         return null;
@@ -21,10 +48,12 @@ async function getEmbedding(text) {
 async function saveMemory(text, metadata = {}) {
     try {
         if (!text || text.length < 10) return; // Don't save "ok" or "hi"
+        // Never embed credentials into long-term memory
+        text = redactSecrets(text, knownSecretValues());
         const vector = await getEmbedding(text);
         if (!vector) return;
 
-        await index.upsert([{
+        await getIndex().upsert([{
             id: Date.now().toString(), // Unique ID based on time
             values: vector,
             metadata: {
@@ -42,7 +71,7 @@ async function recallMemory(query) {
         const vector = await getEmbedding(query);
         if (!vector) return "";
 
-        const result = await index.query({
+        const result = await getIndex().query({
             vector: vector,
             topK: 3, // Fetch top 3 most relevant memories
             includeMetadata: true
@@ -61,4 +90,4 @@ async function recallMemory(query) {
     }
 }
 
-module.exports = { saveMemory, recallMemory };
+module.exports = { saveMemory, recallMemory, getEmbedding, setVectorBackend };
@@ -0,0 +1,47 @@
+/**
+ * jobs.js - Recurring Jobs
+ *
+ * Every job Shehab runs on a schedule. Adding a job only takes a new entry here;
+ * its schedule can then be listed, paused, resumed, changed or run from Slack
+ * (see registry.js). Cron expressions are in the team time zone (TEAM_TIMEZONE).
+ */
+
+const { generateSmartReport } = require('./reports');
+const { checkStaleWork, runReflection } = require('../agent/life');
+const { askStandups, postStandupSummary } = require('../agent/standup');
+const { refreshSprint } = require('../agent/sprint');
+
+module.exports = {
+    report: {
+        description: 'Smart PM report to the report channel',
+        cron: '0 11 */2 * *',
+        workingDaysOnly: true,
+        run: (slackApp) => generateSmartReport(slackApp)
+    },
+    nudges: {
+        description: "Stale work DMs (each member only inside their working hours)",
+        cron: '0 * * * *',
+        run: (slackApp) => checkStaleWork(slackApp)
+    },
+    reflection: {
+        description: 'Daily semantic reflection',
+        cron: '0 10 * * *',
+        run: (slackApp) => runReflection(slackApp)
+    },
+    standup: {
+        description: 'Standup questions DM (each member at the start of their working day)',
+        cron: '*/15 * * * *',
+        run: (slackApp) => askStandups(slackApp)
+    },
+    'standup-summary': {
+        description: 'Standup summary to the report channel',
+        cron: '0 12 * * *',
+        workingDaysOnly: true,
+        run: (slackApp) => postStandupSummary(slackApp)
+    },
+    sprint: {
+        description: 'Daily sprint burndown snapshot from Jira',
+        cron: '0 18 * * *',
+        run: () => refreshSprint()
+    }
+};
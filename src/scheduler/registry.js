@@ -0,0 +1,210 @@
+/**
+ * registry.js - Scheduler Registry
+ *
+ * Every recurring job is defined once in jobs.js with a default cron schedule.
+ * The registry schedules them in the team time zone and persists per-job
+ * overrides (cron, paused) plus the last run, so Slack commands can list,
+ * pause, resume, reschedule and run any job on demand.
+ */
+
+const cron = require('node-cron');
+const { createStore } = require('../utils/store');
+const { DEFAULT_TIMEZONE, isWorkingDay, localParts } = require('../config/calendar');
+
+// { jobs: { name: { cron, paused, lastRunAt, lastStatus, lastError } } }
+const schedules = createStore('schedules', { jobs: {} });
+
+const definitions = {}; // name -> { description, cron, workingDaysOnly, run }
+const tasks = {}; // name -> node-cron task
+let slackApp = null;
+
+/**
+ * Register a job definition.
+ * @param {string} name - Short id used in commands, e.g. 'report'
+ * @param {Object} def
+ * @param {string} def.description
+ * @param {string} def.cron - Default cron expression (team time zone)
+ * @param {Function} def.run - async (slackApp) => void
+ * @param {boolean} [def.workingDaysOnly] - Skip scheduled runs on weekends and holidays
+ */
+function defineJob(name, def) {
+    if (!cron.validate(def.cron)) throw new Error(`Invalid default cron "${def.cron}" for job ${name}`);
+    definitions[name] = def;
+}
+
+/**
+ * A job's definition merged with its persisted state.
+ * @param {string} name
+ * @returns {Object|null}
+ */
+function getJob(name) {
+    const def = definitions[name];
+    if (!def) return null;
+    const state = schedules.read().jobs[name] || {};
+    return {
+        name,
+        description: def.description,
+        defaultCron: def.cron,
+        cron: state.cron || def.cron,
+        paused: Boolean(state.paused),
+        workingDaysOnly: Boolean(def.workingDaysOnly),
+        lastRunAt: state.lastRunAt || null,
+        lastStatus: state.lastStatus || null,
+        lastError: state.lastError || null
+    };
+}
+
+/**
+ * All jobs, in definition order.
+ * @returns {Array<Object>}
+ */
+function listJobs() {
+    return Object.keys(definitions).map(getJob);
+}
+
+/**
+ * Persist changes to a job's state.
+ * @param {string} name
+ * @param {Object} changes
+ */
+function saveState(name, changes) {
+    schedules.update(data => {
+        data.jobs[name] = { ...(data.jobs[name] || {}), ...changes };
+    });
+}
+
+/**
+ * Run a job now and record the outcome.
+ * @param {string} name
+ * @returns {Promise<string>} Result message
+ */
+async function runJob(name) {
+    const def = definitions[name];
+    if (!def) return `❌ Unknown job "${name}". Try \`schedules\`.`;
+
+    const startedAt = new Date().toISOString();
+    try {
+        await def.run(slackApp);
+        saveState(name, { lastRunAt: startedAt, lastStatus: 'ok', lastError: null });
+        return `✅ Ran *${name}*.`;
+    } catch (e) {
+        console.error(`❌ Job ${name} failed:`, e.message);
+        saveState(name, { lastRunAt: startedAt, lastStatus: 'failed', lastError: e.message });
+        return `❌ *${name}* failed: ${e.message}`;
+    }
+}
+
+/**
+ * (Re)create the cron task for a job from its current state.
+ * @param {string} name
+ */
+function scheduleJob(name) {
+    if (tasks[name]) {
+        tasks[name].stop();
+        delete tasks[name];
+    }
+    const job = getJob(name);
+    if (!job || job.paused || !slackApp) return;
+
+    tasks[name] = cron.schedule(job.cron, () => {
+        if (job.workingDaysOnly && !isWorkingDay(localParts(new Date(), DEFAULT_TIMEZONE).date)) {
+            console.log(`📅 Scheduler: Not a working day, skipping ${name}`);
+            return;
+        }
+        runJob(name);
+    }, { timezone: DEFAULT_TIMEZONE });
+}
+
+/**
+ * Pause a job's schedule (it can still be run manually).
+ * @param {string} name
+ * @returns {string}
+ */
+function pauseJob(name) {
+    if (!definitions[name]) return `❌ Unknown job "${name}". Try \`schedules\`.`;
+    saveState(name, { paused: true });
+    scheduleJob(name);
+    return `⏸️ Paused *${name}*.`;
+}
+
+/**
+ * Resume a paused job.
+ * @param {string} name
+ * @returns {string}
+ */
+function resumeJob(name) {
+    if (!definitions[name]) return `❌ Unknown job "${name}". Try \`schedules\`.`;
+    saveState(name, { paused: false });
+    scheduleJob(name);
+    return `▶️ Resumed *${name}* (${getJob(name).cron}).`;
+}
+
+/**
+ * Change a job's cron expression ("default" restores the built-in one).
+ * @param {string} name
+ * @param {string} expression
+ * @returns {string}
+ */
+function rescheduleJob(name, expression) {
+    if (!definitions[name]) return `❌ Unknown job "${name}". Try \`schedules\`.`;
+    const reset = /^default$/i.test(expression.trim());
+    if (!reset && !cron.validate(expression.trim())) {
+        return `❌ "${expression}" isn't a valid cron expression (minute hour day-of-month month day-of-week), e.g. \`0 11 * * 0-4\`.`;
+    }
+    saveState(name, { cron: reset ? null : expression.trim() });
+    scheduleJob(name);
+    return `🗓️ *${name}* now runs at \`${getJob(name).cron}\` (${DEFAULT_TIMEZONE}).`;
+}
+
+/**
+ * Readable job list for Slack.
+ * @returns {string}
+ */
+function describeJobs() {
+    const lines = listJobs().map(job => {
+        const state = job.paused ? '⏸️ paused' : '▶️ active';
+        const cronText = job.cron === job.defaultCron ? `\`${job.cron}\`` : `\`${job.cron}\` (default \`${job.defaultCron}\`)`;
+        const last = job.lastRunAt ? `last run ${job.lastRunAt.replace('T', ' ').substring(0, 16)} UTC: ${job.lastStatus}` : 'never run';
+        return `• *${job.name}* - ${job.description}\n   ${state} | ${cronText}${job.workingDaysOnly ? ' | working days only' : ''} | ${last}`;
+    });
+    return `🗓️ *Scheduled jobs* (${DEFAULT_TIMEZONE}):\n${lines.join('\n')}`;
+}
+
+/**
+ * Define the jobs from jobs.js (or a given table) and schedule them.
+ * @param {Object} app - Slack Bolt app instance
+ * @param {Object} [jobs] - { name: definition }, defaults to jobs.js
+ */
+function startScheduler(app, jobs = require('./jobs')) {
+    slackApp = app;
+    for (const [name, def] of Object.entries(jobs)) {
+        defineJob(name, def);
+        scheduleJob(name);
+    }
+    for (const job of listJobs()) {
+        console.log(`📅 Scheduler: ${job.name} ${job.paused ? 'paused' : `at ${job.cron}`} (${job.description})`);
+    }
+}
+
+/**
+ * Stop every cron task (for shutdown and tests).
+ */
+function stopScheduler() {
+    for (const name of Object.keys(tasks)) {
+        tasks[name].stop();
+        delete tasks[name];
+    }
+}
+
+module.exports = {
+    defineJob,
+    getJob,
+    listJobs,
+    runJob,
+    pauseJob,
+    resumeJob,
+    rescheduleJob,
+    describeJobs,
+    startScheduler,
+    stopScheduler
+};
@@ -1,49 +1,38 @@
-const cron = require('node-cron');
-const OpenAI = require('openai');
+const llm = require('../llm/provider');
 const memory = require('../utils/memory');
-const { getPullRequests, getIssues } = require('../tools/github');
-const { createJiraTaskWithAssignee, getOpenJiraIssues } = require('../tools/jira');
-const { TEAM, PROJECT } = require('../config/team');
+const { getPullRequests, getPullRequestsRaw, getIssues, getIssuesRaw } = require('../tools/github');
+const { getOpenJiraIssues, jiraBrowseUrl } = require('../tools/jira');
+const { PROJECT, getAllMembers } = require('../config/team');
 const { calculateMood, getProjectStress } = require('../agent/life');
 const { reflectOnProject } = require('../agent/reflection');
+const { findUnlinkedWork } = require('../agent/linking');
+const { syncSlackStatuses, whoIsAway } = require('../agent/availability');
+const { describeBlockers } = require('../agent/standup');
+const { getSprintReport } = require('../agent/sprint');
+const metrics = require('../agent/metrics');
+const { proposeTask } = require('../agent/suggestions');
+const { formatForSlack, memberHandles, renderReport } = require('../utils/blocks');
+const { escapeRegExp } = require('../security/redact');
 require('dotenv').config();
 
-// Direct Groq client for report generation (no tools)
-const groq = new OpenAI({
-    apiKey: process.env.GROQ_API_KEY,
-    baseURL: "https://api.groq.com/openai/v1"
-});
-
-const MODEL_ID = "meta-llama/llama-4-scout-17b-16e-instruct";
-
 /**
- * Format text for Slack
+ * Build the PM system prompt from the current roster
  */
-function formatForSlack(text) {
-    if (!text) return "";
-    let clean = text
-        .replace(/\*\*(.*?)\*\*/g, "*$1*")
-        .replace(/^#+\s+(.*$)/gm, "*$1*")
-        .replace(/^\s*[\*\-]\s+/gm, "• ");
-
-    clean = clean
-        .replace(/@ziad/gi, `<@${TEAM.ziad.slackId}>`)
-        .replace(/@mohab/gi, `<@${TEAM.mohab.slackId}>`)
-        .replace(/@kareem/gi, `<@${TEAM.kareem.slackId}>`);
-
-    return clean;
-}
+function buildPMPrompt() {
+    const members = getAllMembers();
+    const teamLines = members.map(m => {
+        const skills = m.skills.length ? `: ${m.skills.join(', ')}` : '';
+        return `- <@${m.slackId}> = ${m.name.split(' ')[0]} (${m.role || 'Team member'}${skills})`;
+    }).join('\n');
+    const taskLines = members.map(m => `• <@${m.slackId}>: [${(m.role || 'relevant').toLowerCase()} task if any]`).join('\n');
 
-// Base PM System Prompt
-const BASE_PM_PROMPT = `You are Shehab, a Senior Technical PM for ${PROJECT.name}.
+    return `You are Shehab, a Senior Technical PM for ${PROJECT.name}.
 
 PROJECT GOAL: ${PROJECT.goal}
 METHODOLOGY: ${PROJECT.methodology}
 
 TEAM (use these EXACT Slack mentions):
-- <@${TEAM.ziad.slackId}> = Ziad (Frontend: React, UI/UX, CSS)
-- <@${TEAM.mohab.slackId}> = Mohab (Full Stack/DevOps: Docker, APIs, Infrastructure)
-- <@${TEAM.kareem.slackId}> = Kareem (Backend: Node.js, Database, Server-side)
+${teamLines}
 
 YOUR TASK:
 Analyze the project status and create a detailed PM report using SLACK FORMATTING:
@@ -57,22 +46,33 @@ OUTPUT FORMAT:
 *🎯 Project Health: X/10*
 [Brief assessment]
 
+*📈 Since Last Report:*
+[What got better or worse since the previous report - PRs, issues, tickets, stale work]
+
+*🏃 Sprint:*
+[Sprint goal, points done vs committed, scope added, and "will we make it?" with the projection]
+
 *🔥 Priority Items:*
 • [Most critical item]
 • [Second priority]
 
 *📋 Suggested Tasks:*
-• <@${TEAM.ziad.slackId}>: [frontend task if any]
-• <@${TEAM.mohab.slackId}>: [fullstack/devops task if any]
-• <@${TEAM.kareem.slackId}>: [backend task if any]
+${taskLines}
 
 *⚠️ Risks/Blockers:*
 [Any concerns]
 
+*🌴 Away:*
+[Who is out today and until when - or "Everyone is in"]
+
+*🔗 Traceability:*
+[PRs with no ticket, tickets in development with no PR - or "All linked ✅"]
+
 *💡 PM Notes:*
 [Your analysis and recommendations]
 
 Be concise but insightful.`;
+}
 
 /**
  * Generate an AI-analyzed PM report with dynamic mood
@@ -93,17 +93,30 @@ async function generateSmartReport(slackApp) {
         const jiraIssues = await getOpenJiraIssues();
 
         // Get stress data from life.js
-        const { stalePRs, staleTickets } = await getProjectStress();
+        const { stalePRs, staleTickets, failingBuilds, failingBuildList } = await getProjectStress();
+
+        // Traceability gaps between GitHub and Jira
+        const { prsWithoutTicket, ticketsWithoutPR } = await findUnlinkedWork();
+
+        // Who's out today (OOO, Slack status or public holiday)
+        await syncSlackStatuses(slackApp.client);
+        const away = whoIsAway();
+        const blockers = describeBlockers();
+
+        // Sprint progress (also records today's burndown point)
+        const sprintStatus = await getSprintReport();
 
         // Count issues for mood calculation
-        const issueCount = (issues.match(/\[Issue/g) || []).length;
+        // null when GitHub can't be read: the snapshot records it as unknown, not as zero
+        const openIssues = await getIssuesRaw();
+        const issueCount = openIssues ? openIssues.length : 0;
 
         // Run Semantic Reflection (Get "Subconscious" Thoughts)
         const reflection = await reflectOnProject();
         const deepInsight = reflection?.internal_thought || "No deep insight available.";
 
         // Calculate mood using life.js (Pass reflection mood if available)
-        let mood = calculateMood(issueCount, stalePRs, staleTickets);
+        let mood = calculateMood(issueCount, stalePRs, staleTickets, failingBuilds);
         if (reflection && reflection.mood_update) {
             // Override or influence mood based on semantic analysis
             console.log(`🧠 Semantic Analysis Override: Mood changed to ${reflection.mood_update}`);
@@ -112,10 +125,18 @@ async function generateSmartReport(slackApp) {
             if (reflection.mood_update === 'worried') mood = { level: 'stressed', emoji: '😰', prompt: mood.prompt };
         }
 
-        console.log(`🎭 Mood: ${mood.level} ${mood.emoji} (Issues: ${issueCount}, Stale PRs: ${stalePRs}, Stale Tickets: ${staleTickets})`);
+        console.log(`🎭 Mood: ${mood.level} ${mood.emoji} (Issues: ${issueCount}, Stale PRs: ${stalePRs}, Stale Tickets: ${staleTickets}, Failing Builds: ${failingBuilds})`);
+
+        // Metrics snapshot, compared with the one saved by the previous report
+        const snapshot = await metrics.collectSnapshot({
+            issues: openIssues,
+            stress: { stalePRs, staleTickets, failingBuilds },
+            mood
+        });
+        const deltas = metrics.describeDeltas(snapshot, metrics.getLatestSnapshot());
 
         // Dynamic prompt with mood
-        const DYNAMIC_PROMPT = BASE_PM_PROMPT + "\n\n" + mood.prompt;
+        const DYNAMIC_PROMPT = buildPMPrompt() + "\n\n" + mood.prompt;
 
         // Format Jira issues
         const jiraSummary = jiraIssues.length > 0
@@ -135,11 +156,26 @@ ${issues}
 JIRA TICKETS:
 ${jiraSummary}
 
-STALE ITEMS (needs attention):
-- Stale PRs (3+ days old): ${stalePRs}
-- Stale Jira tickets (5+ days in Development): ${staleTickets}
+CHANGES SINCE LAST REPORT:
+${deltas}
 
-=== END STATUS ===
+SPRINT PROGRESS:
+${sprintStatus}
+
+STALE ITEMS (needs attention, counted in working days):
+- Stale PRs (3+ working days old): ${stalePRs}
+- Stale Jira tickets (5+ working days in Development): ${staleTickets}
+- Failing CI builds: ${failingBuilds}${failingBuildList.length ? '\n' + failingBuildList.map(b => `  - ${b.label}: ${b.failing.join(', ')}`).join('\n') : ''}
+
+TRACEABILITY GAPS (flag these):
+- PRs referencing no Jira ticket: ${prsWithoutTicket.length ? prsWithoutTicket.map(pr => `PR #${pr.number} "${pr.title}" (${pr.author})`).join('; ') : 'none'}
+- Tickets "In Development" with no PR: ${ticketsWithoutPR.length ? ticketsWithoutPR.map(t => `${t.key} "${t.summary}" (${t.assignee})`).join('; ') : 'none'}
+
+AWAY TODAY (don't assign them tasks):
+${away.length ? away.map(a => `- ${a.member.name}: ${a.reason}`).join('\n') : '- Everyone is in'}
+
+BLOCKERS RAISED IN STANDUP (still open):
+${blockers.length ? blockers.map(b => `- ${b}`).join('\n') : '- none'}
 
 === END STATUS ===
 
@@ -150,27 +186,30 @@ Based on ALL this data, create your PM report. Start with the Semantic Insight a
 `;
 
         // Get AI analysis with dynamic mood
-        const completion = await groq.chat.completions.create({
-            model: MODEL_ID,
-            messages: [
-                { role: "system", content: DYNAMIC_PROMPT },
-                { role: "user", content: projectContext }
-            ]
-        });
-
-        const report = completion.choices[0].message.content || "Unable to generate report.";
+        const report = await llm.complete('report', [
+            { role: "system", content: DYNAMIC_PROMPT },
+            { role: "user", content: projectContext }
+        ]) || "Unable to generate report.";
         const formattedReport = formatForSlack(report);
 
-        // Send the report to Slack
+        snapshot.healthScore = metrics.parseHealthScore(report);
+        metrics.saveSnapshot(snapshot);
+
+        // Send the report to Slack as Block Kit, with PR and ticket lists
         await slackApp.client.chat.postMessage({
             channel: channel,
-            text: formattedReport,
+            ...renderReport(formattedReport, {
+                mood,
+                healthScore: snapshot.healthScore,
+                prs: (await getPullRequestsRaw()) || [],
+                tickets: jiraIssues.map(i => ({ key: i.key, summary: i.fields.summary, status: i.fields.status.name, url: jiraBrowseUrl(i.key) }))
+            }),
             unfurl_links: false
         });
 
         console.log("✅ Smart PM Report sent!");
 
-        // Parse the report for suggested tasks and create Jira tickets
+        // Parse the report for suggested tasks and post them for approval
         await createSuggestedTasks(report, slackApp, channel);
 
     } catch (e) {
@@ -179,53 +218,66 @@ Based on ALL this data, create your PM report. Start with the Semantic Insight a
 }
 
 /**
- * Parse report and create Jira tasks from suggestions
+ * The bullets of the report's "Suggested Tasks" section, so mentions in
+ * blockers, stale work or traceability aren't mistaken for tasks.
+ * @param {string} report
+ * @returns {string} Empty when the report has no such section
+ */
+function suggestedTasksSection(report) {
+    const lines = String(report || '').split('\n');
+    const start = lines.findIndex(l => /suggested tasks/i.test(l));
+    if (start === -1) return '';
+
+    const section = [];
+    for (const line of lines.slice(start + 1)) {
+        if (!line.trim()) continue;
+        // The section is a bullet list; the next heading ends it
+        if (!/^\s*(?:[•\-]|\*\s)/.test(line)) break;
+        section.push(line);
+    }
+    return section.join('\n');
+}
+
+/**
+ * Parse the report for suggested tasks and post each one for approval.
+ * Nothing is created in Jira until someone approves a suggestion.
  */
 async function createSuggestedTasks(report, slackApp, channel) {
-    const taskPatterns = [
-        { pattern: /@ziad[:\s]+([^@\n]+)/gi, member: TEAM.ziad },
-        { pattern: /@mohab[:\s]+([^@\n]+)/gi, member: TEAM.mohab },
-        { pattern: /@kareem[:\s]+([^@\n]+)/gi, member: TEAM.kareem }
-    ];
+    const tasks = suggestedTasksSection(report);
+    if (!tasks) return;
+
+    // Each member can be tagged as @key, @FirstName or <@SLACKID>
+    const taskPatterns = getAllMembers().map(member => {
+        const handles = memberHandles(member).map(h => `@${escapeRegExp(h)}`);
+        if (member.slackId) handles.push(`<@${escapeRegExp(member.slackId)}>`);
+        return { pattern: new RegExp(`(?:${handles.join('|')})[:\\s]+([^@\\n]+)`, 'gi'), member };
+    });
 
-    const createdTasks = [];
+    const openIssues = await getOpenJiraIssues();
+    const posted = [];
+    const duplicates = [];
 
     for (const { pattern, member } of taskPatterns) {
         let match;
-        while ((match = pattern.exec(report)) !== null) {
+        while ((match = pattern.exec(tasks)) !== null) {
             const taskText = match[1].trim();
             if (taskText.length < 10 || taskText.includes('[') || taskText.toLowerCase().includes('no task')) {
                 continue;
             }
 
-            const result = await createJiraTaskWithAssignee(
-                taskText,
-                member.jiraAccountId,
-                `Auto-generated from PM Report for ${member.name}`
-            );
-
-            if (result.includes('✅')) {
-                createdTasks.push(`${member.name}: ${result}`);
-            }
+            const result = await proposeTask(slackApp, channel, { summary: taskText, member }, openIssues);
+            if (result.status === 'posted') posted.push(result.suggestion);
+            if (result.status === 'duplicate') duplicates.push(`• ${member.name}: "${taskText}" looks like ${result.duplicates[0].key} "${result.duplicates[0].summary}"`);
         }
     }
 
-    if (createdTasks.length > 0) {
+    if (duplicates.length > 0) {
         await slackApp.client.chat.postMessage({
             channel: channel,
-            text: `🎫 *Auto-created Jira Tasks:*\n${createdTasks.join('\n')}`
+            text: `♻️ *Skipped suggested tasks that already have a ticket:*\n${duplicates.join('\n')}`
         });
-        console.log(`✅ Created ${createdTasks.length} Jira tasks`);
     }
+    console.log(`📋 Posted ${posted.length} suggested task(s) for approval, skipped ${duplicates.length} duplicate(s)`);
 }
 
-/**
- * Start the scheduler for automated reports
- */
-function startScheduler(slackApp) {
-    // Every 2 days at 11:00 AM - Smart PM Report
-    cron.schedule('0 11 */2 * *', () => generateSmartReport(slackApp));
-    console.log("📅 Scheduler: Smart PM Reports every 2 days at 11:00 AM");
-}
-
-module.exports = { startScheduler, generateSmartReport };
+module.exports = { generateSmartReport, createSuggestedTasks, suggestedTasksSection };
@@ -0,0 +1,354 @@
+/**
+ * vault.js - Shehab's Secrets Vault
+ *
+ * Team credentials live here instead of in chat history or vector memory:
+ * - Values are encrypted at rest (AES-256-GCM, key derived from SECRETS_KEY)
+ * - Each secret has an owner and an allowlist of Slack users
+ * - Values are only ever delivered via DM or ephemeral message
+ * - Every access attempt is written to an audit trail
+ *
+ * Commands (in any channel, DM recommended):
+ *   secret set <name> <value> [@user ...]
+ *   secret get <name>
+ *   secret allow <name> @user [@user ...]
+ *   secret revoke <name> @user [@user ...]
+ *   secret delete <name>
+ *   secret list
+ *   secret audit [name]
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('../utils/store');
+
+const store = createStore('secrets', { secrets: {}, audit: [] });
+
+const MAX_AUDIT_ENTRIES = 1000;
+const NAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+const COMMAND_PATTERN = /^\s*secrets?\s+(set|get|allow|revoke|delete|list|audit)\b/i;
+
+/**
+ * Derive the 256-bit encryption key from SECRETS_KEY.
+ * @returns {Buffer|null} null when the vault is not configured
+ */
+function getKey() {
+    const passphrase = process.env.SECRETS_KEY;
+    if (!passphrase) return null;
+    return crypto.scryptSync(passphrase, 'shehab-vault', 32);
+}
+
+/**
+ * Encrypt a value.
+ * @param {string} plaintext
+ * @param {Buffer} key
+ * @returns {{iv: string, tag: string, data: string}}
+ */
+function encrypt(plaintext, key) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return {
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+/**
+ * Decrypt a value produced by encrypt().
+ * @param {{iv: string, tag: string, data: string}} payload
+ * @param {Buffer} key
+ * @returns {string}
+ */
+function decrypt(payload, key) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(payload.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+    return Buffer.concat([
+        decipher.update(Buffer.from(payload.data, 'base64')),
+        decipher.final()
+    ]).toString('utf8');
+}
+
+/**
+ * Append an entry to the audit trail.
+ * @param {Object} data - Store contents (mutated)
+ * @param {string} user - Slack user ID
+ * @param {string} action
+ * @param {string|null} name - Secret name
+ * @param {string} outcome - 'ok' | 'denied' | 'not_found' | ...
+ */
+function audit(data, user, action, name, outcome) {
+    data.audit.push({ at: new Date().toISOString(), user, action, name, outcome });
+    if (data.audit.length > MAX_AUDIT_ENTRIES) {
+        data.audit = data.audit.slice(-MAX_AUDIT_ENTRIES);
+    }
+}
+
+/**
+ * Check whether a user may read a secret.
+ * @param {Object} secret
+ * @param {string} userId
+ * @returns {boolean}
+ */
+function canRead(secret, userId) {
+    return secret.owner === userId || secret.allowed.includes(userId);
+}
+
+/**
+ * Store (or overwrite) a secret. Only the owner may overwrite.
+ * @returns {{ok: boolean, message: string}}
+ */
+function setSecret(userId, name, value, allowed = []) {
+    const key = getKey();
+    if (!key) return { ok: false, message: "🔒 The vault is disabled. Ask an admin to set SECRETS_KEY." };
+    if (!NAME_PATTERN.test(name)) return { ok: false, message: "Secret names may only use letters, numbers, '.', '_' and '-'." };
+
+    let result;
+    store.update(data => {
+        const existing = data.secrets[name];
+        if (existing && existing.owner !== userId) {
+            audit(data, userId, 'set', name, 'denied');
+            result = { ok: false, message: `⛔ \`${name}\` belongs to <@${existing.owner}>. Only they can change it.` };
+            return;
+        }
+
+        data.secrets[name] = {
+            owner: userId,
+            allowed: [...new Set([...(existing?.allowed || []), ...allowed])].filter(u => u !== userId),
+            value: encrypt(value, key),
+            createdAt: existing?.createdAt || new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+        audit(data, userId, 'set', name, 'ok');
+        result = { ok: true, message: `🔐 Stored \`${name}\`.` };
+    });
+    return result;
+}
+
+/**
+ * Read a secret if the user is on its allowlist.
+ * @returns {{ok: boolean, message: string, value?: string}}
+ */
+function getSecret(userId, name) {
+    const key = getKey();
+    if (!key) return { ok: false, message: "🔒 The vault is disabled. Ask an admin to set SECRETS_KEY." };
+
+    let result;
+    store.update(data => {
+        const secret = data.secrets[name];
+        if (!secret) {
+            audit(data, userId, 'get', name, 'not_found');
+            result = { ok: false, message: `No secret named \`${name}\`.` };
+        } else if (!canRead(secret, userId)) {
+            audit(data, userId, 'get', name, 'denied');
+            result = { ok: false, message: `⛔ You're not on the allowlist for \`${name}\`. Ask <@${secret.owner}>.` };
+        } else {
+            audit(data, userId, 'get', name, 'ok');
+            result = { ok: true, message: `🔑 \`${name}\`:`, value: decrypt(secret.value, key) };
+        }
+    });
+    return result;
+}
+
+/**
+ * Change the allowlist of a secret. Owner only.
+ * @param {string} mode - 'allow' | 'revoke'
+ * @returns {{ok: boolean, message: string}}
+ */
+function updateAllowlist(userId, name, users, mode) {
+    let result;
+    store.update(data => {
+        const secret = data.secrets[name];
+        if (!secret) {
+            result = { ok: false, message: `No secret named \`${name}\`.` };
+            return;
+        }
+        if (secret.owner !== userId) {
+            audit(data, userId, mode, name, 'denied');
+            result = { ok: false, message: `⛔ Only <@${secret.owner}> can change who sees \`${name}\`.` };
+            return;
+        }
+
+        secret.allowed = mode === 'allow'
+            ? [...new Set([...secret.allowed, ...users])].filter(u => u !== userId)
+            : secret.allowed.filter(u => !users.includes(u));
+        audit(data, userId, `${mode}:${users.join(',')}`, name, 'ok');
+
+        const who = secret.allowed.length ? secret.allowed.map(u => `<@${u}>`).join(', ') : 'only you';
+        result = { ok: true, message: `✅ \`${name}\` is now readable by: ${who}` };
+    });
+    return result;
+}
+
+/**
+ * Delete a secret. Owner only.
+ * @returns {{ok: boolean, message: string}}
+ */
+function deleteSecret(userId, name) {
+    let result;
+    store.update(data => {
+        const secret = data.secrets[name];
+        if (!secret) {
+            result = { ok: false, message: `No secret named \`${name}\`.` };
+        } else if (secret.owner !== userId) {
+            audit(data, userId, 'delete', name, 'denied');
+            result = { ok: false, message: `⛔ Only <@${secret.owner}> can delete \`${name}\`.` };
+        } else {
+            delete data.secrets[name];
+            audit(data, userId, 'delete', name, 'ok');
+            result = { ok: true, message: `🗑️ Deleted \`${name}\`.` };
+        }
+    });
+    return result;
+}
+
+/**
+ * List the names of secrets a user can read (never values).
+ * @returns {{ok: boolean, message: string}}
+ */
+function listSecrets(userId) {
+    const { secrets } = store.read();
+    const visible = Object.entries(secrets).filter(([, s]) => canRead(s, userId));
+    if (visible.length === 0) return { ok: true, message: "You can't read any secrets yet." };
+    return {
+        ok: true,
+        message: "🔐 *Secrets you can read:*\n" + visible
+            .map(([name, s]) => `• \`${name}\` (owner <@${s.owner}>, updated ${s.updatedAt.split('T')[0]})`)
+            .join("\n")
+    };
+}
+
+/**
+ * Show audit entries for the secrets a user owns.
+ * @returns {{ok: boolean, message: string}}
+ */
+function getAuditTrail(userId, name = null) {
+    const { secrets, audit: entries } = store.read();
+    const owned = new Set(Object.keys(secrets).filter(n => secrets[n].owner === userId));
+
+    if (name && !owned.has(name)) {
+        return { ok: false, message: `⛔ You can only see the audit trail of secrets you own.` };
+    }
+
+    const relevant = entries
+        .filter(e => (name ? e.name === name : owned.has(e.name)))
+        .slice(-20);
+    if (relevant.length === 0) return { ok: true, message: "No audit entries yet." };
+
+    return {
+        ok: true,
+        message: "📜 *Vault audit trail:*\n" + relevant
+            .map(e => `• ${e.at.replace('T', ' ').substring(0, 16)} <@${e.user}> ${e.action} \`${e.name}\` → ${e.outcome}`)
+            .join("\n")
+    };
+}
+
+/**
+ * Decrypted values of every stored secret, for redaction only.
+ * @returns {Array<string>}
+ */
+function knownSecretValues() {
+    const key = getKey();
+    if (!key) return [];
+    const { secrets } = store.read();
+    const values = [];
+    for (const secret of Object.values(secrets)) {
+        try {
+            values.push(decrypt(secret.value, key));
+        } catch (e) {
+            // Encrypted with a different key - nothing we can match against
+        }
+    }
+    return values;
+}
+
+/**
+ * Check whether a message is a vault command (so it never reaches the LLM).
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isSecretCommand(text) {
+    return COMMAND_PATTERN.test(text || "");
+}
+
+/**
+ * Extract Slack user IDs from mentions like <@U123> or <@U123|name>.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function parseMentions(text) {
+    return [...(text || "").matchAll(/<@([A-Z0-9]+)(?:\|[^>]*)?>/g)].map(m => m[1]);
+}
+
+/**
+ * Handle a vault command and reply privately.
+ * Values are only delivered in a DM or as an ephemeral message.
+ * @param {Object} client - Slack Web API client (app.client)
+ * @param {Object} message - Slack message event ({ text, user, channel, channel_type })
+ * @param {Object} [options]
+ * @param {Function} [options.respond] - Ephemeral reply of a slash command; its text was never posted publicly
+ */
+async function handleSecretCommand(client, message, { respond = null } = {}) {
+    const text = (message.text || "").trim();
+    const [, action] = text.match(COMMAND_PATTERN);
+    const rest = text.replace(COMMAND_PATTERN, '').trim();
+    const [name, ...args] = rest.split(/\s+/).filter(Boolean);
+    const userId = message.user;
+    const isDM = message.channel_type === 'im' || (message.channel || '').startsWith('D');
+
+    let result;
+    switch (action.toLowerCase()) {
+        case 'set': {
+            const mentions = parseMentions(rest);
+            const value = args.filter(a => !/^<@/.test(a)).join(' ');
+            result = name && value
+                ? setSecret(userId, name, value, mentions)
+                : { ok: false, message: "Usage: `secret set <name> <value> [@user ...]`" };
+            if (result.ok && !isDM && !respond) {
+                result.message += "\n⚠️ You posted a secret in a shared channel. Delete your message, and use a DM with me next time.";
+            }
+            break;
+        }
+        case 'get':
+            result = name ? getSecret(userId, name) : { ok: false, message: "Usage: `secret get <name>`" };
+            break;
+        case 'allow':
+        case 'revoke': {
+            const users = parseMentions(rest);
+            result = name && users.length
+                ? updateAllowlist(userId, name, users, action.toLowerCase())
+                : { ok: false, message: `Usage: \`secret ${action.toLowerCase()} <name> @user [@user ...]\`` };
+            break;
+        }
+        case 'delete':
+            result = name ? deleteSecret(userId, name) : { ok: false, message: "Usage: `secret delete <name>`" };
+            break;
+        case 'list':
+            result = listSecrets(userId);
+            break;
+        case 'audit':
+            result = getAuditTrail(userId, name || null);
+            break;
+    }
+
+    const reply = result.value !== undefined ? `${result.message}\n\`\`\`${result.value}\`\`\`` : result.message;
+
+    if (respond) {
+        await respond(reply);
+    } else if (isDM) {
+        await client.chat.postMessage({ channel: message.channel, text: reply });
+    } else {
+        await client.chat.postEphemeral({ channel: message.channel, user: userId, text: reply });
+    }
+}
+
+module.exports = {
+    setSecret,
+    getSecret,
+    updateAllowlist,
+    deleteSecret,
+    listSecrets,
+    getAuditTrail,
+    knownSecretValues,
+    isSecretCommand,
+    handleSecretCommand
+};
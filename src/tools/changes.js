@@ -0,0 +1,394 @@
+/**
+ * changes.js - Code Change Drafts
+ *
+ * Code changes from chat go through a draft, like tickets: Shehab works out the
+ * new file contents (full replacement or a patch), posts a diff preview, and only
+ * once someone on the roster confirms does it create a feature branch, commit
+ * every file in a single commit and open a PR linked to the Jira ticket.
+ * Nothing is ever pushed to the default branch.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('../utils/store');
+const { createUnifiedDiff, diffStats, applyPatch } = require('../utils/diff');
+const { header, section, context } = require('../utils/blocks');
+const team = require('../config/team');
+const github = require('./github');
+const { getJiraIssueStatus, jiraBrowseUrl, normalizeIssueKey } = require('./jira');
+
+const drafts = createStore('change_drafts');
+
+const DRAFT_TTL_MS = 24 * 60 * 60 * 1000;
+const ACTIONS = ['create', 'update', 'delete'];
+const MAX_FILES = 20;
+const BRANCH_PREFIX = process.env.CHANGE_BRANCH_PREFIX || 'shehab/';
+// Slack caps a section at 3000 characters; the diff is spread over a few of them
+const PREVIEW_SECTION_CHARS = 2800;
+const MAX_PREVIEW_SECTIONS = 8;
+
+/**
+ * Branch name for a change, e.g. "shehab/lab-42-validate-barcodes".
+ * @param {string|null} jiraKey
+ * @param {string} title
+ * @returns {string}
+ */
+function branchName(jiraKey, title) {
+    const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 40).replace(/-+$/, '');
+    return `${BRANCH_PREFIX}${jiraKey ? `${jiraKey.toLowerCase()}-` : ''}${slug || 'change'}`;
+}
+
+/**
+ * Work out one file change against the base commit.
+ * @param {Object} file - { path, action, content?, patch? } from the brain
+ * @param {string} baseSha
+ * @returns {Promise<Object>} { path, action, content, diff, added, removed } or { error }
+ */
+async function buildFileChange(file, baseSha) {
+    const path = String(file.path || '').trim().replace(/^\/+/, '');
+    if (!path || path.split('/').includes('..')) return { error: `❌ Invalid file path: \`${file.path}\`` };
+
+    const current = await github.getRawFile(path, baseSha);
+    const action = ACTIONS.includes(file.action) ? file.action : (current === null ? 'create' : 'update');
+    let content = null;
+
+    if (action === 'create') {
+        if (current !== null) return { error: `❌ \`${path}\` already exists. Use action "update" to change it.` };
+        if (typeof file.content !== 'string') return { error: `❌ New file \`${path}\` needs its content.` };
+        content = file.content;
+    } else if (action === 'update') {
+        if (current === null) return { error: `❌ \`${path}\` doesn't exist. Use action "create" for new files.` };
+        if (file.patch) {
+            try {
+                content = applyPatch(current, file.patch);
+            } catch (e) {
+                return { error: `❌ The patch for \`${path}\` doesn't apply: ${e.message}. Read the file again and send a fresh patch or the full content.` };
+            }
+        } else if (typeof file.content === 'string') {
+            content = file.content;
+        } else {
+            return { error: `❌ The update to \`${path}\` needs a patch or the full new content.` };
+        }
+        if (content === current) return { error: `❌ The update to \`${path}\` doesn't change anything.` };
+    } else if (current === null) {
+        return { error: `❌ Can't delete \`${path}\`: it doesn't exist.` };
+    }
+
+    const diff = createUnifiedDiff(path, action === 'create' ? null : current, content);
+    return { path, action, content, diff, ...diffStats(diff) };
+}
+
+/**
+ * Build a change draft: resolve the base, check the Jira ticket and diff every file.
+ * @param {Object} input - Tool arguments from the brain
+ * @param {string} input.title - PR title
+ * @param {string} [input.description] - What and why, for the PR description
+ * @param {string} [input.jira_key] - Ticket the change belongs to
+ * @param {Array<Object>} input.files - [{ path, action: 'create'|'update'|'delete', content?, patch? }]
+ * @param {string} [input.commit_message]
+ * @param {string} [input.base] - Target branch (default branch if omitted)
+ * @returns {Promise<{fields: Object}|{error: string}>}
+ */
+async function buildChangeDraft(input) {
+    const title = String(input.title || '').trim();
+    if (!title) return { error: "❌ A code change needs a title." };
+    const files = Array.isArray(input.files) ? input.files : [];
+    if (files.length === 0) return { error: "❌ A code change needs at least one file." };
+    if (files.length > MAX_FILES) return { error: `❌ That's ${files.length} files; keep a change to ${MAX_FILES} or fewer.` };
+
+    const base = input.base || await github.getDefaultBranch();
+    const baseSha = await github.getBranchSha(base);
+    if (!baseSha) return { error: `❌ Branch \`${base}\` not found.` };
+
+    const jiraKey = input.jira_key ? normalizeIssueKey(input.jira_key) : null;
+    let jiraStatus = null;
+    if (jiraKey) {
+        jiraStatus = await getJiraIssueStatus(jiraKey);
+        if (jiraStatus === null) return { error: `❌ Jira ticket ${jiraKey} not found.` };
+    }
+
+    const changes = [];
+    for (const file of files) {
+        const change = await buildFileChange(file, baseSha);
+        if (change.error) return { error: change.error };
+        if (changes.some(c => c.path === change.path)) return { error: `❌ \`${change.path}\` is listed twice. Combine its edits into one.` };
+        changes.push(change);
+    }
+
+    return {
+        fields: {
+            title,
+            description: input.description ? String(input.description).trim() : "",
+            commitMessage: String(input.commit_message || '').trim() || (jiraKey ? `${jiraKey}: ${title}` : title),
+            jiraKey,
+            jiraStatus,
+            base,
+            baseSha,
+            branch: branchName(jiraKey, title),
+            files: changes
+        }
+    };
+}
+
+/**
+ * Save a draft and return it.
+ * @param {Object} fields - From buildChangeDraft
+ * @param {Object} [meta] - { createdBy, channel, thread_ts }
+ * @returns {Object} The stored draft
+ */
+function saveDraft(fields, meta = {}) {
+    const draft = { id: crypto.randomBytes(4).toString('hex'), fields, ...meta, createdAt: new Date().toISOString() };
+    drafts.update(data => {
+        const cutoff = Date.now() - DRAFT_TTL_MS;
+        for (const [id, d] of Object.entries(data)) {
+            if (new Date(d.createdAt).getTime() < cutoff) delete data[id];
+        }
+        data[draft.id] = draft;
+    });
+    return draft;
+}
+
+/**
+ * Get a pending draft.
+ * @param {string} id
+ * @returns {Object|null}
+ */
+function getDraft(id) {
+    return drafts.get(id) || null;
+}
+
+/**
+ * Discard a draft.
+ * @param {string} id
+ * @returns {boolean} Whether a draft was removed
+ */
+function cancelDraft(id) {
+    let removed = false;
+    drafts.update(data => {
+        removed = Boolean(data[id]);
+        delete data[id];
+    });
+    return removed;
+}
+
+/**
+ * Only people on the roster (or admins) may commit or discard code changes.
+ * @param {string} slackId
+ * @returns {boolean}
+ */
+function canConfirm(slackId) {
+    return Boolean(team.findMemberBySlackId(slackId)) || team.isAdmin(slackId);
+}
+
+/**
+ * PR title, prefixed with the Jira key so the ticket gets linked.
+ * @param {Object} f - Draft fields
+ * @returns {string}
+ */
+function pullRequestTitle(f) {
+    return f.jiraKey && !f.title.toUpperCase().includes(f.jiraKey) ? `${f.jiraKey}: ${f.title}` : f.title;
+}
+
+/**
+ * The PR description: the why, the file list, the ticket and who approved it.
+ * @param {Object} f - Draft fields
+ * @param {string} confirmedBy - Slack user ID
+ * @returns {string}
+ */
+function buildPullRequestBody(f, confirmedBy) {
+    const member = team.findMemberBySlackId(confirmedBy);
+    return [
+        f.description || f.title,
+        `### Changes\n${f.files.map(c => `- \`${c.path}\` (${c.action}, +${c.added} -${c.removed})`).join('\n')}`,
+        f.jiraKey ? `### Jira\n[${f.jiraKey}](${jiraBrowseUrl(f.jiraKey)})` : null,
+        `_🤖 Opened by Shehab after a diff preview in Slack, approved by ${member ? member.name : confirmedBy}._`
+    ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Create the branch, commit every file in one commit and open the PR.
+ * @param {string} id
+ * @param {string} slackId - Who confirmed
+ * @returns {Promise<string>} Result message
+ */
+async function confirmDraft(id, slackId) {
+    if (!canConfirm(slackId)) return "⛔ Only people on the team roster can commit code changes.";
+
+    // Claim the draft before touching GitHub so a double-click can't open two PRs
+    let claimed = null;
+    drafts.update(data => {
+        claimed = data[id] || null;
+        delete data[id];
+    });
+    if (!claimed) return `❌ Change draft \`${id}\` not found (it may have expired or already been opened as a PR).`;
+
+    const f = claimed.fields;
+    const title = pullRequestTitle(f);
+    // A retry picks up where the last attempt stopped instead of making another branch
+    let { branch = null, committed = false } = claimed.progress || {};
+    try {
+        // Branch from the commit the preview was made against, so the diff is exactly what was approved
+        if (!branch) branch = await github.createBranch(f.branch, f.baseSha);
+        if (!committed) {
+            await github.commitFiles(branch, f.files.map(c => ({ path: c.path, content: c.content })), f.commitMessage);
+            committed = true;
+        }
+        const pr = await github.createPullRequest({ head: branch, base: f.base, title, body: buildPullRequestBody(f, slackId) });
+        return `✅ Opened PR #${pr.number}: ${title}\nBranch \`${branch}\` → \`${f.base}\`, ${f.files.length} file(s) in one commit\n${pr.url}`;
+    } catch (e) {
+        // Put it back so the card can be retried
+        drafts.update(data => { data[id] = { ...claimed, progress: { branch, committed } }; });
+        const where = branch ? ` (branch \`${branch}\` was created and will be reused on retry)` : '';
+        return `❌ Couldn't open the PR${where}: ${e.message}`;
+    }
+}
+
+/**
+ * One line per file: "✏️ src/a.js (+3 -1)".
+ * @param {Object} f - Draft fields
+ * @returns {string}
+ */
+function describeFiles(f) {
+    const icons = { create: '🆕', update: '✏️', delete: '🗑️' };
+    return f.files.map(c => `${icons[c.action]} \`${c.path}\` (+${c.added} -${c.removed})`).join('\n');
+}
+
+/**
+ * Plain-text preview (for the LLM and notification fallbacks).
+ * @param {Object} draft
+ * @returns {string}
+ */
+function renderDraftText(draft) {
+    const f = draft.fields;
+    return [
+        `🛠️ Code change preview (draft ${draft.id}):`,
+        `Title: ${pullRequestTitle(f)}`,
+        `Branch: ${f.branch} → ${f.base}`,
+        f.jiraKey ? `Jira: ${f.jiraKey} (${f.jiraStatus})` : 'Jira: none',
+        `Commit: ${f.commitMessage}`,
+        `Files:\n${describeFiles(f)}`
+    ].join('\n');
+}
+
+/**
+ * Split the combined diff into code-block sections that fit in Slack.
+ * @param {Object} f - Draft fields
+ * @returns {Array} Slack blocks
+ */
+function renderDiffSections(f) {
+    const lines = f.files.map(c => c.diff).join('\n').split('\n');
+    const chunks = [];
+    let current = [];
+    let size = 0;
+    for (const line of lines) {
+        const clipped = line.length > 300 ? `${line.substring(0, 300)}…` : line;
+        if (size + clipped.length + 1 > PREVIEW_SECTION_CHARS && current.length) {
+            chunks.push(current);
+            current = [];
+            size = 0;
+        }
+        current.push(clipped);
+        size += clipped.length + 1;
+    }
+    if (current.length) chunks.push(current);
+
+    const shown = chunks.slice(0, MAX_PREVIEW_SECTIONS).map(chunk => section(`\`\`\`${chunk.join('\n')}\`\`\``));
+    if (chunks.length > MAX_PREVIEW_SECTIONS) {
+        const hidden = chunks.slice(MAX_PREVIEW_SECTIONS).reduce((n, chunk) => n + chunk.length, 0);
+        shown.push(context(`_…${hidden} more diff line(s) not shown. The PR will have the full diff._`));
+    }
+    return shown;
+}
+
+/**
+ * Block Kit preview card with the diff and Commit / Cancel buttons.
+ * @param {Object} draft
+ * @returns {Array} Slack blocks
+ */
+function renderDraftBlocks(draft) {
+    const f = draft.fields;
+    const jira = f.jiraKey ? `<${jiraBrowseUrl(f.jiraKey)}|${f.jiraKey}> _(${f.jiraStatus})_` : 'none';
+
+    return [
+        header("🛠️ Code change preview"),
+        section(`*${pullRequestTitle(f)}*${f.description ? `\n${f.description.substring(0, 1000)}` : ''}`),
+        {
+            type: "section",
+            fields: [
+                { type: "mrkdwn", text: `*Branch:*\n\`${f.branch}\` → \`${f.base}\`` },
+                { type: "mrkdwn", text: `*Jira:*\n${jira}` },
+                { type: "mrkdwn", text: `*Commit:*\n${f.commitMessage.substring(0, 200)}` }
+            ]
+        },
+        section(`*Files:*\n${describeFiles(f)}`),
+        ...renderDiffSections(f),
+        {
+            type: "actions",
+            elements: [
+                { type: "button", text: { type: "plain_text", text: "Commit & open PR" }, style: "primary", action_id: "code_change_confirm", value: draft.id },
+                { type: "button", text: { type: "plain_text", text: "Cancel" }, action_id: "code_change_cancel", value: draft.id }
+            ]
+        },
+        context(`Draft \`${draft.id}\` · nothing is committed until someone on the team confirms`)
+    ];
+}
+
+/**
+ * Register the preview card buttons on the Bolt app.
+ * @param {Object} app - Slack Bolt app
+ */
+function registerChangeActions(app) {
+    app.action('code_change_confirm', async ({ ack, body, client }) => {
+        await ack();
+        if (!canConfirm(body.user.id)) {
+            await client.chat.postEphemeral({
+                channel: body.channel.id,
+                user: body.user.id,
+                text: "⛔ Only people on the team roster can commit code changes."
+            });
+            return;
+        }
+        const result = await confirmDraft(body.actions[0].value, body.user.id);
+        // Keep the card (and its buttons) if opening the PR failed, so it can be retried
+        if (!result.startsWith('✅')) {
+            await client.chat.postEphemeral({ channel: body.channel.id, user: body.user.id, text: result });
+            return;
+        }
+        await client.chat.update({
+            channel: body.channel.id,
+            ts: body.message.ts,
+            text: `${result} (confirmed by <@${body.user.id}>)`,
+            blocks: []
+        });
+    });
+
+    app.action('code_change_cancel', async ({ ack, body, client }) => {
+        await ack();
+        if (!canConfirm(body.user.id)) {
+            await client.chat.postEphemeral({
+                channel: body.channel.id,
+                user: body.user.id,
+                text: "⛔ Only people on the team roster can discard code changes."
+            });
+            return;
+        }
+        cancelDraft(body.actions[0].value);
+        await client.chat.update({
+            channel: body.channel.id,
+            ts: body.message.ts,
+            text: `🗑️ Code change discarded by <@${body.user.id}>.`,
+            blocks: []
+        });
+    });
+}
+
+module.exports = {
+    branchName,
+    buildChangeDraft,
+    saveDraft,
+    getDraft,
+    confirmDraft,
+    cancelDraft,
+    renderDraftText,
+    renderDraftBlocks,
+    registerChangeActions
+};
@@ -1,7 +1,8 @@
 require('dotenv').config();
 const { Octokit } = require("octokit");
+const { workingDaysBetween } = require('../config/calendar');
 
-const octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
+let octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
 const OWNER = process.env.GITHUB_OWNER;
 const REPO = process.env.GITHUB_REPO;
 
@@ -38,108 +39,436 @@ async function getIssues() {
     }
 }
 
+// Paging for list calls whose totals feed metrics
+const LIST_PAGE_SIZE = 100;
+const MAX_LIST_PAGES = 20;
+
+/**
+ * Every item of a paged list endpoint (pulls.list, issues.listForRepo...). Throws on GitHub errors.
+ * @param {Function} list - Octokit list method
+ * @param {Object} params - Query parameters besides owner, repo and paging
+ * @returns {Promise<Array>}
+ */
+async function listAllPages(list, params) {
+    const items = [];
+    for (let page = 1; page <= MAX_LIST_PAGES; page++) {
+        const { data } = await list({ owner: OWNER, repo: REPO, ...params, per_page: LIST_PAGE_SIZE, page });
+        items.push(...data);
+        if (data.length < LIST_PAGE_SIZE) return items;
+    }
+    console.warn(`⚠️ GitHub list stopped after ${items.length} items`);
+    return items;
+}
+
 /**
- * List files in the root directory.
+ * Get raw open issues (excluding PRs) for metrics
+ * @returns {Promise<Array<{number: number, title: string, created_at: string}>|null>} null if GitHub can't be read
  */
-async function getFileTree() {
+async function getIssuesRaw() {
     try {
-        const { data } = await octokit.rest.repos.getContent({
-            owner: OWNER,
-            repo: REPO,
-            path: ''
-        });
-        return data.map(f => ` - ${f.type}: ${f.name}`).join("\n");
+        // The issues endpoint lists PRs too, so page through everything before dropping them
+        const data = await listAllPages(octokit.rest.issues.listForRepo, { state: 'open' });
+        return data
+            .filter(issue => !issue.pull_request)
+            .map(i => ({ number: i.number, title: i.title, created_at: i.created_at }));
     } catch (e) {
-        return `Could not read file tree: ${e.message}`;
+        console.error("GitHub Error:", e.message);
+        return null;
+    }
+}
+
+// Limits that keep repo tool output readable for the model
+const MAX_TREE_ENTRIES = 300;
+const MAX_READ_LINES = 200;
+const MAX_READ_CHARS = 12000;
+const MAX_SEARCH_FILES = 10;
+// Files whose matching lines are looked up, so search results carry line numbers
+const SEARCH_LINE_FILES = 5;
+const MAX_DIFF_CHARS = 10000;
+
+/**
+ * Turn a glob ("*.js", "src/**\/*.test.js", "*.{js,ts}") into a RegExp.
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+    let pattern = '';
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === '*' && glob[i + 1] === '*') {
+            // "**/" matches any number of directories, including none
+            pattern += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+            i += glob[i + 2] === '/' ? 2 : 1;
+        } else if (c === '*') pattern += '[^/]*';
+        else if (c === '?') pattern += '[^/]';
+        else if (c === '{') pattern += '(?:';
+        else if (c === '}') pattern += ')';
+        else if (c === ',') pattern += '|';
+        else pattern += c.replace(/[.+^$()|[\]\\]/g, '\\$&');
     }
+    return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Decode a file's content, fetching the blob for files too big for the contents API.
+ * @param {Object} data - repos.getContent response for a file
+ * @returns {Promise<string>}
+ */
+async function decodeFile(data) {
+    if (data.content || !data.sha) return Buffer.from(data.content || '', 'base64').toString('utf-8');
+    const { data: blob } = await octokit.rest.git.getBlob({ owner: OWNER, repo: REPO, file_sha: data.sha });
+    return Buffer.from(blob.content, 'base64').toString('utf-8');
 }
 
 /**
- * Read file content, truncated to 3000 chars.
- * @param {string} path 
+ * List a directory, optionally recursively and filtered by a glob.
+ * @param {string} [path] - Directory in the repo ('' for the root)
+ * @param {Object} [options]
+ * @param {boolean} [options.recursive] - Include everything below the directory
+ * @param {string} [options.glob] - e.g. "*.js"; matched against the file name, or the path below `path` if it has a "/"
+ * @param {string} [options.ref] - Branch, tag or SHA (default branch if omitted)
+ * @returns {Promise<string>}
  */
-async function readFileContent(path) {
+async function getFileTree(path = '', { recursive = false, glob = null, ref = null } = {}) {
+    const dir = String(path || '').replace(/^\/+|\/+$/g, '');
+    const where = `${dir || '/'}${ref ? ` @ ${ref}` : ''}`;
+    try {
+        let entries;
+        let truncated = false;
+        if (recursive) {
+            const { data } = await octokit.rest.git.getTree({
+                owner: OWNER,
+                repo: REPO,
+                tree_sha: ref || await getDefaultBranch(),
+                recursive: 'true'
+            });
+            entries = data.tree
+                .filter(e => !dir || e.path.startsWith(`${dir}/`))
+                .map(e => ({ type: e.type === 'tree' ? 'dir' : 'file', path: e.path }));
+            truncated = Boolean(data.truncated);
+        } else {
+            const { data } = await octokit.rest.repos.getContent({ owner: OWNER, repo: REPO, path: dir, ...(ref ? { ref } : {}) });
+            if (!Array.isArray(data)) return `Error: ${dir} is a file, not a directory. Use read_file to read it.`;
+            entries = data.map(e => ({ type: e.type, path: e.path }));
+        }
+
+        if (glob) {
+            const matcher = globToRegExp(glob);
+            entries = entries.filter(e => {
+                const relative = dir ? e.path.substring(dir.length + 1) : e.path;
+                return e.type === 'file' && matcher.test(glob.includes('/') ? relative : relative.split('/').pop());
+            });
+        }
+        if (entries.length === 0) return `No ${glob ? `files matching ${glob}` : 'files'} in ${where}.`;
+
+        const lines = entries.slice(0, MAX_TREE_ENTRIES).map(e => ` - ${e.type}: ${e.path}`);
+        if (entries.length > MAX_TREE_ENTRIES) lines.push(`... and ${entries.length - MAX_TREE_ENTRIES} more. Narrow it down with a path or glob.`);
+        if (truncated) lines.push("(GitHub truncated this tree: list a subdirectory for the rest.)");
+        return `${where} (${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}):\n${lines.join("\n")}`;
+    } catch (e) {
+        return `Could not read file tree of ${where}: ${e.message}`;
+    }
+}
+
+/**
+ * Read a file with line numbers, optionally a line range and at a given branch or SHA.
+ * Without a range the first 200 lines are returned, with a hint on how to continue.
+ * @param {string} path
+ * @param {Object} [options]
+ * @param {number} [options.startLine] - First line (1-based)
+ * @param {number} [options.endLine] - Last line, inclusive
+ * @param {string} [options.ref] - Branch, tag or SHA (default branch if omitted)
+ * @returns {Promise<string>}
+ */
+async function readFileContent(path, { startLine = null, endLine = null, ref = null } = {}) {
+    const where = `${path}${ref ? ` @ ${ref}` : ''}`;
     try {
         const { data } = await octokit.rest.repos.getContent({
             owner: OWNER,
             repo: REPO,
-            path: path
+            path: path,
+            ...(ref ? { ref } : {})
         });
 
         if (Array.isArray(data)) {
-            return "Error: Path points to a directory, not a file.";
+            return "Error: Path points to a directory, not a file. Use get_file_tree to list it.";
         }
 
-        const content = Buffer.from(data.content, 'base64').toString('utf-8');
-        return content.substring(0, 3000) + (content.length > 3000 ? "... (truncated)" : "");
+        const lines = (await decodeFile(data)).split('\n');
+        const from = Math.max(1, parseInt(startLine, 10) || 1);
+        if (from > lines.length) return `Error: ${where} has only ${lines.length} lines.`;
+        const last = Math.min(lines.length, parseInt(endLine, 10) || lines.length, from + MAX_READ_LINES - 1);
+
+        const width = String(last).length;
+        let body = lines.slice(from - 1, last).map((line, i) => `${String(from + i).padStart(width)}| ${line}`).join('\n');
+        if (body.length > MAX_READ_CHARS) body = `${body.substring(0, MAX_READ_CHARS)}\n... (cut at ${MAX_READ_CHARS} characters: ask for a smaller line range)`;
+        const more = last < lines.length ? `\n... ${lines.length - last} more line(s). Read from line ${last + 1} to continue.` : '';
+        return `${where} (lines ${from}-${last} of ${lines.length}):\n${body}${more}`;
     } catch (e) {
-        return `Could not read file: ${path}. Error: ${e.message}`;
+        return `Could not read file: ${where}. Error: ${e.message}`;
     }
 }
 
 /**
- * Create a new file in the default branch.
- * @param {string} path 
- * @param {string} content 
- * @param {string} message 
+ * Search the repo's code for a symbol or string (GitHub code search, default branch only).
+ * The first few files also get the numbers of their matching lines.
+ * @param {string} query - e.g. "validateBarcode" or "barcode validate"
+ * @param {Object} [options]
+ * @param {string} [options.path] - Only under this directory
+ * @param {string} [options.extension] - Only files with this extension, e.g. "js"
+ * @returns {Promise<string>}
  */
-async function createNewFile(path, content, message) {
+async function searchCode(query, { path = null, extension = null } = {}) {
+    const terms = String(query || '').trim();
+    if (!terms) return "Error: Give me something to search for.";
+    const q = [
+        terms,
+        `repo:${OWNER}/${REPO}`,
+        path ? `path:${path}` : null,
+        extension ? `extension:${String(extension).replace(/^\./, '')}` : null
+    ].filter(Boolean).join(' ');
+
     try {
-        // Encode content to Base64
-        const contentEncoded = Buffer.from(content).toString('base64');
+        const { data } = await octokit.rest.search.code({ q, per_page: MAX_SEARCH_FILES });
+        if (data.items.length === 0) return `No code matches "${terms}".`;
 
-        await octokit.rest.repos.createOrUpdateFileContents({
-            owner: OWNER,
-            repo: REPO,
-            path: path,
-            message: message,
-            content: contentEncoded
-        });
+        // Quoted phrases stay whole, like GitHub treats them
+        const words = (terms.match(/"[^"]+"|\S+/g) || []).map(w => w.replace(/"/g, '').toLowerCase());
+        const results = [];
+        for (const [i, item] of data.items.entries()) {
+            if (i >= SEARCH_LINE_FILES) {
+                results.push(`• ${item.path}`);
+                continue;
+            }
+            const { data: file } = await octokit.rest.repos.getContent({ owner: OWNER, repo: REPO, path: item.path });
+            const lines = (await decodeFile(file)).split('\n').map((text, n) => ({ n: n + 1, text, lower: text.toLowerCase() }));
+            let hits = lines.filter(l => words.every(w => l.lower.includes(w)));
+            if (hits.length === 0) hits = lines.filter(l => words.some(w => l.lower.includes(w)));
+            const shown = hits.slice(0, 3).map(l => `    ${l.n}: ${l.text.trim().substring(0, 200)}`);
+            if (hits.length > 3) shown.push(`    ... ${hits.length - 3} more match(es)`);
+            results.push([`• ${item.path}`, ...shown].join('\n'));
+        }
+
+        const count = data.total_count > data.items.length ? ` (showing ${data.items.length})` : '';
+        return `Found ${data.total_count} file(s) matching "${terms}"${count}:\n${results.join('\n')}`;
+    } catch (e) {
+        return `Code search failed: ${e.message}`;
+    }
+}
+
+/**
+ * A file's raw content at a branch or SHA.
+ * @param {string} path
+ * @param {string} [ref] - Branch, tag or SHA (default branch if omitted)
+ * @returns {Promise<string|null>} null if the file doesn't exist
+ */
+async function getRawFile(path, ref = null) {
+    try {
+        const { data } = await octokit.rest.repos.getContent({ owner: OWNER, repo: REPO, path, ...(ref ? { ref } : {}) });
+        if (Array.isArray(data)) throw new Error(`${path} is a directory`);
+        return await decodeFile(data);
+    } catch (e) {
+        if (e.status === 404) return null;
+        throw e;
+    }
+}
 
-        return `✅ File created successfully: ${path}`;
+/**
+ * Head commit SHA of a branch.
+ * @param {string} branch
+ * @returns {Promise<string|null>} null if the branch doesn't exist
+ */
+async function getBranchSha(branch) {
+    try {
+        const { data } = await octokit.rest.git.getRef({ owner: OWNER, repo: REPO, ref: `heads/${branch}` });
+        return data.object.sha;
     } catch (e) {
-        return `Failed to create file: ${path}. Error: ${e.message}`;
+        return null;
+    }
+}
+
+/**
+ * Create a feature branch at a commit. Adds "-2", "-3"... if the name is taken.
+ * @param {string} name
+ * @param {string} sha - Commit to branch from
+ * @returns {Promise<string>} The branch name actually created
+ */
+async function createBranch(name, sha) {
+    for (let attempt = 1; attempt <= 5; attempt++) {
+        const branch = attempt === 1 ? name : `${name}-${attempt}`;
+        try {
+            await octokit.rest.git.createRef({ owner: OWNER, repo: REPO, ref: `refs/heads/${branch}`, sha });
+            return branch;
+        } catch (e) {
+            if (e.status !== 422) throw e;
+        }
     }
+    throw new Error(`Branch ${name} and its numbered variants already exist`);
+}
+
+/**
+ * Commit several file changes to a feature branch as one commit.
+ * Refuses the default branch: changes always go through a PR.
+ * @param {string} branch
+ * @param {Array<{path: string, content: string|null}>} files - content null deletes the file
+ * @param {string} message - Commit message
+ * @returns {Promise<{sha: string}>}
+ */
+async function commitFiles(branch, files, message) {
+    const defaultBranch = await getDefaultBranch();
+    if (branch === defaultBranch) throw new Error(`Refusing to commit to the default branch (${defaultBranch}); use a feature branch and a PR`);
+
+    const { data: ref } = await octokit.rest.git.getRef({ owner: OWNER, repo: REPO, ref: `heads/${branch}` });
+    const { data: parent } = await octokit.rest.git.getCommit({ owner: OWNER, repo: REPO, commit_sha: ref.object.sha });
+    // Keep each existing file's mode (an executable script stays 100755)
+    const { data: base } = await octokit.rest.git.getTree({ owner: OWNER, repo: REPO, tree_sha: parent.tree.sha, recursive: 'true' });
+    const modes = new Map(base.tree.filter(e => e.type === 'blob').map(e => [e.path, e.mode]));
+    const { data: tree } = await octokit.rest.git.createTree({
+        owner: OWNER,
+        repo: REPO,
+        base_tree: parent.tree.sha,
+        tree: files.map(f => f.content === null
+            ? { path: f.path, mode: modes.get(f.path) || '100644', type: 'blob', sha: null }
+            : { path: f.path, mode: modes.get(f.path) || '100644', type: 'blob', content: f.content })
+    });
+    const { data: commit } = await octokit.rest.git.createCommit({ owner: OWNER, repo: REPO, message, tree: tree.sha, parents: [parent.sha] });
+    await octokit.rest.git.updateRef({ owner: OWNER, repo: REPO, ref: `heads/${branch}`, sha: commit.sha });
+    return { sha: commit.sha };
+}
+
+/**
+ * Open a pull request.
+ * @param {Object} pr
+ * @param {string} pr.head - Feature branch
+ * @param {string} pr.base - Target branch
+ * @param {string} pr.title
+ * @param {string} pr.body
+ * @returns {Promise<{number: number, url: string}>}
+ */
+async function createPullRequest({ head, base, title, body }) {
+    const { data } = await octokit.rest.pulls.create({ owner: OWNER, repo: REPO, head, base, title, body });
+    return { number: data.number, url: data.html_url };
 }
 
 /**
- * Get the code diff for a specific PR (for code review).
+ * One PR's metadata (for reviews).
  * @param {number} prNumber
+ * @returns {Promise<Object|null>} { number, title, author, body, url, head_sha, head_ref, draft, state }
  */
-async function getPullRequestDiff(prNumber) {
+async function getPullRequest(prNumber) {
+    try {
+        const { data: pr } = await octokit.rest.pulls.get({ owner: OWNER, repo: REPO, pull_number: prNumber });
+        return {
+            number: pr.number,
+            title: pr.title,
+            author: pr.user.login,
+            body: pr.body || "",
+            url: pr.html_url,
+            head_sha: pr.head?.sha,
+            head_ref: pr.head?.ref,
+            draft: Boolean(pr.draft),
+            state: pr.state || 'open'
+        };
+    } catch (e) {
+        console.error("GitHub Error:", e.message);
+        return null;
+    }
+}
+
+/**
+ * The full unified diff of a PR, untruncated (the review splits it up itself).
+ * @param {number} prNumber
+ * @returns {Promise<string|null>}
+ */
+async function getFullPullRequestDiff(prNumber) {
     try {
         const { data } = await octokit.rest.pulls.get({
             owner: OWNER,
             repo: REPO,
             pull_number: prNumber,
-            mediaType: {
-                format: "diff" // Ask GitHub for the raw code changes
-            }
+            mediaType: { format: "diff" }
         });
-
-        // If the diff is huge, truncate it to avoid crashing the Brain
-        if (data.length > 15000) {
-            return `[WARNING] Diff is too large (${data.length} chars). Here are the first 15,000 chars:\n\n${data.substring(0, 15000)}...`;
-        }
         return data;
     } catch (e) {
-        return `GitHub Diff Error: ${e.message}`;
+        console.error("GitHub Diff Error:", e.message);
+        return null;
     }
 }
 
+/**
+ * Post a review with inline comments on a PR. Throws on GitHub errors.
+ * @param {number} prNumber
+ * @param {Object} review
+ * @param {string} review.commitId - Head SHA the line numbers refer to
+ * @param {string} review.body - Overall review text
+ * @param {Array<{path: string, line: number, body: string}>} review.comments - Inline comments (new side of the diff)
+ * @param {string} [review.event] - 'COMMENT' | 'REQUEST_CHANGES' | 'APPROVE'
+ * @returns {Promise<{id: number, url: string}>}
+ */
+async function createPullRequestReview(prNumber, { commitId, body, comments, event = 'COMMENT' }) {
+    const { data } = await octokit.rest.pulls.createReview({
+        owner: OWNER,
+        repo: REPO,
+        pull_number: prNumber,
+        commit_id: commitId,
+        event,
+        body,
+        comments: comments.map(c => ({ path: c.path, line: c.line, side: 'RIGHT', body: c.body }))
+    });
+    return { id: data.id, url: data.html_url };
+}
+
 /**
  * Get raw PR data with dates for nudge system
+ * @returns {Promise<Array<Object>|null>} Every open PR, null if GitHub can't be read
  */
 async function getPullRequestsRaw() {
     try {
-        const { data } = await octokit.rest.pulls.list({ owner: OWNER, repo: REPO, state: 'open' });
+        const data = await listAllPages(octokit.rest.pulls.list, { state: 'open' });
         return data.map(pr => ({
             number: pr.number,
             title: pr.title,
             author: pr.user.login,
+            body: pr.body || "",
+            url: pr.html_url,
+            head_sha: pr.head?.sha,
+            head_ref: pr.head?.ref,
             created_at: pr.created_at,
-            days_old: Math.floor((Date.now() - new Date(pr.created_at)) / (1000 * 60 * 60 * 24))
+            updated_at: pr.updated_at,
+            days_old: workingDaysBetween(pr.created_at) // working days, not calendar days
         }));
+    } catch (e) {
+        console.error("GitHub Error:", e.message);
+        return null;
+    }
+}
+
+/**
+ * PRs merged since a date, with their cycle time (opened -> merged).
+ * @param {Date|string} since
+ * @returns {Promise<Array<{number: number, title: string, author: string, created_at: string, merged_at: string, cycle_hours: number}>>}
+ */
+async function getMergedPullRequests(since) {
+    const sinceTime = new Date(since).getTime();
+    try {
+        const { data } = await octokit.rest.pulls.list({
+            owner: OWNER,
+            repo: REPO,
+            state: 'closed',
+            sort: 'updated',
+            direction: 'desc',
+            per_page: 100
+        });
+        return data
+            .filter(pr => pr.merged_at && new Date(pr.merged_at).getTime() >= sinceTime)
+            .map(pr => ({
+                number: pr.number,
+                title: pr.title,
+                author: pr.user.login,
+                created_at: pr.created_at,
+                merged_at: pr.merged_at,
+                cycle_hours: (new Date(pr.merged_at) - new Date(pr.created_at)) / 3600000
+            }));
     } catch (e) {
         console.error("GitHub Error:", e.message);
         return [];
@@ -162,6 +491,7 @@ async function getRecentCommits(limit = 5) {
             sha: commit.sha,
             message: commit.commit.message,
             author: commit.commit.author.name,
+            login: commit.author?.login || null,
             date: commit.commit.author.date
         }));
     } catch (e) {
@@ -171,7 +501,58 @@ async function getRecentCommits(limit = 5) {
 }
 
 /**
- * Get diff for a specific commit
+ * Distinct authors of recent default-branch commits (for identity discovery).
+ * @param {number} limit - How many commits to scan
+ * @returns {Promise<Array<{login: string|null, name: string, email: string}>>}
+ */
+async function getCommitAuthors(limit = 100) {
+    try {
+        const { data } = await octokit.rest.repos.listCommits({ owner: OWNER, repo: REPO, per_page: limit });
+        const authors = new Map();
+        for (const c of data) {
+            const author = {
+                login: c.author?.login || null,
+                name: c.commit.author.name,
+                email: (c.commit.author.email || '').toLowerCase()
+            };
+            const id = author.login || author.email;
+            if (!authors.has(id)) authors.set(id, author);
+        }
+        return [...authors.values()];
+    } catch (e) {
+        console.error("GitHub Commit Error:", e.message);
+        return [];
+    }
+}
+
+/**
+ * Fit a unified diff into a size limit by whole files, naming the files left out.
+ * @param {string} diff
+ * @param {number} [maxChars]
+ * @returns {string}
+ */
+function fitDiff(diff, maxChars = MAX_DIFF_CHARS) {
+    if (diff.length <= maxChars) return diff;
+
+    const files = diff.split(/^(?=diff --git )/m);
+    const kept = [];
+    const left = [];
+    let size = 0;
+    for (const file of files) {
+        const path = (file.match(/^diff --git a\/\S+ b\/(\S+)/) || [])[1] || '(header)';
+        // Smaller files further down still fit after a big one is skipped
+        if (size + file.length > maxChars) {
+            left.push(`\`${path}\` (${file.length} chars)`);
+            continue;
+        }
+        kept.push(file);
+        size += file.length;
+    }
+    return `${kept.join('')}\n\n⚠️ Not shown, over the ${maxChars}-char limit: ${left.join(', ')}`;
+}
+
+/**
+ * Get diff for a specific commit. Files that don't fit are listed, never cut mid-file.
  * @param {string} commitSha 
  */
 async function getCommitDiff(commitSha) {
@@ -185,24 +566,204 @@ async function getCommitDiff(commitSha) {
             }
         });
 
-        if (data.length > 10000) {
-            return `[diff truncated] ${data.substring(0, 10000)}...`;
-        }
-        return data;
+        return fitDiff(data);
     } catch (e) {
         return `Error getting diff: ${e.message}`;
     }
 }
 
+/**
+ * Get the commit messages of a PR.
+ * @param {number} prNumber
+ * @returns {Promise<Array<string>>}
+ */
+async function getPullRequestCommitMessages(prNumber) {
+    try {
+        const { data } = await octokit.rest.pulls.listCommits({ owner: OWNER, repo: REPO, pull_number: prNumber, per_page: 100 });
+        return data.map(c => c.commit.message);
+    } catch (e) {
+        console.error("GitHub PR Commits Error:", e.message);
+        return [];
+    }
+}
+
+/**
+ * Get the repository's default branch name.
+ * @returns {Promise<string>}
+ */
+async function getDefaultBranch() {
+    const { data } = await octokit.rest.repos.get({ owner: OWNER, repo: REPO });
+    return data.default_branch;
+}
+
+/**
+ * Get check runs and legacy commit statuses for a ref, in one flat list.
+ * @param {string} ref - Commit SHA or branch name
+ * @returns {Promise<Array<{name: string, status: string, conclusion: string|null, url: string}>>}
+ */
+async function getChecksForRef(ref) {
+    const [{ data: checks }, { data: combined }] = await Promise.all([
+        octokit.rest.checks.listForRef({ owner: OWNER, repo: REPO, ref, per_page: 100 }),
+        octokit.rest.repos.getCombinedStatusForRef({ owner: OWNER, repo: REPO, ref })
+    ]);
+
+    const runs = checks.check_runs.map(run => ({
+        name: run.name,
+        status: run.status,
+        conclusion: run.conclusion,
+        url: run.html_url
+    }));
+
+    // Commit statuses (external CI) use state instead of status/conclusion
+    const statuses = (combined.statuses || []).map(st => ({
+        name: st.context,
+        status: st.state === 'pending' ? 'in_progress' : 'completed',
+        conclusion: st.state === 'pending' ? null : (st.state === 'error' ? 'failure' : st.state),
+        url: st.target_url
+    }));
+
+    return [...runs, ...statuses];
+}
+
+/**
+ * Reduce a list of checks to an overall state.
+ * @param {Array} checks - From getChecksForRef
+ * @returns {{state: string, failing: Array<string>, pending: Array<string>, passing: Array<string>}}
+ */
+function summarizeChecks(checks) {
+    const failing = checks.filter(c => ['failure', 'timed_out', 'cancelled', 'action_required'].includes(c.conclusion)).map(c => c.name);
+    const pending = checks.filter(c => c.status !== 'completed').map(c => c.name);
+    const passing = checks.filter(c => ['success', 'neutral', 'skipped'].includes(c.conclusion)).map(c => c.name);
+
+    let state = 'passing';
+    if (checks.length === 0) state = 'none';
+    else if (failing.length) state = 'failing';
+    else if (pending.length) state = 'pending';
+
+    return { state, failing, pending, passing };
+}
+
+/**
+ * Get CI status for a PR or commit (for the brain's get_ci_status tool).
+ * @param {Object} target
+ * @param {number} [target.prNumber] - PR number
+ * @param {string} [target.sha] - Commit SHA or branch (defaults to the default branch)
+ * @returns {Promise<string>}
+ */
+async function getCIStatus({ prNumber, sha } = {}) {
+    try {
+        let ref = sha;
+        let label;
+        if (prNumber) {
+            const { data: pr } = await octokit.rest.pulls.get({ owner: OWNER, repo: REPO, pull_number: prNumber });
+            ref = pr.head.sha;
+            label = `PR #${prNumber} (${pr.title}) @ ${ref.substring(0, 7)}`;
+        } else if (!ref) {
+            ref = await getDefaultBranch();
+        }
+        label = label || ref;
+
+        const checks = await getChecksForRef(ref);
+        const summary = summarizeChecks(checks);
+        if (summary.state === 'none') return `No CI checks found for ${label}.`;
+
+        const icon = { passing: '🟢', failing: '🔴', pending: '🟡' }[summary.state];
+        const lines = checks.map(c => `- ${c.name}: ${c.conclusion || c.status}${c.url ? ` (${c.url})` : ''}`);
+        return `${icon} CI for ${label} is ${summary.state.toUpperCase()}\n${lines.join('\n')}`;
+    } catch (e) {
+        return `GitHub CI Error: ${e.message}`;
+    }
+}
+
+/**
+ * Find open PRs and the default branch whose latest CI run is failing.
+ * @returns {Promise<Array<{label: string, failing: Array<string>}>>}
+ */
+async function getFailingBuilds() {
+    try {
+        const [defaultBranch, prs] = await Promise.all([getDefaultBranch(), getPullRequestsRaw()]);
+        const targets = [
+            { label: defaultBranch, ref: defaultBranch },
+            ...(prs || []).filter(pr => pr.head_sha).map(pr => ({ label: `PR #${pr.number}`, ref: pr.head_sha }))
+        ];
+
+        const failing = [];
+        for (const target of targets) {
+            const summary = summarizeChecks(await getChecksForRef(target.ref));
+            if (summary.state === 'failing') failing.push({ label: target.label, failing: summary.failing });
+        }
+        return failing;
+    } catch (e) {
+        console.error("GitHub CI Error:", e.message);
+        return [];
+    }
+}
+
+/**
+ * Names of the failed jobs in a GitHub Actions workflow run.
+ * @param {number} runId
+ * @returns {Promise<Array<string>>}
+ */
+async function getFailedWorkflowJobs(runId) {
+    try {
+        const { data } = await octokit.rest.actions.listJobsForWorkflowRun({ owner: OWNER, repo: REPO, run_id: runId, per_page: 100 });
+        return data.jobs.filter(j => ['failure', 'timed_out'].includes(j.conclusion)).map(j => j.name);
+    } catch (e) {
+        console.error("GitHub Jobs Error:", e.message);
+        return [];
+    }
+}
+
+/**
+ * Names of the failed check runs in a check suite.
+ * @param {number} suiteId
+ * @returns {Promise<Array<string>>}
+ */
+async function getFailedSuiteRuns(suiteId) {
+    try {
+        const { data } = await octokit.rest.checks.listForSuite({ owner: OWNER, repo: REPO, check_suite_id: suiteId, per_page: 100 });
+        return data.check_runs.filter(r => ['failure', 'timed_out'].includes(r.conclusion)).map(r => r.name);
+    } catch (e) {
+        console.error("GitHub Checks Error:", e.message);
+        return [];
+    }
+}
+
+/**
+ * Swap the Octokit client (used by the offline test harness).
+ * @param {Object} client - Octokit-compatible client
+ */
+function setOctokit(client) {
+    octokit = client;
+}
+
 module.exports = {
+    setOctokit,
     getPullRequests,
     getIssues,
+    getIssuesRaw,
     getFileTree,
     readFileContent,
-    createNewFile,
-    getPullRequestDiff,
-    getPullRequestDiff,
+    searchCode,
+    getRawFile,
+    getBranchSha,
+    createBranch,
+    commitFiles,
+    createPullRequest,
+    getPullRequest,
+    getFullPullRequestDiff,
+    createPullRequestReview,
     getPullRequestsRaw,
+    getMergedPullRequests,
     getRecentCommits,
-    getCommitDiff
+    getCommitAuthors,
+    getCommitDiff,
+    getDefaultBranch,
+    getPullRequestCommitMessages,
+    getChecksForRef,
+    summarizeChecks,
+    getCIStatus,
+    getFailingBuilds,
+    getFailedWorkflowJobs,
+    getFailedSuiteRuns
 };
@@ -1,13 +1,128 @@
 require('dotenv').config();
 const axios = require('axios');
+const { workingDaysBetween } = require('../config/calendar');
 
 const JIRA_HOST = process.env.JIRA_HOST;
 const JIRA_EMAIL = process.env.JIRA_EMAIL;
 const JIRA_TOKEN = process.env.JIRA_API_TOKEN;
 const PROJECT_KEY = process.env.JIRA_PROJECT_KEY;
+// "Story point estimate" on Jira Cloud team-managed projects; company-managed ones often use another custom field
+const STORY_POINTS_FIELD = process.env.JIRA_STORY_POINTS_FIELD || 'customfield_10016';
+
+// Metrics searches page through results 100 at a time, up to this many pages
+const SEARCH_PAGE_SIZE = 100;
+const MAX_SEARCH_PAGES = 50;
 
 const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_TOKEN}`).toString('base64');
 
+const JIRA_HEADERS = {
+    'Authorization': `Basic ${auth}`,
+    'Accept': 'application/json',
+    'Content-Type': 'application/json'
+};
+
+/**
+ * Build a Jira REST URL.
+ * @param {string} path - e.g. '/rest/api/3/issue/LAB-1'
+ * @returns {string}
+ */
+function jiraUrl(path) {
+    return `https://${JIRA_HOST}${path}`;
+}
+
+/**
+ * Link to a ticket in the Jira UI.
+ * @param {string} issueKey
+ * @returns {string}
+ */
+function jiraBrowseUrl(issueKey) {
+    return jiraUrl(`/browse/${issueKey}`);
+}
+
+/**
+ * Turn an axios error into the "❌ Jira Error" string used by all tools.
+ * @param {Error} error
+ * @returns {string}
+ */
+function formatJiraError(error) {
+    const errMsg = error.response?.data?.errors || error.response?.data?.errorMessages || error.message;
+    console.error("Jira Error:", errMsg);
+    return `❌ Jira Error: ${JSON.stringify(errMsg)}`;
+}
+
+/**
+ * Convert light markdown (paragraphs, "## headings", "- bullets") to an Atlassian Document Format doc.
+ * @param {string} text
+ * @returns {Object}
+ */
+function toADF(text) {
+    const content = [];
+
+    for (const block of String(text).split(/\n{2,}/)) {
+        let paragraph = null;
+        let bullets = null;
+
+        for (const line of block.split('\n')) {
+            const bullet = line.match(/^\s*[-*•]\s+(.*)$/);
+            const heading = line.match(/^(#{1,6})\s+(.*)$/);
+
+            if (bullet) {
+                paragraph = null;
+                if (!bullets) {
+                    bullets = { type: "bulletList", content: [] };
+                    content.push(bullets);
+                }
+                bullets.content.push({
+                    type: "listItem",
+                    content: [{ type: "paragraph", content: [{ type: "text", text: bullet[1] }] }]
+                });
+            } else if (heading) {
+                paragraph = null;
+                bullets = null;
+                content.push({ type: "heading", attrs: { level: heading[1].length }, content: [{ type: "text", text: heading[2] }] });
+            } else if (line.trim()) {
+                bullets = null;
+                // Consecutive plain lines stay in one paragraph
+                if (paragraph) {
+                    paragraph.content.push({ type: "hardBreak" }, { type: "text", text: line });
+                } else {
+                    paragraph = { type: "paragraph", content: [{ type: "text", text: line }] };
+                    content.push(paragraph);
+                }
+            }
+        }
+    }
+
+    return { type: "doc", version: 1, content };
+}
+
+/**
+ * Flatten an Atlassian Document Format node to plain text.
+ * @param {Object|string|null} node
+ * @returns {string}
+ */
+function adfToText(node) {
+    if (!node) return "";
+    if (typeof node === 'string') return node;
+    if (node.type === 'text') return node.text || "";
+    if (node.type === 'hardBreak') return "\n";
+    if (node.type === 'mention') return node.attrs?.text || "@someone";
+    const inner = (node.content || []).map(adfToText).join("");
+    if (node.type === 'listItem') return `- ${inner.trim()}\n`;
+    return ['paragraph', 'heading', 'codeBlock', 'blockquote'].includes(node.type) ? `${inner}\n` : inner;
+}
+
+/**
+ * Normalize a ticket key (e.g. "lab 42" or "42" → "LAB-42").
+ * @param {string} key
+ * @returns {string}
+ */
+function normalizeIssueKey(key) {
+    const clean = String(key || "").trim().toUpperCase().replace(/\s+/g, '-');
+    if (/^\d+$/.test(clean)) return `${PROJECT_KEY}-${clean}`;
+    return clean;
+}
+
 /**
  * Create a Jira task (basic - no assignee)
  * @param {string} summary - Task title
@@ -25,30 +140,41 @@ async function createJiraTask(summary) {
  * @returns {Promise<string>}
  */
 async function createJiraTaskWithAssignee(summary, assigneeAccountId = null, description = null) {
+    return createJiraIssue({ summary, assigneeAccountId, description });
+}
+
+/**
+ * Create a Jira issue with any of the supported fields
+ * @param {Object} issue
+ * @param {string} issue.summary - Title
+ * @param {string} [issue.description] - Light markdown description
+ * @param {string} [issue.issueType='Task'] - Bug, Story, Task, Sub-task...
+ * @param {string} [issue.priority] - Highest, High, Medium, Low, Lowest
+ * @param {Array<string>} [issue.labels]
+ * @param {string} [issue.parentKey] - Epic (or parent for a Sub-task)
+ * @param {string} [issue.assigneeAccountId]
+ * @returns {Promise<string>}
+ */
+async function createJiraIssue({ summary, description = null, issueType = 'Task', priority = null, labels = [], parentKey = null, assigneeAccountId = null }) {
     try {
         const fields = {
             project: { key: PROJECT_KEY },
             summary: summary,
-            issuetype: { name: 'Task' }
+            issuetype: { name: issueType }
         };
 
         if (description) {
-            fields.description = {
-                type: "doc",
-                version: 1,
-                content: [
-                    {
-                        type: "paragraph",
-                        content: [{ type: "text", text: description }]
-                    }
-                ]
-            };
+            fields.description = toADF(description);
         }
 
         if (assigneeAccountId) {
             fields.assignee = { accountId: assigneeAccountId };
         }
 
+        if (priority) fields.priority = { name: priority };
+        if (labels && labels.length) fields.labels = labels;
+        if (parentKey) fields.parent = { key: normalizeIssueKey(parentKey) };
+
         const response = await axios.post(
             `https://${JIRA_HOST}/rest/api/3/issue`,
             { fields },
@@ -62,11 +188,9 @@ async function createJiraTaskWithAssignee(summary, assigneeAccountId = null, des
         );
 
         const issueKey = response.data.key;
-        return `✅ Ticket Created: ${issueKey} (https://${JIRA_HOST}/browse/${issueKey})`;
+        return `✅ Ticket Created: ${issueKey} (${jiraBrowseUrl(issueKey)})`;
     } catch (error) {
-        const errMsg = error.response?.data?.errors || error.response?.data?.errorMessages || error.message;
-        console.error("Jira Error:", errMsg);
-        return `❌ Jira Error: ${JSON.stringify(errMsg)}`;
+        return formatJiraError(error);
     }
 }
 
@@ -93,13 +217,85 @@ async function getOpenJiraIssues() {
     }
 }
 
+/**
+ * Every issue matching a JQL query, following nextPageToken. Throws on Jira errors.
+ * @param {string} jql
+ * @param {string} fields - Comma-separated field names
+ * @returns {Promise<Array>}
+ */
+async function searchAllJiraIssues(jql, fields) {
+    const issues = [];
+    let nextPageToken = null;
+    for (let page = 0; page < MAX_SEARCH_PAGES; page++) {
+        const token = nextPageToken ? `&nextPageToken=${encodeURIComponent(nextPageToken)}` : '';
+        const response = await axios.get(jiraUrl(`/rest/api/3/search/jql?jql=${encodeURIComponent(jql)}&maxResults=${SEARCH_PAGE_SIZE}&fields=${fields}${token}`), { headers: JIRA_HEADERS });
+        issues.push(...(response.data.issues || []));
+        nextPageToken = response.data.nextPageToken;
+        if (!nextPageToken || response.data.isLast) return issues;
+    }
+    console.warn(`⚠️ Jira search stopped after ${issues.length} issues: ${jql}`);
+    return issues;
+}
+
+/**
+ * Count the project's open issues by status (for metrics snapshots)
+ * @returns {Promise<Object|null>} { statusName: count }, null if Jira can't be read
+ */
+async function countJiraIssuesByStatus() {
+    try {
+        const jql = `project = ${PROJECT_KEY} AND status != Done`;
+        const counts = {};
+        for (const issue of await searchAllJiraIssues(jql, 'status')) {
+            const status = issue.fields.status.name;
+            counts[status] = (counts[status] || 0) + 1;
+        }
+        return counts;
+    } catch (e) {
+        console.error("Jira count error:", e.response?.status || e.message);
+        return null;
+    }
+}
+
+/**
+ * Tickets resolved in the last N days, newest first
+ * @param {number} days
+ * @returns {Promise<Array<{key: string, summary: string, created: string, resolved: string}>|null>} null if Jira can't be read
+ */
+async function getResolvedJiraIssues(days) {
+    try {
+        const jql = `project = ${PROJECT_KEY} AND status = Done AND resolved >= -${days}d ORDER BY resolved DESC`;
+        const since = Date.now() - days * 86400000;
+        return (await searchAllJiraIssues(jql, 'summary,created,resolutiondate'))
+            .filter(issue => issue.fields.resolutiondate && new Date(issue.fields.resolutiondate).getTime() >= since)
+            .map(issue => ({
+                key: issue.key,
+                summary: issue.fields.summary,
+                created: issue.fields.created,
+                resolved: issue.fields.resolutiondate
+            }));
+    } catch (e) {
+        console.error("Jira resolved search error:", e.response?.status || e.message);
+        return null;
+    }
+}
+
 /**
  * Get stale Jira tickets (in Development for 5+ days)
  */
 async function getStaleJiraTickets() {
+    const tickets = await getJiraIssuesInStatus(["Development", "In Progress"]);
+    return tickets.filter(t => t.days_stale >= 5); // Only return tickets stale 5+ days
+}
+
+/**
+ * Get tickets in the given statuses, oldest update first
+ * @param {Array<string>} statuses - e.g. ["Development", "In Progress"]
+ * @returns {Promise<Array>}
+ */
+async function getJiraIssuesInStatus(statuses) {
     try {
-        // Get tickets in "Development" or "In Progress" status
-        const jql = `project = ${PROJECT_KEY} AND status in ("Development", "In Progress") ORDER BY updated ASC`;
+        const statusList = statuses.map(s => `"${s}"`).join(', ');
+        const jql = `project = ${PROJECT_KEY} AND status in (${statusList}) ORDER BY updated ASC`;
         const response = await axios.get(
             `https://${JIRA_HOST}/rest/api/3/search/jql?jql=${encodeURIComponent(jql)}&maxResults=20&fields=summary,status,assignee,created,updated`,
             {
@@ -112,23 +308,336 @@ async function getStaleJiraTickets() {
 
         const issues = response.data.issues || [];
         return issues.map(issue => {
-            const updated = new Date(issue.fields.updated);
-            const daysStale = Math.floor((Date.now() - updated) / (1000 * 60 * 60 * 24));
+            const daysStale = workingDaysBetween(issue.fields.updated);
             return {
                 key: issue.key,
                 summary: issue.fields.summary,
                 status: issue.fields.status.name,
                 assignee: issue.fields.assignee?.displayName || 'Unassigned',
                 assigneeId: issue.fields.assignee?.accountId || null,
+                updated: issue.fields.updated,
                 days_stale: daysStale
             };
-        }).filter(t => t.days_stale >= 5); // Only return tickets stale 5+ days
+        });
+    } catch (e) {
+        console.error("Jira status search error:", e.response?.status || e.message);
+        return [];
+    }
+}
+
+/**
+ * Get just the current status name of a ticket
+ * @param {string} key - Ticket key
+ * @returns {Promise<string|null>} null if the ticket can't be read
+ */
+async function getJiraIssueStatus(key) {
+    try {
+        const response = await axios.get(jiraUrl(`/rest/api/3/issue/${normalizeIssueKey(key)}?fields=status`), { headers: JIRA_HEADERS });
+        return response.data.fields.status.name;
     } catch (e) {
-        console.error("Jira stale check error:", e.response?.status || e.message);
+        console.error("Jira status error:", e.response?.status || e.message);
+        return null;
+    }
+}
+
+/**
+ * Run a JQL search and return a readable list.
+ * @param {string} jql - JQL query
+ * @param {number} [maxResults=20]
+ * @returns {Promise<string>}
+ */
+async function searchJiraIssues(jql, maxResults = 20) {
+    try {
+        const fields = 'summary,status,assignee,priority,labels,updated';
+        const response = await axios.get(
+            jiraUrl(`/rest/api/3/search/jql?jql=${encodeURIComponent(jql)}&maxResults=${maxResults}&fields=${fields}`),
+            { headers: JIRA_HEADERS }
+        );
+        const issues = response.data.issues || [];
+        if (issues.length === 0) return `No Jira issues match: ${jql}`;
+
+        return issues.map(i => {
+            const f = i.fields;
+            const labels = f.labels?.length ? ` [${f.labels.join(', ')}]` : "";
+            return `- [${i.key}] ${f.summary} (Status: ${f.status?.name}, Assignee: ${f.assignee?.displayName || 'Unassigned'}, Priority: ${f.priority?.name || 'None'})${labels}`;
+        }).join("\n");
+    } catch (error) {
+        return formatJiraError(error);
+    }
+}
+
+/**
+ * Get a single ticket with description and recent comments.
+ * @param {string} key - Ticket key, e.g. "LAB-42"
+ * @returns {Promise<string>}
+ */
+async function getJiraIssue(key) {
+    const issueKey = normalizeIssueKey(key);
+    try {
+        const fields = 'summary,status,assignee,reporter,priority,labels,issuetype,description,comment,created,updated,parent';
+        const response = await axios.get(jiraUrl(`/rest/api/3/issue/${issueKey}?fields=${fields}`), { headers: JIRA_HEADERS });
+        const f = response.data.fields;
+
+        const comments = (f.comment?.comments || []).slice(-10).map(c =>
+            `  - ${c.author?.displayName || 'Someone'} (${(c.created || '').split('T')[0]}): ${adfToText(c.body).trim()}`
+        );
+
+        return [
+            `[${issueKey}] ${f.summary}`,
+            `Type: ${f.issuetype?.name || 'Unknown'} | Status: ${f.status?.name} | Priority: ${f.priority?.name || 'None'}`,
+            `Assignee: ${f.assignee?.displayName || 'Unassigned'} | Reporter: ${f.reporter?.displayName || 'Unknown'}`,
+            f.parent ? `Parent: ${f.parent.key}` : null,
+            `Labels: ${f.labels?.length ? f.labels.join(', ') : 'none'}`,
+            `Link: ${jiraBrowseUrl(issueKey)}`,
+            `Description:\n${adfToText(f.description).trim() || '(none)'}`,
+            `Comments (${comments.length}):\n${comments.length ? comments.join('\n') : '  (none)'}`
+        ].filter(Boolean).join("\n");
+    } catch (error) {
+        return formatJiraError(error);
+    }
+}
+
+/**
+ * Move a ticket to another workflow status (e.g. "Code Review", "Done").
+ * Matches the target against transition names and destination status names.
+ * @param {string} key - Ticket key
+ * @param {string} targetStatus - Desired status or transition name
+ * @returns {Promise<string>}
+ */
+async function transitionJiraIssue(key, targetStatus) {
+    const issueKey = normalizeIssueKey(key);
+    try {
+        const { data } = await axios.get(jiraUrl(`/rest/api/3/issue/${issueKey}/transitions`), { headers: JIRA_HEADERS });
+        const transitions = data.transitions || [];
+        const wanted = String(targetStatus).toLowerCase().trim();
+
+        const exact = transitions.find(t => t.to?.name?.toLowerCase() === wanted || t.name.toLowerCase() === wanted);
+        const partial = transitions.find(t => t.to?.name?.toLowerCase().includes(wanted) || t.name.toLowerCase().includes(wanted));
+        const transition = exact || partial;
+
+        if (!transition) {
+            const options = transitions.map(t => `"${t.to?.name || t.name}"`).join(', ') || 'none';
+            return `❌ Can't move ${issueKey} to "${targetStatus}" from its current status. Available: ${options}`;
+        }
+
+        await axios.post(
+            jiraUrl(`/rest/api/3/issue/${issueKey}/transitions`),
+            { transition: { id: transition.id } },
+            { headers: JIRA_HEADERS }
+        );
+        return `✅ ${issueKey} moved to ${transition.to?.name || transition.name}`;
+    } catch (error) {
+        return formatJiraError(error);
+    }
+}
+
+/**
+ * Add a comment to a ticket.
+ * @param {string} key - Ticket key
+ * @param {string} text - Comment text
+ * @returns {Promise<string>}
+ */
+async function addJiraComment(key, text) {
+    const issueKey = normalizeIssueKey(key);
+    try {
+        await axios.post(jiraUrl(`/rest/api/3/issue/${issueKey}/comment`), { body: toADF(text) }, { headers: JIRA_HEADERS });
+        return `✅ Comment added to ${issueKey}`;
+    } catch (error) {
+        return formatJiraError(error);
+    }
+}
+
+/**
+ * Change (or clear) a ticket's assignee.
+ * @param {string} key - Ticket key
+ * @param {string|null} accountId - Jira account ID, or null to unassign
+ * @returns {Promise<string>}
+ */
+async function assignJiraIssue(key, accountId) {
+    const issueKey = normalizeIssueKey(key);
+    try {
+        await axios.put(jiraUrl(`/rest/api/3/issue/${issueKey}/assignee`), { accountId: accountId || null }, { headers: JIRA_HEADERS });
+        return accountId ? `✅ ${issueKey} reassigned` : `✅ ${issueKey} unassigned`;
+    } catch (error) {
+        return formatJiraError(error);
+    }
+}
+
+/**
+ * Update a ticket's priority and/or labels.
+ * @param {string} key - Ticket key
+ * @param {Object} changes
+ * @param {string} [changes.priority] - e.g. "High"
+ * @param {Array<string>} [changes.labels] - Replace all labels
+ * @param {Array<string>} [changes.addLabels] - Labels to add (to `labels` too, if given)
+ * @param {Array<string>} [changes.removeLabels] - Labels to remove (from `labels` too, if given)
+ * @returns {Promise<string>}
+ */
+async function updateJiraIssueFields(key, { priority, labels, addLabels = [], removeLabels = [] } = {}) {
+    const issueKey = normalizeIssueKey(key);
+    const fields = {};
+    const update = {};
+
+    // With a full list, additions and removals are applied to it rather than dropped
+    const finalLabels = labels
+        ? [...new Set([...labels, ...addLabels])].filter(l => !removeLabels.includes(l))
+        : null;
+
+    if (priority) fields.priority = { name: priority };
+    if (finalLabels) fields.labels = finalLabels;
+    const labelOps = [
+        ...addLabels.map(l => ({ add: l })),
+        ...removeLabels.map(l => ({ remove: l }))
+    ];
+    if (labelOps.length && !finalLabels) update.labels = labelOps;
+
+    if (!Object.keys(fields).length && !Object.keys(update).length) {
+        return "Nothing to update. Provide a priority or labels.";
+    }
+
+    try {
+        await axios.put(jiraUrl(`/rest/api/3/issue/${issueKey}`), { fields, update }, { headers: JIRA_HEADERS });
+        const changed = [
+            priority ? `priority → ${priority}` : null,
+            finalLabels ? `labels → ${finalLabels.join(', ') || 'none'}` : null,
+            !finalLabels && addLabels.length ? `+${addLabels.join(', +')}` : null,
+            !finalLabels && removeLabels.length ? `-${removeLabels.join(', -')}` : null
+        ].filter(Boolean).join('; ');
+        return `✅ ${issueKey} updated (${changed})`;
+    } catch (error) {
+        return formatJiraError(error);
+    }
+}
+
+/**
+ * Search Jira users by name or email (GDPR-safe: returns account IDs, email only if visible).
+ * @param {string} query
+ * @returns {Promise<Array<{accountId: string, displayName: string, email: string|null}>>}
+ */
+async function searchJiraUsers(query) {
+    try {
+        const response = await axios.get(jiraUrl(`/rest/api/3/user/search?query=${encodeURIComponent(query)}`), { headers: JIRA_HEADERS });
+        return response.data
+            .filter(u => u.accountType !== 'app')
+            .map(u => ({ accountId: u.accountId, displayName: u.displayName, email: u.emailAddress || null }));
+    } catch (error) {
+        formatJiraError(error);
         return [];
     }
 }
 
-module.exports = { createJiraTask, createJiraTaskWithAssignee, getOpenJiraIssues, getStaleJiraTickets };
+// ============================================
+// AGILE (boards and sprints)
+// ============================================
+
+let boardIdCache = null;
+
+/**
+ * The project's Scrum board: JIRA_BOARD_ID, or the first board Jira lists for the project.
+ * @returns {Promise<number|null>}
+ */
+async function getBoardId() {
+    if (process.env.JIRA_BOARD_ID) return Number(process.env.JIRA_BOARD_ID);
+    if (boardIdCache) return boardIdCache;
+    try {
+        const response = await axios.get(jiraUrl(`/rest/agile/1.0/board?projectKeyOrId=${encodeURIComponent(PROJECT_KEY)}`), { headers: JIRA_HEADERS });
+        const boards = response.data.values || [];
+        const board = boards.find(b => b.type === 'scrum') || boards[0];
+        boardIdCache = board ? board.id : null;
+        return boardIdCache;
+    } catch (error) {
+        formatJiraError(error);
+        return null;
+    }
+}
+
+/**
+ * The board's active sprint.
+ * @returns {Promise<{id: number, name: string, goal: string, startDate: string, endDate: string}|null>}
+ */
+async function getActiveSprint() {
+    const boardId = await getBoardId();
+    if (!boardId) return null;
+    try {
+        const response = await axios.get(jiraUrl(`/rest/agile/1.0/board/${boardId}/sprint?state=active`), { headers: JIRA_HEADERS });
+        const sprint = (response.data.values || [])[0];
+        if (!sprint) return null;
+        return {
+            id: sprint.id,
+            name: sprint.name,
+            goal: sprint.goal || '',
+            startDate: sprint.startDate || null,
+            endDate: sprint.endDate || null
+        };
+    } catch (error) {
+        formatJiraError(error);
+        return null;
+    }
+}
+
+/**
+ * Every issue in a sprint with its story points.
+ * @param {number} sprintId
+ * @returns {Promise<Array<{key: string, summary: string, status: string, done: boolean, points: number, assigneeId: string|null}>|null>}
+ *   null if Jira can't be read (so a failed call never looks like an empty sprint)
+ */
+async function getSprintIssues(sprintId) {
+    const issues = [];
+    try {
+        let startAt = 0;
+        let total = Infinity;
+        while (startAt < total) {
+            const response = await axios.get(
+                jiraUrl(`/rest/agile/1.0/sprint/${sprintId}/issue?startAt=${startAt}&maxResults=100&fields=summary,status,assignee,${STORY_POINTS_FIELD}`),
+                { headers: JIRA_HEADERS }
+            );
+            const page = response.data.issues || [];
+            total = response.data.total ?? page.length;
+            for (const issue of page) {
+                const status = issue.fields.status;
+                issues.push({
+                    key: issue.key,
+                    summary: issue.fields.summary,
+                    status: status.name,
+                    done: status.statusCategory ? status.statusCategory.key === 'done' : status.name === 'Done',
+                    points: Number(issue.fields[STORY_POINTS_FIELD]) || 0,
+                    assigneeId: issue.fields.assignee?.accountId || null
+                });
+            }
+            if (page.length === 0) break;
+            startAt += page.length;
+        }
+        return issues;
+    } catch (error) {
+        formatJiraError(error);
+        return null;
+    }
+}
+
+module.exports = {
+    createJiraTask,
+    createJiraTaskWithAssignee,
+    createJiraIssue,
+    getOpenJiraIssues,
+    countJiraIssuesByStatus,
+    getResolvedJiraIssues,
+    getStaleJiraTickets,
+    getJiraIssuesInStatus,
+    getJiraIssueStatus,
+    searchJiraIssues,
+    getJiraIssue,
+    transitionJiraIssue,
+    addJiraComment,
+    assignJiraIssue,
+    updateJiraIssueFields,
+    searchJiraUsers,
+    getBoardId,
+    getActiveSprint,
+    getSprintIssues,
+    normalizeIssueKey,
+    jiraBrowseUrl,
+    adfToText,
+    toADF
+};
 
 
@@ -0,0 +1,299 @@
+/**
+ * tickets.js - Ticket Drafts
+ *
+ * Ticket creation from chat goes through a draft: Shehab fills in type, priority,
+ * labels, parent epic, description and assignee (by skills when nobody is named),
+ * shows a preview card, and only creates the Jira issue once someone confirms.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('../utils/store');
+const { createJiraIssue, normalizeIssueKey } = require('./jira');
+const { findBestAssignee, findMemberByName, findMemberBySlackId, isAdmin } = require('../config/team');
+
+const drafts = createStore('ticket_drafts');
+
+const DRAFT_TTL_MS = 24 * 60 * 60 * 1000;
+const ISSUE_TYPES = ['Bug', 'Story', 'Task', 'Sub-task'];
+const PRIORITIES = ['Highest', 'High', 'Medium', 'Low', 'Lowest'];
+
+/**
+ * Guess the issue type from the ticket text.
+ * @param {string} text
+ * @param {boolean} hasParent
+ * @returns {string}
+ */
+function inferIssueType(text, hasParent) {
+    const lower = text.toLowerCase();
+    if (/\b(bug|fix|crash|error|broken|fails?|regression|exception)\b/.test(lower)) return 'Bug';
+    if (/\b(as an? \w+|user story|story)\b/.test(lower)) return 'Story';
+    if (hasParent && /\b(sub-?task)\b/.test(lower)) return 'Sub-task';
+    return 'Task';
+}
+
+/**
+ * Guess the priority from the ticket text.
+ * @param {string} text
+ * @returns {string}
+ */
+function inferPriority(text) {
+    const lower = text.toLowerCase();
+    if (/\b(blocker|critical|production down|prod is down|data loss|security)\b/.test(lower)) return 'Highest';
+    if (/\b(urgent|asap|high priority|important|customer)\b/.test(lower)) return 'High';
+    if (/\b(nice to have|low priority|someday|cosmetic)\b/.test(lower)) return 'Low';
+    return 'Medium';
+}
+
+/**
+ * Match a free-form value against a list of allowed names (case-insensitive).
+ * @param {string} value
+ * @param {Array<string>} allowed
+ * @returns {string|null}
+ */
+function pickAllowed(value, allowed) {
+    if (!value) return null;
+    const lower = String(value).toLowerCase().replace(/[\s_]/g, '-');
+    return allowed.find(a => a.toLowerCase() === lower || a.toLowerCase().replace('-', '') === lower.replace('-', '')) || null;
+}
+
+/**
+ * Build a ticket draft, inferring anything not given explicitly.
+ * @param {Object} input - Tool arguments from the brain
+ * @param {string} input.summary
+ * @param {string} [input.description]
+ * @param {string} [input.issue_type]
+ * @param {string} [input.priority]
+ * @param {Array<string>} [input.labels]
+ * @param {string} [input.parent_key]
+ * @param {string} [input.assignee] - Team member name, or 'unassigned'
+ * @returns {Object} The draft fields plus how each was decided
+ */
+function buildTicketDraft(input) {
+    const summary = String(input.summary || "").trim();
+    const description = input.description ? String(input.description).trim() : "";
+    const text = `${summary}\n${description}`;
+    const parentKey = input.parent_key ? normalizeIssueKey(input.parent_key) : null;
+
+    let assignee = null;
+    let assigneeReason = "unassigned";
+    if (input.assignee && !/^(none|nobody|unassigned?)$/i.test(input.assignee)) {
+        assignee = findMemberByName(input.assignee);
+        assigneeReason = assignee ? "requested" : `"${input.assignee}" not found`;
+    } else if (!input.assignee) {
+        assignee = findBestAssignee(text);
+        assigneeReason = assignee ? "matched by skills" : "no skill match";
+    }
+
+    const issueType = pickAllowed(input.issue_type, ISSUE_TYPES) || inferIssueType(text, Boolean(parentKey));
+    return {
+        summary,
+        description,
+        // A Sub-task without a parent would be rejected by Jira
+        issueType: issueType === 'Sub-task' && !parentKey ? 'Task' : issueType,
+        priority: pickAllowed(input.priority, PRIORITIES) || inferPriority(text),
+        labels: (input.labels || []).map(l => String(l).trim().replace(/\s+/g, '-')).filter(Boolean),
+        parentKey,
+        assignee: assignee ? { name: assignee.name, jiraAccountId: assignee.jiraAccountId, slackId: assignee.slackId } : null,
+        assigneeReason
+    };
+}
+
+/**
+ * Save a draft and return its ID.
+ * @param {Object} fields - From buildTicketDraft
+ * @param {Object} [meta] - { createdBy, channel, thread_ts }
+ * @returns {Object} The stored draft
+ */
+function saveDraft(fields, meta = {}) {
+    const draft = { id: crypto.randomBytes(4).toString('hex'), fields, ...meta, createdAt: new Date().toISOString() };
+    drafts.update(data => {
+        const cutoff = Date.now() - DRAFT_TTL_MS;
+        for (const [id, d] of Object.entries(data)) {
+            if (new Date(d.createdAt).getTime() < cutoff) delete data[id];
+        }
+        data[draft.id] = draft;
+    });
+    return draft;
+}
+
+/**
+ * Get a pending draft.
+ * @param {string} id
+ * @returns {Object|null}
+ */
+function getDraft(id) {
+    return drafts.get(id) || null;
+}
+
+/**
+ * Only people on the roster (or admins) may create tickets from a draft, or discard one.
+ * @param {string} slackId
+ * @returns {boolean}
+ */
+function canConfirm(slackId) {
+    return Boolean(findMemberBySlackId(slackId)) || isAdmin(slackId);
+}
+
+/**
+ * Create the Jira issue for a draft and forget the draft.
+ * @param {string} id
+ * @param {string} slackId - Who confirmed
+ * @returns {Promise<string>} Result message
+ */
+async function confirmDraft(id, slackId) {
+    if (!canConfirm(slackId)) return "⛔ Only people on the team roster can create tickets.";
+
+    // Claim the draft before calling Jira so a double-click can't create the issue twice
+    let claimed = null;
+    drafts.update(data => {
+        claimed = data[id] || null;
+        delete data[id];
+    });
+    if (!claimed) return `❌ Ticket draft \`${id}\` not found (it may have expired or already been created).`;
+
+    const f = claimed.fields;
+    const result = await createJiraIssue({
+        summary: f.summary,
+        description: f.description || null,
+        issueType: f.issueType,
+        priority: f.priority,
+        labels: f.labels,
+        parentKey: f.parentKey,
+        assigneeAccountId: f.assignee?.jiraAccountId || null
+    });
+
+    // Put it back so the card can be retried
+    if (!result.startsWith('✅')) {
+        drafts.update(data => { data[id] = claimed; });
+    }
+    return result;
+}
+
+/**
+ * Discard a draft.
+ * @param {string} id
+ * @returns {boolean} Whether a draft was removed
+ */
+function cancelDraft(id) {
+    let removed = false;
+    drafts.update(data => {
+        removed = Boolean(data[id]);
+        delete data[id];
+    });
+    return removed;
+}
+
+/**
+ * Plain-text preview (for the LLM and notification fallbacks).
+ * @param {Object} draft
+ * @returns {string}
+ */
+function renderDraftText(draft) {
+    const f = draft.fields;
+    return [
+        `🎫 Ticket preview (draft ${draft.id}):`,
+        `Summary: ${f.summary}`,
+        `Type: ${f.issueType} | Priority: ${f.priority}`,
+        `Assignee: ${f.assignee ? f.assignee.name : 'Unassigned'} (${f.assigneeReason})`,
+        f.parentKey ? `Parent: ${f.parentKey}` : null,
+        `Labels: ${f.labels.length ? f.labels.join(', ') : 'none'}`,
+        `Description:\n${f.description || '(none)'}`
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Block Kit preview card with Create / Cancel buttons.
+ * @param {Object} draft
+ * @returns {Array} Slack blocks
+ */
+function renderDraftBlocks(draft) {
+    const f = draft.fields;
+    const description = f.description.length > 2500 ? `${f.description.substring(0, 2500)}...` : f.description;
+
+    return [
+        { type: "header", text: { type: "plain_text", text: "🎫 Ticket preview" } },
+        { type: "section", text: { type: "mrkdwn", text: `*${f.summary}*` } },
+        {
+            type: "section",
+            fields: [
+                { type: "mrkdwn", text: `*Type:*\n${f.issueType}` },
+                { type: "mrkdwn", text: `*Priority:*\n${f.priority}` },
+                { type: "mrkdwn", text: `*Assignee:*\n${f.assignee ? `<@${f.assignee.slackId}>` : 'Unassigned'} _(${f.assigneeReason})_` },
+                { type: "mrkdwn", text: `*Labels:*\n${f.labels.length ? f.labels.join(', ') : 'none'}` },
+                ...(f.parentKey ? [{ type: "mrkdwn", text: `*Parent:*\n${f.parentKey}` }] : [])
+            ]
+        },
+        ...(description ? [{ type: "section", text: { type: "mrkdwn", text: description } }] : []),
+        {
+            type: "actions",
+            elements: [
+                { type: "button", text: { type: "plain_text", text: "Create ticket" }, style: "primary", action_id: "ticket_draft_create", value: draft.id },
+                { type: "button", text: { type: "plain_text", text: "Cancel" }, action_id: "ticket_draft_cancel", value: draft.id }
+            ]
+        },
+        { type: "context", elements: [{ type: "mrkdwn", text: `Draft \`${draft.id}\` · or just tell me what to change` }] }
+    ];
+}
+
+/**
+ * Register the preview card buttons on the Bolt app.
+ * @param {Object} app - Slack Bolt app
+ */
+function registerTicketActions(app) {
+    app.action('ticket_draft_create', async ({ ack, body, client }) => {
+        await ack();
+        if (!canConfirm(body.user.id)) {
+            await client.chat.postEphemeral({
+                channel: body.channel.id,
+                user: body.user.id,
+                text: "⛔ Only people on the team roster can create tickets."
+            });
+            return;
+        }
+        const id = body.actions[0].value;
+        const result = await confirmDraft(id, body.user.id);
+        // Keep the card (and its buttons) if Jira failed, so it can be retried
+        if (!result.startsWith('✅')) {
+            await client.chat.postEphemeral({ channel: body.channel.id, user: body.user.id, text: result });
+            return;
+        }
+        await client.chat.update({
+            channel: body.channel.id,
+            ts: body.message.ts,
+            text: `${result} (confirmed by <@${body.user.id}>)`,
+            blocks: []
+        });
+    });
+
+    app.action('ticket_draft_cancel', async ({ ack, body, client }) => {
+        await ack();
+        if (!canConfirm(body.user.id)) {
+            await client.chat.postEphemeral({
+                channel: body.channel.id,
+                user: body.user.id,
+                text: "⛔ Only people on the team roster can discard ticket drafts."
+            });
+            return;
+        }
+        cancelDraft(body.actions[0].value);
+        await client.chat.update({
+            channel: body.channel.id,
+            ts: body.message.ts,
+            text: `🗑️ Ticket draft discarded by <@${body.user.id}>.`,
+            blocks: []
+        });
+    });
+}
+
+module.exports = {
+    ISSUE_TYPES,
+    PRIORITIES,
+    buildTicketDraft,
+    saveDraft,
+    getDraft,
+    confirmDraft,
+    cancelDraft,
+    renderDraftText,
+    renderDraftBlocks,
+    registerTicketActions
+};
@@ -0,0 +1,372 @@
+/**
+ * blocks.js - Slack Message Rendering
+ *
+ * The one place that turns Shehab's output into Slack messages, shared by the
+ * scheduler (reports) and the life systems (alerts, reflection, nudges):
+ * - formatForSlack rewrites LLM markdown into mrkdwn and @handles into mentions
+ * - renderReport / renderAlert / renderNote build Block Kit: header and section
+ *   blocks, context lines with the mood emoji, PR and ticket lists with link
+ *   buttons, and collapsible detail for long sections
+ * Every render returns { text, blocks }; text stays the plain version, which
+ * Slack uses for notifications and clients that can't show blocks.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./store');
+const { getAllMembers } = require('../config/team');
+
+// Full text of collapsed sections, for the "Show all" button: { id: { title, body, createdAt } }
+const details = createStore('message_details');
+
+const DETAIL_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// Slack limits
+const MAX_BLOCKS = 50;
+const MAX_HEADER = 150;
+const MAX_SECTION = 3000;
+const MAX_BUTTON = 75;
+// Sections longer than this many lines are collapsed to a preview
+const PREVIEW_LINES = 4;
+// Items shown per PR / ticket list
+const LIST_LIMIT = 5;
+
+const REFLECTION_MOODS = { celebratory: '🎉', worried: '😰', focused: '🎯', stressed: '😤', happy: '🎉', chill: '😎' };
+
+/**
+ * Cut text to a length, marking the cut.
+ * @param {string} text
+ * @param {number} max
+ * @returns {string}
+ */
+function truncate(text, max) {
+    const value = String(text || '');
+    return value.length > max ? `${value.substring(0, max - 1)}…` : value;
+}
+
+/**
+ * The @handles a member can be referred to by in LLM output (roster key and first name)
+ * @param {Object} member
+ * @returns {Array<string>}
+ */
+function memberHandles(member) {
+    return [...new Set([member.key, member.name.split(' ')[0].toLowerCase()])];
+}
+
+/**
+ * Rewrite LLM markdown into Slack mrkdwn and @handles into real mentions.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {Object} [options.names] - { slackId: name }; bare names are turned into mentions too
+ * @returns {string}
+ */
+function formatForSlack(text, { names = {} } = {}) {
+    if (!text) return "";
+    let clean = text
+        .replace(/\*\*(.*?)\*\*/g, "*$1*")
+        .replace(/^#+\s+(.*$)/gm, "*$1*")
+        .replace(/^\s*[\*\-]\s+/gm, "• ");
+
+    // @key / @FirstName for people on the roster
+    for (const member of getAllMembers()) {
+        for (const handle of memberHandles(member)) {
+            clean = clean.replace(new RegExp(`@${handle}\\b`, 'gi'), `<@${member.slackId}>`);
+        }
+    }
+
+    // Plain names of people Shehab has talked to
+    for (const [id, name] of Object.entries(names)) {
+        clean = clean.replace(new RegExp(`\\b${name}\\b`, 'gi'), `<@${id}>`);
+    }
+
+    return clean;
+}
+
+/**
+ * Header block (plain text, emoji allowed).
+ * @param {string} text
+ * @returns {Object}
+ */
+function header(text) {
+    return { type: "header", text: { type: "plain_text", text: truncate(text.replace(/\*/g, '').trim(), MAX_HEADER), emoji: true } };
+}
+
+/**
+ * Section block with mrkdwn text and an optional accessory (e.g. a link button).
+ * @param {string} text
+ * @param {Object} [accessory]
+ * @returns {Object}
+ */
+function section(text, accessory = null) {
+    return { type: "section", text: { type: "mrkdwn", text: truncate(text, MAX_SECTION) }, ...(accessory ? { accessory } : {}) };
+}
+
+/**
+ * Context block: small grey line(s) under a message.
+ * @param {...string} parts - Empty parts are skipped
+ * @returns {Object}
+ */
+function context(...parts) {
+    return { type: "context", elements: parts.filter(Boolean).map(text => ({ type: "mrkdwn", text: truncate(text, MAX_SECTION) })) };
+}
+
+/**
+ * Divider block.
+ * @returns {Object}
+ */
+function divider() {
+    return { type: "divider" };
+}
+
+/**
+ * Button that opens a URL.
+ * @param {string} label
+ * @param {string} url
+ * @returns {Object}
+ */
+function linkButton(label, url) {
+    const hash = crypto.createHash('sha1').update(url).digest('hex').substring(0, 8);
+    return { type: "button", text: { type: "plain_text", text: truncate(label, MAX_BUTTON), emoji: true }, url, action_id: `open_link:${hash}` };
+}
+
+/**
+ * A titled section, collapsed to a preview with a "Show all" button when long.
+ * @param {string} title - mrkdwn title, e.g. "*🔥 Priority Items:*"
+ * @param {string} body
+ * @returns {Object} Section block
+ */
+function collapsible(title, body) {
+    const lines = body.split('\n');
+    if (lines.length <= PREVIEW_LINES + 1) return section(title ? `${title}\n${body}` : body);
+
+    const id = crypto.randomBytes(4).toString('hex');
+    details.update(data => {
+        const cutoff = Date.now() - DETAIL_TTL_MS;
+        for (const [key, d] of Object.entries(data)) {
+            if (new Date(d.createdAt).getTime() < cutoff) delete data[key];
+        }
+        data[id] = { title, body, createdAt: new Date().toISOString() };
+    });
+    return collapsedBlock(id, { title, body });
+}
+
+/**
+ * Collapsed view of a detail section.
+ * @param {string} id
+ * @param {Object} detail - { title, body }
+ * @returns {Object} Section block
+ */
+function collapsedBlock(id, { title, body }) {
+    const lines = body.split('\n');
+    const preview = `${lines.slice(0, PREVIEW_LINES).join('\n')}\n_…${lines.length - PREVIEW_LINES} more_`;
+    return {
+        ...section(title ? `${title}\n${preview}` : preview, { type: "button", text: { type: "plain_text", text: "Show all" }, action_id: "detail_expand", value: id }),
+        block_id: `detail:${id}`
+    };
+}
+
+/**
+ * Expanded view of a detail section.
+ * @param {string} id
+ * @param {Object} detail - { title, body }
+ * @returns {Object} Section block
+ */
+function expandedBlock(id, { title, body }) {
+    return {
+        ...section(title ? `${title}\n${body}` : body, { type: "button", text: { type: "plain_text", text: "Show less" }, action_id: "detail_collapse", value: id }),
+        block_id: `detail:${id}`
+    };
+}
+
+/**
+ * A list with one section per item and a link button on each.
+ * @param {string} title - mrkdwn title
+ * @param {Array<{text: string, url?: string, label?: string}>} items
+ * @param {string} [empty] - Shown instead when there are no items
+ * @returns {Array<Object>} Blocks
+ */
+function itemList(title, items, empty = '_none_') {
+    if (items.length === 0) return [section(`${title}\n${empty}`)];
+    const blocks = [section(title)];
+    for (const item of items.slice(0, LIST_LIMIT)) {
+        blocks.push(section(item.text, item.url ? linkButton(item.label || 'Open', item.url) : null));
+    }
+    if (items.length > LIST_LIMIT) blocks.push(context(`…and ${items.length - LIST_LIMIT} more`));
+    return blocks;
+}
+
+/**
+ * Open PRs as a list with "View PR" buttons.
+ * @param {Array<Object>} prs - From getPullRequestsRaw
+ * @returns {Array<Object>} Blocks
+ */
+function prList(prs) {
+    return itemList(`*🔀 Open PRs (${prs.length})*`, prs.map(pr => ({
+        text: `*#${pr.number}* ${pr.title}\n_${pr.author} · ${pr.days_old}d old_`,
+        url: pr.url,
+        label: 'View PR'
+    })), '_No open PRs_');
+}
+
+/**
+ * Tickets as a list with "Open in Jira" buttons.
+ * @param {Array<{key: string, summary: string, status: string, url?: string}>} tickets
+ * @returns {Array<Object>} Blocks
+ */
+function ticketList(tickets) {
+    return itemList(`*🎫 Open Tickets (${tickets.length})*`, tickets.map(t => ({
+        text: `*${t.key}* ${t.summary}\n_${t.status}_`,
+        url: t.url,
+        label: 'Open in Jira'
+    })), '_No open tickets_');
+}
+
+/**
+ * Split a report into its title line and bold-headed sections.
+ * @param {string} text - mrkdwn report
+ * @returns {{title: string|null, sections: Array<{title: string, body: string}>}}
+ */
+function splitSections(text) {
+    const lines = text.split('\n');
+    let title = null;
+    if (lines.length && /^\S*\s*\*[^*]+\*\s*$/.test(lines[0].trim())) title = lines.shift().trim();
+
+    const sections = [];
+    let current = { title: '', body: [] };
+    for (const line of lines) {
+        // A line that is only bold text starts a section ("*🔥 Priority Items:*")
+        if (/^\*[^*]+\*:?\s*$/.test(line.trim())) {
+            if (current.title || current.body.some(l => l.trim())) sections.push(current);
+            current = { title: line.trim(), body: [] };
+        } else {
+            current.body.push(line);
+        }
+    }
+    if (current.title || current.body.some(l => l.trim())) sections.push(current);
+
+    return {
+        title,
+        sections: sections.map(s => ({ title: s.title, body: s.body.join('\n').trim() }))
+    };
+}
+
+/**
+ * Keep a message within Slack's block limit.
+ * @param {Array<Object>} blocks
+ * @returns {Array<Object>}
+ */
+function capBlocks(blocks) {
+    if (blocks.length <= MAX_BLOCKS) return blocks;
+    return [...blocks.slice(0, MAX_BLOCKS - 1), context(`_…${blocks.length - MAX_BLOCKS + 1} more block(s) cut_`)];
+}
+
+/**
+ * Block Kit PM report.
+ * @param {string} text - Report already run through formatForSlack
+ * @param {Object} [extra]
+ * @param {Object} [extra.mood] - From calculateMood ({ level, emoji })
+ * @param {number|null} [extra.healthScore]
+ * @param {Array<Object>} [extra.prs] - From getPullRequestsRaw
+ * @param {Array<Object>} [extra.tickets] - { key, summary, status, url }
+ * @param {Date} [extra.now]
+ * @returns {{text: string, blocks: Array<Object>}}
+ */
+function renderReport(text, { mood = null, healthScore = null, prs = null, tickets = null, now = new Date() } = {}) {
+    const { title, sections } = splitSections(text);
+    const blocks = [
+        header(title || '📊 Daily Status Report'),
+        context(
+            mood ? `${mood.emoji} Mood: *${mood.level}*` : null,
+            healthScore !== null ? `🎯 Health: *${healthScore}/10*` : null,
+            `📅 ${now.toISOString().substring(0, 10)}`
+        )
+    ];
+
+    for (const s of sections) {
+        if (!s.body && !s.title) continue;
+        blocks.push(s.body ? collapsible(s.title, s.body) : section(s.title));
+    }
+
+    if (prs || tickets) blocks.push(divider());
+    if (prs) blocks.push(...prList(prs));
+    if (tickets) blocks.push(...ticketList(tickets));
+
+    return { text, blocks: capBlocks(blocks) };
+}
+
+/**
+ * Block Kit alert (webhook events): the text as a section, a trailing URL as a button.
+ * @param {string} text - Alert text, optionally ending with a URL line
+ * @param {string} [label] - Button label
+ * @returns {{text: string, blocks: Array<Object>}}
+ */
+function renderAlert(text, label = 'Open on GitHub') {
+    const lines = text.trim().split('\n');
+    const last = lines[lines.length - 1].trim();
+    const url = /^https?:\/\/\S+$/.test(last) ? last : null;
+    if (url) lines.pop();
+
+    const [first, ...rest] = lines;
+    const blocks = [section(first, url ? linkButton(label, url) : null)];
+    if (rest.length) blocks.push(collapsible('', rest.join('\n')));
+    return { text, blocks };
+}
+
+/**
+ * Block Kit note with a title, a body and a context line (e.g. the daily reflection).
+ * @param {Object} note
+ * @param {string} note.title - mrkdwn title
+ * @param {string} note.body
+ * @param {string} [note.mood] - Mood word; shown with its emoji
+ * @param {string} [note.footer] - Extra context text
+ * @returns {{text: string, blocks: Array<Object>}}
+ */
+function renderNote({ title, body, mood = null, footer = null }) {
+    const text = `${title}\n${body}`;
+    const moodLine = mood ? `${REFLECTION_MOODS[String(mood).toLowerCase()] || '🧠'} Feeling ${mood}` : null;
+    return {
+        text,
+        blocks: [section(text), ...(moodLine || footer ? [context(moodLine, footer)] : [])]
+    };
+}
+
+/**
+ * Register the expand / collapse buttons and acknowledge link buttons.
+ * @param {Object} app - Slack Bolt app
+ */
+function registerBlockActions(app) {
+    // Link buttons open in the browser; Slack still sends an action that needs an ack
+    app.action(/^open_link:/, async ({ ack }) => { await ack(); });
+
+    for (const [actionId, render] of [['detail_expand', expandedBlock], ['detail_collapse', collapsedBlock]]) {
+        app.action(actionId, async ({ ack, body, client }) => {
+            await ack();
+            const id = body.actions[0].value;
+            const detail = details.get(id);
+            if (!detail || !body.message?.blocks) return;
+            await client.chat.update({
+                channel: body.channel.id,
+                ts: body.message.ts,
+                text: body.message.text,
+                blocks: body.message.blocks.map(b => b.block_id === `detail:${id}` ? render(id, detail) : b)
+            });
+        });
+    }
+}
+
+module.exports = {
+    memberHandles,
+    formatForSlack,
+    header,
+    section,
+    context,
+    divider,
+    linkButton,
+    collapsible,
+    itemList,
+    prList,
+    ticketList,
+    splitSections,
+    renderReport,
+    renderAlert,
+    renderNote,
+    registerBlockActions
+};
@@ -0,0 +1,214 @@
+/**
+ * diff.js - Line Diffs and Patches
+ *
+ * Builds git-style unified diffs between two versions of a file (for previews)
+ * and applies unified-diff patches to file contents (for edits proposed as a patch).
+ * The output parses with review.js parseUnifiedDiff.
+ */
+
+// Above this many cells the LCS table is skipped and the file shown as replaced
+const MAX_LCS_CELLS = 4000000;
+const CONTEXT_LINES = 3;
+
+/**
+ * Split text into lines; a trailing newline doesn't make an extra empty line.
+ * @param {string|null} text
+ * @returns {Array<string>}
+ */
+function splitLines(text) {
+    if (text === null || text === undefined || text === '') return [];
+    const lines = String(text).split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+/**
+ * Line-level edit script between two line arrays (longest common subsequence).
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array<{type: string, text: string}>} type is 'context' | 'del' | 'add'
+ */
+function diffLines(a, b) {
+    // Common prefix and suffix don't need the table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const head = a.slice(0, start).map(text => ({ type: 'context', text }));
+    const tail = a.slice(endA).map(text => ({ type: 'context', text }));
+    const oldMid = a.slice(start, endA);
+    const newMid = b.slice(start, endB);
+
+    if (oldMid.length * newMid.length > MAX_LCS_CELLS) {
+        return [...head, ...oldMid.map(text => ({ type: 'del', text })), ...newMid.map(text => ({ type: 'add', text })), ...tail];
+    }
+
+    // lcs[i][j] = LCS length of oldMid[i..] and newMid[j..]
+    const lcs = Array.from({ length: oldMid.length + 1 }, () => new Uint32Array(newMid.length + 1));
+    for (let i = oldMid.length - 1; i >= 0; i--) {
+        for (let j = newMid.length - 1; j >= 0; j--) {
+            lcs[i][j] = oldMid[i] === newMid[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const middle = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldMid.length || j < newMid.length) {
+        if (i < oldMid.length && j < newMid.length && oldMid[i] === newMid[j]) {
+            middle.push({ type: 'context', text: oldMid[i++] });
+            j++;
+        } else if (i < oldMid.length && (j === newMid.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            // Removals before additions, like git
+            middle.push({ type: 'del', text: oldMid[i++] });
+        } else {
+            middle.push({ type: 'add', text: newMid[j++] });
+        }
+    }
+
+    return [...head, ...middle, ...tail];
+}
+
+/**
+ * Unified diff of one file, in the format `git diff` prints.
+ * @param {string} path
+ * @param {string|null} oldText - null when the file is created
+ * @param {string|null} newText - null when the file is deleted
+ * @param {Object} [options]
+ * @param {number} [options.context] - Unchanged lines around each change
+ * @returns {string} Empty string when nothing changed
+ */
+function createUnifiedDiff(path, oldText, newText, { context = CONTEXT_LINES } = {}) {
+    const ops = diffLines(splitLines(oldText), splitLines(newText));
+    if (!ops.some(op => op.type !== 'context')) return '';
+
+    // Number every op, then group changes that are close together into hunks
+    let oldLine = 1;
+    let newLine = 1;
+    const numbered = ops.map(op => {
+        const entry = { ...op, oldLine, newLine };
+        if (op.type !== 'add') oldLine++;
+        if (op.type !== 'del') newLine++;
+        return entry;
+    });
+
+    const hunks = [];
+    let current = null;
+    numbered.forEach((op, index) => {
+        if (op.type === 'context') return;
+        const from = Math.max(0, index - context);
+        if (current && from <= current.end + 1) {
+            current.end = Math.min(numbered.length - 1, index + context);
+        } else {
+            current = { start: from, end: Math.min(numbered.length - 1, index + context) };
+            hunks.push(current);
+        }
+    });
+
+    const out = [`diff --git a/${path} b/${path}`];
+    if (oldText === null) out.push('new file mode 100644');
+    if (newText === null) out.push('deleted file mode 100644');
+    out.push(oldText === null ? '--- /dev/null' : `--- a/${path}`);
+    out.push(newText === null ? '+++ /dev/null' : `+++ b/${path}`);
+
+    for (const { start, end } of hunks) {
+        const lines = numbered.slice(start, end + 1);
+        const oldCount = lines.filter(l => l.type !== 'add').length;
+        const newCount = lines.filter(l => l.type !== 'del').length;
+        // An empty side is numbered from the line before it, like git does
+        const oldStart = oldCount ? lines[0].oldLine : lines[0].oldLine - 1;
+        const newStart = newCount ? lines[0].newLine : lines[0].newLine - 1;
+        out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        for (const line of lines) out.push(`${{ context: ' ', del: '-', add: '+' }[line.type]}${line.text}`);
+    }
+
+    return out.join('\n');
+}
+
+/**
+ * Added and removed line counts of a unified diff.
+ * @param {string} diff
+ * @returns {{added: number, removed: number}}
+ */
+function diffStats(diff) {
+    const lines = diff.split('\n').filter(l => !l.startsWith('+++ ') && !l.startsWith('--- '));
+    return {
+        added: lines.filter(l => l.startsWith('+')).length,
+        removed: lines.filter(l => l.startsWith('-')).length
+    };
+}
+
+/**
+ * Apply a unified-diff patch (one file's hunks) to a file's content.
+ * Hunks are matched on their context and removed lines, so line numbers that are
+ * a little off (or missing, as in "@@ @@") still apply.
+ * @param {string} text - Current file content
+ * @param {string} patch - Hunks, with or without the ---/+++ header
+ * @returns {string} The patched content
+ * @throws {Error} When a hunk doesn't match the file
+ */
+function applyPatch(text, patch) {
+    const hunks = [];
+    for (const line of String(patch || '').split('\n')) {
+        const range = line.match(/^@@(?: -(\d+)(?:,\d+)?)?(?: \+\d+(?:,\d+)?)? @@/);
+        if (range) {
+            hunks.push({ oldStart: range[1] ? Number(range[1]) : null, before: [], after: [] });
+            continue;
+        }
+        const hunk = hunks[hunks.length - 1];
+        // Anything before the first hunk (---/+++ headers) and "\ No newline" markers are skipped
+        if (!hunk || line.startsWith('\\')) continue;
+        if (line.startsWith('-')) hunk.before.push(line.substring(1));
+        else if (line.startsWith('+')) hunk.after.push(line.substring(1));
+        else if (line.startsWith(' ') || line === '') {
+            hunk.before.push(line.substring(1));
+            hunk.after.push(line.substring(1));
+        }
+    }
+    if (hunks.length === 0) throw new Error('no hunks found (expected "@@ -start,count +start,count @@" headers)');
+
+    const trailingNewline = String(text).endsWith('\n');
+    const lines = splitLines(text);
+    let offset = 0;
+    let cursor = 0;
+
+    hunks.forEach((hunk, n) => {
+        // Trailing blank lines are often lost when patches are pasted
+        while (hunk.before.length && hunk.before[hunk.before.length - 1] === '' && hunk.after[hunk.after.length - 1] === '') {
+            hunk.before.pop();
+            hunk.after.pop();
+        }
+        const matchesAt = (pos) => pos >= cursor && pos + hunk.before.length <= lines.length
+            && hunk.before.every((l, k) => lines[pos + k] === l);
+
+        // Try the stated position first, then search outward from it
+        // A pure insertion ("-5,0") goes after the stated line
+        const stated = hunk.before.length === 0 ? hunk.oldStart : hunk.oldStart - 1;
+        const expected = hunk.oldStart !== null ? Math.max(0, stated + offset) : cursor;
+        let pos = -1;
+        for (let distance = 0; distance <= lines.length; distance++) {
+            if (matchesAt(expected + distance)) { pos = expected + distance; break; }
+            if (distance > 0 && matchesAt(expected - distance)) { pos = expected - distance; break; }
+        }
+        if (pos === -1) throw new Error(`hunk ${n + 1} doesn't match the current file${hunk.oldStart !== null ? ` (expected near line ${hunk.oldStart})` : ''}`);
+
+        lines.splice(pos, hunk.before.length, ...hunk.after);
+        offset += hunk.after.length - hunk.before.length;
+        cursor = pos + hunk.after.length;
+    });
+
+    return lines.join('\n') + (trailingNewline && lines.length ? '\n' : '');
+}
+
+module.exports = {
+    splitLines,
+    diffLines,
+    createUnifiedDiff,
+    diffStats,
+    applyPatch
+};
@@ -1,7 +1,8 @@
 const fs = require('fs');
 const path = require('path');
 
-const MEMORY_FILE = path.join(__dirname, 'memory.json');
+// SHEHAB_MEMORY_FILE lets tests point at a throwaway file
+const MEMORY_FILE = process.env.SHEHAB_MEMORY_FILE || path.join(__dirname, 'memory.json');
 
 /**
  * Read the memory file.
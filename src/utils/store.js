@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Directory for runtime data. SHEHAB_DATA_DIR lets tests (and deployments) move it.
+ * Resolved on every call so the env var can be set after this module loads.
+ * @returns {string}
+ */
+function dataDir() {
+    return process.env.SHEHAB_DATA_DIR || path.join(__dirname, '..', '..', 'data');
+}
+
+/**
+ * Create a small JSON-file backed store, like memory.js but in its own file.
+ * @param {string} name - File name without extension (e.g. 'conversations')
+ * @param {Object} [defaults] - Initial contents when the file does not exist
+ * @returns {{read: Function, write: Function, get: Function, set: Function, update: Function, file: Function}}
+ */
+function createStore(name, defaults = {}) {
+    const file = () => path.join(dataDir(), `${name}.json`);
+
+    /**
+     * Read the whole store.
+     * A file that doesn't parse is moved aside (never overwritten) and the defaults are used.
+     * @returns {Object}
+     */
+    function read() {
+        let raw;
+        try {
+            raw = fs.readFileSync(file(), 'utf8');
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+            return JSON.parse(JSON.stringify(defaults));
+        }
+        try {
+            return JSON.parse(raw);
+        } catch (e) {
+            const backup = `${file()}.corrupt-${Date.now()}`;
+            fs.renameSync(file(), backup);
+            console.error(`❌ ${name}.json is not valid JSON (${e.message}). Moved it to ${backup} and started from the defaults.`);
+            return JSON.parse(JSON.stringify(defaults));
+        }
+    }
+
+    /**
+     * Replace the whole store. Written to a temp file and renamed into place,
+     * so a crash mid-write never leaves a torn file.
+     * @param {Object} data
+     */
+    function write(data) {
+        fs.mkdirSync(dataDir(), { recursive: true });
+        const tmp = `${file()}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+        fs.renameSync(tmp, file());
+    }
+
+    /**
+     * Get a value by key.
+     * @param {string} key
+     * @returns {any}
+     */
+    function get(key) {
+        return read()[key];
+    }
+
+    /**
+     * Set a value by key.
+     * @param {string} key
+     * @param {any} value
+     */
+    function set(key, value) {
+        const data = read();
+        data[key] = value;
+        write(data);
+    }
+
+    /**
+     * Read-modify-write the whole store.
+     * @param {Function} fn - (data) => void | newData
+     * @returns {Object} The written data
+     */
+    function update(fn) {
+        const data = read();
+        const result = fn(data);
+        const next = result === undefined ? data : result;
+        write(next);
+        return next;
+    }
+
+    return { read, write, get, set, update, file };
+}
+
+module.exports = { createStore, dataDir };
@@ -0,0 +1,181 @@
+/**
+ * Fake Octokit covering the REST calls made by src/tools/github.js.
+ */
+function createFakeOctokit(seed = {}) {
+    const state = {
+        pulls: seed.pulls || [],
+        issues: seed.issues || [],
+        commits: seed.commits || [],
+        files: seed.files || {},         // path -> content on the default branch
+        refs: seed.refs || {},           // other branch or SHA -> { path: content }
+        branches: {},                    // branch -> head commit sha (the default branch is 'base')
+        gitCommits: {},                  // sha -> { files, modes, message, parents } for commits made through git.*
+        trees: {},                       // sha -> { path: content }
+        modes: seed.modes || {},         // path -> file mode on the default branch, when not 100644
+        treeModes: {},                   // tree sha -> { path: mode } written through git.createTree
+        diffs: seed.diffs || {},
+        defaultBranch: seed.defaultBranch || 'main',
+        checks: seed.checks || {},        // ref -> [{ name, status, conclusion }]
+        statuses: seed.statuses || {},    // ref -> [{ context, state }]
+        workflowJobs: seed.workflowJobs || {}, // run id -> [{ name, conclusion }]
+        suiteRuns: seed.suiteRuns || {},  // suite id -> [{ name, conclusion }]
+        prCommits: seed.prCommits || {},  // PR number -> [commit message]
+        reviews: []                       // pulls.createReview calls
+    };
+
+    const notFound = (what) => {
+        const err = new Error(`Not Found: ${what}`);
+        err.status = 404;
+        return err;
+    };
+
+    state.branches[state.defaultBranch] = 'base';
+    const filesOfCommit = (sha) => (sha === 'base' ? state.files : state.gitCommits[sha]?.files);
+    const filesAt = (ref) => {
+        if (!ref || ref === state.defaultBranch) return state.files;
+        const files = filesOfCommit(state.branches[ref] || ref) || state.refs[ref];
+        if (!files) throw notFound(`ref ${ref}`);
+        return files;
+    };
+    // One page of a list, like GitHub's per_page (default 30) and page parameters
+    const pageOf = (items, { per_page = 30, page = 1 } = {}) => items.slice((page - 1) * per_page, page * per_page);
+    const alreadyExists = (what) => Object.assign(new Error(`Reference already exists: ${what}`), { status: 422 });
+    // Blobs and trees for every file and directory, like git.getTree with recursive
+    const listTree = (files, modes = {}) => {
+        const dirs = new Set();
+        for (const path of Object.keys(files)) {
+            const parts = path.split('/');
+            for (let i = 1; i < parts.length; i++) dirs.add(parts.slice(0, i).join('/'));
+        }
+        return [...[...dirs].map(path => ({ path, type: 'tree' })), ...Object.keys(files).map(path => ({ path, type: 'blob', mode: modes[path] || '100644' }))]
+            .sort((a, b) => a.path.localeCompare(b.path));
+    };
+
+    return {
+        state,
+        rest: {
+            pulls: {
+                create: async ({ head, base, title, body }) => {
+                    if (!state.branches[head]) throw notFound(`branch ${head}`);
+                    const number = Math.max(0, ...state.pulls.map(p => p.number)) + 1;
+                    const pr = {
+                        number,
+                        title,
+                        body,
+                        state: 'open',
+                        user: { login: 'shehab-bot' },
+                        head: { ref: head, sha: state.branches[head] },
+                        base: { ref: base },
+                        html_url: `https://github.com/test-org/lab-manager/pull/${number}`,
+                        created_at: new Date().toISOString(),
+                        updated_at: new Date().toISOString()
+                    };
+                    state.pulls.push(pr);
+                    return { data: pr };
+                },
+                list: async ({ state: wanted = 'open', ...paging } = {}) => ({ data: pageOf(state.pulls.filter(p => wanted === 'all' || (p.state || 'open') === wanted), paging) }),
+                listCommits: async ({ pull_number }) => ({
+                    data: (state.prCommits[pull_number] || []).map((message, i) => ({ sha: `c${pull_number}${i}`, commit: { message } }))
+                }),
+                get: async ({ pull_number, mediaType }) => {
+                    const pr = state.pulls.find(p => p.number === pull_number);
+                    if (!pr) throw notFound(`PR #${pull_number}`);
+                    if (mediaType?.format === 'diff') return { data: state.diffs[`pr:${pull_number}`] || '' };
+                    return { data: pr };
+                },
+                createReview: async (args) => {
+                    if (!state.pulls.some(p => p.number === args.pull_number)) throw notFound(`PR #${args.pull_number}`);
+                    const id = state.reviews.length + 1;
+                    state.reviews.push(args);
+                    return { data: { id, html_url: `https://github.com/test-org/lab-manager/pull/${args.pull_number}#pullrequestreview-${id}` } };
+                }
+            },
+            git: {
+                getTree: async ({ tree_sha }) => {
+                    const ref = tree_sha.replace(/^tree-/, '');
+                    return { data: { tree: listTree(filesAt(ref), ref === 'base' ? state.modes : {}), truncated: false } };
+                },
+                getRef: async ({ ref }) => {
+                    const sha = state.branches[ref.replace(/^heads\//, '')];
+                    if (!sha) throw notFound(ref);
+                    return { data: { ref: `refs/${ref}`, object: { sha } } };
+                },
+                createRef: async ({ ref, sha }) => {
+                    const branch = ref.replace(/^refs\/heads\//, '');
+                    if (state.branches[branch]) throw alreadyExists(ref);
+                    state.branches[branch] = sha;
+                    return { data: { ref, object: { sha } } };
+                },
+                getCommit: async ({ commit_sha }) => {
+                    if (!filesOfCommit(commit_sha)) throw notFound(`commit ${commit_sha}`);
+                    return { data: { sha: commit_sha, tree: { sha: `tree-${commit_sha}` } } };
+                },
+                createTree: async ({ base_tree, tree }) => {
+                    const files = { ...filesOfCommit(base_tree.replace(/^tree-/, '')) };
+                    const modes = {};
+                    for (const entry of tree) {
+                        if (entry.sha === null) delete files[entry.path];
+                        else files[entry.path] = entry.content;
+                        modes[entry.path] = entry.mode;
+                    }
+                    const sha = `tree${Object.keys(state.trees).length + 1}`;
+                    state.trees[sha] = files;
+                    state.treeModes[sha] = modes;
+                    return { data: { sha } };
+                },
+                createCommit: async ({ message, tree, parents }) => {
+                    const sha = `commit${Object.keys(state.gitCommits).length + 1}`;
+                    state.gitCommits[sha] = { files: state.trees[tree], modes: state.treeModes[tree], message, parents };
+                    return { data: { sha } };
+                },
+                updateRef: async ({ ref, sha }) => {
+                    state.branches[ref.replace(/^heads\//, '')] = sha;
+                    return { data: { ref: `refs/${ref}`, object: { sha } } };
+                }
+            },
+            search: {
+                // Every word must appear in the file, like GitHub's default AND search
+                code: async ({ q }) => {
+                    const words = q.split(/\s+/).filter(w => w && !w.includes(':')).map(w => w.toLowerCase());
+                    const dir = (q.match(/\bpath:(\S+)/) || [])[1];
+                    const extension = (q.match(/\bextension:(\S+)/) || [])[1];
+                    const items = Object.entries(state.files)
+                        .filter(([path, content]) => (!dir || path.startsWith(`${dir}/`)) && (!extension || path.endsWith(`.${extension}`))
+                            && words.every(w => content.toLowerCase().includes(w)))
+                        .map(([path]) => ({ path, name: path.split('/').pop() }));
+                    return { data: { total_count: items.length, items } };
+                }
+            },
+            issues: {
+                listForRepo: async (paging) => ({ data: pageOf(state.issues, paging) })
+            },
+            checks: {
+                listForRef: async ({ ref }) => ({ data: { check_runs: state.checks[ref] || [] } }),
+                listForSuite: async ({ check_suite_id }) => ({ data: { check_runs: state.suiteRuns[check_suite_id] || [] } })
+            },
+            actions: {
+                listJobsForWorkflowRun: async ({ run_id }) => ({ data: { jobs: state.workflowJobs[run_id] || [] } })
+            },
+            repos: {
+                get: async () => ({ data: { default_branch: state.defaultBranch } }),
+                getCombinedStatusForRef: async ({ ref }) => ({ data: { statuses: state.statuses[ref] || [] } }),
+                getContent: async ({ path, ref }) => {
+                    const files = filesAt(ref);
+                    if (path in files) return { data: { type: 'file', path, name: path.split('/').pop(), content: Buffer.from(files[path]).toString('base64') } };
+                    const entries = listTree(files).filter(e => e.path.startsWith(path ? `${path}/` : '') && !e.path.substring(path ? path.length + 1 : 0).includes('/'));
+                    if (entries.length === 0) throw notFound(path);
+                    return { data: entries.map(e => ({ type: e.type === 'tree' ? 'dir' : 'file', name: e.path.split('/').pop(), path: e.path })) };
+                },
+                listCommits: async ({ per_page = 30 }) => ({ data: state.commits.slice(0, per_page) }),
+                getCommit: async ({ ref, mediaType }) => {
+                    const commit = state.commits.find(c => c.sha === ref);
+                    if (!commit) throw notFound(`commit ${ref}`);
+                    if (mediaType?.format === 'diff') return { data: state.diffs[`commit:${ref}`] || '' };
+                    return { data: commit };
+                }
+            }
+        }
+    };
+}
+
+module.exports = { createFakeOctokit };
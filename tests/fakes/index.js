@@ -0,0 +1,103 @@
+/**
+ * Offline harness: points every external dependency at an in-process fake.
+ *
+ * Call setupOffline() BEFORE requiring any module from src/, because some of
+ * them read env vars at load time.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createFakeSlackApp } = require('./slack');
+const { createFakeOctokit } = require('./github');
+const { createFakeJira, jiraIssue } = require('./jira');
+const { createFakeIndex, fakeEmbed } = require('./pinecone');
+
+function setupOffline({ github = {}, jira = {}, memory = {}, slackUsers = {}, team = linkedTeam() } = {}) {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shehab-test-'));
+    const memoryFile = path.join(tmpDir, 'memory.json');
+    fs.writeFileSync(memoryFile, JSON.stringify(memory, null, 2));
+    fs.writeFileSync(path.join(tmpDir, 'team.json'), JSON.stringify({ members: team }, null, 2));
+
+    Object.assign(process.env, {
+        LLM_PROVIDER: 'mock',
+        SHEHAB_MEMORY_FILE: memoryFile,
+        SHEHAB_DATA_DIR: tmpDir,
+        GITHUB_OWNER: 'test-org',
+        GITHUB_REPO: 'lab-manager',
+        JIRA_HOST: 'jira.test',
+        JIRA_PROJECT_KEY: 'LAB',
+        JIRA_EMAIL: 'bot@test',
+        JIRA_API_TOKEN: 'token'
+    });
+
+    const octokit = createFakeOctokit(github);
+    require('../../src/tools/github').setOctokit(octokit);
+
+    const fakeJira = createFakeJira({ projectKey: 'LAB', ...jira });
+    fakeJira.install();
+
+    const index = createFakeIndex();
+    require('../../src/memory/vector').setVectorBackend({ index, embed: fakeEmbed });
+
+    const slack = createFakeSlackApp({ users: slackUsers });
+
+    return {
+        slack,
+        octokit,
+        jira: fakeJira,
+        index,
+        tmpDir,
+        teardown() {
+            fakeJira.uninstall();
+            require('../../src/llm/provider').setMockHandler(null);
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        }
+    };
+}
+
+// Monday 19 Oct 2026, midday in Cairo: inside everyone's default working hours
+const WORKING_HOURS_NOW = new Date('2026-10-19T09:00:00Z');
+
+/**
+ * The default roster with each member's GitHub login set to their roster key,
+ * which is the login the fake GitHub data uses ('ziad', 'kareem', ...).
+ */
+function linkedTeam() {
+    const { DEFAULT_TEAM } = require('../../src/config/team');
+    const members = {};
+    for (const [key, member] of Object.entries(DEFAULT_TEAM)) members[key] = { ...member, githubLogin: key };
+    return members;
+}
+
+/**
+ * Build a GitHub PR object in the shape pulls.list returns.
+ */
+function githubPR(number, title, login, { daysOld = 0, body = '', head = `feature/${number}`, mergedDaysAgo = null } = {}) {
+    return {
+        number,
+        title,
+        state: mergedDaysAgo === null ? 'open' : 'closed',
+        merged_at: mergedDaysAgo === null ? null : new Date(Date.now() - mergedDaysAgo * 86400000).toISOString(),
+        body,
+        user: { login },
+        head: { ref: head, sha: `sha${number}` },
+        base: { ref: 'main' },
+        html_url: `https://github.com/test-org/lab-manager/pull/${number}`,
+        created_at: new Date(Date.now() - daysOld * 86400000).toISOString(),
+        updated_at: new Date(Date.now() - daysOld * 86400000).toISOString()
+    };
+}
+
+/**
+ * Build a commit object in the shape repos.listCommits returns.
+ */
+function githubCommit(sha, message, author = 'Dev', { login = null, email = `${author.toLowerCase()}@test`, date = new Date().toISOString() } = {}) {
+    return {
+        sha,
+        author: login ? { login } : null,
+        commit: { message, author: { name: author, email, date } }
+    };
+}
+
+module.exports = { setupOffline, linkedTeam, githubPR, githubCommit, jiraIssue, WORKING_HOURS_NOW };
@@ -0,0 +1,179 @@
+/**
+ * Fake Jira Cloud REST API, installed as an axios adapter so src/tools/jira.js
+ * runs unchanged.
+ */
+const axios = require('axios');
+
+const WORKFLOW = ['To Do', 'Development', 'Code Review', 'Done'];
+
+function createFakeJira({ issues = [], users = [], sprints = [], projectKey = 'LAB' } = {}) {
+    // sprints: [{ id, name, goal, state: 'active' | 'closed' | 'future', startDate, endDate, issues: ['LAB-1', ...] }]
+    // Set state.down = true to make every request fail like an outage
+    const state = { issues: issues.map(i => ({ ...i })), users, sprints, requests: [], nextId: issues.length + 1, down: false };
+    const findIssue = (key) => state.issues.find(i => i.key === key);
+
+    const reply = (config, status, data) => {
+        if (status >= 400) {
+            const err = new axios.AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_REQUEST', config);
+            err.response = { status, data, headers: {}, config };
+            return Promise.reject(err);
+        }
+        return Promise.resolve({ status, statusText: 'OK', data, headers: {}, config, request: {} });
+    };
+
+    // Tiny JQL subset: "status != X", "status = X" and "status in (A, B)"
+    const matchesJql = (issue, jql) => {
+        const status = issue.fields.status.name;
+        const notEq = jql.match(/status\s*!=\s*(?:"([^"]+)"|(\w+))/i);
+        if (notEq && status === (notEq[1] || notEq[2])) return false;
+        const eq = jql.match(/status\s*=\s*(?:"([^"]+)"|(\w+))/i);
+        if (eq && status !== (eq[1] || eq[2])) return false;
+        const inList = jql.match(/status\s+in\s*\(([^)]*)\)/i);
+        if (inList) {
+            const allowed = inList[1].split(',').map(s => s.trim().replace(/"/g, ''));
+            if (!allowed.includes(status)) return false;
+        }
+        return true;
+    };
+
+    const adapter = async (config) => {
+        const url = new URL(config.url);
+        const body = typeof config.data === 'string' ? JSON.parse(config.data) : config.data;
+        state.requests.push({ method: config.method, path: url.pathname, query: url.search, body });
+        if (state.down) return reply(config, 503, { errorMessages: ['Jira is unavailable'] });
+
+        if (config.method === 'get' && url.pathname === '/rest/api/3/search/jql') {
+            const jql = url.searchParams.get('jql') || '';
+            const matching = state.issues.filter(i => matchesJql(i, jql));
+            // Pages like Jira Cloud: maxResults (default 50) and an opaque nextPageToken
+            const start = Number(url.searchParams.get('nextPageToken') || 0);
+            const end = start + Number(url.searchParams.get('maxResults') || 50);
+            const isLast = end >= matching.length;
+            return reply(config, 200, { issues: matching.slice(start, end), isLast, ...(isLast ? {} : { nextPageToken: String(end) }) });
+        }
+
+        if (config.method === 'get' && url.pathname === '/rest/api/3/user/search') {
+            const query = (url.searchParams.get('query') || '').toLowerCase();
+            const words = query.split(/\s+/).filter(Boolean);
+            return reply(config, 200, state.users.filter(u =>
+                (u.emailAddress && u.emailAddress.toLowerCase() === query) ||
+                words.some(w => u.displayName.toLowerCase().includes(w))
+            ));
+        }
+
+        if (config.method === 'get' && url.pathname === '/rest/agile/1.0/board') {
+            return reply(config, 200, { values: [{ id: 1, name: `${projectKey} board`, type: 'scrum' }] });
+        }
+
+        if (config.method === 'get' && url.pathname === '/rest/agile/1.0/board/1/sprint') {
+            const wanted = url.searchParams.get('state');
+            const values = state.sprints
+                .filter(s => !wanted || s.state === wanted)
+                .map(({ issues: _keys, ...sprint }) => sprint);
+            return reply(config, 200, { values });
+        }
+
+        const sprintRoute = url.pathname.match(/^\/rest\/agile\/1\.0\/sprint\/(\d+)\/issue$/);
+        if (config.method === 'get' && sprintRoute) {
+            const sprint = state.sprints.find(s => String(s.id) === sprintRoute[1]);
+            if (!sprint) return reply(config, 404, { errorMessages: ['Sprint does not exist'] });
+            const issues = sprint.issues.map(findIssue).filter(Boolean).map(issue => ({
+                ...issue,
+                fields: {
+                    ...issue.fields,
+                    status: { ...issue.fields.status, statusCategory: { key: issue.fields.status.name === 'Done' ? 'done' : 'indeterminate' } }
+                }
+            }));
+            return reply(config, 200, { startAt: 0, maxResults: 100, total: issues.length, issues });
+        }
+
+        if (config.method === 'post' && url.pathname === '/rest/api/3/issue') {
+            const key = `${projectKey}-${state.nextId++}`;
+            state.issues.push({
+                key,
+                fields: {
+                    ...body.fields,
+                    status: { name: 'To Do' },
+                    assignee: body.fields.assignee || null,
+                    updated: new Date().toISOString()
+                }
+            });
+            return reply(config, 201, { key });
+        }
+
+        const issueRoute = url.pathname.match(/^\/rest\/api\/3\/issue\/([A-Z]+-\d+)(\/(\w+))?$/);
+        if (issueRoute) {
+            const issue = findIssue(issueRoute[1]);
+            if (!issue) return reply(config, 404, { errorMessages: ['Issue does not exist or you do not have permission to see it.'] });
+            const sub = issueRoute[3];
+            const f = issue.fields;
+
+            if (!sub && config.method === 'get') return reply(config, 200, issue);
+            if (!sub && config.method === 'put') {
+                Object.assign(f, body.fields || {});
+                for (const op of body.update?.labels || []) {
+                    f.labels = f.labels || [];
+                    if (op.add && !f.labels.includes(op.add)) f.labels.push(op.add);
+                    if (op.remove) f.labels = f.labels.filter(l => l !== op.remove);
+                }
+                return reply(config, 204, '');
+            }
+            if (sub === 'transitions' && config.method === 'get') {
+                const transitions = WORKFLOW
+                    .filter(name => name !== f.status.name)
+                    .map(name => ({ id: String(WORKFLOW.indexOf(name) + 11), name: `Move to ${name}`, to: { name } }));
+                return reply(config, 200, { transitions });
+            }
+            if (sub === 'transitions' && config.method === 'post') {
+                const target = WORKFLOW[Number(body.transition.id) - 11];
+                if (!target) return reply(config, 400, { errorMessages: ['Invalid transition'] });
+                f.status = { name: target };
+                f.updated = new Date().toISOString();
+                return reply(config, 204, '');
+            }
+            if (sub === 'comment' && config.method === 'post') {
+                f.comment = f.comment || { comments: [] };
+                f.comment.comments.push({ author: { displayName: 'Shehab' }, body: body.body, created: new Date().toISOString() });
+                return reply(config, 201, { id: String(f.comment.comments.length) });
+            }
+            if (sub === 'assignee' && config.method === 'put') {
+                f.assignee = body.accountId ? { accountId: body.accountId, displayName: body.accountId } : null;
+                return reply(config, 204, '');
+            }
+        }
+
+        return reply(config, 404, { errorMessages: [`Fake Jira has no route for ${config.method.toUpperCase()} ${url.pathname}`] });
+    };
+
+    let previousAdapter;
+    return {
+        state,
+        install() {
+            previousAdapter = axios.defaults.adapter;
+            axios.defaults.adapter = adapter;
+        },
+        uninstall() {
+            axios.defaults.adapter = previousAdapter;
+        }
+    };
+}
+
+/**
+ * Build a Jira issue in the shape the search API returns.
+ */
+function jiraIssue(key, summary, status, { assigneeId = null, assignee = null, daysSinceUpdate = 0, points = null, daysOld = daysSinceUpdate, resolvedDaysAgo = null } = {}) {
+    return {
+        key,
+        fields: {
+            summary,
+            customfield_10016: points,
+            status: { name: status },
+            assignee: assigneeId ? { accountId: assigneeId, displayName: assignee || assigneeId } : null,
+            created: new Date(Date.now() - daysOld * 86400000).toISOString(),
+            resolutiondate: resolvedDaysAgo === null ? null : new Date(Date.now() - resolvedDaysAgo * 86400000).toISOString(),
+            updated: new Date(Date.now() - daysSinceUpdate * 86400000).toISOString()
+        }
+    };
+}
+
+module.exports = { createFakeJira, jiraIssue, WORKFLOW };
@@ -0,0 +1,44 @@
+/**
+ * Scripted responses for the mock LLM provider.
+ *
+ * Each script entry is either a string (plain answer), a message object
+ * (e.g. with tool_calls), or a function (request, useCase) => either of those.
+ * Entries can be scoped to a use case: { useCase: 'report', reply: '...' }.
+ */
+const llm = require('../../src/llm/provider');
+
+function scriptLLM(script = []) {
+    const queue = [...script];
+    const requests = [];
+
+    llm.setMockHandler(async (request, useCase) => {
+        requests.push({ useCase, request });
+        const idx = queue.findIndex(entry => !entry || !entry.useCase || entry.useCase === useCase);
+        if (idx === -1) {
+            return request.response_format?.type === 'json_object' ? "{}" : `[mock:${useCase}] ok`;
+        }
+        let entry = queue.splice(idx, 1)[0];
+        if (entry && entry.useCase) entry = entry.reply;
+        return typeof entry === 'function' ? entry(request, useCase) : entry;
+    });
+
+    return { requests, remaining: queue };
+}
+
+/**
+ * Build an assistant message that calls one or more tools.
+ * @param {...[string, Object]} calls - [name, args] pairs
+ */
+function toolCalls(...calls) {
+    return {
+        role: "assistant",
+        content: null,
+        tool_calls: calls.map(([name, args], i) => ({
+            id: `call_${name}_${i}_${Math.random().toString(36).slice(2, 8)}`,
+            type: "function",
+            function: { name, arguments: JSON.stringify(args || {}) }
+        }))
+    };
+}
+
+module.exports = { scriptLLM, toolCalls };
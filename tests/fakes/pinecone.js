@@ -0,0 +1,46 @@
+/**
+ * In-memory Pinecone index plus a deterministic bag-of-words embedder.
+ */
+const DIMENSIONS = 64;
+
+function fakeEmbed(text) {
+    const vector = new Array(DIMENSIONS).fill(0);
+    for (const word of String(text).toLowerCase().match(/[a-z0-9]+/g) || []) {
+        let hash = 0;
+        for (const ch of word) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+        vector[hash % DIMENSIONS] += 1;
+    }
+    return Promise.resolve(vector);
+}
+
+function cosine(a, b) {
+    let dot = 0, na = 0, nb = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        na += a[i] * a[i];
+        nb += b[i] * b[i];
+    }
+    return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+function createFakeIndex() {
+    const records = [];
+    return {
+        records,
+        upsert: async (items) => {
+            for (const item of items) {
+                const existing = records.findIndex(r => r.id === item.id);
+                if (existing >= 0) records[existing] = item;
+                else records.push(item);
+            }
+        },
+        query: async ({ vector, topK = 3, includeMetadata }) => ({
+            matches: records
+                .map(r => ({ id: r.id, score: cosine(vector, r.values), metadata: includeMetadata ? r.metadata : undefined }))
+                .sort((a, b) => b.score - a.score)
+                .slice(0, topK)
+        })
+    };
+}
+
+module.exports = { createFakeIndex, fakeEmbed };
@@ -0,0 +1,107 @@
+/**
+ * Fake Bolt app: records every Slack API call instead of sending it.
+ */
+function createFakeSlackApp({ users = {} } = {}) {
+    const calls = [];
+    const actionHandlers = {};
+    const commandHandlers = {};
+    const viewHandlers = {};
+    const record = (method) => async (args) => {
+        calls.push({ method, args });
+        return { ok: true, ts: `${Date.now()}.${calls.length}`, channel: args.channel };
+    };
+
+    const app = {
+        calls,
+        /** Bolt-style registration of interactive handlers */
+        action(actionId, handler) {
+            actionHandlers[actionId] = handler;
+        },
+        /** Simulate a user clicking a button (or picking from a select, via action: { selected_option }) */
+        async clickButton(actionId, { value, user = 'U-TESTER', channel = 'C-TEST', ts = '1.1', action = {}, message = {} } = {}) {
+            const handler = actionHandlers[actionId];
+            if (!handler) throw new Error(`No action handler for ${actionId}`);
+            const acks = [];
+            await handler({
+                ack: async (res) => { acks.push(res); },
+                body: { actions: [{ action_id: actionId, value, ...action }], user: { id: user }, channel: { id: channel }, message: { ts, ...message }, trigger_id: `trigger-${actionId}` },
+                client: app.client
+            });
+            return acks;
+        },
+        /** Bolt-style registration of modal submission handlers */
+        view(callbackId, handler) {
+            viewHandlers[callbackId] = handler;
+        },
+        /** Simulate a user submitting a modal; values are { blockId: text } */
+        async submitView(callbackId, { values = {}, privateMetadata = '', user = 'U-TESTER' } = {}) {
+            const handler = viewHandlers[callbackId];
+            if (!handler) throw new Error(`No view handler for ${callbackId}`);
+            const acks = [];
+            const view = {
+                callback_id: callbackId,
+                private_metadata: privateMetadata,
+                state: { values: Object.fromEntries(Object.entries(values).map(([block, value]) => [block, { value: { type: 'plain_text_input', value } }])) }
+            };
+            await handler({
+                ack: async (res) => { acks.push(res); },
+                body: { user: { id: user }, view },
+                view,
+                client: app.client
+            });
+            return acks;
+        },
+        /** Bolt-style registration of slash commands */
+        command(name, handler) {
+            commandHandlers[name] = handler;
+        },
+        /** Simulate a user running a slash command; returns what was sent via respond() */
+        async runCommand(name, { text = '', user = 'U-TESTER', channel = 'C-TEST', channelName = 'general' } = {}) {
+            const handler = commandHandlers[name];
+            if (!handler) throw new Error(`No command handler for ${name}`);
+            const responses = [];
+            let acked = false;
+            await handler({
+                ack: async () => { acked = true; },
+                respond: async (res) => { responses.push(res); },
+                command: { command: name, text, user_id: user, channel_id: channel, channel_name: channelName },
+                client: app.client
+            });
+            if (!acked) throw new Error(`${name} was not acknowledged`);
+            return responses;
+        },
+        /** All chat.postMessage payloads, optionally filtered by channel */
+        posts(channel) {
+            return calls
+                .filter(c => c.method === 'chat.postMessage' && (!channel || c.args.channel === channel))
+                .map(c => c.args);
+        },
+        client: {
+            chat: {
+                postMessage: record('chat.postMessage'),
+                postEphemeral: record('chat.postEphemeral'),
+                update: record('chat.update')
+            },
+            views: {
+                open: record('views.open')
+            },
+            conversations: {
+                open: async ({ users: userId }) => {
+                    calls.push({ method: 'conversations.open', args: { users: userId } });
+                    return { ok: true, channel: { id: `D-${userId}` } };
+                }
+            },
+            users: {
+                info: async ({ user }) => {
+                    calls.push({ method: 'users.info', args: { user } });
+                    // users values are a display name or { name, email, tz, status_text, status_emoji, status_expiration }
+                    const { name, tz, ...profile } = typeof users[user] === 'object' ? users[user] : { name: users[user] || user };
+                    return { ok: true, user: { id: user, name, real_name: name, tz, profile } };
+                }
+            }
+        }
+    };
+    return app;
+}
+
+module.exports = { createFakeSlackApp };
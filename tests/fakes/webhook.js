@@ -0,0 +1,28 @@
+/**
+ * Send a signed GitHub webhook delivery to a running server.
+ * The server answers before its handlers run, so by default this also waits for them.
+ */
+const crypto = require('crypto');
+
+let deliveryCounter = 0;
+
+async function postWebhook(server, event, payload, { secret = process.env.GITHUB_WEBHOOK_SECRET, deliveryId, signature, wait = true } = {}) {
+    const body = JSON.stringify(payload);
+    const sig = signature || `sha256=${crypto.createHmac('sha256', secret || '').update(body).digest('hex')}`;
+    const { port } = server.address();
+
+    const res = await fetch(`http://127.0.0.1:${port}/github-webhook`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-GitHub-Event': event,
+            'X-GitHub-Delivery': deliveryId || `delivery-${++deliveryCounter}-${Date.now()}`,
+            'X-Hub-Signature-256': sig
+        },
+        body
+    });
+    if (wait) await require('../../src/agent/webhooks').whenIdle();
+    return res;
+}
+
+module.exports = { postWebhook };
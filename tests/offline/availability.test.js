@@ -0,0 +1,115 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupOffline, githubPR, jiraIssue, WORKING_HOURS_NOW: NOW } = require('../fakes');
+const { scriptLLM } = require('../fakes/llm');
+const { setMockHandler } = require('../../src/llm/provider');
+const { DEFAULT_TEAM: TEAM } = require('../../src/config/team');
+
+const env = setupOffline({
+    memory: { report_channel: 'C-REPORTS' },
+    slackUsers: {
+        [TEAM.ziad.slackId]: {
+            name: 'Ziad',
+            status_emoji: ':palm_tree:',
+            status_text: 'Vacation',
+            status_expiration: Date.parse('2026-10-21T12:00:00Z') / 1000
+        },
+        [TEAM.mohab.slackId]: { name: 'Mohab', tz: 'Europe/Berlin' }
+    },
+    github: { pulls: [githubPR(60, 'Add patient registration', 'ziad', { daysOld: 7 })] },
+    jira: {
+        issues: [
+            jiraIssue('LAB-7', 'Sample storage API', 'Development', { assigneeId: TEAM.kareem.jiraAccountId, daysSinceUpdate: 14 })
+        ]
+    }
+});
+after(() => env.teardown());
+
+const team = require('../../src/config/team');
+const calendar = require('../../src/config/calendar');
+const availability = require('../../src/agent/availability');
+const { checkStaleWork } = require('../../src/agent/life');
+const { generateSmartReport } = require('../../src/scheduler/reports');
+
+const command = (member, text, now = NOW) => availability.handleAvailabilityCommand({ user: member.slackId, text }, now);
+
+test('staleness counts working days only', () => {
+    // Thursday -> Sunday: Friday and Saturday are the weekend
+    assert.strictEqual(calendar.workingDaysBetween('2026-10-15T10:00:00Z', '2026-10-18T10:00:00Z'), 1);
+    // Monday -> Wednesday over Armed Forces Day (Tuesday 6 Oct)
+    assert.strictEqual(calendar.workingDaysBetween('2026-10-05T10:00:00Z', '2026-10-07T10:00:00Z'), 1);
+    // The member's own OOO days don't count either
+    const member = { ooo: [{ from: '2026-10-18', to: '2026-10-19' }] };
+    assert.strictEqual(calendar.workingDaysBetween('2026-10-15T10:00:00Z', '2026-10-20T10:00:00Z', member), 1);
+});
+
+test('availability follows the member time zone, days and hours', () => {
+    const kareem = team.getMember('kareem');
+    assert.strictEqual(calendar.availabilityOf(kareem, NOW).available, true);
+    assert.match(calendar.availabilityOf(kareem, new Date('2026-10-19T16:00:00Z')).reason, /outside working hours/);
+    assert.strictEqual(calendar.availabilityOf(kareem, new Date('2026-10-16T09:00:00Z')).reason, 'not a working day');
+    assert.match(calendar.availabilityOf(kareem, new Date('2026-10-06T09:00:00Z')).reason, /Armed Forces Day/);
+
+    assert.match(command(TEAM.mohab, 'hours tz Europe/Berlin'), /Europe\/Berlin/);
+    assert.match(command(TEAM.mohab, 'hours days mon-fri'), /mon, tue, wed, thu, fri/);
+    assert.match(command(TEAM.mohab, 'hours 8:30-16:30'), /08:30-16:30/);
+    assert.match(command(TEAM.mohab, 'hours tz Mars/Olympus'), /Unknown time zone/);
+
+    // Friday 11:00 in Berlin is a working day for Mohab only
+    const friday = new Date('2026-10-16T09:00:00Z');
+    assert.strictEqual(calendar.availabilityOf(team.getMember('mohab'), friday).available, true);
+});
+
+test('Slack statuses set OOO and time zones; manual OOO survives a cleared status', async () => {
+    await availability.syncSlackStatuses(env.slack.client, NOW);
+
+    const ziad = team.getMember('ziad');
+    assert.deepStrictEqual(ziad.ooo, [{ from: '2026-10-19', to: '2026-10-21', reason: 'Vacation', source: 'slack' }]);
+    assert.strictEqual(team.getMember('kareem').timezone, undefined);
+    assert.deepStrictEqual(availability.whoIsAway(NOW).map(a => a.member.key), ['ziad']);
+
+    assert.match(command(TEAM.ziad, 'ooo 2026-11-01 to 2026-11-03 family trip'), /from 2026-11-01 to 2026-11-03/);
+    env.slack.client.users.info = async () => ({ ok: true, user: { profile: {} } });
+    await availability.syncSlackStatus(env.slack.client, team.getMember('ziad'), NOW);
+    assert.deepStrictEqual(team.getMember('ziad').ooo.map(p => p.source), ['manual']);
+
+    assert.match(command(TEAM.ziad, 'ooo today'), /on 2026-10-19/);
+});
+
+test('nudges skip people who are out or off the clock', async () => {
+    setMockHandler(() => 'Nudge!');
+
+    await checkStaleWork(env.slack, NOW);
+    assert.strictEqual(env.slack.posts(TEAM.ziad.slackId).length, 0);
+    assert.strictEqual(env.slack.posts(TEAM.kareem.slackId).length, 1);
+
+    setMockHandler(null);
+});
+
+test('holidays: anyone can list, only admins can change', () => {
+    assert.match(command(TEAM.kareem, 'holiday add 2026-11-20 Eid'), /Added holiday 2026-11-20 \(Eid\)/);
+    assert.match(command(TEAM.kareem, 'holidays', new Date('2026-11-01T09:00:00Z')), /2026-11-20: Eid/);
+    assert.strictEqual(calendar.holidayOn('2026-11-20'), 'Eid');
+
+    process.env.SHEHAB_ADMINS = 'U-BOSS';
+    try {
+        assert.match(command(TEAM.kareem, 'holiday remove 2026-11-20'), /Only roster admins/);
+    } finally {
+        delete process.env.SHEHAB_ADMINS;
+    }
+    assert.match(command(TEAM.kareem, 'holiday remove 2026-11-20'), /Removed/);
+    assert.match(command(TEAM.kareem, 'holiday remove 2026-10-06'), /fixed public holidays/);
+});
+
+test('the PM report lists who is away', async () => {
+    command(TEAM.kareem, 'ooo today sick', new Date());
+    const llm = scriptLLM([
+        { useCase: 'reflection', reply: JSON.stringify({ internal_thought: 'Fine.', public_status: null }) },
+        { useCase: 'report', reply: '📊 *Daily Status Report*' }
+    ]);
+
+    await generateSmartReport(env.slack);
+
+    const context = llm.requests.find(r => r.useCase === 'report').request.messages[1].content;
+    assert.match(context, /AWAY TODAY[\s\S]*Kareem Mamdouh: out until \d{4}-\d{2}-\d{2} \(sick\)/);
+});
@@ -0,0 +1,116 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupOffline, githubPR, jiraIssue } = require('../fakes');
+const { scriptLLM } = require('../fakes/llm');
+const { DEFAULT_TEAM: TEAM } = require('../../src/config/team');
+
+const env = setupOffline({
+    memory: { report_channel: 'C-REPORTS' },
+    github: { pulls: [githubPR(60, 'Add patient registration', 'ziad', { daysOld: 1 })] },
+    jira: { issues: [jiraIssue('LAB-7', 'Sample storage API', 'Development')] }
+});
+after(() => env.teardown());
+
+const blocks = require('../../src/utils/blocks');
+const { generateSmartReport } = require('../../src/scheduler/reports');
+const { runReflection } = require('../../src/agent/life');
+const { dispatchEvent } = require('../../src/agent/webhooks');
+blocks.registerBlockActions(env.slack);
+
+const REPORT = [
+    '📊 **Daily Status Report**',
+    '',
+    '**🎯 Project Health: 7/10**',
+    'Steady progress.',
+    '',
+    '**🔥 Priority Items:**',
+    '- Review PR #60',
+    '- Finish LAB-7',
+    '- Fix the flaky intake test',
+    '- Update the storage docs',
+    '- Plan the demo',
+    '- Chase the API keys',
+    '',
+    '**💡 PM Notes:**',
+    'Ask @ziad about the form.'
+].join('\n');
+
+const byType = (list, type) => list.filter(b => b.type === type);
+
+test('formatForSlack is one shared formatter for markdown and mentions', () => {
+    assert.strictEqual(blocks.formatForSlack('## Plan\n- **ship** it, @ziad'), `*Plan*\n• *ship* it, <@${TEAM.ziad.slackId}>`);
+    assert.strictEqual(blocks.formatForSlack('thanks Nour', { names: { 'U-NOUR': 'Nour' } }), 'thanks <@U-NOUR>');
+});
+
+test('reports become header, mood context, sections and link lists', async () => {
+    scriptLLM([
+        { useCase: 'reflection', reply: JSON.stringify({ internal_thought: 'Fine.', public_status: null }) },
+        { useCase: 'report', reply: REPORT }
+    ]);
+    await generateSmartReport(env.slack);
+
+    const post = env.slack.posts('C-REPORTS').find(p => /Daily Status Report/.test(p.text));
+    // Plain text stays the notification fallback
+    assert.match(post.text, /^📊 \*Daily Status Report\*/);
+    assert.match(post.text, new RegExp(`Ask <@${TEAM.ziad.slackId}> about the form`));
+
+    assert.deepStrictEqual(post.blocks[0], { type: 'header', text: { type: 'plain_text', text: '📊 Daily Status Report', emoji: true } });
+    assert.match(post.blocks[1].elements.map(e => e.text).join(' '), /^\S+ Mood: \*\w+\* 🎯 Health: \*7\/10\* 📅 \d{4}-\d{2}-\d{2}$/);
+
+    const sections = byType(post.blocks, 'section').map(b => b.text.text);
+    assert.ok(sections.includes('*🎯 Project Health: 7/10*\nSteady progress.'));
+    const priorities = post.blocks.find(b => b.text?.text.startsWith('*🔥 Priority Items:*'));
+    assert.match(priorities.text.text, /• Update the storage docs\n_…2 more_$/);
+    assert.strictEqual(priorities.accessory.action_id, 'detail_expand');
+
+    const pr = post.blocks.find(b => b.text?.text.startsWith('*#60*'));
+    assert.deepStrictEqual([pr.accessory.text.text, pr.accessory.url], ['View PR', 'https://github.com/test-org/lab-manager/pull/60']);
+    const ticket = post.blocks.find(b => b.text?.text.startsWith('*LAB-7*'));
+    assert.strictEqual(ticket.accessory.text.text, 'Open in Jira');
+    assert.match(ticket.accessory.url, /\/browse\/LAB-7$/);
+});
+
+test('collapsed sections expand and collapse in place', async () => {
+    const post = env.slack.posts('C-REPORTS').find(p => /Daily Status Report/.test(p.text));
+    const collapsed = post.blocks.find(b => b.accessory?.action_id === 'detail_expand');
+
+    await env.slack.clickButton('detail_expand', { value: collapsed.accessory.value, channel: 'C-REPORTS', message: { text: post.text, blocks: post.blocks } });
+    const expanded = env.slack.calls.filter(c => c.method === 'chat.update').pop().args;
+    const block = expanded.blocks.find(b => b.block_id === collapsed.block_id);
+    assert.match(block.text.text, /• Plan the demo\n• Chase the API keys$/);
+    assert.strictEqual(block.accessory.action_id, 'detail_collapse');
+    assert.strictEqual(expanded.blocks.length, post.blocks.length);
+
+    await env.slack.clickButton('detail_collapse', { value: collapsed.accessory.value, channel: 'C-REPORTS', message: { text: post.text, blocks: expanded.blocks } });
+    const again = env.slack.calls.filter(c => c.method === 'chat.update').pop().args;
+    assert.deepStrictEqual(again.blocks.find(b => b.block_id === collapsed.block_id), collapsed);
+});
+
+test('webhook alerts get a link button instead of a bare URL', async () => {
+    await dispatchEvent(env.slack, 'release', {
+        action: 'published',
+        release: { tag_name: 'v1.2.0', name: 'Intake', author: { login: 'ziad' }, html_url: 'https://github.com/test-org/lab-manager/releases/v1.2.0' }
+    });
+    const alert = env.slack.posts('C-REPORTS').pop();
+    assert.match(alert.text, /Release v1.2.0[\s\S]*https:\/\/github.com/);
+    assert.strictEqual(alert.blocks.length, 1);
+    assert.doesNotMatch(alert.blocks[0].text.text, /https:/);
+    assert.strictEqual(alert.blocks[0].accessory.url, 'https://github.com/test-org/lab-manager/releases/v1.2.0');
+});
+
+test('the reflection is a note with its mood', async () => {
+    scriptLLM([{ useCase: 'reflection', reply: JSON.stringify({ internal_thought: 'Good.', public_status: 'Intake is nearly there.', mood_update: 'celebratory' }) }]);
+    await runReflection(env.slack);
+
+    const note = env.slack.posts('C-REPORTS').pop();
+    assert.strictEqual(note.text, "💭 *Shehab's Thought of the Day:*\nIntake is nearly there.");
+    assert.deepStrictEqual(note.blocks[1].elements.map(e => e.text), ['🎉 Feeling celebratory']);
+});
+
+test('long messages stay within the block limit', () => {
+    const prs = Array.from({ length: 8 }, (_, i) => ({ number: i, title: `PR ${i}`, author: 'ziad', days_old: 1, url: `https://x/pull/${i}` }));
+    const { blocks: list } = blocks.renderReport(Array.from({ length: 60 }, (_, i) => `*Section ${i}*\nbody`).join('\n'), { prs });
+    assert.strictEqual(list.length, 50);
+    assert.match(list[49].elements[0].text, /more block\(s\) cut/);
+    assert.match(JSON.stringify(blocks.prList(prs)), /…and 3 more/);
+});
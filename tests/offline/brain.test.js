@@ -0,0 +1,62 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupOffline, githubCommit } = require('../fakes');
+const { scriptLLM, toolCalls } = require('../fakes/llm');
+
+const env = setupOffline({
+    github: {
+        commits: [githubCommit('abc123', 'Fix barcode validation', 'Kareem')],
+        diffs: { 'commit:abc123': 'diff --git a/src/barcode.js b/src/barcode.js\n+validate()' }
+    }
+});
+after(() => env.teardown());
+
+const { thinkAndAct, runAgentLoop } = require('../../src/agent/brain');
+
+test('thinkAndAct chains tools across steps', async () => {
+    const llm = scriptLLM([
+        toolCalls(['get_commits', { limit: 1 }]),
+        (request) => {
+            const lastTool = request.messages.filter(m => m.role === 'tool').pop();
+            const sha = JSON.parse(lastTool.content)[0].sha;
+            return toolCalls(['get_commit_diff', { sha }]);
+        },
+        "Kareem fixed barcode validation."
+    ]);
+
+    let trace;
+    const reply = await thinkAndAct([], "What changed?", "system", { onTrace: (t) => { trace = t; } });
+
+    assert.strictEqual(reply, "Kareem fixed barcode validation.");
+    assert.deepStrictEqual(trace.filter(t => t.type === 'tool').map(t => t.tool), ['get_commits', 'get_commit_diff']);
+    const diffResult = llm.requests[2].request.messages.filter(m => m.role === 'tool').pop();
+    assert.match(diffResult.content, /validate\(\)/);
+});
+
+test('runAgentLoop stops on repeated identical calls', async () => {
+    scriptLLM([
+        toolCalls(['get_prs', {}]),
+        toolCalls(['get_prs', {}]),
+        "Forced answer"
+    ]);
+
+    const messages = [{ role: "user", content: "PRs?" }];
+    const { reply, trace, stopReason } = await runAgentLoop(messages, { maxSteps: 5 });
+
+    assert.strictEqual(stopReason, 'repeated_calls');
+    assert.strictEqual(reply, "Forced answer");
+    assert.strictEqual(trace.filter(t => t.repeated).length, 1);
+});
+
+test('runAgentLoop respects the step cap', async () => {
+    scriptLLM([
+        toolCalls(['get_commits', { limit: 1 }]),
+        toolCalls(['get_issues', {}]),
+        "Capped answer"
+    ]);
+
+    const { reply, stopReason } = await runAgentLoop([{ role: "user", content: "go" }], { maxSteps: 2 });
+
+    assert.strictEqual(stopReason, 'max_steps');
+    assert.strictEqual(reply, "Capped answer");
+});
@@ -0,0 +1,225 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupOffline, jiraIssue } = require('../fakes');
+const { DEFAULT_TEAM: TEAM } = require('../../src/config/team');
+
+const BARCODE = [
+    "const PATTERN = /^LAB-\\d{6}$/;",
+    '',
+    'function validateBarcode(code) {',
+    '    return PATTERN.test(code);',
+    '}',
+    '',
+    'module.exports = { validateBarcode };',
+    ''
+].join('\n');
+
+const env = setupOffline({
+    github: {
+        files: {
+            'src/samples/barcode.js': BARCODE,
+            'src/samples/legacy.js': 'module.exports = {};\n',
+            'scripts/deploy.sh': '#!/bin/sh\nnpm start\n'
+        },
+        modes: { 'scripts/deploy.sh': '100755' }
+    },
+    jira: { issues: [jiraIssue('LAB-42', 'Validate barcode checksums', 'Development')] }
+});
+after(() => env.teardown());
+
+const { createUnifiedDiff, applyPatch } = require('../../src/utils/diff');
+const changes = require('../../src/tools/changes');
+const github = require('../../src/tools/github');
+const { executeTool } = require('../../src/agent/brain');
+changes.registerChangeActions(env.slack);
+
+// Patch with line numbers that are a bit off, as models tend to write them
+const PATCH = [
+    '@@ -4,2 +4,3 @@',
+    ' function validateBarcode(code) {',
+    '-    return PATTERN.test(code);',
+    '+    if (!PATTERN.test(code)) return false;',
+    '+    return checksum(code) === Number(code.slice(-1));',
+    ' }'
+].join('\n');
+
+const PROPOSAL = {
+    title: 'Validate barcode checksums',
+    description: 'Barcodes with a wrong check digit were accepted.',
+    jira_key: 'lab-42',
+    files: [
+        { path: 'src/samples/barcode.js', action: 'update', patch: PATCH },
+        { path: 'src/samples/checksum.js', action: 'create', content: 'module.exports = (code) => 0;\n' },
+        { path: 'src/samples/legacy.js', action: 'delete' }
+    ]
+};
+
+const git = () => env.octokit.state;
+const lastUpdate = () => env.slack.calls.filter(c => c.method === 'chat.update').pop().args;
+const lastEphemeral = () => env.slack.calls.filter(c => c.method === 'chat.postEphemeral').pop().args;
+
+test('unified diffs round-trip through applyPatch', () => {
+    const updated = BARCODE.replace('PATTERN.test(code)', 'PATTERN.test(code.trim())');
+    const diff = createUnifiedDiff('src/samples/barcode.js', BARCODE, updated);
+    assert.strictEqual(diff, [
+        'diff --git a/src/samples/barcode.js b/src/samples/barcode.js',
+        '--- a/src/samples/barcode.js',
+        '+++ b/src/samples/barcode.js',
+        '@@ -1,7 +1,7 @@',
+        " const PATTERN = /^LAB-\\d{6}$/;",
+        ' ',
+        ' function validateBarcode(code) {',
+        '-    return PATTERN.test(code);',
+        '+    return PATTERN.test(code.trim());',
+        ' }',
+        ' ',
+        ' module.exports = { validateBarcode };'
+    ].join('\n'));
+    assert.strictEqual(applyPatch(BARCODE, diff), updated);
+    assert.strictEqual(createUnifiedDiff('a.js', 'same\n', 'same\n'), '');
+    assert.match(createUnifiedDiff('new.js', null, 'x\n'), /new file mode 100644\n--- \/dev\/null\n\+\+\+ b\/new\.js\n@@ -0,0 \+1,1 @@\n\+x$/);
+
+    assert.match(applyPatch(BARCODE, PATCH), /if \(!PATTERN\.test\(code\)\) return false;\n {4}return checksum/);
+    assert.throws(() => applyPatch(BARCODE, '@@ -1,1 +1,1 @@\n-const nope = 1;\n+const yes = 2;'), /hunk 1 doesn't match the current file \(expected near line 1\)/);
+});
+
+test('a proposed change posts a diff preview and commits nothing', async () => {
+    const result = await executeTool('propose_code_change', PROPOSAL, { client: env.slack.client, channel: 'C-DEV', thread_ts: '1.0', user: TEAM.ziad.slackId });
+    assert.match(result, /^🛠️ Code change preview \(draft \w+\):\nTitle: LAB-42: Validate barcode checksums\nBranch: shehab\/lab-42-validate-barcode-checksums → main\nJira: LAB-42 \(Development\)/);
+    assert.match(result, /✏️ `src\/samples\/barcode\.js` \(\+2 -1\)\n🆕 `src\/samples\/checksum\.js` \(\+1 -0\)\n🗑️ `src\/samples\/legacy\.js` \(\+0 -1\)/);
+    assert.match(result, /Nothing is committed yet/);
+
+    const card = env.slack.posts('C-DEV').pop();
+    assert.strictEqual(card.thread_ts, '1.0');
+    const text = JSON.stringify(card.blocks);
+    assert.match(text, /```diff --git a\/src\/samples\/barcode\.js b\/src\/samples\/barcode\.js/);
+    assert.match(text, /\+    if \(!PATTERN\.test\(code\)\) return false;/);
+    assert.match(text, /deleted file mode 100644/);
+    assert.deepStrictEqual(card.blocks.find(b => b.type === 'actions').elements.map(e => e.action_id), ['code_change_confirm', 'code_change_cancel']);
+
+    assert.deepStrictEqual(git().branches, { main: 'base' });
+    assert.deepStrictEqual(git().gitCommits, {});
+});
+
+test('confirming creates a branch, one commit and a linked PR, never touching main', async () => {
+    const card = env.slack.posts('C-DEV').pop();
+    const id = card.blocks.find(b => b.type === 'actions').elements[0].value;
+
+    await env.slack.clickButton('code_change_confirm', { value: id, user: 'U-STRANGER', channel: 'C-DEV' });
+    assert.match(lastEphemeral().text, /⛔ Only people on the team roster/);
+    assert.ok(changes.getDraft(id));
+
+    await env.slack.clickButton('code_change_confirm', { value: id, user: TEAM.ziad.slackId, channel: 'C-DEV' });
+    assert.match(lastUpdate().text, /^✅ Opened PR #1: LAB-42: Validate barcode checksums\nBranch `shehab\/lab-42-validate-barcode-checksums` → `main`, 3 file\(s\) in one commit\nhttps:\/\/github\.com\/test-org\/lab-manager\/pull\/1 \(confirmed by/);
+    assert.strictEqual(changes.getDraft(id), null);
+
+    const commits = Object.values(git().gitCommits);
+    assert.strictEqual(commits.length, 1);
+    assert.strictEqual(commits[0].message, 'LAB-42: Validate barcode checksums');
+    assert.deepStrictEqual(commits[0].parents, ['base']);
+    assert.deepStrictEqual(Object.keys(commits[0].files).sort(), ['scripts/deploy.sh', 'src/samples/barcode.js', 'src/samples/checksum.js']);
+    assert.match(commits[0].files['src/samples/barcode.js'], /checksum\(code\)/);
+
+    // The default branch is untouched
+    assert.strictEqual(git().branches.main, 'base');
+    assert.strictEqual(git().files['src/samples/barcode.js'], BARCODE);
+
+    const pr = git().pulls.find(p => p.number === 1);
+    assert.deepStrictEqual([pr.head.ref, pr.base.ref], ['shehab/lab-42-validate-barcode-checksums', 'main']);
+    assert.match(pr.body, /^Barcodes with a wrong check digit were accepted\.\n\n### Changes\n- `src\/samples\/barcode\.js` \(update, \+2 -1\)/);
+    assert.match(pr.body, /### Jira\n\[LAB-42\]\(https:\/\/[^)]+\/browse\/LAB-42\)/);
+    assert.match(pr.body, /approved by Ziad/);
+});
+
+test('a taken branch name gets a suffix', async () => {
+    const built = await changes.buildChangeDraft({ ...PROPOSAL, files: [PROPOSAL.files[1]] });
+    const draft = changes.saveDraft(built.fields);
+    assert.match(await changes.confirmDraft(draft.id, TEAM.ziad.slackId), /Branch `shehab\/lab-42-validate-barcode-checksums-2`/);
+});
+
+test('a double confirm opens one PR', async () => {
+    const built = await changes.buildChangeDraft({ title: 'Add storage notes', files: [{ path: 'docs/storage.md', action: 'create', content: 'Freezer B\n' }] });
+    const draft = changes.saveDraft(built.fields);
+    const pulls = git().pulls.length;
+
+    const results = await Promise.all([changes.confirmDraft(draft.id, TEAM.ziad.slackId), changes.confirmDraft(draft.id, TEAM.mohab.slackId)]);
+    assert.strictEqual(results.filter(r => r.startsWith('✅')).length, 1);
+    assert.match(results.find(r => !r.startsWith('✅')), /not found/);
+    assert.strictEqual(git().pulls.length, pulls + 1);
+    assert.ok(!Object.keys(git().branches).some(b => b.startsWith('shehab/add-storage-notes-')));
+});
+
+test('a retry after a failed PR reuses the branch and commit', async () => {
+    const built = await changes.buildChangeDraft({ title: 'Add freezer notes', files: [{ path: 'docs/freezer.md', action: 'create', content: 'Freezer C\n' }] });
+    const draft = changes.saveDraft(built.fields);
+    const create = env.octokit.rest.pulls.create;
+    env.octokit.rest.pulls.create = async () => { throw new Error('Validation Failed'); };
+    try {
+        assert.match(await changes.confirmDraft(draft.id, TEAM.ziad.slackId), /^❌ Couldn't open the PR \(branch `shehab\/add-freezer-notes` was created and will be reused on retry\): Validation Failed/);
+    } finally {
+        env.octokit.rest.pulls.create = create;
+    }
+    assert.ok(changes.getDraft(draft.id));
+    const commits = Object.keys(git().gitCommits).length;
+
+    assert.match(await changes.confirmDraft(draft.id, TEAM.ziad.slackId), /^✅ Opened PR #\d+: Add freezer notes\nBranch `shehab\/add-freezer-notes`/);
+    assert.strictEqual(Object.keys(git().gitCommits).length, commits);
+    assert.ok(!git().branches['shehab/add-freezer-notes-2']);
+    assert.strictEqual(changes.getDraft(draft.id), null);
+});
+
+test('updating an executable script keeps its mode', async () => {
+    const built = await changes.buildChangeDraft({
+        title: 'Install before start',
+        files: [
+            { path: 'scripts/deploy.sh', action: 'update', content: '#!/bin/sh\nnpm ci\nnpm start\n' },
+            { path: 'scripts/notes.md', action: 'create', content: 'Deploy notes\n' }
+        ]
+    });
+    const draft = changes.saveDraft(built.fields);
+    assert.match(await changes.confirmDraft(draft.id, TEAM.ziad.slackId), /^✅ Opened PR/);
+
+    const commit = Object.values(git().gitCommits).pop();
+    assert.match(commit.files['scripts/deploy.sh'], /npm ci/);
+    assert.deepStrictEqual(commit.modes, { 'scripts/deploy.sh': '100755', 'scripts/notes.md': '100644' });
+});
+
+test('the agent cannot confirm its own code change', async () => {
+    const { TOOLS_DEF } = require('../../src/agent/brain');
+    assert.ok(!TOOLS_DEF.some(t => t.function.name === 'confirm_code_change'));
+
+    const built = await changes.buildChangeDraft({ title: 'Sneaky', files: [{ path: 'src/samples/sneaky.js', action: 'create', content: 'x\n' }] });
+    const draft = changes.saveDraft(built.fields);
+    assert.match(await executeTool('confirm_code_change', { draft_id: draft.id }, { user: TEAM.ziad.slackId }), /^Unknown tool/);
+    assert.ok(changes.getDraft(draft.id));
+});
+
+test('invalid changes are rejected before any preview', async () => {
+    const build = (files, extra = {}) => changes.buildChangeDraft({ title: 'x', files, ...extra }).then(r => r.error);
+
+    assert.match(await build([{ path: 'src/samples/barcode.js', action: 'update', patch: '@@ -1 +1 @@\n-nope\n+yes' }]), /The patch for `src\/samples\/barcode\.js` doesn't apply: hunk 1/);
+    assert.match(await build([{ path: 'src/samples/barcode.js', action: 'create', content: 'x' }]), /already exists/);
+    assert.match(await build([{ path: 'src/missing.js', action: 'delete' }]), /doesn't exist/);
+    assert.match(await build([{ path: 'src/samples/barcode.js', action: 'update', content: BARCODE }]), /doesn't change anything/);
+    assert.match(await build([{ path: '../etc/passwd', action: 'create', content: 'x' }]), /Invalid file path/);
+    assert.match(await build([{ path: 'a.js', action: 'create', content: 'x' }], { jira_key: 'LAB-999' }), /Jira ticket LAB-999 not found/);
+    assert.match(await build([]), /at least one file/);
+});
+
+test('commits to the default branch are refused', async () => {
+    await assert.rejects(github.commitFiles('main', [{ path: 'a.js', content: 'x' }], 'direct push'), /Refusing to commit to the default branch/);
+    assert.strictEqual(git().branches.main, 'base');
+});
+
+test('cancel discards the draft, for roster members only', async () => {
+    await executeTool('propose_code_change', { title: 'Drop legacy', files: [{ path: 'src/samples/legacy.js', action: 'delete' }] }, { client: env.slack.client, channel: 'C-DEV', user: TEAM.ziad.slackId });
+    const id = env.slack.posts('C-DEV').pop().blocks.find(b => b.type === 'actions').elements[1].value;
+
+    await env.slack.clickButton('code_change_cancel', { value: id, user: 'U-STRANGER', channel: 'C-DEV' });
+    assert.match(lastEphemeral().text, /⛔ Only people on the team roster can discard code changes/);
+    assert.ok(changes.getDraft(id));
+
+    await env.slack.clickButton('code_change_cancel', { value: id, user: TEAM.ziad.slackId, channel: 'C-DEV' });
+    assert.match(lastUpdate().text, /🗑️ Code change discarded/);
+    assert.strictEqual(changes.getDraft(id), null);
+});
@@ -0,0 +1,93 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupOffline, githubPR } = require('../fakes');
+const { postWebhook } = require('../fakes/webhook');
+const { scriptLLM, toolCalls } = require('../fakes/llm');
+const { DEFAULT_TEAM: TEAM } = require('../../src/config/team');
+
+process.env.GITHUB_WEBHOOK_SECRET = 'webhook-secret';
+const env = setupOffline({
+    memory: { report_channel: 'C-REPORTS' },
+    github: {
+        pulls: [githubPR(60, 'Add patient registration', 'ziad')],
+        checks: {
+            sha60: [
+                { name: 'lint', status: 'completed', conclusion: 'success' },
+                { name: 'unit-tests', status: 'completed', conclusion: 'failure', html_url: 'https://ci/1' }
+            ],
+            main: [{ name: 'build', status: 'completed', conclusion: 'success' }]
+        },
+        workflowJobs: { 77: [{ name: 'unit-tests', conclusion: 'failure' }, { name: 'lint', conclusion: 'success' }] }
+    }
+});
+
+const { createWebhookServer } = require('../../src/agent/webhooks');
+const { calculateMood, getProjectStress } = require('../../src/agent/life');
+const { thinkAndAct } = require('../../src/agent/brain');
+
+const server = createWebhookServer(env.slack).listen(0);
+after(() => {
+    server.close();
+    env.teardown();
+});
+
+const workflowRun = (overrides = {}) => ({
+    id: 77,
+    name: 'CI',
+    check_suite_id: 5,
+    head_sha: 'sha60aaaaaa',
+    head_branch: 'feature/60',
+    conclusion: 'failure',
+    actor: { login: 'ziad' },
+    html_url: 'https://github.com/test-org/lab-manager/actions/runs/77',
+    pull_requests: [{ number: 60, head: { ref: 'feature/60' } }],
+    ...overrides
+});
+
+test('a failed workflow run on a PR posts the culprit and failing jobs once', async () => {
+    const repository = { default_branch: 'main' };
+    const checkSuite = { id: 5, head_sha: 'sha60aaaaaa', head_branch: 'feature/60', conclusion: 'failure', app: { name: 'GitHub Actions' }, pull_requests: [{ number: 60 }] };
+
+    // The per-job check_run usually arrives first; it must not pre-empt the suite alert
+    await postWebhook(server, 'check_run', {
+        action: 'completed',
+        check_run: { name: 'unit-tests', head_sha: 'sha60aaaaaa', conclusion: 'failure', check_suite: checkSuite, pull_requests: [{ number: 60 }] },
+        repository
+    });
+    await postWebhook(server, 'workflow_run', { action: 'completed', workflow_run: workflowRun(), repository });
+    await postWebhook(server, 'check_suite', { action: 'completed', check_suite: checkSuite, repository });
+
+    const alerts = env.slack.posts('C-REPORTS').filter(p => /CI failed/.test(p.text));
+    assert.strictEqual(alerts.length, 1);
+    assert.match(alerts[0].text, /PR #60/);
+    assert.match(alerts[0].text, new RegExp(`<@${TEAM.ziad.slackId}>`));
+    assert.match(alerts[0].text, /\*CI\* failing jobs:\n• unit-tests/);
+    assert.doesNotMatch(alerts[0].text, /• lint/);
+});
+
+test('failures on feature branches without a PR are ignored', async () => {
+    const before = env.slack.posts().length;
+    await postWebhook(server, 'workflow_run', {
+        action: 'completed',
+        workflow_run: workflowRun({ head_sha: 'other', pull_requests: [] }),
+        repository: { default_branch: 'main' }
+    });
+    assert.strictEqual(env.slack.posts().length, before);
+});
+
+test('get_ci_status answers for a PR', async () => {
+    const llm = scriptLLM([toolCalls(['get_ci_status', { pr_number: '60' }]), 'PR 60 is red.']);
+
+    await thinkAndAct([], 'is PR 60 passing?', 'system');
+
+    const toolResult = llm.requests[1].request.messages.filter(m => m.role === 'tool').pop().content;
+    assert.match(toolResult, /FAILING/);
+    assert.match(toolResult, /unit-tests: failure/);
+});
+
+test('failing builds raise stress', async () => {
+    const stress = await getProjectStress();
+    assert.strictEqual(stress.failingBuilds, 1);
+    assert.strictEqual(calculateMood(0, 0, 0, 0).level, 'happy');
+    assert.notStrictEqual(calculateMood(0, 0, 0, stress.failingBuilds).level, 'happy');
+});
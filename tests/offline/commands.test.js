@@ -0,0 +1,140 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupOffline, githubPR, jiraIssue } = require('../fakes');
+const { DEFAULT_TEAM: TEAM } = require('../../src/config/team');
+
+const env = setupOffline({
+    memory: { report_channel: 'C-REPORTS' },
+    github: { pulls: [githubPR(60, 'Add patient registration', 'ziad', { daysOld: 7 })] },
+    jira: {
+        issues: [
+            jiraIssue('LAB-7', 'Sample storage API', 'Development', { assigneeId: TEAM.kareem.jiraAccountId, daysSinceUpdate: 14 })
+        ]
+    }
+});
+
+const memory = require('../../src/utils/memory');
+const scheduler = require('../../src/scheduler/registry');
+const commands = require('../../src/commands/router');
+after(() => {
+    scheduler.stopScheduler();
+    env.teardown();
+});
+
+const ran = [];
+const job = (name) => ({ description: name, cron: '0 9 * * *', run: async () => { ran.push(name); } });
+scheduler.startScheduler(env.slack, { report: job('report'), nudges: job('nudges'), reflection: job('reflection') });
+commands.registerCommands(env.slack);
+
+const slash = async (member, text) => {
+    const responses = await env.slack.runCommand('/shehab', { text, user: member.slackId || member });
+    assert.ok(responses.every(r => r.response_type === 'ephemeral'));
+    return responses.map(r => r.text);
+};
+
+// Send a plain message through the router; returns the replies, or null when it isn't a command
+async function chat(member, text, channel = 'C-TEST') {
+    const replies = [];
+    const handled = await commands.handleMessage(
+        { text, user: member.slackId, channel, ts: '1.1' },
+        { client: env.slack.client, say: async (msg) => { replies.push(msg); } }
+    );
+    return handled ? replies.map(r => r.text) : null;
+}
+
+test('/shehab with no text or "help" lists the commands', async () => {
+    const [help] = await slash(TEAM.ziad, '');
+    for (const name of ['report now', 'nudge check', 'reflect', 'status', 'my work', 'config', 'team']) {
+        assert.match(help, new RegExp(`/shehab ${name}`));
+    }
+    assert.deepStrictEqual(await slash(TEAM.ziad, 'help'), [help]);
+
+    const [unknown] = await slash(TEAM.ziad, 'dance');
+    assert.match(unknown, /I don't know `dance`[\s\S]*Shehab commands/);
+});
+
+test('report now, nudge check and reflect run their scheduled jobs', async () => {
+    assert.deepStrictEqual(await slash(TEAM.ziad, 'report now'), ['⏳ Generating the report...', '✅ Ran *report*.']);
+    await slash(TEAM.ziad, 'nudge check');
+    await slash(TEAM.ziad, 'reflect');
+    assert.deepStrictEqual(ran, ['report', 'nudges', 'reflection']);
+    assert.strictEqual(scheduler.getJob('report').lastStatus, 'ok');
+});
+
+test('commands check per-command permissions', async () => {
+    assert.deepStrictEqual(await slash('U-STRANGER', 'report now'), ['⛔ Only people on the team roster can use `report now`.']);
+    assert.match((await slash('U-STRANGER', 'status'))[0], /Project status/);
+
+    process.env.SHEHAB_ADMINS = TEAM.mohab.slackId;
+    try {
+        assert.deepStrictEqual(await slash(TEAM.kareem, 'nudge check'), ['⛔ Only roster admins can use `nudge check`.']);
+        assert.match((await slash(TEAM.kareem, 'team remove ziad'))[0], /Only roster admins/);
+        assert.match((await slash(TEAM.kareem, ''))[0], /nudge check` - .* _\(admins only\)_/);
+        assert.match((await slash(TEAM.mohab, 'team'))[0], /Team roster/);
+    } finally {
+        delete process.env.SHEHAB_ADMINS;
+    }
+    assert.strictEqual(ran.filter(name => name === 'nudges').length, 1);
+});
+
+test('team add never overwrites an existing member', async () => {
+    const team = require('../../src/config/team');
+    const kareem = team.getMember('kareem');
+
+    assert.match((await slash(TEAM.ziad, 'team add <@U0KAREEM2> Kareem Adel'))[0], /^✅ Added \*Kareem Adel\* as `kareema`/);
+    assert.match((await slash(TEAM.ziad, 'team add <@U0KAREEM3> Kareem Adel'))[0], /as `kareem2`/);
+    assert.deepStrictEqual(team.getMember('kareem'), kareem);
+    assert.strictEqual(team.getMember('kareema').slackId, 'U0KAREEM2');
+
+    assert.match((await slash(TEAM.ziad, `team add <@${TEAM.kareem.slackId}> Kareem M`))[0], /already on the roster as `kareem`/);
+
+    team.removeMember('kareema');
+    team.removeMember('kareem2');
+});
+
+test('status, my work and config', async () => {
+    const [status] = await slash(TEAM.ziad, 'status');
+    assert.match(status, /#60 Add patient registration \(Ziad Mohamed, \d+d\)/);
+    assert.match(status, /LAB-7 Sample storage API \(Kareem Mamdouh, \d+d in Development\)/);
+
+    assert.match((await slash(TEAM.ziad, 'my work'))[0], /Open PRs\* \(1\):\n• <[^|]+\|#60> Add patient registration/);
+    const [kareem] = await slash(TEAM.kareem, 'my work');
+    assert.match(kareem, /Open PRs\* \(0\)/);
+    assert.match(kareem, /Open tickets\* \(1\):\n• LAB-7 Sample storage API \(Development\)/);
+
+    const [config] = await slash(TEAM.ziad, 'config');
+    assert.match(config, /Report channel: <#C-REPORTS>/);
+    assert.match(config, /report: mock\//);
+    assert.match(config, /Scheduled jobs/);
+    assert.doesNotMatch(config, /token/i);
+});
+
+test('a bare command name that needs arguments shows its usage', async () => {
+    assert.match((await slash(TEAM.ziad, 'link'))[0], /Usage: `\/shehab whoami \| links/);
+});
+
+test('plain-message commands are answered by the router, not the LLM', async () => {
+    assert.deepStrictEqual(await chat(TEAM.ziad, 'set report channel', 'C-NEW'), ['✅ Reports will be sent to this channel.']);
+    assert.strictEqual(memory.get('report_channel'), 'C-NEW');
+
+    assert.match((await chat(TEAM.ziad, 'team'))[0], /Team roster/);
+    assert.match((await chat(TEAM.ziad, 'schedules'))[0], /Scheduled jobs/);
+
+    // Short slash-only names and normal chat still go to the LLM
+    assert.strictEqual(await chat(TEAM.ziad, 'status'), null);
+    assert.strictEqual(await chat(TEAM.ziad, 'what is the team working on?'), null);
+});
+
+test('secrets over /shehab are answered privately by the vault', async () => {
+    const ephemerals = env.slack.calls.filter(c => c.method === 'chat.postEphemeral').length;
+    process.env.SECRETS_KEY = 'test-passphrase';
+    let reply;
+    try {
+        [reply] = await slash(TEAM.ziad, 'secret set db-pass hunter2');
+    } finally {
+        delete process.env.SECRETS_KEY;
+    }
+    assert.match(reply, /db-pass/);
+    assert.doesNotMatch(reply, /shared channel/);
+    assert.strictEqual(env.slack.calls.filter(c => c.method === 'chat.postEphemeral').length, ephemerals);
+});
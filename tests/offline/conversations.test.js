@@ -0,0 +1,73 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupOffline } = require('../fakes');
+const { scriptLLM } = require('../fakes/llm');
+
+process.env.CONVERSATION_TOKEN_BUDGET = "50";
+const env = setupOffline();
+after(() => env.teardown());
+
+const conversations = require('../../src/memory/conversations');
+
+test('threads are keyed by channel and thread', () => {
+    assert.strictEqual(conversations.contextKey('C1'), 'C1');
+    assert.strictEqual(conversations.contextKey('C1', '171.5'), 'C1:171.5');
+});
+
+test('history survives a reload of the module', async () => {
+    await conversations.appendTurn('C1', 'hello there', 'hi!');
+
+    delete require.cache[require.resolve('../../src/memory/conversations')];
+    const reloaded = require('../../src/memory/conversations');
+
+    assert.deepStrictEqual(reloaded.getHistory('C1'), [
+        { role: 'user', content: 'hello there' },
+        { role: 'assistant', content: 'hi!' }
+    ]);
+});
+
+test('older turns are folded into a summary past the token budget', async () => {
+    const llm = scriptLLM([{ useCase: 'summary', reply: 'We agreed barcodes use Code128.' }]);
+    const key = conversations.contextKey('C2', '100.1');
+
+    for (let i = 0; i < 4; i++) {
+        await conversations.appendTurn(key, `Design question number ${i} about barcodes`, `Answer ${i} with some detail`);
+    }
+
+    const history = conversations.getHistory(key);
+    assert.strictEqual(history[0].role, 'system');
+    assert.match(history[0].content, /Code128/);
+    assert.strictEqual(history.length, 1 + 6);
+    assert.strictEqual(llm.requests.filter(r => r.useCase === 'summary').length, 1);
+});
+
+test('a turn saved while a summary is running is kept', async () => {
+    const pending = [];
+    const slowSummary = () => new Promise(r => pending.push(r));
+    scriptLLM([{ useCase: 'summary', reply: slowSummary }, { useCase: 'summary', reply: slowSummary }]);
+    const key = conversations.contextKey('C3', '200.1');
+
+    for (let i = 0; i < 3; i++) {
+        await conversations.appendTurn(key, `Question ${i} about freezer layouts`, `Answer ${i} about freezer layouts`);
+    }
+    const first = conversations.appendTurn(key, 'Question 3 about freezer layouts', 'Answer 3 about freezer layouts');
+    await new Promise(r => setImmediate(r));
+    // Over budget too, so this starts a second summary of overlapping messages
+    const second = conversations.appendTurn(key, 'Meanwhile: rack labels?', 'Rack labels use the sample prefix.');
+    await new Promise(r => setImmediate(r));
+    assert.strictEqual(pending.length, 2);
+
+    pending[0]('Freezers are grouped by temperature.');
+    await first;
+    pending[1]('A summary of messages that were already folded.');
+    await second;
+
+    const history = conversations.getHistory(key);
+    assert.strictEqual(history[0].content, '[EARLIER IN THIS THREAD]: Freezers are grouped by temperature.');
+    assert.deepStrictEqual(history.slice(1).map(m => m.content), [
+        'Question 1 about freezer layouts', 'Answer 1 about freezer layouts',
+        'Question 2 about freezer layouts', 'Answer 2 about freezer layouts',
+        'Question 3 about freezer layouts', 'Answer 3 about freezer layouts',
+        'Meanwhile: rack labels?', 'Rack labels use the sample prefix.'
+    ]);
+});
@@ -0,0 +1,116 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupOffline, githubCommit } = require('../fakes');
+const { DEFAULT_TEAM } = require('../../src/config/team');
+
+const unlinked = JSON.parse(JSON.stringify(DEFAULT_TEAM));
+delete unlinked.mohab.jiraAccountId;
+
+const env = setupOffline({
+    team: unlinked,
+    slackUsers: { [DEFAULT_TEAM.mohab.slackId]: { name: 'Mohab Kamle', email: 'mohab@lab.test' } },
+    github: {
+        commits: [
+            githubCommit('a1', 'Add docker compose', 'M. Kamle', { login: 'mk-ops', email: 'Mohab@lab.test' }),
+            githubCommit('a2', 'Style the login form', 'Ziad Mohamed', { login: 'zgamal' }),
+            githubCommit('a3', 'Bump deps', 'dependabot[bot]', { login: 'dependabot[bot]' })
+        ]
+    },
+    jira: {
+        users: [
+            { accountId: 'jira-mohab', displayName: 'Mohab Kamle', emailAddress: 'mohab@lab.test' },
+            { accountId: 'jira-other', displayName: 'Other Person' }
+        ]
+    }
+});
+after(() => env.teardown());
+
+const team = require('../../src/config/team');
+const identity = require('../../src/agent/identity');
+identity.registerIdentityActions(env.slack);
+
+test('GitHub logins are only matched through explicit links', () => {
+    assert.strictEqual(team.findTeamMemberByGitHub('ziad'), null);
+    assert.strictEqual(team.findTeamMemberByGitHub('zgamal'), null);
+});
+
+test('discovery proposes links from commit emails, commit names and Jira user search', async () => {
+    const found = await identity.discoverIdentities(env.slack.client);
+    const summary = found.map(c => `${c.memberKey}:${c.system}:${c.value}`).sort();
+
+    assert.ok(summary.includes('mohab:github:mk-ops'));
+    assert.ok(summary.includes('ziad:github:zgamal'));
+    assert.ok(summary.includes('mohab:jira:jira-mohab'));
+    assert.ok(!summary.some(s => s.includes('dependabot') || s.includes('jira-other')));
+    assert.match(found.find(c => c.value === 'mk-ops').evidence, /Slack email/);
+
+    // Nothing new the second time round
+    assert.deepStrictEqual(await identity.discoverIdentities(env.slack.client), []);
+});
+
+test('members confirm their own links; others cannot', async () => {
+    const [candidate] = identity.getPendingCandidates('ziad').filter(c => c.system === 'github');
+    await identity.notifyCandidates(env.slack.client, [candidate]);
+    assert.ok(env.slack.posts(DEFAULT_TEAM.ziad.slackId).some(p => p.blocks));
+
+    process.env.SHEHAB_ADMINS = 'U-BOSS';
+    try {
+        assert.match(identity.confirmCandidate(candidate.id, DEFAULT_TEAM.kareem.slackId), /Only the person/);
+        await env.slack.clickButton('identity_confirm', { value: candidate.id, user: DEFAULT_TEAM.ziad.slackId });
+    } finally {
+        delete process.env.SHEHAB_ADMINS;
+    }
+
+    assert.strictEqual(team.findTeamMemberByGitHub('zgamal').key, 'ziad');
+    const update = env.slack.calls.filter(c => c.method === 'chat.update').pop();
+    assert.match(update.args.text, /Linked \*Ziad Mohamed\* to GitHub \*zgamal\*/);
+});
+
+test('rejected suggestions are not proposed again', async () => {
+    const [candidate] = identity.getPendingCandidates('mohab').filter(c => c.system === 'github');
+    assert.match(identity.rejectCandidate(candidate.id, DEFAULT_TEAM.mohab.slackId), /Dropped/);
+    assert.strictEqual(team.getMember('mohab').githubLogin, null);
+    assert.deepStrictEqual(await identity.discoverGitHubCandidates(env.slack.client), []);
+});
+
+test('who am I linked to shows links and pending suggestions', async () => {
+    assert.match(await identity.linkIdentity(DEFAULT_TEAM.mohab.slackId, 'github', 'zgamal'), /already linked to Ziad/);
+    assert.match(await identity.linkIdentity(DEFAULT_TEAM.mohab.slackId, 'github', '@mohab-k'), /^📝 Asked for GitHub \*mohab-k\*\. Another roster admin needs to confirm it with `link confirm \w+`/);
+    assert.strictEqual(team.getMember('mohab').githubLogin, null);
+    const [claim] = identity.getPendingCandidates('mohab').filter(c => c.value === 'mohab-k');
+    assert.match(identity.confirmCandidate(claim.id, DEFAULT_TEAM.mohab.slackId), /confirmed by another roster admin/);
+    assert.match(identity.confirmCandidate(claim.id, DEFAULT_TEAM.kareem.slackId), /Linked \*Mohab Kamle\* to GitHub \*mohab-k\*/);
+
+    const text = identity.describeIdentity(DEFAULT_TEAM.mohab.slackId);
+    assert.match(text, /GitHub: \*mohab-k\*/);
+    assert.match(text, /Jira: _not linked_/);
+    assert.match(text, /Jira \*Mohab Kamle\* \(Jira account for mohab@lab\.test\)/);
+
+    assert.match(identity.describeIdentity('U-NOBODY'), /isn't on the team roster/);
+});
+
+test('linking Jira by email stores the account id', async () => {
+    assert.match(await identity.linkIdentity(DEFAULT_TEAM.mohab.slackId, 'jira', 'nobody@lab.test'), /No Jira user found for \*nobody@lab\.test\*/);
+    assert.strictEqual(team.getMember('mohab').jiraAccountId, null);
+
+    assert.strictEqual(await identity.linkIdentity(DEFAULT_TEAM.mohab.slackId, 'jira', 'Mohab@Lab.test'), '✅ Linked you to Jira *Mohab Kamle* (`jira-mohab`).');
+    assert.strictEqual(team.getMember('mohab').jiraAccountId, 'jira-mohab');
+    assert.match(await identity.linkIdentity(DEFAULT_TEAM.ziad.slackId, 'jira', 'mohab@lab.test'), /Jira \*Mohab Kamle\* \(`jira-mohab`\) is already linked to Mohab/);
+});
+
+test('startup discovery warns about unlinked members and DMs new suggestions', async () => {
+    team.upsertMember('salma', { name: 'Salma Adel', slackId: 'U-SALMA' });
+    env.octokit.state.commits.push(githubCommit('a9', 'Add e2e tests', 'Salma Adel', { login: 'salma-qa' }));
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (msg) => warnings.push(msg);
+    try {
+        const found = await identity.discoverOnStartup(env.slack.client);
+        assert.deepStrictEqual(found.map(c => `${c.memberKey}:${c.system}:${c.value}`), ['salma:github:salma-qa']);
+    } finally {
+        console.warn = warn;
+        team.removeMember('salma');
+    }
+    assert.match(warnings.join('\n'), /No GitHub login linked for .*Salma Adel/);
+    assert.match(env.slack.posts('U-SALMA').pop().text, /Is GitHub salma-qa you\?/);
+});
@@ -0,0 +1,67 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupOffline, jiraIssue } = require('../fakes');
+const { scriptLLM, toolCalls } = require('../fakes/llm');
+const { DEFAULT_TEAM: TEAM } = require('../../src/config/team');
+
+const env = setupOffline({
+    jira: {
+        issues: [
+            jiraIssue('LAB-42', 'Barcode validation', 'Development', { assigneeId: TEAM.ziad.jiraAccountId }),
+            jiraIssue('LAB-43', 'Export results as PDF', 'To Do')
+        ]
+    }
+});
+after(() => env.teardown());
+
+const jira = require('../../src/tools/jira');
+const { thinkAndAct } = require('../../src/agent/brain');
+const issue = (key) => env.jira.state.issues.find(i => i.key === key);
+
+test('"move LAB-42 to review" transitions the ticket in one message', async () => {
+    scriptLLM([
+        toolCalls(['transition_ticket', { key: 'LAB-42', status: 'review' }]),
+        'Moved LAB-42 to Code Review. Kareem, over to you.'
+    ]);
+
+    const reply = await thinkAndAct([], 'move LAB-42 to review and tell Kareem', 'system');
+
+    assert.strictEqual(issue('LAB-42').fields.status.name, 'Code Review');
+    assert.match(reply, /Kareem/);
+});
+
+test('unknown targets list the available transitions', async () => {
+    const result = await jira.transitionJiraIssue('LAB-43', 'Deployed');
+    assert.match(result, /Available: "Development", "Code Review", "Done"/);
+});
+
+test('comments show up when viewing the ticket', async () => {
+    await jira.addJiraComment('lab 43', 'Needs a design first');
+    const details = await jira.getJiraIssue('LAB-43');
+    assert.match(details, /Shehab \(\d{4}-\d{2}-\d{2}\): Needs a design first/);
+});
+
+test('assign_ticket resolves team members by name', async () => {
+    scriptLLM([toolCalls(['assign_ticket', { key: 'LAB-43', assignee: 'kareem' }]), 'Done']);
+    await thinkAndAct([], 'give LAB-43 to kareem', 'system');
+    assert.strictEqual(issue('LAB-43').fields.assignee.accountId, TEAM.kareem.jiraAccountId);
+});
+
+test('priority and labels can be updated', async () => {
+    await jira.updateJiraIssueFields('LAB-43', { priority: 'High', addLabels: ['frontend', 'pdf'] });
+    await jira.updateJiraIssueFields('LAB-43', { removeLabels: ['pdf'] });
+    assert.strictEqual(issue('LAB-43').fields.priority.name, 'High');
+    assert.deepStrictEqual(issue('LAB-43').fields.labels, ['frontend']);
+});
+
+test('additions and removals apply on top of a full label list', async () => {
+    const result = await jira.updateJiraIssueFields('LAB-43', { labels: ['backend', 'pdf'], addLabels: ['urgent'], removeLabels: ['pdf'] });
+    assert.strictEqual(result, '✅ LAB-43 updated (labels → backend, urgent)');
+    assert.deepStrictEqual(issue('LAB-43').fields.labels, ['backend', 'urgent']);
+});
+
+test('JQL search lists matching tickets', async () => {
+    const result = await jira.searchJiraIssues('project = LAB AND status = "Code Review"');
+    assert.match(result, /\[LAB-42\] Barcode validation \(Status: Code Review/);
+    assert.doesNotMatch(result, /LAB-43/);
+});
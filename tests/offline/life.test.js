@@ -0,0 +1,46 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupOffline, githubPR, jiraIssue, WORKING_HOURS_NOW } = require('../fakes');
+const { scriptLLM } = require('../fakes/llm');
+const { DEFAULT_TEAM: TEAM } = require('../../src/config/team');
+
+const env = setupOffline({
+    memory: { report_channel: 'C-REPORTS' },
+    github: { pulls: [githubPR(60, 'Add patient registration', 'ziad', { daysOld: 7 })] },
+    jira: {
+        issues: [
+            jiraIssue('LAB-7', 'Sample storage API', 'Development', { assigneeId: TEAM.kareem.jiraAccountId, daysSinceUpdate: 14 })
+        ]
+    }
+});
+after(() => env.teardown());
+
+const { checkStaleWork } = require('../../src/agent/life');
+
+test('checkStaleWork DMs the PR author and the ticket assignee', async () => {
+    scriptLLM([
+        { useCase: 'nudge', reply: 'Hey, PR 60 is getting dusty.' },
+        { useCase: 'nudge', reply: 'LAB-7 still alive?' }
+    ]);
+
+    await checkStaleWork(env.slack, WORKING_HOURS_NOW);
+
+    assert.deepStrictEqual(env.slack.posts().map(p => [p.channel, p.text]), [
+        [TEAM.ziad.slackId, 'Hey, PR 60 is getting dusty.'],
+        [TEAM.kareem.slackId, 'LAB-7 still alive?']
+    ]);
+});
+
+test('checkStaleWork does not look up CI status', async () => {
+    const checks = env.octokit.rest.checks;
+    const listForRef = checks.listForRef;
+    let lookups = 0;
+    checks.listForRef = async (args) => { lookups++; return listForRef(args); };
+    try {
+        scriptLLM([{ useCase: 'nudge', reply: 'PR 60 again?' }, { useCase: 'nudge', reply: 'LAB-7 again?' }]);
+        await checkStaleWork(env.slack, WORKING_HOURS_NOW);
+        assert.strictEqual(lookups, 0);
+    } finally {
+        checks.listForRef = listForRef;
+    }
+});
@@ -0,0 +1,71 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupOffline, githubPR, jiraIssue } = require('../fakes');
+const { postWebhook } = require('../fakes/webhook');
+const { scriptLLM } = require('../fakes/llm');
+
+process.env.GITHUB_WEBHOOK_SECRET = 'webhook-secret';
+const env = setupOffline({
+    memory: { report_channel: 'C-REPORTS' },
+    github: {
+        pulls: [
+            githubPR(70, 'Barcode scanner support', 'kareem', { head: 'feature/lab-42-scanner' }),
+            githubPR(71, 'Tidy up CSS', 'ziad', { head: 'chore/css' })
+        ],
+        prCommits: { 70: ['Wire scanner events (LAB-43)'], 71: ['Rename classes'] }
+    },
+    jira: {
+        issues: [
+            jiraIssue('LAB-42', 'Scanner support', 'Development'),
+            jiraIssue('LAB-43', 'Scanner events', 'Development'),
+            jiraIssue('LAB-44', 'Audit log', 'Development')
+        ]
+    }
+});
+
+const { extractJiraKeys } = require('../../src/agent/linking');
+const { createWebhookServer } = require('../../src/agent/webhooks');
+const { generateSmartReport } = require('../../src/scheduler/reports');
+
+const server = createWebhookServer(env.slack).listen(0);
+after(() => {
+    server.close();
+    env.teardown();
+});
+
+const issue = (key) => env.jira.state.issues.find(i => i.key === key);
+
+test('keys are found in titles, branch names and commit messages', () => {
+    assert.deepStrictEqual(
+        extractJiraKeys('[LAB-7] Fix units', 'feature/lab-42-scanner', 'Refs LAB-7 and LAB-9', 'utf-8 is not a key'),
+        ['LAB-7', 'LAB-42', 'LAB-9']
+    );
+});
+
+test('opening a PR comments on its tickets and moves them to Code Review', async () => {
+    await postWebhook(server, 'pull_request', { action: 'opened', pull_request: githubPR(70, 'Barcode scanner support', 'kareem', { head: 'feature/lab-42-scanner' }) });
+
+    for (const key of ['LAB-42', 'LAB-43']) {
+        assert.strictEqual(issue(key).fields.status.name, 'Code Review');
+        assert.match(issue(key).fields.comment.comments[0].body.content[0].content[0].text, /PR #70/);
+    }
+    assert.ok(env.slack.posts('C-REPORTS').some(p => /PR #70 linked: LAB-42 → Code Review, LAB-43 → Code Review/.test(p.text)));
+});
+
+test('merging a PR moves its tickets to Done', async () => {
+    const pr = { ...githubPR(70, 'Barcode scanner support', 'kareem', { head: 'feature/lab-42-scanner' }), merged: true };
+    await postWebhook(server, 'pull_request', { action: 'closed', pull_request: pr });
+
+    assert.strictEqual(issue('LAB-42').fields.status.name, 'Done');
+    assert.strictEqual(issue('LAB-43').fields.status.name, 'Done');
+});
+
+test('the report flags PRs without tickets and tickets without PRs', async () => {
+    const llm = scriptLLM([{ useCase: 'report', reply: 'report' }]);
+
+    await generateSmartReport(env.slack);
+
+    const context = llm.requests.find(r => r.useCase === 'report').request.messages[1].content;
+    assert.match(context, /PRs referencing no Jira ticket: PR #71 "Tidy up CSS"/);
+    assert.match(context, /Tickets "In Development" with no PR: LAB-44/);
+});
@@ -0,0 +1,151 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupOffline, githubPR, jiraIssue } = require('../fakes');
+const { scriptLLM } = require('../fakes/llm');
+
+const env = setupOffline({
+    memory: { report_channel: 'C-REPORTS' },
+    github: {
+        pulls: [
+            githubPR(60, 'Add patient registration', 'ziad', { daysOld: 7 }),
+            githubPR(50, 'Barcode labels', 'mohab', { daysOld: 4, mergedDaysAgo: 2 }),
+            githubPR(51, 'Fix login', 'ziad', { daysOld: 3, mergedDaysAgo: 1 }),
+            githubPR(40, 'Sample routing', 'kareem', { daysOld: 14, mergedDaysAgo: 10 })
+        ],
+        issues: [
+            { number: 5, title: 'Crash on empty form', created_at: new Date().toISOString() },
+            { number: 60, title: 'Add patient registration', pull_request: {} }
+        ]
+    },
+    jira: {
+        issues: [
+            jiraIssue('LAB-1', 'Intake form', 'Done', { daysOld: 5, resolvedDaysAgo: 1 }),
+            jiraIssue('LAB-2', 'Audit log', 'Done', { daysOld: 4, resolvedDaysAgo: 3 }),
+            jiraIssue('LAB-3', 'Label printer', 'Done', { daysOld: 12, resolvedDaysAgo: 9 }),
+            jiraIssue('LAB-7', 'Sample storage API', 'Development'),
+            jiraIssue('LAB-8', 'Patient form', 'To Do')
+        ]
+    }
+});
+after(() => env.teardown());
+
+const metrics = require('../../src/agent/metrics');
+const { getIssuesRaw } = require('../../src/tools/github');
+const commands = require('../../src/commands/router');
+const { generateSmartReport } = require('../../src/scheduler/reports');
+commands.registerCommands(env.slack);
+
+// Run the report with a scripted health score; returns the LLM request
+async function report(score) {
+    const llm = scriptLLM([
+        { useCase: 'reflection', reply: JSON.stringify({ internal_thought: 'Fine.', public_status: null }) },
+        { useCase: 'report', reply: `📊 *Daily Status Report*\n\n*🎯 Project Health: ${score}/10*\nSteady.` }
+    ]);
+    await generateSmartReport(env.slack);
+    return llm.requests.find(r => r.useCase === 'report').request;
+}
+
+test('every report saves a snapshot with the parsed health score', async () => {
+    const request = await report(7);
+    assert.match(request.messages[1].content, /CHANGES SINCE LAST REPORT:\n- First report with metrics/);
+
+    const snapshot = metrics.getLatestSnapshot();
+    assert.deepStrictEqual(snapshot.prs.open, 1);
+    assert.deepStrictEqual(snapshot.issues, { open: 1 });
+    assert.deepStrictEqual(snapshot.jira, { open: 2, byStatus: { 'Development': 1, 'To Do': 1 } });
+    assert.strictEqual(snapshot.healthScore, 7);
+    assert.ok(snapshot.mood);
+});
+
+test('the next report is told what changed', async () => {
+    env.octokit.state.pulls.push(githubPR(61, 'Storage endpoints', 'kareem'));
+    env.jira.state.issues.push(jiraIssue('LAB-9', 'Reports page', 'To Do'));
+
+    const request = await report(6.5);
+    assert.match(request.messages[0].content, /📈 Since Last Report/);
+    const context = request.messages[1].content;
+    assert.match(context, /- Open PRs: 2 \(\+1\)/);
+    assert.match(context, /- Open GitHub issues: 1 \(±0\)/);
+    assert.match(context, /- Open Jira tickets: 3 \(\+1\) \[Development: 1 \(±0\), To Do: 2 \(\+1\)\]/);
+    assert.match(context, /- Last health score: 7\/10/);
+    assert.strictEqual(metrics.getLatestSnapshot().healthScore, 6.5);
+});
+
+test('the trends command shows the series, cycle time and throughput', async () => {
+    const [text] = (await env.slack.runCommand('/shehab', { text: 'trends', user: 'U-ANYONE' })).map(r => r.text);
+    assert.match(text, /Trends: last 7 days/);
+    assert.match(text, /Open PRs: 2 \(\+1\) \| ages: 0-1d: 1, 2-3d: 0, 4-7d: 1, 8d\+: 0/);
+    assert.match(text, /Health: 7 → 6.5 \(avg 6.8\/10\)/);
+    assert.match(text, /PR cycle time\* \(median, opened → merged\): 2d over 2 merged PR\(s\) \| previous 7 days: 4d over 1/);
+    assert.match(text, /Ticket throughput:\* 2 \(\+1\) done \| median lead time 2.5d/);
+
+    const [monthly] = (await env.slack.runCommand('/shehab', { text: 'trends month', user: 'U-ANYONE' })).map(r => r.text);
+    assert.match(monthly, /Trends: last 30 days/);
+    assert.match(monthly, /Ticket throughput:\* 3 \(\+3\) done/);
+});
+
+test('a failed Jira call is recorded as unknown, not as zero tickets', async () => {
+    env.jira.state.down = true;
+    try {
+        const request = await report(6);
+        assert.match(request.messages[1].content, /- Open Jira tickets: n\/a\n/);
+        assert.deepStrictEqual(metrics.getLatestSnapshot().jira, { open: null, byStatus: null });
+
+        const [text] = (await env.slack.runCommand('/shehab', { text: 'trends', user: 'U-ANYONE' })).map(r => r.text);
+        assert.match(text, /Open Jira tickets: n\/a/);
+        assert.match(text, /Ticket throughput:\* n\/a/);
+    } finally {
+        env.jira.state.down = false;
+    }
+});
+
+test('counts and throughput page through large projects', async () => {
+    const many = Array.from({ length: 230 }, (_, i) => jiraIssue(`LAB-${1000 + i}`, `Bulk ticket ${i}`, i % 2 ? 'To Do' : 'Done', { daysOld: 3, resolvedDaysAgo: i % 2 ? null : 1 }));
+    env.jira.state.issues.push(...many);
+    try {
+        const snapshot = await metrics.collectSnapshot({ issues: [], stress: { stalePRs: 0, staleTickets: 0, failingBuilds: 0 }, mood: { level: 'calm' } });
+        assert.strictEqual(snapshot.jira.byStatus['To Do'], 2 + 115);
+
+        const [text] = (await env.slack.runCommand('/shehab', { text: 'trends', user: 'U-ANYONE' })).map(r => r.text);
+        assert.match(text, /Ticket throughput:\* 117 \(\+116\) done/);
+    } finally {
+        env.jira.state.issues.splice(-many.length);
+    }
+});
+
+test('a failed GitHub call is recorded as unknown, not as zero PRs or issues', async () => {
+    const { pulls, issues } = env.octokit.rest;
+    const [list, listForRepo] = [pulls.list, issues.listForRepo];
+    const down = async () => { throw Object.assign(new Error('Service Unavailable'), { status: 503 }); };
+    pulls.list = down;
+    issues.listForRepo = down;
+    try {
+        const request = await report(6);
+        assert.match(request.messages[1].content, /- Open PRs: n\/a\n- Open GitHub issues: n\/a\n/);
+        assert.deepStrictEqual(metrics.getLatestSnapshot().prs, { open: null, ages: null });
+        assert.deepStrictEqual(metrics.getLatestSnapshot().issues, { open: null });
+    } finally {
+        pulls.list = list;
+        issues.listForRepo = listForRepo;
+    }
+});
+
+test('open PR and issue counts page through large repos', async () => {
+    const prs = Array.from({ length: 45 }, (_, i) => githubPR(200 + i, `Bulk PR ${i}`, 'ziad'));
+    // The issues endpoint lists PRs too: a page of only PRs mustn't hide the issues after it
+    const issues = [
+        ...prs.map(pr => ({ number: pr.number, title: pr.title, pull_request: {} })),
+        ...Array.from({ length: 120 }, (_, i) => ({ number: 500 + i, title: `Bulk issue ${i}`, created_at: new Date().toISOString() }))
+    ];
+    const open = env.octokit.state.pulls.filter(p => (p.state || 'open') === 'open').length;
+    env.octokit.state.pulls.push(...prs);
+    env.octokit.state.issues.unshift(...issues);
+    try {
+        const snapshot = await metrics.collectSnapshot({ issues: await getIssuesRaw(), stress: { stalePRs: 0, staleTickets: 0, failingBuilds: 0 }, mood: { level: 'calm' } });
+        assert.strictEqual(snapshot.prs.open, open + 45);
+        assert.strictEqual(snapshot.issues.open, 1 + 120);
+    } finally {
+        env.octokit.state.pulls.splice(-prs.length);
+        env.octokit.state.issues.splice(0, issues.length);
+    }
+});
@@ -0,0 +1,126 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupOffline, githubPR, jiraIssue, WORKING_HOURS_NOW } = require('../fakes');
+const { setMockHandler } = require('../../src/llm/provider');
+const { DEFAULT_TEAM: TEAM } = require('../../src/config/team');
+
+const env = setupOffline({
+    memory: { report_channel: 'C-REPORTS' },
+    github: { pulls: [githubPR(60, 'Add patient registration', 'ziad', { daysOld: 7 })] },
+    jira: {
+        issues: [
+            jiraIssue('LAB-7', 'Sample storage API', 'Development', { assigneeId: TEAM.kareem.jiraAccountId, daysSinceUpdate: 14 })
+        ]
+    }
+});
+after(() => env.teardown());
+
+const { createStore } = require('../../src/utils/store');
+const { checkStaleWork } = require('../../src/agent/life');
+const nudges = require('../../src/agent/nudges');
+nudges.registerNudgeActions(env.slack);
+
+setMockHandler(() => 'Nudge!');
+
+const ledger = createStore('nudges');
+const dmsTo = (member) => env.slack.posts(member.slackId).filter(p => p.blocks);
+
+// Pretend the last nudge was sent `days` ago
+function age(id, days) {
+    ledger.update(data => {
+        data[id].lastNudgedAt = new Date(Date.now() - days * 86400000).toISOString();
+    });
+}
+
+test('nudges are recorded with buttons and respect the cooldown', async () => {
+    await checkStaleWork(env.slack, WORKING_HOURS_NOW);
+    await checkStaleWork(env.slack, WORKING_HOURS_NOW);
+
+    assert.strictEqual(dmsTo(TEAM.ziad).length, 1);
+    assert.strictEqual(dmsTo(TEAM.kareem).length, 1);
+    const actions = dmsTo(TEAM.ziad)[0].blocks.find(b => b.type === 'actions').elements.map(e => e.action_id);
+    assert.deepStrictEqual(actions, ['nudge_need_review', 'nudge_blocked', 'nudge_finish_today']);
+
+    const entry = nudges.getEntry('pr:60');
+    assert.strictEqual(entry.count, 1);
+    assert.strictEqual(entry.history.length, 1);
+});
+
+test('items nudged too often without movement are escalated once', async () => {
+    for (let i = 0; i < 2; i++) {
+        age('ticket:LAB-7', 3);
+        await checkStaleWork(env.slack, WORKING_HOURS_NOW);
+    }
+    assert.strictEqual(dmsTo(TEAM.kareem).length, 3);
+
+    age('ticket:LAB-7', 3);
+    await checkStaleWork(env.slack, WORKING_HOURS_NOW);
+    age('ticket:LAB-7', 3);
+    await checkStaleWork(env.slack, WORKING_HOURS_NOW);
+
+    assert.strictEqual(dmsTo(TEAM.kareem).length, 3);
+    const escalations = env.slack.posts('C-REPORTS').filter(p => /Stuck item/.test(p.text));
+    assert.strictEqual(escalations.length, 1);
+    assert.match(escalations[0].text, /LAB-7 .* nudged 3 times/);
+});
+
+test('movement resets the count and escalation', () => {
+    const item = { id: 'ticket:LAB-7', label: 'LAB-7', fingerprint: 'Code Review@now', member: { ...TEAM.kareem, key: 'kareem' } };
+    const plan = nudges.planNudge(item, Date.now() + 3 * 86400000);
+    assert.strictEqual(plan.action, 'nudge');
+    assert.strictEqual(plan.count, 0);
+    assert.strictEqual(nudges.getEntry('ticket:LAB-7').escalatedAt, undefined);
+    assert.strictEqual(nudges.getEntry('ticket:LAB-7').history.length, 3);
+});
+
+test('a "snooze 3 days" DM reply snoozes the latest nudge', async () => {
+    const reply = await nudges.handleNudgeReply(env.slack.client, TEAM.ziad.slackId, 'snooze 3 days');
+    assert.match(reply, /Snoozed PR #60/);
+
+    age('pr:60', 5);
+    await checkStaleWork(env.slack, WORKING_HOURS_NOW);
+    assert.strictEqual(dmsTo(TEAM.ziad).length, 1);
+
+    assert.strictEqual(await nudges.handleNudgeReply(env.slack.client, TEAM.ziad.slackId, 'what is a snoozer?'), null);
+    assert.strictEqual(await nudges.handleNudgeReply(env.slack.client, 'U-NOBODY', 'snooze 3 days'), null);
+});
+
+test('"blocked on X" stops nudges and tells the team lead', async () => {
+    process.env.SHEHAB_TEAM_LEAD = 'mohab';
+    try {
+        const reply = await nudges.handleNudgeReply(env.slack.client, TEAM.ziad.slackId, 'PR 60 is blocked on the auth API');
+        assert.match(reply, /blocked on the auth API/);
+    } finally {
+        delete process.env.SHEHAB_TEAM_LEAD;
+    }
+
+    const alert = env.slack.posts(TEAM.mohab.slackId).pop();
+    assert.match(alert.text, new RegExp(`<@${TEAM.ziad.slackId}> says PR #60 .* is blocked on the auth API`));
+    assert.strictEqual(nudges.planNudge({ id: 'pr:60', label: 'PR #60', fingerprint: nudges.getEntry('pr:60').fingerprint, member: { ...TEAM.ziad, key: 'ziad' } }).action, 'skip');
+});
+
+test('DM buttons ask for review or snooze until tomorrow', async () => {
+    await env.slack.clickButton('nudge_need_review', { value: 'ticket:LAB-7', user: TEAM.kareem.slackId });
+    assert.match(env.slack.posts('C-REPORTS').pop().text, /waiting on a review for LAB-7/);
+    assert.strictEqual(nudges.getEntry('ticket:LAB-7').status, 'needs_review');
+
+    await env.slack.clickButton('nudge_finish_today', { value: 'ticket:LAB-7', user: TEAM.kareem.slackId });
+    const entry = nudges.getEntry('ticket:LAB-7');
+    assert.strictEqual(entry.status, 'finishing_today');
+    const hoursLeft = (new Date(entry.snoozedUntil) - Date.now()) / 3600000;
+    assert.ok(hoursLeft > 23 && hoursLeft <= 24);
+
+    const update = env.slack.calls.filter(c => c.method === 'chat.update').pop();
+    assert.match(update.args.text, /check LAB-7 .* again tomorrow/);
+});
+
+test('a passing "blocked" only counts in the nudge thread or at the start of the DM', async () => {
+    const before = nudges.getEntry('ticket:LAB-7').status;
+    assert.strictEqual(await nudges.handleNudgeReply(env.slack.client, TEAM.kareem.slackId, 'I think CI is blocked'), null);
+    assert.strictEqual(nudges.getEntry('ticket:LAB-7').status, before);
+
+    const { ts } = nudges.getEntry('ticket:LAB-7').history.pop();
+    const reply = await nudges.handleNudgeReply(env.slack.client, TEAM.kareem.slackId, 'yeah, the scanner API is blocked', { threadTs: ts });
+    assert.match(reply, /flagged LAB-7 .* as blocked/);
+    assert.strictEqual(nudges.getEntry('ticket:LAB-7').status, 'blocked');
+});
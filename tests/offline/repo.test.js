@@ -0,0 +1,96 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupOffline } = require('../fakes');
+const { scriptLLM, toolCalls } = require('../fakes/llm');
+
+const BARCODE = [
+    "const PATTERN = /^LAB-\\d{6}$/;",
+    '',
+    'function validateBarcode(code) {',
+    '    return PATTERN.test(code);',
+    '}',
+    '',
+    'module.exports = { validateBarcode };'
+].join('\n');
+
+const env = setupOffline({
+    github: {
+        files: {
+            'README.md': '# Lab Manager',
+            'package.json': '{ "name": "lab-manager" }',
+            'src/samples/barcode.js': BARCODE,
+            'src/samples/barcode.test.js': "test('validateBarcode accepts LAB ids', () => {});",
+            'src/samples/storage.js': 'module.exports = {};',
+            'src/api/routes.js': "const { validateBarcode } = require('../samples/barcode');\nrouter.post('/samples', (req) => validateBarcode(req.body.code));",
+            'src/big.js': Array.from({ length: 450 }, (_, i) => `// line ${i + 1}`).join('\n')
+        },
+        refs: {
+            'feature/scanner': { 'src/samples/barcode.js': 'function validateBarcode(code) {\n    return scanner.check(code);\n}' }
+        }
+    }
+});
+after(() => env.teardown());
+
+const github = require('../../src/tools/github');
+const { thinkAndAct } = require('../../src/agent/brain');
+
+test('getFileTree lists any directory, recursively and filtered by glob', async () => {
+    assert.strictEqual(await github.getFileTree(), '/ (3 entries):\n - file: package.json\n - file: README.md\n - dir: src');
+    assert.match(await github.getFileTree('src/samples/'), /^src\/samples \(3 entries\):\n - file: src\/samples\/barcode\.js\n/);
+
+    assert.strictEqual(await github.getFileTree('', { recursive: true, glob: '*.test.js' }), '/ (1 entry):\n - file: src/samples/barcode.test.js');
+    const js = await github.getFileTree('src', { recursive: true, glob: 'samples/*.{js,ts}' });
+    assert.match(js, /^src \(3 entries\):/);
+    assert.doesNotMatch(js, /routes|big/);
+
+    const all = await github.getFileTree('src', { recursive: true });
+    assert.match(all, / - dir: src\/api\n - file: src\/api\/routes\.js\n/);
+    assert.strictEqual(await github.getFileTree('', { glob: '*.py' }), 'No files matching *.py in /.');
+    assert.match(await github.getFileTree('README.md'), /is a file, not a directory/);
+});
+
+test('readFileContent reads line ranges with numbers and pages long files', async () => {
+    assert.strictEqual(
+        await github.readFileContent('src/samples/barcode.js', { startLine: 3, endLine: 5 }),
+        'src/samples/barcode.js (lines 3-5 of 7):\n3| function validateBarcode(code) {\n4|     return PATTERN.test(code);\n5| }\n... 2 more line(s). Read from line 6 to continue.'
+    );
+
+    const big = await github.readFileContent('src/big.js');
+    assert.match(big, /^src\/big\.js \(lines 1-200 of 450\):\n {2}1\| \/\/ line 1\n/);
+    assert.match(big, /200\| \/\/ line 200\n\.\.\. 250 more line\(s\)\. Read from line 201 to continue\.$/);
+    assert.match(await github.readFileContent('src/big.js', { startLine: 440 }), /lines 440-450 of 450[\s\S]*450\| \/\/ line 450$/);
+    assert.strictEqual(await github.readFileContent('src/big.js', { startLine: 500 }), 'Error: src/big.js has only 450 lines.');
+    assert.match(await github.readFileContent('src'), /directory, not a file/);
+});
+
+test('readFileContent reads a file at another branch or SHA', async () => {
+    const branch = await github.readFileContent('src/samples/barcode.js', { ref: 'feature/scanner' });
+    assert.match(branch, /^src\/samples\/barcode\.js @ feature\/scanner \(lines 1-3 of 3\):\n1\| function validateBarcode/);
+    assert.match(branch, /scanner\.check/);
+    assert.match(await github.readFileContent('src/samples/barcode.js', { ref: 'nope' }), /^Could not read file: src\/samples\/barcode\.js @ nope\. Error: Not Found/);
+});
+
+test('searchCode finds symbols with the matching line numbers', async () => {
+    const found = await github.searchCode('validateBarcode');
+    assert.match(found, /^Found 3 file\(s\) matching "validateBarcode":/);
+    assert.match(found, /• src\/samples\/barcode\.js\n {4}3: function validateBarcode\(code\) \{\n {4}7: module\.exports = \{ validateBarcode \};/);
+    assert.match(found, /• src\/api\/routes\.js\n {4}1: const \{ validateBarcode \}/);
+
+    assert.doesNotMatch(await github.searchCode('validateBarcode', { path: 'src/api' }), /• src\/samples/);
+    assert.strictEqual(await github.searchCode('sterilize'), 'No code matches "sterilize".');
+});
+
+test('the agent answers "where" questions from real code', async () => {
+    const llm = scriptLLM([
+        toolCalls(['search_code', { query: 'validateBarcode', extension: 'js' }]),
+        toolCalls(['read_file', { path: 'src/samples/barcode.js', start_line: 1, end_line: 5 }]),
+        'Barcodes are validated in src/samples/barcode.js:3 against /^LAB-\\d{6}$/.'
+    ]);
+
+    const reply = await thinkAndAct([], 'Where do we validate sample barcodes?', 'system');
+
+    assert.match(reply, /barcode\.js:3/);
+    const results = llm.requests[2].request.messages.filter(m => m.role === 'tool').map(m => m.content);
+    assert.match(results[0], /src\/samples\/barcode\.js\n {4}3: function validateBarcode/);
+    assert.match(results[1], /^src\/samples\/barcode\.js \(lines 1-5 of 7\):\n1\| const PATTERN/);
+});
@@ -0,0 +1,46 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupOffline, githubPR, jiraIssue } = require('../fakes');
+const { scriptLLM } = require('../fakes/llm');
+const { DEFAULT_TEAM: TEAM } = require('../../src/config/team');
+
+const env = setupOffline({
+    memory: { report_channel: 'C-REPORTS' },
+    github: { pulls: [githubPR(60, 'Add patient registration', 'ziad', { daysOld: 1 })] },
+    jira: { issues: [jiraIssue('LAB-1', 'Login page', 'To Do')] }
+});
+after(() => env.teardown());
+
+const { generateSmartReport, createSuggestedTasks } = require('../../src/scheduler/reports');
+const { getPendingSuggestions, approveSuggestion } = require('../../src/agent/suggestions');
+
+test('generateSmartReport posts the LLM report to the report channel', async () => {
+    const llm = scriptLLM([
+        { useCase: 'reflection', reply: JSON.stringify({ internal_thought: 'Registration work is moving.', public_status: null }) },
+        { useCase: 'report', reply: '📊 **Daily Status Report**\n- all good' }
+    ]);
+
+    await generateSmartReport(env.slack);
+
+    const report = env.slack.posts('C-REPORTS')[0];
+    assert.match(report.text, /\*Daily Status Report\*/);
+    const reportRequest = llm.requests.find(r => r.useCase === 'report').request;
+    assert.match(reportRequest.messages[1].content, /PR #60/);
+    assert.match(reportRequest.messages[1].content, /LAB-1/);
+});
+
+test('createSuggestedTasks posts suggestions for approval instead of creating tickets', async () => {
+    const report = '*📋 Suggested Tasks:*\n• @kareem: Add pagination to the samples endpoint\n• @ziad: [frontend task if any]';
+
+    await createSuggestedTasks(report, env.slack, 'C-REPORTS');
+
+    const created = () => env.jira.state.requests.filter(r => r.method === 'post' && r.path === '/rest/api/3/issue');
+    assert.strictEqual(created().length, 0);
+    const [pending] = getPendingSuggestions();
+    assert.strictEqual(pending.assignee.jiraAccountId, TEAM.kareem.jiraAccountId);
+    assert.match(env.slack.posts('C-REPORTS').pop().text, /Suggested task for Kareem Mamdouh: Add pagination/);
+
+    assert.match(await approveSuggestion(pending.id, TEAM.kareem.slackId), /✅ Ticket Created/);
+    assert.strictEqual(created().length, 1);
+    assert.strictEqual(created()[0].body.fields.assignee.accountId, TEAM.kareem.jiraAccountId);
+});
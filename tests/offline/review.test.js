@@ -0,0 +1,301 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupOffline, githubPR, githubCommit } = require('../fakes');
+const { scriptLLM } = require('../fakes/llm');
+const { DEFAULT_TEAM: TEAM } = require('../../src/config/team');
+
+const DIFF = [
+    'diff --git a/src/api/samples.js b/src/api/samples.js',
+    'index 1111111..2222222 100644',
+    '--- a/src/api/samples.js',
+    '+++ b/src/api/samples.js',
+    '@@ -10,4 +10,6 @@ function list(req, res) {',
+    '   const limit = req.query.limit;',
+    "-  const rows = db.all('SELECT * FROM samples');",
+    "+  const sql = `SELECT * FROM samples WHERE owner = '${req.query.owner}'`;",
+    '+  const rows = db.all(sql);',
+    '+  console.log(rows);',
+    '   res.json(rows);',
+    ' }',
+    'diff --git a/docs/samples.md b/docs/samples.md',
+    'new file mode 100644',
+    'index 0000000..3333333',
+    '--- /dev/null',
+    '+++ b/docs/samples.md',
+    '@@ -0,0 +1,2 @@',
+    '+# Samples',
+    '+Filter by owner.',
+    'diff --git a/logo.png b/logo.png',
+    'Binary files a/logo.png and b/logo.png differ',
+    'diff --git a/src/old.js b/src/old.js',
+    'deleted file mode 100644',
+    '--- a/src/old.js',
+    '+++ /dev/null',
+    '@@ -1 +0,0 @@',
+    '-module.exports = {};',
+    ''
+].join('\n');
+
+const env = setupOffline({
+    memory: { report_channel: 'C-REPORTS' },
+    github: {
+        pulls: [githubPR(70, 'Filter samples by owner', 'kareem'), { ...githubPR(71, 'WIP intake form', 'ziad'), draft: true }],
+        commits: [githubCommit('big', 'Bump lockfile', 'Kareem')],
+        diffs: {
+            'pr:70': DIFF,
+            'pr:71': DIFF,
+            'commit:big': [
+                'diff --git a/src/a.js b/src/a.js\n+a()\n',
+                `diff --git a/package-lock.json b/package-lock.json\n${'+"x": 1,\n'.repeat(2000)}`,
+                'diff --git a/src/b.js b/src/b.js\n+b()\n'
+            ].join('')
+        }
+    }
+});
+after(() => env.teardown());
+
+const review = require('../../src/agent/review');
+const { dispatchEvent } = require('../../src/agent/webhooks');
+const commands = require('../../src/commands/router');
+const { executeTool } = require('../../src/agent/brain');
+const { getCommitDiff } = require('../../src/tools/github');
+commands.registerCommands(env.slack);
+
+const FINDINGS = {
+    summary: 'Adds owner filtering, but the query is built from user input.',
+    findings: [
+        { file: 'src/api/samples.js', line: 11, severity: 'critical', message: 'SQL injection: use a parameterized query.' },
+        { file: 'api/samples.js', line: 13, severity: 'low', message: 'Remove the debug log.' },
+        { file: 'src/api/samples.js', line: 40, severity: 'major', message: 'The list still has no pagination.' },
+        { file: 'README.md', line: 1, severity: 'nit', message: 'Mention the new docs page.' }
+    ]
+};
+const reviews = () => env.octokit.state.reviews;
+
+test('parseUnifiedDiff numbers lines and tells file kinds apart', () => {
+    const files = review.parseUnifiedDiff(DIFF);
+    assert.deepStrictEqual(files.map(f => [f.path, f.status, f.binary]), [
+        ['src/api/samples.js', 'modified', false],
+        ['docs/samples.md', 'added', false],
+        ['logo.png', 'modified', true],
+        ['src/old.js', 'deleted', false]
+    ]);
+
+    const [hunk] = files[0].hunks;
+    assert.deepStrictEqual([hunk.oldStart, hunk.oldLines, hunk.newStart, hunk.newLines], [10, 4, 10, 6]);
+    assert.deepStrictEqual(hunk.lines.map(l => [l.type, l.oldLine, l.newLine]), [
+        ['context', 10, 10], ['del', 11, undefined], ['add', undefined, 11], ['add', undefined, 12],
+        ['add', undefined, 13], ['context', 12, 14], ['context', 13, 15]
+    ]);
+    assert.deepStrictEqual([...review.commentableLines(files[0])], [10, 11, 12, 13, 14, 15]);
+    assert.deepStrictEqual(review.reviewableFiles(files).map(f => f.path), ['src/api/samples.js', 'docs/samples.md']);
+});
+
+test('findings on changed lines become inline comments, the rest go in the body', async () => {
+    const llm = scriptLLM([{ useCase: 'review', reply: JSON.stringify(FINDINGS) }]);
+    const text = await review.reviewPullRequest(70);
+
+    const prompt = llm.requests[0].request.messages[1].content;
+    assert.match(prompt, /FILE: src\/api\/samples\.js \(modified\)/);
+    assert.match(prompt, /\+   11 \| {3}const sql/);
+    assert.doesNotMatch(prompt, /logo\.png|old\.js/);
+
+    const [posted] = reviews();
+    assert.strictEqual(posted.commit_id, 'sha70');
+    assert.strictEqual(posted.event, 'COMMENT');
+    assert.deepStrictEqual(posted.comments.map(c => [c.path, c.line, c.side]), [
+        ['src/api/samples.js', 11, 'RIGHT'],
+        ['src/api/samples.js', 13, 'RIGHT']
+    ]);
+    assert.match(posted.comments[0].body, /^🔴 \*\*critical\*\*: SQL injection/);
+    assert.match(posted.comments[1].body, /^🟡 \*\*minor\*\*: Remove the debug log/);
+    assert.match(posted.body, /^Adds owner filtering/);
+    assert.match(posted.body, /Other notes:\*\*\n- 🟠 \*\*major\*\* `src\/api\/samples\.js:40`: The list still has no pagination\.\n- ⚪ \*\*nit\*\* `README\.md:1`/);
+
+    assert.match(text, new RegExp(`^🔍 \\*Reviewed PR #70\\* "Filter samples by owner" by <@${TEAM.kareem.slackId}>: 2 inline comment\\(s\\), 🔴 1 critical, 🟠 1 major, 🟡 1 minor, ⚪ 1 nit`));
+    assert.match(text, /> Adds owner filtering/);
+    assert.match(text, /\nhttps:\/\/github\.com\/test-org\/lab-manager\/pull\/70#pullrequestreview-1$/);
+});
+
+test('the same commit is not reviewed twice unless forced', async () => {
+    scriptLLM([{ useCase: 'review', reply: JSON.stringify({ summary: 'Looks fine.', findings: [] }) }]);
+    assert.strictEqual(await review.reviewPullRequest(70), null);
+    assert.strictEqual(reviews().length, 1);
+
+    const text = await review.reviewPullRequest(70, { force: true });
+    assert.match(text, /0 inline comment\(s\), no issues found ✅/);
+    assert.strictEqual(reviews().length, 2);
+});
+
+test('GitHub rejecting a comment line folds every finding into the body', async () => {
+    const createReview = env.octokit.rest.pulls.createReview;
+    env.octokit.rest.pulls.createReview = async (args) => {
+        if (args.comments.length) throw Object.assign(new Error('Unprocessable Entity'), { status: 422 });
+        return createReview(args);
+    };
+    scriptLLM([{ useCase: 'review', reply: JSON.stringify(FINDINGS) }]);
+    try {
+        await review.reviewPullRequest(70, { force: true });
+    } finally {
+        env.octokit.rest.pulls.createReview = createReview;
+    }
+
+    const posted = reviews().pop();
+    assert.deepStrictEqual(posted.comments, []);
+    assert.match(posted.body, /🔴 \*\*critical\*\* `src\/api\/samples\.js:11`: SQL injection/);
+});
+
+test('the review command forces a review and reports problems', async () => {
+    scriptLLM([{ useCase: 'review', reply: 'Sorry, I cannot help with that.' }]);
+    const replies = (await env.slack.runCommand('/shehab', { text: 'review PR #70', user: TEAM.ziad.slackId })).map(r => r.text);
+    assert.deepStrictEqual(replies, ['⏳ Reviewing PR #70...', "❌ The review model didn't return usable findings for PR #70. Try again?"]);
+
+    const [missing] = (await env.slack.runCommand('/shehab', { text: 'review 99', user: TEAM.ziad.slackId })).map(r => r.text).slice(1);
+    assert.strictEqual(missing, '❌ PR #99 not found.');
+});
+
+test('PRs are reviewed automatically when ready for review, drafts are left alone', async () => {
+    const pr = env.octokit.state.pulls.find(p => p.number === 71);
+    const before = reviews().length;
+    assert.ok(!(await dispatchEvent(env.slack, 'pull_request', { action: 'opened', pull_request: pr })).posted.includes('auto_review'));
+    assert.strictEqual(reviews().length, before);
+
+    pr.draft = false;
+    scriptLLM([{ useCase: 'review', reply: JSON.stringify(FINDINGS) }]);
+    const { posted } = await dispatchEvent(env.slack, 'pull_request', { action: 'ready_for_review', pull_request: pr });
+    assert.deepStrictEqual(posted, ['auto_review']);
+    assert.strictEqual(reviews().pop().pull_number, 71);
+
+    const alert = env.slack.posts('C-REPORTS').pop();
+    assert.match(alert.text, /Reviewed PR #71/);
+    assert.match(alert.blocks[0].accessory.url, /pull\/71#pullrequestreview-\d+$/);
+});
+
+/**
+ * A diff with one big file (three hunks), a small file, a lockfile and a generated file.
+ */
+function bigDiff() {
+    const hunk = (i) => [
+        `@@ -${i * 100 + 1},0 +${i * 100 + 1},20 @@`,
+        ...Array.from({ length: 20 }, (_, n) => `+  const value${i}_${n} = compute(${n}); // some padding to make the line longer`)
+    ];
+    return [
+        'diff --git a/src/big.js b/src/big.js',
+        '--- a/src/big.js',
+        '+++ b/src/big.js',
+        ...hunk(0), ...hunk(1), ...hunk(2),
+        'diff --git a/src/small.js b/src/small.js',
+        '--- a/src/small.js',
+        '+++ b/src/small.js',
+        '@@ -1,1 +1,1 @@',
+        '-old()',
+        '+fresh()',
+        'diff --git a/package-lock.json b/package-lock.json',
+        '--- a/package-lock.json',
+        '+++ b/package-lock.json',
+        '@@ -1,1 +1,1 @@',
+        '-  "version": "1.0.0",',
+        '+  "version": "1.1.0",',
+        'diff --git a/src/schema.js b/src/schema.js',
+        'new file mode 100644',
+        '--- /dev/null',
+        '+++ b/src/schema.js',
+        '@@ -0,0 +1,2 @@',
+        '+// @generated by prisma. DO NOT EDIT.',
+        '+module.exports = {};',
+        ''
+    ].join('\n');
+}
+
+test('lockfiles and generated files are left out of the review', () => {
+    const files = review.parseUnifiedDiff(bigDiff());
+    assert.deepStrictEqual(files.filter(review.isGeneratedFile).map(f => f.path), ['package-lock.json', 'src/schema.js']);
+    assert.deepStrictEqual(review.reviewableFiles(files).map(f => f.path), ['src/big.js', 'src/small.js']);
+});
+
+test('big files are split by hunk into chunks that keep their line numbers', () => {
+    const chunks = review.chunkDiff(review.reviewableFiles(review.parseUnifiedDiff(bigDiff())), 2000);
+    assert.deepStrictEqual(chunks.map(c => c.files.map(f => `${f.path}@${f.hunks.map(h => h.newStart).join(',')}`)), [
+        ['src/big.js@1'], ['src/big.js@101'], ['src/big.js@201', 'src/small.js@1']
+    ]);
+    assert.ok(chunks.every(c => c.size <= 2000));
+    assert.match(chunks[1].text, /^FILE: src\/big\.js \(modified\)\n@@ -101,0 \+101,20 @@\n\+  101 \| {3}const value1_0/);
+});
+
+test('chunk findings are merged, deduplicated and prioritized, with uncovered files listed', async () => {
+    const llm = scriptLLM([
+        { useCase: 'review', reply: JSON.stringify({ summary: 'First part.', findings: [
+            { file: 'src/big.js', line: 5, severity: 'major', message: 'compute() result is never validated' },
+            { file: 'src/big.js', severity: 'minor', message: 'This module has no tests' }
+        ] }) },
+        { useCase: 'review', reply: JSON.stringify({ summary: 'Second part.', findings: [
+            { file: 'src/big.js', line: 6, severity: 'minor', message: 'The compute() result is never validated here' },
+            { file: 'src/big.js', line: 110, severity: 'critical', message: 'Division by zero when n is 0' },
+            { file: 'src/big.js', severity: 'minor', message: 'This module has no tests at all' }
+        ] }) }
+    ]);
+    const result = await review.reviewDiff(bigDiff(), { title: 'PR #80: Big change', author: 'ziad' }, { chunkTokens: 500, tokenBudget: 1000 });
+
+    assert.strictEqual(llm.requests.length, 2);
+    assert.match(llm.requests[0].request.messages[1].content, /This is part 1 of 3 of the diff/);
+    assert.deepStrictEqual([result.reviewed, result.failed], [2, 0]);
+    assert.strictEqual(result.summary, 'First part. Second part.');
+    assert.deepStrictEqual(result.inline.map(f => [f.line, f.severity]), [[110, 'critical'], [5, 'major']]);
+    assert.deepStrictEqual(result.general.map(f => f.message), ['This module has no tests']);
+    assert.deepStrictEqual(result.notCovered, [
+        { path: 'package-lock.json', reason: 'lockfile or generated' },
+        { path: 'src/schema.js', reason: 'lockfile or generated' },
+        { path: 'src/big.js', reason: 'partly reviewed, rest over the review budget' },
+        { path: 'src/small.js', reason: 'over the review budget' }
+    ]);
+});
+
+test('a chunk whose model call throws is counted as failed and the rest is kept', async () => {
+    scriptLLM([
+        { useCase: 'review', reply: JSON.stringify({ summary: 'First part.', findings: [
+            { file: 'src/big.js', line: 5, severity: 'major', message: 'compute() result is never validated' }
+        ] }) },
+        { useCase: 'review', reply: () => { throw new Error('429 Too Many Requests'); } },
+        { useCase: 'review', reply: JSON.stringify({ summary: 'Last part.', findings: [] }) }
+    ]);
+    const result = await review.reviewDiff(bigDiff(), { title: 'PR #81: Big change', author: 'ziad' }, { chunkTokens: 500, tokenBudget: 10000 });
+
+    assert.deepStrictEqual([result.reviewed, result.failed], [2, 1]);
+    assert.strictEqual(result.summary, 'First part. Last part.');
+    assert.deepStrictEqual(result.inline.map(f => f.line), [5]);
+    assert.deepStrictEqual(result.notCovered.slice(2), [{ path: 'src/big.js', reason: 'partly reviewed, rest failed' }]);
+});
+
+test('only roster members can post a review to GitHub from chat', async () => {
+    const before = reviews().length;
+
+    const denied = await executeTool('review_pr', { pr_number: '70', post_to_github: true }, { user: 'U-STRANGER' });
+    assert.match(denied, /^⛔ Only people on the team roster can post reviews to GitHub/);
+    assert.strictEqual(reviews().length, before);
+
+    scriptLLM([{ useCase: 'review', reply: JSON.stringify(FINDINGS) }]);
+    assert.match(await executeTool('review_pr', { pr_number: '70', post_to_github: true }, { user: TEAM.ziad.slackId }), /^🔍 \*Reviewed PR #70\*/);
+    assert.strictEqual(reviews().length, before + 1);
+});
+
+test('chat reviews list findings and uncovered files without posting', async () => {
+    env.octokit.state.pulls.push(githubPR(80, 'Bump deps', 'ziad'));
+    env.octokit.state.diffs['pr:80'] = bigDiff().split('diff --git a/package-lock.json')[1].replace(/^/, 'diff --git a/package-lock.json');
+    const before = reviews().length;
+
+    assert.match(await review.reviewPullRequest(80, { post: false }), /^🤷 PR #80 has no reviewable text changes\.\n⚠️ Not covered: `package-lock\.json` \(lockfile or generated\), `src\/schema\.js`/);
+
+    env.octokit.state.diffs['pr:80'] = DIFF;
+    scriptLLM([{ useCase: 'review', reply: JSON.stringify(FINDINGS) }]);
+    const text = await review.reviewPullRequest(80, { post: false });
+    assert.match(text, /^🔍 \*Review of PR #80\* "Bump deps"/);
+    assert.match(text, /\n• 🔴 \*critical\* `src\/api\/samples\.js:11`: SQL injection/);
+    assert.strictEqual(reviews().length, before);
+});
+
+test('commit diffs over the limit drop whole files and name them', async () => {
+    const diff = await getCommitDiff('big');
+    assert.match(diff, /^diff --git a\/src\/a\.js b\/src\/a\.js\n\+a\(\)\ndiff --git a\/src\/b\.js b\/src\/b\.js\n\+b\(\)\n/);
+    assert.match(diff, /⚠️ Not shown, over the 10000-char limit: `package-lock\.json` \(\d+ chars\)$/);
+    assert.doesNotMatch(diff, /"x": 1/);
+});
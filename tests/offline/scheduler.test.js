@@ -0,0 +1,59 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupOffline } = require('../fakes');
+
+const env = setupOffline();
+const scheduler = require('../../src/scheduler/registry');
+after(() => {
+    scheduler.stopScheduler();
+    env.teardown();
+});
+
+const runs = [];
+scheduler.startScheduler(env.slack, {
+    digest: { description: 'Weekly summary', cron: '0 9 * * 0', run: async (app) => { runs.push(app); } },
+    flaky: { description: 'Always fails', cron: '*/5 * * * *', run: async () => { throw new Error('boom'); } }
+});
+
+test('the built-in job table defines valid schedules', () => {
+    const jobs = require('../../src/scheduler/jobs');
+    assert.deepStrictEqual(Object.keys(jobs), ['report', 'nudges', 'reflection', 'standup', 'standup-summary', 'sprint']);
+    for (const def of Object.values(jobs)) assert.strictEqual(typeof def.run, 'function');
+});
+
+test('a new job only needs a table entry and shows up in the list', () => {
+    const text = scheduler.describeJobs();
+    assert.match(text, /\*digest\* - Weekly summary/);
+    assert.match(text, /`0 9 \* \* 0`/);
+    assert.match(text, /never run/);
+});
+
+test('run now runs the job with the Slack app and records the outcome', async () => {
+    assert.match(await scheduler.runJob('digest'), /Ran \*digest\*/);
+    assert.strictEqual(runs[0], env.slack);
+    assert.strictEqual(scheduler.getJob('digest').lastStatus, 'ok');
+
+    assert.match(await scheduler.runJob('flaky'), /failed: boom/);
+    assert.strictEqual(scheduler.getJob('flaky').lastError, 'boom');
+
+    assert.match(await scheduler.runJob('nope'), /Unknown job/);
+});
+
+test('pause, resume and reschedule are persisted', () => {
+    assert.match(scheduler.pauseJob('digest'), /Paused/);
+    assert.strictEqual(scheduler.getJob('digest').paused, true);
+    assert.match(scheduler.describeJobs(), /⏸️ paused/);
+
+    assert.match(scheduler.resumeJob('digest'), /Resumed/);
+    assert.strictEqual(scheduler.getJob('digest').paused, false);
+
+    assert.match(scheduler.rescheduleJob('digest', '30 8 * * 1'), /now runs at `30 8 \* \* 1`/);
+    assert.match(scheduler.describeJobs(), /`30 8 \* \* 1` \(default `0 9 \* \* 0`\)/);
+    assert.match(scheduler.rescheduleJob('digest', 'every tuesday'), /isn't a valid cron/);
+
+    assert.match(scheduler.rescheduleJob('digest', 'default'), /now runs at `0 9 \* \* 0`/);
+
+    const saved = require('../../src/utils/store').createStore('schedules').read();
+    assert.deepStrictEqual(saved.jobs.digest.paused, false);
+    assert.strictEqual(saved.jobs.digest.cron, null);
+});
@@ -0,0 +1,97 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupOffline, jiraIssue, WORKING_HOURS_NOW: NOW } = require('../fakes');
+const { scriptLLM, toolCalls } = require('../fakes/llm');
+
+const sprintDef = {
+    id: 12,
+    name: 'LAB Sprint 12',
+    goal: 'Patient intake end to end',
+    state: 'active',
+    // Sunday 11 Oct -> Thursday 22 Oct: two Sun-Thu weeks
+    startDate: '2026-10-11T07:00:00.000Z',
+    endDate: '2026-10-22T15:00:00.000Z',
+    issues: ['LAB-1', 'LAB-2', 'LAB-3']
+};
+
+const env = setupOffline({
+    memory: { report_channel: 'C-REPORTS' },
+    jira: {
+        issues: [
+            jiraIssue('LAB-1', 'Intake form', 'Done', { points: 5 }),
+            jiraIssue('LAB-2', 'Barcode labels', 'Development', { points: 3 }),
+            jiraIssue('LAB-3', 'Sample routing', 'To Do', { points: 8 }),
+            jiraIssue('LAB-4', 'Urgent audit log', 'To Do', { points: 5 })
+        ],
+        sprints: [sprintDef, { id: 11, name: 'LAB Sprint 11', state: 'closed', issues: [] }]
+    }
+});
+after(() => env.teardown());
+
+const sprint = require('../../src/agent/sprint');
+const { thinkAndAct } = require('../../src/agent/brain');
+const { generateSmartReport } = require('../../src/scheduler/reports');
+
+const setStatus = (key, status) => { env.jira.state.issues.find(i => i.key === key).fields.status = { name: status }; };
+
+test('the first snapshot becomes the committed scope', async () => {
+    const status = await sprint.refreshSprint(new Date('2026-10-12T09:00:00Z'));
+    assert.strictEqual(status.name, 'LAB Sprint 12');
+    assert.strictEqual(status.goal, 'Patient intake end to end');
+    assert.strictEqual(status.committedPoints, 16);
+    assert.strictEqual(status.completedPoints, 5);
+    assert.strictEqual(status.totalDays, 10);
+    assert.strictEqual(status.elapsedDays, 1);
+});
+
+test('scope added mid-sprint, burndown and the projection', async () => {
+    sprintDef.issues.push('LAB-4');
+    setStatus('LAB-2', 'Done');
+
+    const status = await sprint.refreshSprint(NOW);
+    assert.strictEqual(status.committedPoints, 16);
+    assert.strictEqual(status.committedCompletedPoints, 8);
+    assert.strictEqual(status.totalPoints, 21);
+    assert.deepStrictEqual(status.added, [{ key: 'LAB-4', points: 5, addedOn: '2026-10-19' }]);
+    assert.deepStrictEqual([status.elapsedDays, status.daysLeft], [6, 4]);
+    assert.strictEqual(status.verdict, 'off track');
+
+    // Same day again: today's burndown point is replaced, not duplicated
+    await sprint.refreshSprint(NOW);
+    assert.deepStrictEqual(sprint.getSprintRecord(12).burndown.map(p => [p.date, p.remaining]), [['2026-10-12', 11], ['2026-10-19', 13]]);
+
+    const text = sprint.describeSprint(status);
+    assert.match(text, /Added mid-sprint: 5 pts \(LAB-4 5pt on 2026-10-19\)/);
+    assert.match(text, /Will we make it\? 🚨 \*off track\*: at 1.3 pts\/day we'd finish ~13.3 of 21 pts \(need 3.3 pts\/day\)/);
+    assert.match(text, /Burndown: 10-12: 11 · 10-19: 13/);
+});
+
+test('a finished sprint is done', async () => {
+    for (const key of ['LAB-3', 'LAB-4']) setStatus(key, 'Done');
+    const status = await sprint.refreshSprint(NOW);
+    assert.strictEqual(status.verdict, 'done');
+    assert.match(sprint.describeSprint(status), /🎉 \*done\*\n/);
+    setStatus('LAB-3', 'To Do');
+    setStatus('LAB-4', 'To Do');
+});
+
+test('the chat tool and the PM report include the sprint', async () => {
+    const llm = scriptLLM([
+        toolCalls(['get_sprint', {}]),
+        (request) => request.messages.at(-1).content.includes('LAB Sprint 12') ? 'We are behind.' : 'No idea.',
+        { useCase: 'reflection', reply: JSON.stringify({ internal_thought: 'Fine.', public_status: null }) },
+        { useCase: 'report', reply: '📊 *Daily Status Report*' }
+    ]);
+
+    assert.strictEqual(await thinkAndAct([], 'will we make the sprint?', 'You are Shehab.'), 'We are behind.');
+
+    await generateSmartReport(env.slack);
+    const report = llm.requests.find(r => r.useCase === 'report').request;
+    assert.match(report.messages[0].content, /🏃 Sprint/);
+    assert.match(report.messages[1].content, /SPRINT PROGRESS:\n🏃 \*LAB Sprint 12\*[\s\S]*Will we make it\?/);
+});
+
+test('no active sprint', async () => {
+    sprintDef.state = 'closed';
+    assert.strictEqual(await sprint.getSprintReport(NOW), 'No active sprint found on the Jira board.');
+});
@@ -0,0 +1,90 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupOffline, githubPR, githubCommit, jiraIssue, WORKING_HOURS_NOW: NOW } = require('../fakes');
+const { scriptLLM } = require('../fakes/llm');
+const { DEFAULT_TEAM: TEAM } = require('../../src/config/team');
+
+const env = setupOffline({
+    memory: { report_channel: 'C-REPORTS' },
+    github: {
+        pulls: [githubPR(60, 'Add patient registration', 'ziad', { daysOld: 7 })],
+        commits: [githubCommit('abc123', 'LAB-8 patient form', 'Ziad', { login: 'ziad', date: '2026-10-18T10:00:00Z' })]
+    },
+    jira: {
+        issues: [
+            jiraIssue('LAB-7', 'Sample storage API', 'Development', { assigneeId: TEAM.kareem.jiraAccountId }),
+            jiraIssue('LAB-8', 'Patient form', 'Development', { assigneeId: TEAM.ziad.jiraAccountId })
+        ]
+    }
+});
+after(() => env.teardown());
+
+const standup = require('../../src/agent/standup');
+const { checkStaleWork } = require('../../src/agent/life');
+const { generateSmartReport } = require('../../src/scheduler/reports');
+
+const question = (member) => env.slack.posts(member.slackId).find(p => /Standup time/.test(p.text));
+
+// Reply in the member's standup thread
+function reply(key, text, day = '2026-10-19', now = NOW) {
+    const { ts } = standup.getEntry(key, day);
+    return standup.handleStandupReply({ user: TEAM[key].slackId, channel: TEAM[key].slackId, thread_ts: ts, text }, now);
+}
+
+test('each member is asked once, at the start of their working day', async () => {
+    assert.deepStrictEqual(await standup.askStandups(env.slack, new Date('2026-10-19T04:00:00Z')), []);
+    assert.deepStrictEqual(await standup.askStandups(env.slack, NOW), ['ziad', 'mohab', 'kareem']);
+    assert.deepStrictEqual(await standup.askStandups(env.slack, NOW), []);
+
+    assert.match(question(TEAM.ziad).text, /Yesterday[\s\S]*Today[\s\S]*Blockers/);
+    assert.ok(standup.getEntry('ziad', '2026-10-19').ts);
+});
+
+test('threaded answers are collected, labelled or one by one', () => {
+    assert.match(reply('ziad', 'Yesterday: finished the LAB-8 form\nToday: LAB-8 validation, then review LAB-7\nBlockers: waiting on the auth API keys'), /flag your blocker/);
+    assert.deepStrictEqual(standup.getOpenBlockers().map(b => [b.memberKey, b.text]), [['ziad', 'waiting on the auth API keys']]);
+
+    assert.match(reply('kareem', 'sample storage endpoints'), /Still missing: today, blockers/);
+    assert.match(reply('kareem', 'more of the same'), /Still missing: blockers/);
+    assert.match(reply('kareem', 'none'), /that's everything/);
+    const kareem = standup.getEntry('kareem', '2026-10-19');
+    assert.deepStrictEqual([kareem.yesterday, kareem.today, kareem.blockers], ['sample storage endpoints', 'more of the same', 'none']);
+
+    // Not their thread, or not a thread at all
+    const { ts: ziadThread } = standup.getEntry('ziad', '2026-10-19');
+    assert.strictEqual(standup.handleStandupReply({ user: TEAM.kareem.slackId, channel: TEAM.ziad.slackId, thread_ts: ziadThread, text: 'hi' }), null);
+    assert.strictEqual(standup.handleStandupReply({ user: TEAM.ziad.slackId, channel: TEAM.ziad.slackId, text: 'hi' }), null);
+});
+
+test('the summary flags blockers, silence and mismatches with GitHub and Jira', async () => {
+    const text = await standup.postStandupSummary(env.slack, NOW);
+    assert.strictEqual(env.slack.posts('C-REPORTS').pop().text, text);
+
+    assert.match(text, new RegExp(`Blockers:\\*\\n• <@${TEAM.ziad.slackId}>: waiting on the auth API keys`));
+    assert.match(text, new RegExp(`No answer yet:\\* <@${TEAM.mohab.slackId}>`));
+    assert.match(text, /\*Ziad Mohamed\*[\s\S]*Reality check: 1 commit\(s\) since 2026-10-18; ⚠️ mentions LAB-7, which isn't assigned to them/);
+    assert.match(text, /\*Kareem Mamdouh\*[\s\S]*Reality check: no commits since 2026-10-18; in progress but not mentioned: LAB-7 \(Development\)/);
+});
+
+test('open blockers reach later nudges and reports', async () => {
+    const llm = scriptLLM([
+        { useCase: 'reflection', reply: JSON.stringify({ internal_thought: 'Fine.', public_status: null }) },
+        { useCase: 'report', reply: '📊 *Daily Status Report*' }
+    ]);
+
+    await checkStaleWork(env.slack, NOW);
+    const nudge = llm.requests.find(r => r.useCase === 'nudge').request.messages[1].content;
+    assert.match(nudge, /PR #60.*blocked on: waiting on the auth API keys/);
+
+    await generateSmartReport(env.slack);
+    const context = llm.requests.find(r => r.useCase === 'report').request.messages[1].content;
+    assert.match(context, /BLOCKERS RAISED IN STANDUP \(still open\):\n- Ziad Mohamed: waiting on the auth API keys \(since 2026-10-19\)/);
+});
+
+test('answering "none" on a later day clears old blockers', async () => {
+    const tuesday = new Date('2026-10-20T09:00:00Z');
+    await standup.askStandups(env.slack, tuesday);
+    reply('ziad', '1. LAB-8\n2. LAB-8\n3. nope', '2026-10-20', tuesday);
+
+    assert.deepStrictEqual(standup.getOpenBlockers(), []);
+});
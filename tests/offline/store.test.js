@@ -0,0 +1,37 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { setupOffline } = require('../fakes');
+
+const env = setupOffline();
+after(() => env.teardown());
+
+const { createStore } = require('../../src/utils/store');
+
+const filesIn = (prefix) => fs.readdirSync(env.tmpDir).filter(f => f.startsWith(prefix));
+
+test('writes replace the file in one step and leave no temp files behind', () => {
+    const store = createStore('freezers', { racks: [] });
+    assert.deepStrictEqual(store.read(), { racks: [] });
+
+    store.update(data => { data.racks.push('A1'); });
+    store.set('door', 'left');
+
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(store.file(), 'utf8')), { racks: ['A1'], door: 'left' });
+    assert.deepStrictEqual(filesIn('freezers.json'), ['freezers.json']);
+});
+
+test('a torn file is moved aside, never overwritten', () => {
+    const store = createStore('samples', { ids: [] });
+    store.set('ids', ['S-1', 'S-2']);
+    const torn = fs.readFileSync(store.file(), 'utf8').slice(0, 12);
+    fs.writeFileSync(store.file(), torn);
+
+    assert.deepStrictEqual(store.read(), { ids: [] });
+    store.update(data => { data.ids.push('S-3'); });
+
+    const backups = filesIn('samples.json.corrupt-');
+    assert.strictEqual(backups.length, 1);
+    assert.strictEqual(fs.readFileSync(`${env.tmpDir}/${backups[0]}`, 'utf8'), torn);
+    assert.deepStrictEqual(store.read(), { ids: ['S-3'] });
+});
@@ -0,0 +1,139 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupOffline, jiraIssue } = require('../fakes');
+const { DEFAULT_TEAM: TEAM } = require('../../src/config/team');
+
+const env = setupOffline({
+    memory: { report_channel: 'C-REPORTS' },
+    jira: {
+        issues: [
+            jiraIssue('LAB-7', 'Paginate samples endpoint', 'To Do'),
+            jiraIssue('LAB-8', 'Sample storage API', 'Development')
+        ]
+    }
+});
+after(() => env.teardown());
+
+const suggestions = require('../../src/agent/suggestions');
+const { createSuggestedTasks } = require('../../src/scheduler/reports');
+suggestions.registerSuggestionActions(env.slack);
+
+const created = () => env.jira.state.requests.filter(r => r.method === 'post' && r.path === '/rest/api/3/issue');
+const pending = (text) => suggestions.getPendingSuggestions().find(s => s.summary.includes(text));
+const lastUpdate = () => env.slack.calls.filter(c => c.method === 'chat.update').pop().args;
+const click = (actionId, value, user = TEAM.ziad.slackId, action = {}) =>
+    env.slack.clickButton(actionId, { value, user, channel: 'C-REPORTS', action });
+
+test('duplicates of open tickets are skipped, similar ones are flagged', async () => {
+    await createSuggestedTasks([
+        '*📋 Suggested Tasks:*',
+        '• @kareem: Paginate the samples endpoint',
+        '• @kareem: Write tests for the sample storage API',
+        '• @ziad: Build the patient search page'
+    ].join('\n'), env.slack, 'C-REPORTS');
+
+    assert.strictEqual(created().length, 0);
+    assert.strictEqual(pending('samples endpoint'), undefined);
+    assert.match(env.slack.posts('C-REPORTS').pop().text, /Skipped suggested tasks[\s\S]*Kareem Mamdouh: "Paginate the samples endpoint" looks like LAB-7/);
+
+    const storage = pending('sample storage');
+    assert.deepStrictEqual(storage.similar.map(d => d.key), ['LAB-8']);
+    const card = env.slack.posts('C-REPORTS').find(p => p.text.includes('sample storage'));
+    assert.match(JSON.stringify(card.blocks), /Similar open tickets: LAB-8/);
+    assert.deepStrictEqual(pending('patient search').similar, []);
+});
+
+test('only the Suggested Tasks section is read for tasks', async () => {
+    const before = env.slack.posts('C-REPORTS').length;
+    await createSuggestedTasks([
+        '*⚠️ Risks/Blockers:*',
+        '• @kareem: Waiting on the vendor for barcode printer drivers',
+        '*📋 Suggested Tasks:*',
+        '• @ziad: Add retry logic to the results upload',
+        '',
+        '*🔗 Traceability:*',
+        '• @mohab: PR #12 has no ticket, please link one'
+    ].join('\n'), env.slack, 'C-REPORTS');
+
+    assert.strictEqual(env.slack.posts('C-REPORTS').length - before, 1);
+    assert.ok(pending('retry logic'));
+    assert.strictEqual(pending('vendor'), undefined);
+    assert.strictEqual(pending('PR #12'), undefined);
+    suggestions.dismissSuggestion(pending('retry logic').id, TEAM.ziad.slackId);
+});
+
+test('edit opens a modal and saving rewords the card', async () => {
+    const { id } = pending('patient search');
+    await click('task_suggestion_edit', id);
+    const opened = env.slack.calls.filter(c => c.method === 'views.open').pop().args;
+    assert.strictEqual(opened.view.private_metadata, id);
+    assert.strictEqual(opened.view.blocks[0].element.initial_value, 'Build the patient search page');
+
+    const [empty] = await env.slack.submitView('task_suggestion_edit', { privateMetadata: id, values: { summary: ' ' }, user: TEAM.ziad.slackId });
+    assert.strictEqual(empty.response_action, 'errors');
+
+    await env.slack.submitView('task_suggestion_edit', {
+        privateMetadata: id,
+        values: { summary: 'Build the patient search page with filters', description: 'Search by name and MRN' },
+        user: TEAM.ziad.slackId
+    });
+    assert.strictEqual(suggestions.getSuggestion(id).summary, 'Build the patient search page with filters');
+    assert.match(lastUpdate().blocks[0].text.text, /with filters\*\nSearch by name and MRN/);
+});
+
+test('reassign changes who the ticket will go to, approve creates it once', async () => {
+    const { id } = pending('patient search');
+    await click('task_suggestion_reassign', undefined, TEAM.ziad.slackId, { selected_option: { value: `${id}:mohab` } });
+    assert.strictEqual(suggestions.getSuggestion(id).assignee.key, 'mohab');
+    assert.match(lastUpdate().text, /Suggested task for Mohab/);
+
+    await click('task_suggestion_approve', id);
+    assert.strictEqual(created().length, 1);
+    assert.strictEqual(created()[0].body.fields.summary, 'Build the patient search page with filters');
+    assert.strictEqual(created()[0].body.fields.assignee.accountId, TEAM.mohab.jiraAccountId);
+    assert.match(lastUpdate().text, new RegExp(`✅ Ticket Created: .* \\(approved by <@${TEAM.ziad.slackId}>\\)`));
+
+    // A second click on the stale card doesn't create another ticket
+    await click('task_suggestion_approve', id);
+    assert.strictEqual(created().length, 1);
+    assert.match(env.slack.calls.filter(c => c.method === 'chat.postEphemeral').pop().args.text, /already created/);
+});
+
+test('concurrent approvals create one ticket, and a Jira failure can be retried', async () => {
+    await createSuggestedTasks('*📋 Suggested Tasks:*\n• @mohab: Add an audit log for result exports', env.slack, 'C-REPORTS');
+    const { id } = pending('audit log');
+    const before = created().length;
+
+    env.jira.state.down = true;
+    assert.match(await suggestions.approveSuggestion(id, TEAM.ziad.slackId), /^❌/);
+    env.jira.state.down = false;
+    assert.strictEqual(suggestions.getSuggestion(id).status, 'pending');
+
+    const [first, second] = await Promise.all([
+        suggestions.approveSuggestion(id, TEAM.ziad.slackId),
+        suggestions.approveSuggestion(id, TEAM.kareem.slackId)
+    ]);
+    assert.match(first, /✅ Ticket Created/);
+    assert.match(second, /is already creating that ticket/);
+    assert.strictEqual(created().length - before, 2); // the failed attempt and one real create
+    assert.strictEqual(suggestions.getSuggestion(id).status, 'created');
+});
+
+test('only roster members can act on suggestions', async () => {
+    const { id } = pending('sample storage');
+    await click('task_suggestion_dismiss', id, 'U-STRANGER');
+    assert.match(env.slack.calls.filter(c => c.method === 'chat.postEphemeral').pop().args.text, /⛔/);
+    assert.strictEqual(suggestions.getSuggestion(id).status, 'pending');
+});
+
+test('dismissed suggestions are not suggested again', async () => {
+    const { id } = pending('sample storage');
+    await click('task_suggestion_dismiss', id);
+    assert.match(lastUpdate().text, /dismissed by/);
+
+    const before = env.slack.posts('C-REPORTS').length;
+    const count = created().length;
+    await createSuggestedTasks('*📋 Suggested Tasks:*\n• @kareem: Write tests for the sample storage API', env.slack, 'C-REPORTS');
+    assert.strictEqual(env.slack.posts('C-REPORTS').length, before);
+    assert.strictEqual(created().length, count);
+});
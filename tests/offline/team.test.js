@@ -0,0 +1,67 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupOffline } = require('../fakes');
+const { scriptLLM } = require('../fakes/llm');
+
+const env = setupOffline({ memory: { report_channel: 'C-REPORTS' } });
+after(() => env.teardown());
+
+const team = require('../../src/config/team');
+const { generateSmartReport, createSuggestedTasks } = require('../../src/scheduler/reports');
+const { getPendingSuggestions, approveSuggestion } = require('../../src/agent/suggestions');
+
+test('roster is seeded from the default team', () => {
+    assert.deepStrictEqual(team.getAllMembers().map(m => m.key).sort(), Object.keys(team.DEFAULT_TEAM).sort());
+    assert.strictEqual(team.findMemberByName('<@U09JRSYTGCW>').key, 'kareem');
+});
+
+test('an onboarded member shows up in the prompt, mentions and task parsing', async () => {
+    team.upsertMember('salma', {
+        name: 'Salma Adel',
+        slackId: 'U-SALMA',
+        role: 'QA Engineer',
+        skills: ['testing', 'cypress'],
+        jiraAccountId: 'jira-salma',
+        githubLogin: 'salma-qa'
+    });
+
+    assert.strictEqual(team.findBestAssignee('write cypress tests for login').key, 'salma');
+    assert.strictEqual(team.findTeamMemberByGitHub('Salma-QA').key, 'salma');
+
+    const llm = scriptLLM([
+        { useCase: 'reflection', reply: JSON.stringify({ internal_thought: 'Quiet day.', public_status: null }) },
+        { useCase: 'report', reply: '📊 *Daily Status Report*\n• @Salma: cover the login flow' }
+    ]);
+    await generateSmartReport(env.slack);
+
+    const prompt = llm.requests.find(r => r.useCase === 'report').request.messages[0].content;
+    assert.match(prompt, /<@U-SALMA> = Salma \(QA Engineer: testing, cypress\)/);
+    assert.match(env.slack.posts('C-REPORTS')[0].text, /<@U-SALMA>: cover the login flow/);
+
+    await createSuggestedTasks('*📋 Suggested Tasks:*\n• <@U-SALMA>: Add e2e tests for sample intake', env.slack, 'C-REPORTS');
+    const suggestion = getPendingSuggestions().find(s => s.summary.includes('sample intake'));
+    assert.strictEqual(suggestion.assignee.key, 'salma');
+    await approveSuggestion(suggestion.id, 'U-SALMA');
+    const created = env.jira.state.requests.filter(r => r.method === 'post' && r.path === '/rest/api/3/issue');
+    const intake = created.find(r => r.body.fields.summary.includes('sample intake'));
+    assert.strictEqual(intake.body.fields.assignee.accountId, 'jira-salma');
+});
+
+test('removed members drop out of the roster', () => {
+    assert.strictEqual(team.removeMember('salma'), true);
+    assert.strictEqual(team.getMember('salma'), null);
+    assert.strictEqual(team.removeMember('salma'), false);
+});
+
+test('isAdmin falls back to roster membership and honours SHEHAB_ADMINS', () => {
+    assert.strictEqual(team.isAdmin(team.getMember('ziad').slackId), true);
+    assert.strictEqual(team.isAdmin('U-STRANGER'), false);
+
+    process.env.SHEHAB_ADMINS = 'U-STRANGER';
+    try {
+        assert.strictEqual(team.isAdmin('U-STRANGER'), true);
+        assert.strictEqual(team.isAdmin(team.getMember('ziad').slackId), false);
+    } finally {
+        delete process.env.SHEHAB_ADMINS;
+    }
+});
@@ -0,0 +1,111 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupOffline, jiraIssue } = require('../fakes');
+const { scriptLLM, toolCalls } = require('../fakes/llm');
+const { DEFAULT_TEAM: TEAM } = require('../../src/config/team');
+
+const env = setupOffline({ jira: { issues: [jiraIssue('LAB-10', 'Barcode epic', 'To Do')] } });
+after(() => env.teardown());
+
+const tickets = require('../../src/tools/tickets');
+const { thinkAndAct } = require('../../src/agent/brain');
+tickets.registerTicketActions(env.slack);
+
+const createRequests = () => env.jira.state.requests.filter(r => r.method === 'post' && r.path === '/rest/api/3/issue');
+
+test('drafts infer type, priority and a skills-based assignee', () => {
+    const draft = tickets.buildTicketDraft({
+        summary: 'Login page crashes on Safari',
+        description: 'The React form throws an error. Urgent, a customer reported it.'
+    });
+
+    assert.strictEqual(draft.issueType, 'Bug');
+    assert.strictEqual(draft.priority, 'High');
+    assert.strictEqual(draft.assignee.name, TEAM.ziad.name);
+    assert.strictEqual(draft.assigneeReason, 'matched by skills');
+});
+
+test('create_ticket posts a preview card and creates nothing until confirmed', async () => {
+    scriptLLM([
+        toolCalls(['create_ticket', {
+            summary: 'Add barcode index to samples table',
+            description: '## Why\n- lookups are slow',
+            issue_type: 'story',
+            labels: ['backend', 'barcode'],
+            parent_key: 'LAB-10',
+            assignee: 'Kareem'
+        }]),
+        'Preview is up.'
+    ]);
+
+    await thinkAndAct([], 'make a ticket for the barcode index, give it to Kareem', 'system', {
+        context: { client: env.slack.client, channel: 'C-TEAM', thread_ts: '5.5', user: 'U-ASKER' }
+    });
+
+    const card = env.slack.posts('C-TEAM').pop();
+    assert.strictEqual(card.thread_ts, '5.5');
+    const button = card.blocks.find(b => b.type === 'actions').elements.find(e => e.action_id === 'ticket_draft_create');
+    assert.strictEqual(createRequests().length, 0);
+
+    await env.slack.clickButton('ticket_draft_create', { value: button.value, user: 'U-STRANGER', channel: 'C-TEAM' });
+    assert.match(env.slack.calls.filter(c => c.method === 'chat.postEphemeral').pop().args.text, /⛔ Only people on the team roster/);
+    assert.strictEqual(createRequests().length, 0);
+
+    await env.slack.clickButton('ticket_draft_create', { value: button.value, user: TEAM.ziad.slackId, channel: 'C-TEAM' });
+
+    const [created] = createRequests();
+    assert.deepStrictEqual(
+        {
+            type: created.body.fields.issuetype.name,
+            parent: created.body.fields.parent.key,
+            labels: created.body.fields.labels,
+            assignee: created.body.fields.assignee.accountId
+        },
+        { type: 'Story', parent: 'LAB-10', labels: ['backend', 'barcode'], assignee: TEAM.kareem.jiraAccountId }
+    );
+    assert.strictEqual(created.body.fields.description.content[0].type, 'heading');
+    const update = env.slack.calls.filter(c => c.method === 'chat.update').pop();
+    assert.match(update.args.text, /Ticket Created: LAB-\d+/);
+});
+
+test('cancelled drafts cannot be confirmed, and only the team can cancel', async () => {
+    const draft = tickets.saveDraft(tickets.buildTicketDraft({ summary: 'Throwaway', assignee: 'unassigned' }));
+    await env.slack.clickButton('ticket_draft_cancel', { value: draft.id, user: 'U-STRANGER' });
+    assert.match(env.slack.calls.filter(c => c.method === 'chat.postEphemeral').pop().args.text, /⛔ Only people on the team roster can discard ticket drafts/);
+    assert.ok(tickets.getDraft(draft.id));
+
+    await env.slack.clickButton('ticket_draft_cancel', { value: draft.id, user: TEAM.ziad.slackId });
+
+    const result = await tickets.confirmDraft(draft.id, TEAM.ziad.slackId);
+    assert.match(result, /not found/);
+});
+
+test('only roster members can confirm, and never the agent itself', async () => {
+    const { TOOLS_DEF, executeTool } = require('../../src/agent/brain');
+    assert.ok(!TOOLS_DEF.some(t => t.function.name === 'confirm_ticket'));
+
+    const draft = tickets.saveDraft(tickets.buildTicketDraft({ summary: 'Self-confirmed', assignee: 'unassigned' }));
+    assert.match(await executeTool('confirm_ticket', { draft_id: draft.id }, { user: TEAM.ziad.slackId }), /^Unknown tool/);
+    assert.match(await tickets.confirmDraft(draft.id, 'U-STRANGER'), /⛔/);
+    assert.ok(tickets.getDraft(draft.id));
+});
+
+test('a Jira failure keeps the card for a retry, and a double-click creates one issue', async () => {
+    const draft = tickets.saveDraft(tickets.buildTicketDraft({ summary: 'Flaky create', assignee: 'unassigned' }));
+    const before = createRequests().length;
+
+    env.jira.state.down = true;
+    await env.slack.clickButton('ticket_draft_create', { value: draft.id, user: TEAM.ziad.slackId, channel: 'C-TEAM', ts: '9.9' });
+    env.jira.state.down = false;
+    assert.match(env.slack.calls.filter(c => c.method === 'chat.postEphemeral').pop().args.text, /^❌/);
+    assert.ok(!env.slack.calls.some(c => c.method === 'chat.update' && c.args.ts === '9.9'));
+    assert.ok(tickets.getDraft(draft.id));
+
+    const [first, second] = await Promise.all([
+        tickets.confirmDraft(draft.id, TEAM.ziad.slackId),
+        tickets.confirmDraft(draft.id, TEAM.ziad.slackId)
+    ]);
+    assert.match(first, /✅ Ticket Created/);
+    assert.match(second, /not found/);
+    assert.strictEqual(createRequests().length - before, 2); // the failed attempt and one real create
+});
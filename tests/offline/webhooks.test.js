@@ -0,0 +1,135 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupOffline, githubPR } = require('../fakes');
+const { postWebhook } = require('../fakes/webhook');
+const { DEFAULT_TEAM: TEAM } = require('../../src/config/team');
+
+process.env.GITHUB_WEBHOOK_SECRET = 'webhook-secret';
+const env = setupOffline({ memory: { report_channel: 'C-REPORTS' } });
+
+const webhooks = require('../../src/agent/webhooks');
+const server = webhooks.createWebhookServer(env.slack).listen(0);
+after(() => {
+    server.close();
+    env.teardown();
+});
+
+const lastPost = () => env.slack.posts().pop();
+
+test('posts an alert for a newly opened PR', async () => {
+    const res = await postWebhook(server, 'pull_request', { action: 'opened', pull_request: githubPR(61, 'Barcode scanner', 'kareem') });
+
+    assert.strictEqual(res.status, 200);
+    const alert = env.slack.posts('C-REPORTS').find(p => /New PR Alert/.test(p.text));
+    assert.match(alert.text, new RegExp(`<@${TEAM.kareem.slackId}>`));
+});
+
+test('rejects deliveries with a bad signature', async () => {
+    const before = env.slack.posts().length;
+    const res = await postWebhook(server, 'pull_request', { action: 'opened', pull_request: githubPR(62, 'x', 'ziad') }, { signature: 'sha256=deadbeef' });
+
+    assert.strictEqual(res.status, 401);
+    assert.strictEqual(env.slack.posts().length, before);
+});
+
+test('ignores redelivered events', async () => {
+    const payload = { action: 'closed', pull_request: { ...githubPR(63, 'Fix units', 'ziad'), merged: true } };
+    await postWebhook(server, 'pull_request', payload, { deliveryId: 'same-id' });
+    const before = env.slack.posts().length;
+
+    const res = await postWebhook(server, 'pull_request', payload, { deliveryId: 'same-id' });
+
+    assert.strictEqual(await res.text(), 'Duplicate');
+    assert.strictEqual(env.slack.posts().length, before);
+});
+
+test('review requests mention the reviewer', async () => {
+    await postWebhook(server, 'pull_request', {
+        action: 'review_requested',
+        pull_request: githubPR(64, 'Results export', 'ziad'),
+        requested_reviewer: { login: 'mohab' }
+    });
+
+    assert.match(lastPost().text, new RegExp(`<@${TEAM.mohab.slackId}>, <@${TEAM.ziad.slackId}> asked for your review`));
+});
+
+test('pushes only alert for the default branch', async () => {
+    const push = (ref) => ({
+        ref,
+        repository: { default_branch: 'main' },
+        pusher: { name: 'kareem' },
+        compare: 'https://github.com/x/compare',
+        commits: [{ id: 'abcdef1234', message: 'Add sample index\n\nbody', author: { username: 'kareem' } }]
+    });
+    const before = env.slack.posts().length;
+
+    await postWebhook(server, 'push', push('refs/heads/feature/x'));
+    assert.strictEqual(env.slack.posts().length, before);
+
+    await postWebhook(server, 'push', push('refs/heads/main'));
+    assert.match(lastPost().text, /pushed 1 commit\(s\) to \*main\*/);
+    assert.match(lastPost().text, /`abcdef1` Add sample index/);
+});
+
+test('event types can be disabled and routed to another channel', async () => {
+    webhooks.setEventConfig('issue_opened', { enabled: false });
+    webhooks.setEventConfig('issue_closed', { channel: 'C-BUGS' });
+    const issue = { number: 9, title: 'Crash on login', user: { login: 'ziad' } };
+    const before = env.slack.posts().length;
+
+    await postWebhook(server, 'issues', { action: 'opened', issue });
+    assert.strictEqual(env.slack.posts().length, before);
+
+    await postWebhook(server, 'issues', { action: 'closed', issue, sender: { login: 'ziad' } });
+    assert.strictEqual(lastPost().channel, 'C-BUGS');
+    assert.match(lastPost().text, /Issue closed/);
+});
+
+test('a failing handler does not stop the others, and a redelivery only retries it', async () => {
+    let calls = 0;
+    webhooks.EVENT_HANDLERS.test_boom = {
+        description: 'throws once',
+        match: (name) => name === 'ping',
+        render: () => {
+            if (++calls === 1) throw new Error('boom');
+            return '💥 recovered';
+        }
+    };
+    webhooks.EVENT_HANDLERS.test_echo = { description: 'posts', match: (name) => name === 'ping', render: (p) => `🏓 ${p.zen}` };
+    const echoes = () => env.slack.posts().filter(p => /🏓/.test(p.text)).length;
+    try {
+        const res = await postWebhook(server, 'ping', { zen: 'Keep it logically awesome.' }, { deliveryId: 'ping-1' });
+        assert.strictEqual(res.status, 200);
+        assert.match(lastPost().text, /🏓 Keep it logically awesome\./);
+        assert.strictEqual(echoes(), 1);
+
+        const again = await postWebhook(server, 'ping', { zen: 'Keep it logically awesome.' }, { deliveryId: 'ping-1' });
+        assert.notStrictEqual(await again.text(), 'Duplicate');
+        assert.strictEqual(calls, 2);
+        assert.match(lastPost().text, /💥 recovered/);
+        assert.strictEqual(echoes(), 1);
+
+        const third = await postWebhook(server, 'ping', { zen: 'Keep it logically awesome.' }, { deliveryId: 'ping-1' });
+        assert.strictEqual(await third.text(), 'Duplicate');
+    } finally {
+        delete webhooks.EVENT_HANDLERS.test_boom;
+        delete webhooks.EVENT_HANDLERS.test_echo;
+    }
+});
+
+test('deliveries are acknowledged before slow handlers finish', async () => {
+    let release;
+    webhooks.EVENT_HANDLERS.test_slow = { description: 'slow', match: (name) => name === 'ping', render: () => new Promise(r => { release = r; }) };
+    try {
+        const before = env.slack.posts().length;
+        const res = await postWebhook(server, 'ping', { zen: 'slow' }, { wait: false });
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(env.slack.posts().length, before);
+
+        release('🐢 done');
+        await webhooks.whenIdle();
+        assert.match(lastPost().text, /🐢 done/);
+    } finally {
+        delete webhooks.EVENT_HANDLERS.test_slow;
+    }
+});
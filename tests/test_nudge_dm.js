@@ -7,7 +7,7 @@
 require('dotenv').config();
 const { App } = require('@slack/bolt');
 const OpenAI = require('openai');
-const { TEAM } = require('../src/config/team');
+const { getMember } = require('../src/config/team');
 
 // Slack App
 const app = new App({
@@ -60,7 +60,7 @@ async function testNudgeDM() {
         days_old: 4
     };
 
-    const member = TEAM.ziad;
+    const member = getMember('ziad');
     const context = `DM ${member.name} (${member.role}) about their PR #${testPR.number} titled "${testPR.title}" which has been open for ${testPR.days_old} days. Ask if they need help or if it's waiting for review.`;
 
     console.log("📝 Context:", context);